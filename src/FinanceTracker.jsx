@@ -11,6 +11,11 @@ import {
   Pencil,
   Check,
   X,
+  Scissors,
+  Users,
+  Lock,
+  BookOpen,
+  Bell,
 } from "lucide-react";
 
 import {
@@ -49,6 +54,131 @@ import {
   saveEditAssetHelper,
 } from "./helpers/assetHelpers";
 import { ArrowLeftRight } from "lucide-react";
+import { looksLikeOfx, parseOfx, findAccountByAcctNumber } from "./helpers/ofxHelpers";
+import { buildImportFingerprints, findImportDuplicates } from "./helpers/importDedupHelpers";
+import {
+  DATE_FORMATS,
+  DEFAULT_PROFILE_OPTIONS,
+  parseDateWithFormat,
+  headerRowFor,
+  profileMatchesHeaders,
+  fromDbImportProfile,
+  toDbImportProfile,
+} from "./helpers/importProfileHelpers";
+import {
+  AUTO_CATEGORY,
+  applyCategoryRules,
+  fromDbCategoryRule,
+  toDbCategoryRule,
+} from "./helpers/categoryRuleHelpers";
+import CategoryRulesManager from "./components/CategoryRulesManager";
+import { hasSplits, normalizeSplits, validateSplits, expandSplitLines } from "./helpers/splitHelpers";
+import SplitTransactionEditor from "./components/SplitTransactionEditor";
+import {
+  findTransferPairs,
+  findUnmatchedTransfers,
+  transferLinkPatches,
+} from "./helpers/transferPairingHelpers";
+import TransferReviewQueue from "./components/TransferReviewQueue";
+import {
+  computeNetWorthTotals,
+  pendingSnapshotSource,
+  buildBackfillSnapshots,
+  netWorthSeries,
+  fromDbNetWorthSnapshot,
+  toDbNetWorthSnapshot,
+  todayIso,
+} from "./helpers/netWorthHelpers";
+import { fromDbValuation, priorValuationEntry, toDbValuation, valuationStats } from "./helpers/valuationHelpers";
+import Sparkline from "./components/Sparkline";
+import { addMonthsToKey, hasLoanTerms, loanSummary, loanPaymentsByMonth } from "./helpers/loanHelpers";
+import LoanDetailsPanel from "./components/LoanDetailsPanel";
+import { paymentPhases } from "./helpers/debtPayoffHelpers";
+import DebtPayoffPlanner from "./components/DebtPayoffPlanner";
+import {
+  DEFAULT_PEOPLE,
+  JOINT_KEY,
+  buildPersonLabels,
+  fromDbPerson,
+  personKeyFor,
+  normalizePersonValue,
+  personOptions,
+  sortPeople,
+  toDbPerson,
+} from "./helpers/peopleHelpers";
+import HouseholdPeopleManager from "./components/HouseholdPeopleManager";
+import {
+  DEFAULT_CATEGORIES,
+  categoryFamily,
+  categoryOptions,
+  findCategory,
+  fromDbCategory,
+  mergeParentFor,
+  toDbCategory,
+} from "./helpers/categoryHelpers";
+import CategoryManager from "./components/CategoryManager";
+import {
+  describeRecurrence,
+  expandRecurringRules,
+  findOccurrenceTransaction,
+  monthRange,
+  needsAnchorDate,
+  nextOccurrence,
+} from "./helpers/recurrenceHelpers";
+import RecurrenceFields from "./components/RecurrenceFields";
+import { detectRecurringPatterns } from "./helpers/recurringDetectionHelpers";
+import RecurringCandidates from "./components/RecurringCandidates";
+import { buildSubscriptions } from "./helpers/subscriptionHelpers";
+import SubscriptionsView from "./components/SubscriptionsView";
+import BillCalendar from "./components/BillCalendar";
+import {
+  fromDbAccountBalance,
+  accountBalances,
+  isReconciled,
+  BALANCE_SOURCES,
+  accountsForKind,
+  linkedAccountValue,
+  withAccountValues,
+} from "./helpers/accountBalanceHelpers";
+import { forecastEnd, forecastEvents, lowBalanceWarnings, simulateForecast } from "./helpers/cashFlowForecastHelpers";
+import { fromDbScenario, toDbScenario } from "./helpers/scenarioHelpers";
+import CashFlowForecast from "./components/CashFlowForecast";
+import ScenarioPlanner from "./components/ScenarioPlanner";
+import AccountRegister from "./components/AccountRegister";
+import EnvelopeBudget from "./components/EnvelopeBudget";
+import SinkingFunds from "./components/SinkingFunds";
+import BudgetTemplates from "./components/BudgetTemplates";
+import NotificationCenter from "./components/NotificationCenter";
+import RolloverHistory from "./components/RolloverHistory";
+import { fromDbRolloverPolicy, rolloverLedger, toDbRolloverPolicy } from "./helpers/rolloverHelpers";
+import { BUDGET_MODES, envelopeLedger, fromDbEnvelopeMove, toDbEnvelopeMove } from "./helpers/envelopeHelpers";
+import {
+  fromDbSinkingFund,
+  sinkingFundContributions,
+  sinkingFundCoverage,
+  sinkingFundsForMonth,
+  toDbSinkingFund,
+} from "./helpers/sinkingFundHelpers";
+import {
+  fromDbBudgetTemplate,
+  monthsFrom,
+  planCopyForward,
+  planPercentAdjust,
+  planSize,
+  planTemplateApply,
+  planTemplatePropagation,
+  templateItemsFromBudgets,
+  toDbBudgetTemplate,
+} from "./helpers/budgetTemplateHelpers";
+import {
+  evaluateBudgetAlerts,
+  fromDbAlertRule,
+  fromDbNotification,
+  notificationFeed,
+  toDbAlertRule,
+  toDbNotification,
+  unreadNotificationCount,
+} from "./helpers/budgetAlertHelpers";
 
 // -----------------------------------------------------------------------------
 // Simple storage helper
@@ -100,6 +230,7 @@ const buildTransactionsCsv = (rows) => {
     "Account",
     "TransactionType", // normal | transfer
     "TransferAccount",
+    "Split", // "2 of 3" for split lines, blank otherwise
   ];
 
   const lines = rows.map((t) => [
@@ -113,6 +244,7 @@ const buildTransactionsCsv = (rows) => {
     t.account_name || "",
     t.transaction_type || "normal",
     t.transfer_account_name || "",
+    t.split_parent_id != null ? `${t.split_index + 1} of ${t.split_count}` : "",
   ]);
 
   const csvLines = [
@@ -315,6 +447,40 @@ const daysInMonth = (year, monthIndex) => {
 const isSameMonth = (a, b) =>
   a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
 
+// --------------------------------------------------------------
+// Recurring rules
+// --------------------------------------------------------------
+const fromDbRecurringRule = (r) => ({
+  id: r.id,
+  description: r.description,
+  category: r.category,
+  amount: Number(r.amount),
+  type: r.type,
+  person: r.person,
+  dayOfMonth: r.day_of_month ?? r.dayOfMonth ?? 1,
+  active: r.active !== false,
+  household_id: r.household_id,
+  created_by: r.created_by,
+  created_at: r.created_at,
+  frequency: r.frequency ?? "monthly",
+  secondDayOfMonth: r.second_day_of_month ?? null, // semi-monthly only
+  weekendShift: r.weekend_shift || "none",
+  start_date: r.start_date,
+  end_date: r.end_date,
+  liabilityId: r.liability_id ?? null, // set when the rule pays a loan
+  accountId: r.account_id ?? null, // account the money moves through (forecast)
+});
+
+// Schedule columns shared by the add and edit forms
+const recurrenceToDb = (r) => ({
+  frequency: r.frequency || "monthly",
+  day_of_month: Math.min(Math.max(Number(r.dayOfMonth) || 1, 1), 31),
+  second_day_of_month: r.frequency === "semimonthly" ? Math.min(Math.max(Number(r.secondDayOfMonth) || 15, 1), 31) : null,
+  weekend_shift: r.weekendShift || "none",
+  start_date: r.start_date || null,
+  end_date: r.end_date || null,
+});
+
 const pacingHintForMonth = ({
   monthKey,
   effectiveBudget,
@@ -456,10 +622,33 @@ const normalizeImportedRow = (r, acctById, selectedPerson) => {
   return { ...r, person, amount: amountNum };
 };
 
+// ---------------------------------------------------------------------------
+// Value change chip for assets/liabilities (a falling liability is good news)
+// ---------------------------------------------------------------------------
+const ValueChangeBadge = ({ label, change, inverse = false }) => {
+  if (!change || Math.abs(change.delta) < 0.005) {
+    return <span className="text-xs text-gray-400">{label}: —</span>;
+  }
+
+  const good = inverse ? change.delta < 0 : change.delta > 0;
+  return (
+    <span className={`text-xs font-medium ${good ? "text-green-700" : "text-red-600"}`}>
+      {label}: {change.delta > 0 ? "+" : "-"}${Math.abs(change.delta).toLocaleString()}
+      {change.pct != null ? ` (${change.pct > 0 ? "+" : ""}${change.pct.toFixed(1)}%)` : ""}
+    </span>
+  );
+};
+
 const SmartTransactionImport = ({
   accounts,
+  existingTransactions,
+  savedProfiles,
+  categoryRules,
   selectedPerson,
+  people,
   onImport,
+  onSaveProfile,
+  onDeleteProfile,
 }) => {
   const [profile, setProfile] = useState("generic");
   const [sourceAccountId, setSourceAccountId] = useState("");
@@ -473,13 +662,27 @@ const SmartTransactionImport = ({
     category: "Category",
   });
   const [hasHeader, setHasHeader] = useState(true);
+  const [dateFormat, setDateFormat] = useState(DEFAULT_PROFILE_OPTIONS.dateFormat);
+  const [amountSign, setAmountSign] = useState(DEFAULT_PROFILE_OPTIONS.amountSign);
+  const [splitAmounts, setSplitAmounts] = useState(DEFAULT_PROFILE_OPTIONS.splitAmounts);
+  const [skipRows, setSkipRows] = useState(DEFAULT_PROFILE_OPTIONS.skipRows);
+  const [newProfileName, setNewProfileName] = useState("");
   const [detectTransfers, setDetectTransfers] = useState(true);
   const [preview, setPreview] = useState([]);
   const [error, setError] = useState(null);
   const [importSummary, setImportSummary] = useState(null);
+  // OFX/QFX: parsed statements replace rawRows + column mapping
+  const [ofxStatements, setOfxStatements] = useState(null);
+  const [ofxDateField, setOfxDateField] = useState("posted"); // posted | user
+  // Duplicate detection: full normalized file + per-row keep/skip overrides
+  const [preparedRows, setPreparedRows] = useState([]);
+  const [dupWindowDays, setDupWindowDays] = useState(3);
+  const [dupDecisions, setDupDecisions] = useState({}); // { [rowIdx]: "keep" | "skip" }
 
   const resetImport = () => {
   setRawRows([]);
+  setOfxStatements(null);
+  setDupDecisions({});
   setFileName("");
   setPreview([]);
   setImportSummary(null);
@@ -550,8 +753,26 @@ const SmartTransactionImport = ({
   	},
 	},
 
+      // Household-saved profiles (import_profiles table) sit next to the built-ins
+      ...Object.fromEntries(
+        (savedProfiles || []).map((sp) => [
+          `saved:${sp.id}`,
+          {
+            label: `${sp.name} (saved)`,
+            saved: sp,
+            defaults: { type: "__none__", category: "__none__", ...sp.mapping },
+            options: {
+              dateFormat: sp.dateFormat,
+              amountSign: sp.amountSign,
+              splitAmounts: sp.splitAmounts,
+              skipRows: sp.skipRows,
+              defaultAccountId: sp.defaultAccountId,
+            },
+          },
+        ])
+      ),
     }),
-    []
+    [savedProfiles]
   );
 
   // helper functions (put it here)
@@ -586,18 +807,29 @@ const SmartTransactionImport = ({
 
   useEffect(() => {
     const p = profiles[profile];
-    if (p?.defaults) setMapping(p.defaults);
+    if (!p) return;
+    if (p.defaults) setMapping(p.defaults);
+
+    const opts = { ...DEFAULT_PROFILE_OPTIONS, ...(p.options || {}) };
+    setDateFormat(opts.dateFormat);
+    setAmountSign(opts.amountSign);
+    setSplitAmounts(!!opts.splitAmounts);
+    setSkipRows(Number(opts.skipRows) || 0);
+    if (opts.defaultAccountId) setSourceAccountId(String(opts.defaultAccountId));
   }, [profile, profiles]);
 
+  const headerRowIdx = Math.max(0, Number(skipRows) || 0);
+
   const headers = useMemo(() => {
-    if (!rawRows?.length) return [];
-    return hasHeader ? rawRows[0] : rawRows[0].map((_, idx) => `Column ${idx + 1}`);
-  }, [rawRows, hasHeader]);
+    const row = rawRows?.[headerRowIdx];
+    if (!row) return [];
+    return hasHeader ? row : row.map((_, idx) => `Column ${idx + 1}`);
+  }, [rawRows, hasHeader, headerRowIdx]);
 
   const dataRows = useMemo(() => {
     if (!rawRows?.length) return [];
-    return hasHeader ? rawRows.slice(1) : rawRows;
-  }, [rawRows, hasHeader]);
+    return rawRows.slice(headerRowIdx + (hasHeader ? 1 : 0));
+  }, [rawRows, hasHeader, headerRowIdx]);
 
   const buildRowObj = useCallback(
     (row) => {
@@ -612,6 +844,8 @@ const SmartTransactionImport = ({
       const dateIdx = idxOf(mapping.date);
       const descIdx = idxOf(mapping.description);
       const amtIdx = idxOf(mapping.amount);
+      const debitIdx = splitAmounts ? idxOf(mapping.debit) : -1;
+      const creditIdx = splitAmounts ? idxOf(mapping.credit) : -1;
       const typeIdx = idxOf(mapping.type);
       const catIdx = mapping.category && mapping.category !== "__none__"
     ? idxOf(mapping.category)
@@ -622,26 +856,76 @@ const SmartTransactionImport = ({
       const rawAmt = amtIdx >= 0 ? row[amtIdx] : "";
       const rawType = typeIdx >= 0 ? row[typeIdx] : "";
       const rawCat = catIdx >= 0 ? row[catIdx] : "";
+      const personIdx = mapping.person && mapping.person !== "__none__" ? idxOf(mapping.person) : -1;
+      const rawPerson = personIdx >= 0 ? String(row[personIdx] || "").trim() : "";
+
+      // Split Debit/Credit columns: money in = credit, money out = debit (either may carry a sign)
+      let signed = splitAmounts
+        ? Math.abs(normalizeMoney(creditIdx >= 0 ? row[creditIdx] : "")) -
+          Math.abs(normalizeMoney(debitIdx >= 0 ? row[debitIdx] : ""))
+        : normalizeMoney(rawAmt);
+      if (amountSign === "invert") signed = -signed;
 
-      const signed = normalizeMoney(rawAmt);
       const inferredType = signed >= 0 ? "income" : "expense";
       const type = rawType?.toLowerCase() === "income" || rawType?.toLowerCase() === "expense" ? rawType.toLowerCase() : inferredType;
 
       return {
-        date: tryParseDate(rawDate) || new Date().toISOString().slice(0, 10),
+        date:
+          parseDateWithFormat(rawDate, dateFormat) ||
+          tryParseDate(rawDate) ||
+          new Date().toISOString().slice(0, 10),
         description: String(rawDesc || "").trim(),
         category: String(rawCat || "Uncategorized").trim() || "Uncategorized",
         amount: signed,
         type,
-        person: selectedPerson || "joint",
+        // A Person column (key or name) wins over the selected person; unknown names go to Joint
+        person: rawPerson ? normalizePersonValue(rawPerson, people) : selectedPerson || "joint",
         account_id: sourceAccountId ? Number(sourceAccountId) : null,
         transaction_type: "normal",
         transfer_account_id: null,
       };
     },
-    [headers, mapping, selectedPerson, sourceAccountId]
+    [headers, mapping, selectedPerson, people, sourceAccountId, splitAmounts, amountSign, dateFormat]
+  );
+
+  // OFX rows carry their own sign, FITID and posted/user dates; no mapping needed.
+  const buildOfxRowObj = useCallback(
+    (trn, acctId) => {
+      const stmtAcct = findAccountByAcctNumber(accounts, acctId);
+      const description =
+        trn.name && trn.memo && !trn.name.includes(trn.memo)
+          ? `${trn.name} ${trn.memo}`
+          : trn.name || trn.memo || "";
+      const date =
+        (ofxDateField === "user" ? trn.userDate || trn.postedDate : trn.postedDate || trn.userDate) ||
+        new Date().toISOString().slice(0, 10);
+
+      return {
+        date,
+        description: description.trim(),
+        category: "Uncategorized",
+        amount: trn.amount,
+        type: trn.amount >= 0 ? "income" : "expense",
+        person: selectedPerson || "joint",
+        // Each statement goes to the account with its number; the picked account is the fallback
+        account_id: stmtAcct ? Number(stmtAcct.id) : sourceAccountId ? Number(sourceAccountId) : null,
+        transaction_type: "normal",
+        transfer_account_id: null,
+        fitid: trn.fitid || null,
+      };
+    },
+    [ofxDateField, selectedPerson, sourceAccountId, accounts]
   );
 
+  // Rows in app shape, before account-type normalization (CSV or OFX source)
+  const sourceRows = useMemo(() => {
+    if (ofxStatements) {
+      return ofxStatements.flatMap((st) => st.transactions.map((trn) => buildOfxRowObj(trn, st.acctId)));
+    }
+    if (!dataRows.length || !headers.length) return [];
+    return dataRows.map((r) => buildRowObj(r));
+  }, [ofxStatements, buildOfxRowObj, dataRows, headers, buildRowObj]);
+
 
 const findAccountByKeywords = (accounts, keywords) => {
   const ks = (keywords || []).map(k => String(k).toLowerCase());
@@ -792,16 +1076,17 @@ const detectTransferForRow = useCallback(
   try {
     setError(null);
 
-    if (!dataRows.length || !headers.length) {
+    if (!sourceRows.length) {
       setPreview([]);
+      setPreparedRows([]);
       setImportSummary(null);
       return;
     }
 
     const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
-    const srcAcct = sourceAccountId ? acctById.get(Number(sourceAccountId)) : null;
 
     const normalizeForAccount = (t) => {
+      const srcAcct = t.account_id != null ? acctById.get(Number(t.account_id)) : null;
       if (!srcAcct) return t;
 
       // CREDIT CARD rules (AMEX, etc.)
@@ -813,13 +1098,14 @@ const detectTransferForRow = useCallback(
       return t;
     };
 
-    const p = dataRows
-      .slice(0, 10)
-      .map((r) => buildRowObj(r))
+    const all = sourceRows
       .map(normalizeForAccount)
       .map(detectTransferForRow)
-      .filter((t) => t.description || t.amount); // ✅ match doImport
+      .map((t) => applyCategoryRules(t, categoryRules)) // household rules win over the bank's category
+      .filter((t) => t.description || t.amount); // ✅ same rows doImport sends
+    const p = all.slice(0, 10);
 
+    setPreparedRows(all);
     setPreview(p);
     setImportSummary(computeImportSummary(p));
   } catch (e) {
@@ -833,15 +1119,17 @@ const detectTransferForRow = useCallback(
 
     setError("Could not build preview. Check mapping + CSV format.");
     setPreview([]);
+    setPreparedRows([]);
     setImportSummary(null);
   }
 }, [
+  sourceRows,
   dataRows,
   headers,
   accounts,
   sourceAccountId,
-  buildRowObj,
   detectTransferForRow,
+  categoryRules,
   mapping,
   computeImportSummary,
 ]);
@@ -850,66 +1138,161 @@ const detectTransferForRow = useCallback(
     rebuildPreview();
   }, [rebuildPreview]);
 
+  const fingerprints = useMemo(() => buildImportFingerprints(preparedRows), [preparedRows]);
+
+  const duplicates = useMemo(
+    () =>
+      findImportDuplicates(preparedRows, fingerprints, existingTransactions, {
+        dayWindow: Math.max(0, Number(dupWindowDays) || 0),
+      }),
+    [preparedRows, fingerprints, existingTransactions, dupWindowDays]
+  );
+
+  // exact fingerprint matches are always skipped; likely dupes default to skip
+  const isRowSkipped = (idx) => {
+    const d = duplicates[idx];
+    if (!d) return false;
+    if (d.exact) return true;
+    if (!d.match) return false;
+    return (dupDecisions[idx] || "skip") === "skip";
+  };
+
+  const alreadyImportedCount = duplicates.filter((d) => d.exact).length;
+  const likelyDuplicateIdxs = duplicates
+    .map((d, idx) => (!d.exact && d.match ? idx : -1))
+    .filter((idx) => idx >= 0);
+
   const onPickFile = async (file) => {
     try {
       setError(null);
       if (!file) return;
       setFileName(file.name || "");
+      setDupDecisions({});
       const text = await file.text();
+
+      if (looksLikeOfx(text, file.name)) {
+        const statements = parseOfx(text);
+        if (!statements.length) throw new Error("No statements in OFX");
+
+        // Pre-select the source account from the statement's account number
+        const match = statements
+          .map((st) => findAccountByAcctNumber(accounts, st.acctId))
+          .find(Boolean);
+        if (match) setSourceAccountId(String(match.id));
+
+        setRawRows([]);
+        setOfxStatements(statements);
+        return;
+      }
+
       const parsed = parseCsv(text);
       if (!parsed?.length) throw new Error("Empty CSV");
+      setOfxStatements(null);
       setRawRows(parsed);
+
+      // Auto-pick a saved profile whose headers match this file
+      const matched = Object.entries(profiles).find(
+        ([, p]) => p.saved && profileMatchesHeaders(p.saved, parsed)
+      );
+      if (matched) setProfile(matched[0]);
     } catch (e) {
       console.error("[import] file read failed", e);
-      setError("Could not read CSV. Try exporting as CSV (not XLSX) and re-upload.");
+      setError("Could not read file. Use a CSV (not XLSX) or an OFX/QFX download and re-upload.");
       setRawRows([]);
+      setOfxStatements(null);
     }
   };
 
 const doImport = () => {
-  if (!dataRows.length || !headers.length) {
-    alert("Choose a CSV file first.");
+  if (!sourceRows.length) {
+    alert("Choose a CSV or OFX/QFX file first.");
     return;
   }
-  if (!sourceAccountId) {
+  if (!sourceAccountId && sourceRows.some((t) => t.account_id == null)) {
     alert("Pick a source account (Amex/Chase/Checking) so imports can tag the account.");
     return;
   }
 
-  // Build account lookup + source account
-  const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
-  const srcAcct = acctById.get(Number(sourceAccountId));
-
-  // Normalize based on source account type (credit vs bank)
-  const normalizeForAccount = (t) => {
-    if (!srcAcct) return t;
-
-    // Credit card import rules (AMEX, etc.)
-    if (srcAcct.account_type === "credit") {
-      return normalizeCreditCardRow(t, srcAcct);
-    }
-
-    // Bank/checking/savings: keep as-is (buildRowObj already inferred sign/type)
-    return t;
-  };
+  // preparedRows = sourceRows -> account normalization -> transfer tagging (see rebuildPreview)
+  const rows = preparedRows
+    .map((t, idx) => ({ ...t, import_fingerprint: fingerprints[idx] }))
+    .filter((_, idx) => !isRowSkipped(idx));
 
-  const rows = dataRows
-    .map((r) => buildRowObj(r))            // raw rows -> app shape
-    .map(normalizeForAccount)              // ✅ fix AMEX sign/type here
-    .map(detectTransferForRow)             // tag transfers & set transfer_account_id when match exists
-    .filter((t) => t.description || t.amount);
+  const skipped = preparedRows.length - rows.length;
+  if (!rows.length) {
+    alert(`Nothing to import: all ${preparedRows.length} row(s) are already imported or marked as duplicates.`);
+    return;
+  }
 
   // Summary should reflect what will be imported
-  setImportSummary(computeImportSummary(rows));
+  setImportSummary({ ...computeImportSummary(rows), skipped });
 
   onImport(rows);
 
   // reset UI
   setRawRows([]);
+  setOfxStatements(null);
+  setDupDecisions({});
   setFileName("");
 };
 
-const OPTIONAL_FIELDS = new Set(["category", "type"]);
+const OPTIONAL_FIELDS = new Set(["category", "type", "person"]);
+
+const mappingFields = splitAmounts
+  ? [
+      ["date", "Date"],
+      ["description", "Description"],
+      ["debit", "Debit (out)"],
+      ["credit", "Credit (in)"],
+      ["type", "Type"],
+      ["category", "Category"],
+      ["person", "Person"],
+    ]
+  : [
+      ["date", "Date"],
+      ["description", "Description"],
+      ["amount", "Amount"],
+      ["type", "Type"],
+      ["category", "Category"],
+      ["person", "Person"],
+    ];
+
+const saveCurrentProfile = async () => {
+  const name = String(newProfileName || "").trim();
+  if (!name) {
+    alert("Give the profile a name first.");
+    return;
+  }
+  if (!headers.length || !hasHeader) {
+    alert("Load a CSV with a header row so the profile can be matched to future files.");
+    return;
+  }
+
+  const keys = mappingFields.map(([k]) => k);
+  const saved = await onSaveProfile?.({
+    name,
+    mapping: Object.fromEntries(keys.map((k) => [k, mapping[k] ?? "__none__"])),
+    headers: headerRowFor(rawRows, skipRows),
+    dateFormat,
+    amountSign,
+    splitAmounts,
+    skipRows: headerRowIdx,
+    defaultAccountId: sourceAccountId ? Number(sourceAccountId) : null,
+  });
+
+  if (saved?.id != null) {
+    setProfile(`saved:${saved.id}`);
+    setNewProfileName("");
+  }
+};
+
+const deleteCurrentProfile = async () => {
+  const sp = profiles[profile]?.saved;
+  if (!sp) return;
+  if (!window.confirm(`Delete import profile "${sp.name}"?`)) return;
+  const ok = await onDeleteProfile?.(sp.id);
+  if (ok) setProfile("generic");
+};
 
   return (
     <div className="border rounded-lg p-4 bg-white">
@@ -919,7 +1302,9 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
           <select
             value={profile}
             onChange={(e) => setProfile(e.target.value)}
-            className="border rounded px-3 py-2 w-full"
+            disabled={!!ofxStatements}
+            className="border rounded px-3 py-2 w-full disabled:bg-gray-100"
+            title={ofxStatements ? "OFX/QFX files don't need a column profile" : undefined}
           >
             {Object.entries(profiles).map(([k, v]) => (
               <option key={k} value={k}>
@@ -946,10 +1331,10 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
         </div>
 
         <div className="flex-1">
-          <label className="text-xs text-gray-500">CSV file</label>
+          <label className="text-xs text-gray-500">CSV / OFX / QFX file</label>
           <input
             type="file"
-            accept=".csv,text/csv"
+            accept=".csv,text/csv,.ofx,.qfx,application/x-ofx"
             onChange={(e) => onPickFile(e.target.files?.[0])}
             className="border rounded px-3 py-2 w-full"
           />
@@ -962,27 +1347,116 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
           <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
           First row is header
         </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Skip
+          <input
+            type="number"
+            min={0}
+            max={50}
+            value={skipRows}
+            onChange={(e) => setSkipRows(Math.max(0, Number(e.target.value) || 0))}
+            className="border rounded px-2 py-1 w-16"
+          />
+          rows above header
+        </label>
         <label className="flex items-center gap-2 text-sm text-gray-700">
           <input type="checkbox" checked={detectTransfers} onChange={(e) => setDetectTransfers(e.target.checked)} />
           Detect transfers (payments)
         </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Flag duplicates within ±
+          <input
+            type="number"
+            min={0}
+            max={14}
+            value={dupWindowDays}
+            onChange={(e) => setDupWindowDays(e.target.value)}
+            className="border rounded px-2 py-1 w-16"
+          />
+          days
+        </label>
       </div>
 
       {error ? <div className="mt-3 text-sm text-red-600">{error}</div> : null}
 
-      {headers.length > 0 && (
-        <div className="mt-4 grid grid-cols-1 md:grid-cols-5 gap-3">
-          {[
-            ["date", "Date"],
-            ["description", "Description"],
-            ["amount", "Amount"],
-            ["type", "Type"],
-            ["category", "Category"],
-          ].map(([key, label]) => (
+      {ofxStatements && (
+        <div className="mt-3 flex flex-col md:flex-row md:items-center gap-3 text-sm text-gray-700">
+          <div>
+            <span className="font-semibold">OFX statement:</span>{" "}
+            {ofxStatements.map((st, idx) => {
+              const acct = findAccountByAcctNumber(accounts, st.acctId);
+              const tail = String(st.acctId || "").replace(/\D/g, "").slice(-4);
+              return (
+                <span key={idx} className="mr-3">
+                  {st.isCredit ? "Card" : "Account"} ••{tail || "????"} ({st.transactions.length} txns)
+                  {acct ? (
+                    <span className="ml-1 text-green-700">→ {acct.name}</span>
+                  ) : (
+                    <span className="ml-1 text-amber-700">no account with last4 {tail || "?"}</span>
+                  )}
+                </span>
+              );
+            })}
+          </div>
+          <label className="flex items-center gap-2">
+            <span className="text-xs text-gray-500">Date</span>
+            <select
+              value={ofxDateField}
+              onChange={(e) => setOfxDateField(e.target.value)}
+              className="border rounded px-2 py-1 text-sm"
+            >
+              <option value="posted">Posted date</option>
+              <option value="user">Transaction date</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      {!ofxStatements && headers.length > 0 && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <label className="text-xs text-gray-500">Date format</label>
+            <select
+              value={dateFormat}
+              onChange={(e) => setDateFormat(e.target.value)}
+              className="border rounded px-3 py-2 w-full"
+            >
+              {DATE_FORMATS.map((f) => (
+                <option key={f.value} value={f.value}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-500">Amount sign</label>
+            <select
+              value={amountSign}
+              onChange={(e) => setAmountSign(e.target.value)}
+              className="border rounded px-3 py-2 w-full"
+            >
+              <option value="as_is">Negative = money out</option>
+              <option value="invert">Positive = money out</option>
+            </select>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 md:pt-5">
+            <input
+              type="checkbox"
+              checked={splitAmounts}
+              onChange={(e) => setSplitAmounts(e.target.checked)}
+            />
+            Separate Debit / Credit columns
+          </label>
+        </div>
+      )}
+
+      {!ofxStatements && headers.length > 0 && (
+        <div className={`mt-4 grid grid-cols-1 ${splitAmounts ? "md:grid-cols-7" : "md:grid-cols-6"} gap-3`}>
+          {mappingFields.map(([key, label]) => (
             <div key={key}>
               <label className="text-xs text-gray-500">{label} column</label>
 <select
-  value={mapping[key]}
+  value={mapping[key] ?? (OPTIONAL_FIELDS.has(key) ? "__none__" : "")}
   onChange={(e) =>
     setMapping((m) => ({ ...m, [key]: e.target.value }))
   }
@@ -990,9 +1464,12 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
 >
   {OPTIONAL_FIELDS.has(key) && (
     <option value="__none__">
-      (none – infer from amount)
+      {key === "person" ? "(none – selected person)" : "(none – infer from amount)"}
     </option>
   )}
+  {!OPTIONAL_FIELDS.has(key) && !mapping[key] && (
+    <option value="">Select column…</option>
+  )}
 
   {headers.map((h, idx) => (
     <option key={`${key}-${idx}`} value={h}>
@@ -1006,6 +1483,35 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
         </div>
       )}
 
+      {!ofxStatements && headers.length > 0 && (
+        <div className="mt-3 flex flex-col md:flex-row md:items-center gap-2">
+          <input
+            type="text"
+            value={newProfileName}
+            onChange={(e) => setNewProfileName(e.target.value)}
+            placeholder="Profile name (e.g. Capital One Savor)"
+            className="border rounded px-3 py-2 text-sm md:w-72"
+          />
+          <button
+            type="button"
+            onClick={saveCurrentProfile}
+            className="border text-sm px-3 py-2 rounded hover:bg-gray-50"
+            title="Save this column mapping, date format, sign convention and source account for this household"
+          >
+            Save as profile
+          </button>
+          {profiles[profile]?.saved && (
+            <button
+              type="button"
+              onClick={deleteCurrentProfile}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Delete “{profiles[profile].saved.name}”
+            </button>
+          )}
+        </div>
+      )}
+
       {preview.length > 0 && (
         <div className="mt-4">
           <div className="text-sm font-semibold text-gray-800 mb-2">Preview (first 10 rows)</div>
@@ -1015,6 +1521,7 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
                 <tr>
                   <th className="px-3 py-2 text-left">Date</th>
                   <th className="px-3 py-2 text-left">Description</th>
+                  <th className="px-3 py-2 text-left">Category</th>
                   <th className="px-3 py-2 text-right">Amount</th>
                   <th className="px-3 py-2 text-left">Type</th>
                   <th className="px-3 py-2 text-left">Txn</th>
@@ -1022,9 +1529,10 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
               </thead>
               <tbody>
                 {preview.map((t, idx) => (
-                  <tr key={idx} className="border-t">
+                  <tr key={idx} className={`border-t ${isRowSkipped(idx) ? "opacity-50" : ""}`}>
                     <td className="px-3 py-2">{t.date}</td>
                     <td className="px-3 py-2">{t.description}</td>
+                    <td className="px-3 py-2">{t.category}</td>
                     <td className="px-3 py-2 text-right">${Math.abs(Number(t.amount || 0)).toLocaleString()}</td>
                     <td className="px-3 py-2">{t.type}</td>
                     <td className="px-3 py-2">
@@ -1033,6 +1541,11 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
                       ) : (
                         <span className="text-xs bg-gray-50 border border-gray-200 text-gray-700 px-2 py-1 rounded-full">normal</span>
                       )}
+                      {duplicates[idx]?.exact ? (
+                        <span className="ml-1 text-xs bg-gray-100 border border-gray-300 text-gray-600 px-2 py-1 rounded-full">already imported</span>
+                      ) : duplicates[idx]?.match ? (
+                        <span className="ml-1 text-xs bg-amber-50 border border-amber-200 text-amber-700 px-2 py-1 rounded-full">duplicate?</span>
+                      ) : null}
                     </td>
                   </tr>
                 ))}
@@ -1041,12 +1554,70 @@ const OPTIONAL_FIELDS = new Set(["category", "type"]);
           </div>
         </div>
       )}
+      {(alreadyImportedCount > 0 || likelyDuplicateIdxs.length > 0) && (
+        <div className="mt-4 border border-amber-200 bg-amber-50 rounded p-3">
+          <div className="text-sm font-semibold text-amber-800">
+            Possible duplicates
+          </div>
+          {alreadyImportedCount > 0 && (
+            <div className="text-xs text-gray-700 mt-1">
+              {alreadyImportedCount} row(s) were already imported from this file and will be skipped.
+            </div>
+          )}
+
+          {likelyDuplicateIdxs.length > 0 && (
+            <div className="mt-2 overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="px-2 py-1">Importing</th>
+                    <th className="px-2 py-1">Looks like existing</th>
+                    <th className="px-2 py-1 text-right">Amount</th>
+                    <th className="px-2 py-1 text-center">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {likelyDuplicateIdxs.map((idx) => {
+                    const t = preparedRows[idx];
+                    const m = duplicates[idx].match;
+                    const keep = dupDecisions[idx] === "keep";
+                    return (
+                      <tr key={idx} className="border-t border-amber-200">
+                        <td className="px-2 py-1">{t.date} · {t.description}</td>
+                        <td className="px-2 py-1 text-gray-600">{m.date} · {m.description}</td>
+                        <td className="px-2 py-1 text-right">${Math.abs(Number(t.amount || 0)).toLocaleString()}</td>
+                        <td className="px-2 py-1 text-center">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setDupDecisions((prev) => ({ ...prev, [idx]: keep ? "skip" : "keep" }))
+                            }
+                            className={`px-2 py-0.5 rounded-full border ${
+                              keep
+                                ? "bg-green-50 border-green-300 text-green-700"
+                                : "bg-white border-gray-300 text-gray-600"
+                            }`}
+                          >
+                            {keep ? "Keep" : "Skip"}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
 {importSummary && (
   <div className="mt-2 text-sm text-gray-700">
     <span className="font-semibold">Import Summary:</span>{" "}
     {importSummary.expenses} expenses,{" "}
     {importSummary.payments} payments,{" "}
     {importSummary.refunds} refunds
+    {importSummary.skipped ? `, ${importSummary.skipped} duplicates skipped` : ""}
   </div>
 )}
 
@@ -1126,14 +1697,6 @@ const monthToDb = (monthKey) => {
   return k ? `${k}-01` : null;
 };
 
-const prevMonthKey = (monthKey) => {
-  const k = toMonthKey(monthKey);
-  if (!k) return "";
-  const [y, m] = k.split("-").map(Number);
-  const d = new Date(y, m - 2, 1);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-};
-
 const nextMonthKey = (monthKey) => {
   const k = toMonthKey(monthKey);
   if (!k) return "";
@@ -1177,13 +1740,36 @@ const FinanceTracker = () => {
   // Accounts state (bank + credit cards)
   const [accounts, setAccounts] = useState([]);
 
+  // Household-saved CSV import profiles
+  const [importProfiles, setImportProfiles] = useState([]);
+
+  // Household auto-categorization rules (imports + manual entry)
+  const [categoryRules, setCategoryRules] = useState([]);
+
+  // Net worth snapshots (one per household per day)
+  const [netWorthSnapshots, setNetWorthSnapshots] = useState([]);
+
+  // Dated values for assets/liabilities ({ kind, itemId, date, value })
+  const [valuationHistory, setValuationHistory] = useState([]);
+
+  // Household people (keys stored in every row's `person`); "joint" is implicit
+  const [householdPeople, setHouseholdPeople] = useState(DEFAULT_PEOPLE);
+  const [householdMembers, setHouseholdMembers] = useState([]);
+  const [showPeopleManager, setShowPeopleManager] = useState(false);
+
+  // Household categories ({ id, name, parentId, icon, color, archived })
+  const [householdCategories, setHouseholdCategories] = useState(DEFAULT_CATEGORIES);
+
   // Budget state
   const [budgets, setBudgets] = useState([]);
 
   const [recurringRules, setRecurringRules] = useState([]);
+  // Detected recurring patterns the user said aren't recurring (kept per device)
+  const [dismissedRecurringKeys, setDismissedRecurringKeys] = useState([]);
 
   const [editingTransactionId, setEditingTransactionId] = useState(null);
   const [editTransactionDraft, setEditTransactionDraft] = useState(null);
+  const [splittingTransactionId, setSplittingTransactionId] = useState(null);
 
   // Inline editing for other entities
   const [editingBudgetId, setEditingBudgetId] = useState(null);
@@ -1196,6 +1782,23 @@ const FinanceTracker = () => {
   const [editLiabilityDraft, setEditLiabilityDraft] = useState(null);
 
   const [rolloverEnabled, setRolloverEnabled] = useState(true);
+  // "caps" (per-category limits) or "envelope" (zero-based); kept per device
+  const [budgetMode, setBudgetMode] = useState("caps");
+  // Money moved between envelopes mid-month
+  const [envelopeMoves, setEnvelopeMoves] = useState([]);
+  // Per-category rollover policy / cap / reset month
+  const [rolloverPolicies, setRolloverPolicies] = useState([]);
+  // Annual / irregular costs saved for month by month
+  const [sinkingFunds, setSinkingFunds] = useState([]);
+  // Named sets of budget rows ("Normal month") applied to months in one go
+  const [budgetTemplates, setBudgetTemplates] = useState([]);
+  // Budget alert rules and the notifications they raise
+  const [alertRules, setAlertRules] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [showNotifications, setShowNotifications] = useState(false);
+  // Set whenever transactions are added, imported, posted, edited or split;
+  // alerts run once state has caught up
+  const alertCheckPendingRef = useRef(false);
 
   // Transactions table filters
   const [transactionSearch, setTransactionSearch] = useState("");
@@ -1214,7 +1817,7 @@ const FinanceTracker = () => {
   const [newTransaction, setNewTransaction] = useState({
     date: new Date().toISOString().split("T")[0],
     description: "",
-    category: "Food",
+    category: AUTO_CATEGORY, // resolved by categoryRules on save
     amount: "",
     type: "expense",
     person: "joint",
@@ -1229,18 +1832,29 @@ const FinanceTracker = () => {
     account_type: "checking", // checking | savings | credit
     last4: "",
     person: "joint",
+    opening_balance: "",
+    opening_balance_date: "",
   });
+  const [editingAccountBalanceId, setEditingAccountBalanceId] = useState(null);
+  const [accountBalanceDraft, setAccountBalanceDraft] = useState(null);
+  // Account whose register / reconciliation panel is open
+  const [registerAccountId, setRegisterAccountId] = useState(null);
 
+  // account_id: back the item with an account instead of a manual value
   const [newAsset, setNewAsset] = useState({
     name: "",
     value: "",
     person: "joint",
+    account_id: "",
+    balance_source: "running",
   });
 
   const [newLiability, setNewLiability] = useState({
     name: "",
     value: "",
     person: "joint",
+    account_id: "",
+    balance_source: "running",
   });
 
   const currentMonth = new Date().toISOString().slice(0, 7);
@@ -1271,6 +1885,12 @@ const FinanceTracker = () => {
     type: "expense",
     person: "joint",
     dayOfMonth: 1,
+    frequency: "monthly",
+    secondDayOfMonth: 15,
+    weekendShift: "none",
+    start_date: "",
+    end_date: "",
+    accountId: "",
   });
 // ------------------------------
 // Recurring Manager UI state
@@ -1321,6 +1941,13 @@ const [editProjectDraft, setEditProjectDraft] = useState(null);
  const [editingRecurringRuleId, setEditingRecurringRuleId] = useState(null);
  const [editRecurringDraft, setEditRecurringDraft] = useState(null);
  const [forecastOpen, setForecastOpen] = useState(false); // default collapsed
+ const [forecastMonths, setForecastMonths] = useState(6);
+ const [lowBalanceThreshold, setLowBalanceThreshold] = useState(500);
+ // undefined: first checking account; null: keep unassigned items separate
+ const [forecastAccountId, setForecastAccountId] = useState(undefined);
+ // Named what-if scenarios layered on the forecast
+ const [forecastScenarios, setForecastScenarios] = useState([]);
+  const [loanOpenId, setLoanOpenId] = useState(null); // liability with the loan panel open
  const [pendingOpenUrl, setPendingOpenUrl] = useState(null);
  const [pendingOpenName, setPendingOpenName] = useState(null);
  const [projectFiles, setProjectFiles] = useState([]);
@@ -1333,16 +1960,9 @@ const [editProjectDraft, setEditProjectDraft] = useState(null);
  const [aiBudgetOpen, setAiBudgetOpen] = useState(true); // or false if you prefer collapsed by default
 
 
-  const categories = [
-    "Food",
-    "Transportation",
-    "Housing",
-    "Entertainment",
-    "Healthcare",
-    "Utilities",
-    "Shopping",
-    "Other",
-  ];
+  // Active household categories, parents followed by their subcategories
+  const categorySelectOptions = useMemo(() => categoryOptions(householdCategories), [householdCategories]);
+  const categories = useMemo(() => categorySelectOptions.map((c) => c.name), [categorySelectOptions]);
 
 
 // Pull a “takeaway” line if present, else use first non-empty line.
@@ -1360,9 +1980,6 @@ const aiBudgetPreview = (() => {
 })();
 
 
- // Budget categories use the same category list
- const budgetCategories = categories;
-
   useEffect(() => {
   let mounted = true;
 
@@ -1475,6 +2092,20 @@ const [
   acctRes,
   pRes,
   pfRes,
+  ipRes,
+  crRes,
+  nwRes,
+  vhRes,
+  hpRes,
+  hmRes,
+  hcRes,
+  fsRes,
+  emRes,
+  rpRes,
+  sfRes,
+  btRes,
+  arRes,
+  nRes,
 ] = await Promise.all([
   supabase.from("transactions").select("*").eq("household_id", householdId).order("date", { ascending: false }),
   supabase.from("budgets").select("*").eq("household_id", householdId).order("created_at", { ascending: false }),
@@ -1489,6 +2120,43 @@ const [
   supabase.from("planned_projects").select("*").eq("household_id", householdId).order("target_month", { ascending: true }),
 supabase.from("project_files").select("*").eq("household_id", householdId).order("created_at", { ascending: false }),
 
+  // ✅ saved import profiles
+  supabase.from("import_profiles").select("*").eq("household_id", householdId).order("name", { ascending: true }),
+
+  // ✅ categorization rules
+  supabase.from("category_rules").select("*").eq("household_id", householdId).order("priority", { ascending: true }),
+
+  // ✅ net worth snapshots
+  supabase.from("net_worth_snapshots").select("*").eq("household_id", householdId).order("snapshot_date", { ascending: true }),
+
+  // ✅ asset/liability value history
+  supabase.from("valuation_history").select("*").eq("household_id", householdId).order("recorded_on", { ascending: true }),
+
+  // ✅ household people + member logins they can be linked to
+  supabase.from("household_people").select("*").eq("household_id", householdId).order("sort_order", { ascending: true }),
+  supabase.from("household_members").select("user_id, role").eq("household_id", householdId),
+
+  // ✅ categories + subcategories
+  supabase.from("household_categories").select("*").eq("household_id", householdId).order("sort_order", { ascending: true }),
+
+  // ✅ forecast what-if scenarios
+  supabase.from("forecast_scenarios").select("*").eq("household_id", householdId).order("created_at", { ascending: true }),
+
+  // ✅ envelope budget moves
+  supabase.from("envelope_moves").select("*").eq("household_id", householdId).order("created_at", { ascending: true }),
+
+  // ✅ budget rollover policies
+  supabase.from("budget_rollover_policies").select("*").eq("household_id", householdId),
+
+  // ✅ sinking funds
+  supabase.from("sinking_funds").select("*").eq("household_id", householdId).order("due_date", { ascending: true }),
+
+  // ✅ budget templates
+  supabase.from("budget_templates").select("*").eq("household_id", householdId).order("name", { ascending: true }),
+
+  // ✅ budget alerts + notification center
+  supabase.from("budget_alert_rules").select("*").eq("household_id", householdId).order("created_at", { ascending: true }),
+  supabase.from("notifications").select("*").eq("household_id", householdId).order("created_at", { ascending: false }).limit(200),
 ]);
 
 if (pfRes.error) console.warn("[db] load project_files failed", pfRes.error);
@@ -1510,6 +2178,10 @@ if (lRes.error) console.warn("[db] load liabilities failed", lRes.error);
 if (rRes.error) console.warn("[db] load recurring_rules failed", rRes.error);
 if (pRes.error) console.warn("[db] load planned_projects failed", pRes.error);
 if (pfRes.error) console.warn("[db] load project_files failed", pfRes.error);
+if (ipRes.error) console.warn("[db] load import_profiles failed", ipRes.error);
+if (crRes.error) console.warn("[db] load category_rules failed", crRes.error);
+if (nwRes.error) console.warn("[db] load net_worth_snapshots failed", nwRes.error);
+if (vhRes.error) console.warn("[db] load valuation_history failed", vhRes.error);
 
 const accountsRows = (acctRes.data ?? []).map((a) => ({
   id: a.id,
@@ -1518,6 +2190,7 @@ const accountsRows = (acctRes.data ?? []).map((a) => ({
   institution: a.institution || "",
   account_type: a.account_type || "checking",
   last4: a.last4 || "",
+  ...fromDbAccountBalance(a),
   created_by: a.created_by,
   created_at: a.created_at,
 }));
@@ -1538,22 +2211,7 @@ const txns = (txRes.data ?? []).map((t) => {
 const buds = (budRes.data ?? []).map((b) => ({ ...b, amount: Number(b.amount), month: toMonthKey(b.month) }));
 const assetsRows = (aRes.data ?? []).map((a) => ({ ...a, value: Number(a.value) }));
 const liabRows = (lRes.data ?? []).map((l) => ({ ...l, value: Number(l.value) }));
-const rules = (rRes.data ?? []).map((r) => ({
-  id: r.id,
-  description: r.description,
-  category: r.category,
-  amount: Number(r.amount),
-  type: r.type,
-  person: r.person,
-  dayOfMonth: r.day_of_month ?? r.dayOfMonth ?? 1,
-  active: r.active !== false,
-  household_id: r.household_id,
-  created_by: r.created_by,
-  created_at: r.created_at,
-  frequency: r.frequency ?? "monthly",
-  start_date: r.start_date,
-  end_date: r.end_date,
-}));
+const rules = (rRes.data ?? []).map(fromDbRecurringRule);
 
 const filesRows = (pfRes.data ?? []).map((f) => ({
   id: f.id,
@@ -1576,6 +2234,57 @@ setLiabilities(liabRows);
 setRecurringRules(rules);
 setProjects(projRows);
 setProjectFiles(filesRows);
+setImportProfiles((ipRes.data ?? []).map(fromDbImportProfile));
+setCategoryRules((crRes.data ?? []).map(fromDbCategoryRule));
+setNetWorthSnapshots((nwRes.data ?? []).map(fromDbNetWorthSnapshot));
+setValuationHistory((vhRes.data ?? []).map(fromDbValuation));
+setHouseholdMembers(hmRes.data ?? []);
+if (fsRes.error) console.warn("[db] load forecast_scenarios failed", fsRes.error);
+setForecastScenarios((fsRes.data ?? []).map(fromDbScenario));
+if (emRes.error) console.warn("[db] load envelope_moves failed", emRes.error);
+setEnvelopeMoves((emRes.data ?? []).map(fromDbEnvelopeMove));
+if (rpRes.error) console.warn("[db] load budget_rollover_policies failed", rpRes.error);
+setRolloverPolicies((rpRes.data ?? []).map(fromDbRolloverPolicy));
+if (sfRes.error) console.warn("[db] load sinking_funds failed", sfRes.error);
+setSinkingFunds((sfRes.data ?? []).map(fromDbSinkingFund));
+if (btRes.error) console.warn("[db] load budget_templates failed", btRes.error);
+setBudgetTemplates((btRes.data ?? []).map(fromDbBudgetTemplate));
+if (arRes.error) console.warn("[db] load budget_alert_rules failed", arRes.error);
+setAlertRules((arRes.data ?? []).map(fromDbAlertRule));
+if (nRes.error) console.warn("[db] load notifications failed", nRes.error);
+setNotifications((nRes.data ?? []).map(fromDbNotification));
+
+// First load for a household: save the default people so they can be renamed
+if (hpRes.error) console.warn("[db] load household_people failed", hpRes.error);
+let peopleRows = (hpRes.data ?? []).map(fromDbPerson);
+if (!hpRes.error && peopleRows.length === 0) {
+  const { data: seeded, error: seedError } = await supabase
+    .from("household_people")
+    .upsert(
+      DEFAULT_PEOPLE.map((p) => ({ ...toDbPerson(p), household_id: householdId, created_by: uid })),
+      { onConflict: "household_id,person_key" }
+    )
+    .select("*");
+  if (seedError) console.warn("[db] seed household_people failed", seedError);
+  peopleRows = (seeded ?? []).map(fromDbPerson);
+}
+setHouseholdPeople(peopleRows.length ? peopleRows : DEFAULT_PEOPLE);
+
+// Same for categories: start from the built-in list
+if (hcRes.error) console.warn("[db] load household_categories failed", hcRes.error);
+let categoryRows = (hcRes.data ?? []).map(fromDbCategory);
+if (!hcRes.error && categoryRows.length === 0) {
+  const { data: seeded, error: seedError } = await supabase
+    .from("household_categories")
+    .upsert(
+      DEFAULT_CATEGORIES.map((c) => ({ ...toDbCategory(c), household_id: householdId, created_by: uid })),
+      { onConflict: "household_id,name" }
+    )
+    .select("*");
+  if (seedError) console.warn("[db] seed household_categories failed", seedError);
+  categoryRows = (seeded ?? []).map(fromDbCategory);
+}
+setHouseholdCategories(categoryRows.length ? categoryRows : DEFAULT_CATEGORIES);
       } catch (e) {
         console.warn("[db] loadFromDb threw", e);
       } finally {
@@ -1617,6 +2326,8 @@ const loadDemoDefaults = async () => {
         setBudgets(defaultBudgets);
         setAssets(defaultAssets);
         setLiabilities(defaultLiabilities);
+        setHouseholdPeople(DEFAULT_PEOPLE);
+        setHouseholdCategories(DEFAULT_CATEGORIES);
       } catch (e) {
         console.warn("Failed to load demo defaults:", e);
       } finally {
@@ -1673,6 +2384,127 @@ const loadDemoDefaults = async () => {
     }
   }, [recurringRules, isLoading]);
 
+  useEffect(() => {
+    if (!storage) return;
+    storage
+      .get("finance-budget-mode")
+      .then((res) => {
+        if (res?.value) setBudgetMode(res.value);
+      })
+      .catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    if (!storage) return;
+    storage
+      .get("finance-dismissed-recurring")
+      .then((res) => {
+        if (res?.value) setDismissedRecurringKeys(JSON.parse(res.value));
+      })
+      .catch(console.error);
+  }, []);
+
+  // ---------------------------------------------------------------------------
+  // Net worth snapshots: monthly, plus whenever asset/liability totals change
+  // ---------------------------------------------------------------------------
+  // Balances are household-wide (not filtered by person)
+  const accountBalancesToday = useMemo(
+    () => accountBalances(accounts, transactions, todayIso()),
+    [accounts, transactions]
+  );
+
+  // Account-backed assets/liabilities follow the account balance; the rest keep
+  // their hand-entered value
+  const valuedAssets = useMemo(
+    () => withAccountValues(assets, "asset", accounts, accountBalancesToday),
+    [assets, accounts, accountBalancesToday]
+  );
+
+  const valuedLiabilities = useMemo(
+    () => withAccountValues(liabilities, "liability", accounts, accountBalancesToday),
+    [liabilities, accounts, accountBalancesToday]
+  );
+
+  const netWorthTotals = useMemo(
+    () => computeNetWorthTotals(valuedAssets, valuedLiabilities),
+    [valuedAssets, valuedLiabilities]
+  );
+
+  // Upserts by date so several edits on the same day keep one (latest) snapshot
+  const saveNetWorthSnapshots = useCallback(
+    async (snaps) => {
+      if (!snaps.length) return true;
+
+      if (canViewData) {
+        const { data, error } = await supabase
+          .from("net_worth_snapshots")
+          .upsert(
+            snaps.map((s) => ({
+              ...toDbNetWorthSnapshot(s),
+              household_id: householdId,
+              created_by: session.user.id,
+            })),
+            { onConflict: "household_id,snapshot_date" }
+          )
+          .select("*");
+
+        if (error) {
+          console.warn("[db] saveNetWorthSnapshots failed", error);
+          return false;
+        }
+        snaps = (data || []).map(fromDbNetWorthSnapshot);
+      }
+
+      setNetWorthSnapshots((prev) => {
+        const byDate = new Map(prev.map((s) => [s.date, s]));
+        for (const s of snaps) byDate.set(s.date, s);
+        return Array.from(byDate.values()).sort((a, b) => (a.date < b.date ? -1 : 1));
+      });
+      return true;
+    },
+    [canViewData, householdId, session?.user?.id]
+  );
+
+  useEffect(() => {
+    if (isLoading) return;
+    if (!assets.length && !liabilities.length) return;
+
+    const source = pendingSnapshotSource(netWorthSnapshots, netWorthTotals);
+    if (!source) return;
+
+    // Debounced so a burst of edits records one snapshot
+    const timer = setTimeout(() => {
+      saveNetWorthSnapshots([{ ...netWorthTotals, date: todayIso(), source }]);
+    }, 1500);
+    return () => clearTimeout(timer);
+  }, [isLoading, assets.length, liabilities.length, netWorthTotals, netWorthSnapshots, saveNetWorthSnapshots]);
+
+  // Month-end history from each asset/liability's value history (or the date it was added).
+  // Months that already have a snapshot are left alone.
+  const backfillNetWorthSnapshots = async () => {
+    const have = new Set(netWorthSnapshots.map((s) => s.date.slice(0, 7)));
+    // Account-backed items have no value history: use the account's running balance at each month end
+    const balancesOn = new Map();
+    const accountValueOn = (item, kind, date) => {
+      if (!item.linkedAccount) return null;
+      if (!balancesOn.has(date)) balancesOn.set(date, accountBalances(accounts, transactions, date));
+      return linkedAccountValue({ ...item, balance_source: "running" }, kind, item.linkedAccount, balancesOn.get(date));
+    };
+    const missing = buildBackfillSnapshots(valuedAssets, valuedLiabilities, {
+      valueHistory: valuationHistory,
+      accountValueOn,
+    }).filter((s) => !have.has(s.date.slice(0, 7)));
+
+    if (!missing.length) {
+      alert("No missing months to backfill.");
+      return;
+    }
+    if (!window.confirm(`Add ${missing.length} month-end net worth snapshot(s)?`)) return;
+
+    const ok = await saveNetWorthSnapshots(missing);
+    if (!ok) alert("Could not save net worth history. Check console.");
+  };
+
   // Storage bucket name (create in Supabase Storage)
 const PROJECT_QUOTES_BUCKET = "project_quotes";
 
@@ -1751,14 +2583,51 @@ const openProjectFileRow = async (fileRow, projectName) => {
     [transactions, filterByPerson]
   );
 
+  // transfer_group_ids that have both legs present
+  const pairedTransferGroups = useMemo(() => {
+    const unmatched = new Set(findUnmatchedTransfers(transactions).map((t) => t.id));
+    return new Set(
+      transactions
+        .filter((t) => t.transfer_group_id && !unmatched.has(t.id))
+        .map((t) => t.transfer_group_id)
+    );
+  }, [transactions]);
+
+  // Split transactions expanded into their category/person lines.
+  // Category and person math (budgets, trends, donut, export) reads these.
+  const transactionLinesByPerson = useMemo(
+    () => filterByPerson(expandSplitLines(transactions)),
+    [transactions, filterByPerson]
+  );
+
   const filteredAssets = useMemo(
-    () => filterByPerson(assets),
-    [assets, filterByPerson]
+    () => filterByPerson(valuedAssets),
+    [valuedAssets, filterByPerson]
   );
 
   const filteredLiabilities = useMemo(
-    () => filterByPerson(liabilities),
-    [liabilities, filterByPerson]
+    () => filterByPerson(valuedLiabilities),
+    [valuedLiabilities, filterByPerson]
+  );
+
+  // Sparkline series + change since last month / start of year
+  const assetValuations = useMemo(
+    () => valuationStats(valuationHistory, "asset", filteredAssets),
+    [valuationHistory, filteredAssets]
+  );
+
+  const liabilityValuations = useMemo(
+    () => valuationStats(valuationHistory, "liability", filteredLiabilities),
+    [valuationHistory, filteredLiabilities]
+  );
+
+  // { [liabilityId]: payoff summary } for liabilities with loan terms
+  const loanSummaries = useMemo(
+    () =>
+      Object.fromEntries(
+        filteredLiabilities.filter(hasLoanTerms).map((l) => [l.id, loanSummary(l, { currentMonth })])
+      ),
+    [filteredLiabilities, currentMonth]
   );
 
   const filteredBudgets = useMemo(
@@ -1771,12 +2640,31 @@ const openProjectFileRow = async (fileRow, projectName) => {
   [recurringRules, filterByPerson]
 );
 
+  // Repeating merchant/amount patterns in history that no rule covers yet
+  const recurringCandidates = useMemo(() => {
+    const dismissed = new Set(dismissedRecurringKeys);
+    return detectRecurringPatterns(transactionsByPerson, recurringRules, { today: todayIso() }).filter(
+      (c) => !dismissed.has(c.key)
+    );
+  }, [transactionsByPerson, recurringRules, dismissedRecurringKeys]);
+
+  const subscriptions = useMemo(
+    () => buildSubscriptions(recurringRulesByPerson, transactionsByPerson, recurringCandidates, { today: todayIso() }),
+    [recurringRulesByPerson, transactionsByPerson, recurringCandidates]
+  );
+
   // Extra filtering for the Transactions table (search + category + type)
   const tableTransactions = useMemo(() => {
     let rows = [...transactionsByPerson];
 
     if (transactionFilterCategory !== "all") {
-      rows = rows.filter((t) => t.category === transactionFilterCategory);
+      // A parent category also matches its subcategories
+      const family = categoryFamily(householdCategories, transactionFilterCategory);
+      rows = rows.filter((t) =>
+        hasSplits(t)
+          ? normalizeSplits(t.splits).some((s) => family.has(s.category))
+          : family.has(t.category)
+      );
     }
 
     if (transactionFilterType !== "all") {
@@ -1798,6 +2686,7 @@ const openProjectFileRow = async (fileRow, projectName) => {
   }, [
     transactionsByPerson,
     transactionFilterCategory,
+    householdCategories,
     transactionFilterType,
     transactionSearch,
   ]);
@@ -1893,7 +2782,7 @@ const categoryTrends = useMemo(() => {
   const monthSet = new Set(months);
   const byCategory = new Map();
 
-  for (const t of (transactionsByPerson || [])) {
+  for (const t of (transactionLinesByPerson || [])) {
     if ((t.transaction_type || "normal") === "transfer") continue;
     if (t.type !== "expense") continue;
 
@@ -1930,7 +2819,7 @@ const categoryTrends = useMemo(() => {
     .slice(0, 5);
 
   return { months, rows, top, risers };
-}, [transactionsByPerson]);
+}, [transactionLinesByPerson]);
 
 
 
@@ -2011,16 +2900,25 @@ const projectFilesByProjectId = useMemo(() => {
     });
   }, [transactionsByPerson, start, end]);
 
+  // Same window, split lines expanded (dashboard totals + donut)
+  const filteredTransactionLines = useMemo(() => {
+    return transactionLinesByPerson.filter((t) => {
+      const date = parseISO(t.date);
+      return isWithinInterval(date, { start, end });
+    });
+  }, [transactionLinesByPerson, start, end]);
+
+  // ---------------------------------------------------------------------------
+  // Export transactions to CSV (for current person)
   // ---------------------------------------------------------------------------
-  // Export transactions to CSV (for current person)
-  // ---------------------------------------------------------------------------
   const exportTransactionsAsCsv = () => {
-    if (!transactionsByPerson.length) {
+    if (!transactionLinesByPerson.length) {
       alert("No transactions to export for this person.");
       return;
     }
 
-    const csv = buildTransactionsCsv(transactionsByPerson);
+    // One row per split line so category/person totals in the file stay correct
+    const csv = buildTransactionsCsv(transactionLinesByPerson);
     const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
 
     const url = URL.createObjectURL(blob);
@@ -2043,11 +2941,11 @@ const projectFilesByProjectId = useMemo(() => {
 const isTransfer = (t) => (t.transaction_type || "normal") === "transfer";
 const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
 
-const totalIncome = filteredTransactions
+const totalIncome = filteredTransactionLines
   .filter((t) => t.type === "income" && !isTransfer(t))
   .reduce((sum, t) => sum + num(t.amount), 0);
 
-const totalExpenses = filteredTransactions
+const totalExpenses = filteredTransactionLines
   .filter((t) => t.type === "expense" && !isTransfer(t))
   .reduce((sum, t) => sum + Math.abs(num(t.amount)), 0);
 
@@ -2058,7 +2956,7 @@ const netWorth = totalAssets - totalLiabilities;
 
 
   // ---------------------------------------------------------------------------
-  // Budget calculations (IMPORTANT: use transactionsByPerson, not filteredTransactions)
+  // Budget calculations (IMPORTANT: use transactionLinesByPerson, not filteredTransactions)
   // ---------------------------------------------------------------------------
  const getBudgetProgress = useCallback(
   (category, month) => {
@@ -2067,12 +2965,14 @@ const netWorth = totalAssets - totalLiabilities;
     );
     if (!budgetRow) return null;
 
-    const spent = transactionsByPerson
+    // A budget on a parent category covers its subcategories too
+    const family = categoryFamily(householdCategories, category);
+    const spent = transactionLinesByPerson
       .filter(
         (t) =>
           t.type === "expense" &&
           (t.transaction_type || "normal") !== "transfer" &&
-          t.category === category &&
+          family.has(t.category) &&
           t.date &&
           t.date.startsWith(month)
       )
@@ -2087,38 +2987,40 @@ const netWorth = totalAssets - totalLiabilities;
 
     return { budget, spent, percentage, remaining, overBy };
   },
-  [filteredBudgets, transactionsByPerson]
+  [filteredBudgets, transactionLinesByPerson, householdCategories]
 );
 
 
   const getBudgetTransactions = useCallback(
     (category, month) => {
-      return transactionsByPerson
+      const family = categoryFamily(householdCategories, category);
+      return transactionLinesByPerson
         .filter(
           (t) =>
             t.type === "expense" &&
             (t.transaction_type || "normal") !== "transfer" &&
-            t.category === category &&
+            family.has(t.category) &&
             t.date &&
             t.date.startsWith(month)
         )
         .sort((a, b) => (a.date < b.date ? 1 : -1)); // newest first
     },
-    [transactionsByPerson]
+    [transactionLinesByPerson, householdCategories]
   );
   const getCategorySpendForMonth = useCallback(
   (category, month) => {
-    return transactionsByPerson
+    const family = categoryFamily(householdCategories, category);
+    return transactionLinesByPerson
       .filter((t) =>
         t.type === "expense" &&
         (t.transaction_type || "normal") !== "transfer" &&
-        t.category === category &&
+        family.has(t.category) &&
         t.date &&
         t.date.startsWith(month)
       )
       .reduce((sum, t) => sum + Number(t.amount || 0), 0);
   },
-  [transactionsByPerson]
+  [transactionLinesByPerson, householdCategories]
 );
 
 
@@ -2139,29 +3041,52 @@ const netWorth = totalAssets - totalLiabilities;
       .slice(0, topN);
   };
 
-  const rolloverByCategoryForViewMonth = useMemo(() => {
-  // Option #2: positive and negative roll over
-  if (!rolloverEnabled) return {};
-
-  const month = budgetViewMonth;
-  if (!month) return {};
+  // Carry-over chain for every category up to the view month (per-category policy)
+  const rolloverLedgerForViewMonth = useMemo(() => {
+    if (!rolloverEnabled || !budgetViewMonth) return {};
+    return rolloverLedger({
+      budgets: filteredBudgets,
+      progressFor: getBudgetProgress,
+      policies: rolloverPolicies,
+      month: budgetViewMonth,
+    });
+  }, [rolloverEnabled, budgetViewMonth, filteredBudgets, getBudgetProgress, rolloverPolicies]);
+
+  const rolloverByCategoryForViewMonth = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(rolloverLedgerForViewMonth).map(([category, entry]) => [category, entry.rollover])
+      ),
+    [rolloverLedgerForViewMonth]
+  );
 
-  const prev = prevMonthKey(month);
+  // Envelope mode: balances carried from the first assigned month up to the view month
+  const filteredEnvelopeMoves = useMemo(
+    () => filterByPerson(envelopeMoves),
+    [envelopeMoves, filterByPerson]
+  );
 
-  const map = {};
+  const envelopeMovesForViewMonth = useMemo(
+    () => filteredEnvelopeMoves.filter((m) => m.month === budgetViewMonth),
+    [filteredEnvelopeMoves, budgetViewMonth]
+  );
 
-  // look at budgets from the previous month for this person-filtered view
-  filteredBudgets
-    .filter((b) => b.month === prev)
-    .forEach((b) => {
-      const prog = getBudgetProgress(b.category, prev);
-      if (!prog) return;
-      // remaining = budget - spent (can be + or -)
-      map[b.category] = (map[b.category] || 0) + Number(prog.remaining || 0);
+  const envelopeLedgerForViewMonth = useMemo(() => {
+    if (budgetMode !== "envelope") return null;
+    return envelopeLedger({
+      budgets: filteredBudgets,
+      moves: filteredEnvelopeMoves,
+      lines: transactionLinesByPerson,
+      familyOf: (category) => categoryFamily(householdCategories, category),
+      month: budgetViewMonth,
     });
+  }, [budgetMode, filteredBudgets, filteredEnvelopeMoves, transactionLinesByPerson, householdCategories, budgetViewMonth]);
 
-  return map;
-}, [rolloverEnabled, budgetViewMonth, filteredBudgets, getBudgetProgress]);
+  // Sinking funds: this month's contribution, balance and drawdowns per fund
+  const sinkingFundsForViewMonth = useMemo(
+    () => sinkingFundsForMonth(filterByPerson(sinkingFunds), transactionLinesByPerson, budgetViewMonth),
+    [sinkingFunds, filterByPerson, transactionLinesByPerson, budgetViewMonth]
+  );
 
   // Auto-expand budgets that are over 100% unless user manually toggled
   useEffect(() => {
@@ -2242,27 +3167,35 @@ const netWorth = totalAssets - totalLiabilities;
       if (catMatch) return true;
 
       // Match against transaction descriptions in this category + month (expenses only)
-      return transactionsByPerson.some((t) => {
+      const family = categoryFamily(householdCategories, b.category);
+      return transactionLinesByPerson.some((t) => {
         if (t.type !== "expense") return false;
         if (!t.category || !t.date) return false;
-        if (t.category !== b.category) return false;
+        if (!family.has(t.category)) return false;
         if (!t.date.startsWith(b.month)) return false;
         const desc = (t.description || "").toLowerCase();
         return desc.includes(q);
       });
     });
-  }, [budgetsForViewMonth, budgetSearch, transactionsByPerson]);
+  }, [budgetsForViewMonth, budgetSearch, transactionLinesByPerson, householdCategories]);
 
   // Overall budget summary for selected budgetViewMonth
   const budgetSummary = useMemo(() => {
   const monthBudgets = budgetsForViewMonth;
-
-  if (!budgetViewMonth || monthBudgets.length === 0) {
-    return { totalBudget: 0, totalSpent: 0, remaining: 0 };
+  if (!budgetViewMonth) {
+    return { totalBudget: 0, totalSpent: 0, remaining: 0, sinkingFunds: 0, sinkingFundsPaid: 0 };
   }
 
-  let totalBudget = 0;
-  let totalSpent = 0;
+  // Money set aside for sinking funds is planned and spent each month; the
+  // bills they pay for are spent from the fund instead of the month
+  const sinkingFundTotal = sinkingFundContributions(sinkingFundsForViewMonth);
+  const fundCoverage = sinkingFundCoverage(sinkingFundsForViewMonth);
+
+  let totalBudget = sinkingFundTotal;
+  // Categories any budget covers (a parent budget covers its subcategories).
+  // Spending is summed once per line, so a subcategory budgeted alongside its
+  // parent isn't counted twice.
+  const covered = new Set();
 
   monthBudgets.forEach((b) => {
     const prog = getBudgetProgress(b.category, b.month);
@@ -2275,13 +3208,29 @@ const netWorth = totalAssets - totalLiabilities;
     const effectiveBudget = Math.max(0, Number(prog.budget || 0) + rollover);
 
     totalBudget += effectiveBudget;
-    totalSpent += Number(prog.spent || 0);
+    categoryFamily(householdCategories, b.category).forEach((c) => covered.add(c));
   });
 
+  // A fund bill beyond what the fund holds is spending even when unbudgeted
+  const categorySpent = transactionLinesByPerson
+    .filter(
+      (t) =>
+        t.type === "expense" &&
+        (t.transaction_type || "normal") !== "transfer" &&
+        (covered.has(t.category) || fundCoverage.has(t)) &&
+        t.date &&
+        t.date.startsWith(budgetViewMonth)
+    )
+    .reduce((sum, t) => sum + Math.abs(Number(t.amount || 0)) - (fundCoverage.get(t) || 0), 0);
+
+  const totalSpent = categorySpent + sinkingFundTotal;
+
   return {
     totalBudget,
     totalSpent,
     remaining: totalBudget - totalSpent,
+    sinkingFunds: sinkingFundTotal,
+    sinkingFundsPaid: [...fundCoverage.values()].reduce((sum, v) => sum + v, 0),
   };
 }, [
   budgetsForViewMonth,
@@ -2289,6 +3238,9 @@ const netWorth = totalAssets - totalLiabilities;
   getBudgetProgress,
   rolloverEnabled,
   rolloverByCategoryForViewMonth,
+  sinkingFundsForViewMonth,
+  transactionLinesByPerson,
+  householdCategories,
 ]);
 
 const budgetViewMonthKey = budgetViewMonth;
@@ -2407,11 +3359,19 @@ const runAiBudgetSummary = useCallback(async ({ force } = {}) => {
   const addTransaction = async () => {
     if (!newTransaction.description || !newTransaction.amount) return;
 
-    const draft = {
+    let draft = {
       ...newTransaction,
       amount: parseFloat(newTransaction.amount),
     };
 
+    if (draft.category === AUTO_CATEGORY) {
+      const ruled = applyCategoryRules(draft, categoryRules);
+      draft = {
+        ...ruled,
+        category: ruled.category === AUTO_CATEGORY ? "Uncategorized" : ruled.category,
+      };
+    }
+
     if (canViewData) {
       const payload = {
         household_id: householdId,
@@ -2445,11 +3405,12 @@ const runAiBudgetSummary = useCallback(async ({ force } = {}) => {
     } else {
       setTransactions((prev) => [...prev, { ...draft, id: Date.now() }]);
     }
+    alertCheckPendingRef.current = true;
 
     setNewTransaction({
       date: new Date().toISOString().split("T")[0],
       description: "",
-      category: "Food",
+      category: AUTO_CATEGORY,
       amount: "",
       type: "expense",
       person: "joint",
@@ -2484,12 +3445,19 @@ const importTransactions = async (rows) => {
       account_id: t.account_id,
       transaction_type: t.transaction_type || "normal",
       transfer_account_id: t.transfer_account_id,
+      fitid: t.fitid || null, // OFX/QFX transaction id (null for CSV rows)
+      import_fingerprint: t.import_fingerprint || null,
       created_by: session.user.id,
     }));
 
+    // Idempotent re-import: rows whose fingerprint already exists are ignored
+    // (unique index on household_id,import_fingerprint; NULLs never conflict)
     const { data, error } = await supabase
       .from("transactions")
-      .insert(payload)
+      .upsert(payload, {
+        onConflict: "household_id,import_fingerprint",
+        ignoreDuplicates: true,
+      })
       .select("*");
 
     if (error) {
@@ -2498,178 +3466,1618 @@ const importTransactions = async (rows) => {
       return;
     }
 
-    const enriched = (data || []).map((t) => {
-      const acct = t.account_id ? acctById.get(Number(t.account_id)) : null;
-      const tr = t.transfer_account_id
-        ? acctById.get(Number(t.transfer_account_id))
-        : null;
-      return {
-        ...t,
-        amount: Number(t.amount),
-        transaction_type: t.transaction_type || "normal",
-        account_name: acct?.name || "",
-        transfer_account_name: tr?.name || "",
-      };
-    });
+    const enriched = (data || []).map((t) => {
+      const acct = t.account_id ? acctById.get(Number(t.account_id)) : null;
+      const tr = t.transfer_account_id
+        ? acctById.get(Number(t.transfer_account_id))
+        : null;
+      return {
+        ...t,
+        amount: Number(t.amount),
+        transaction_type: t.transaction_type || "normal",
+        account_name: acct?.name || "",
+        transfer_account_name: tr?.name || "",
+      };
+    });
+
+    setTransactions((prev) => [...enriched, ...prev]);
+    alertCheckPendingRef.current = true;
+
+    // Pair the new transfer legs with their other side (this file or an earlier import)
+    await autoPairTransfers({ quiet: true }, [...enriched, ...transactions]);
+  } else {
+    const seen = new Set(transactions.map((t) => t.import_fingerprint).filter(Boolean));
+    const fresh = normalized
+      .filter((t) => !t.import_fingerprint || !seen.has(t.import_fingerprint))
+      .map((t) => ({ id: Date.now() + Math.random(), ...t }));
+
+    setTransactions((prev) => [...fresh, ...prev]);
+    alertCheckPendingRef.current = true;
+    await autoPairTransfers({ quiet: true }, [...fresh, ...transactions]);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Transfer pairing (both legs share transfer_group_id)
+// ---------------------------------------------------------------------------
+
+// patches: [{ id, patch }] of transaction fields
+const applyTransactionPatches = async (patches) => {
+  if (!patches.length) return true;
+
+  if (canViewData) {
+    const results = await Promise.all(
+      patches.map(({ id, patch }) =>
+        supabase.from("transactions").update(patch).eq("id", id).eq("household_id", householdId)
+      )
+    );
+    const failed = results.find((r) => r.error);
+    if (failed) {
+      console.warn("[db] update transfer legs failed", failed.error);
+      alert(failed.error.message);
+      return false;
+    }
+  }
+
+  const byId = new Map(patches.map((p) => [p.id, p.patch]));
+  setTransactions((prev) =>
+    prev.map((t) => {
+      if (!byId.has(t.id)) return t;
+      const next = { ...t, ...byId.get(t.id) };
+      const tr = next.transfer_account_id
+        ? accounts.find((a) => Number(a.id) === Number(next.transfer_account_id))
+        : null;
+      return { ...next, transfer_account_name: tr?.name || "" };
+    })
+  );
+  return true;
+};
+
+// Linking, unlinking or un-transferring a reconciled row changes what it does
+// to its account, so those paths leave reconciled rows alone
+const refuseReconciled = (rows) => {
+  if (!rows.some(isReconciled)) return false;
+  alert("This transfer includes a reconciled transaction. Unlock it from the account register first.");
+  return true;
+};
+
+const autoPairTransfers = async ({ dayWindow = 3, quiet = false } = {}, list = transactions) => {
+  const pairs = findTransferPairs(list, accounts, { dayWindow }).filter(
+    ({ outflow, inflow }) => !isReconciled(outflow) && !isReconciled(inflow)
+  );
+  const patches = pairs.flatMap(({ outflow, inflow }) => transferLinkPatches(outflow, inflow));
+  const ok = await applyTransactionPatches(patches);
+
+  if (ok && !quiet) {
+    alert(pairs.length ? `Paired ${pairs.length} transfer(s).` : "No matching transfer legs found.");
+  }
+};
+
+const linkTransferLegs = async (a, b) => {
+  if (!a || !b || refuseReconciled([a, b])) return;
+  await applyTransactionPatches(transferLinkPatches(a, b));
+};
+
+// Both legs stay transfers and go back to the review queue
+const unlinkTransfer = async (groupId) => {
+  if (!groupId) return;
+  const legs = transactions.filter((t) => t.transfer_group_id === groupId);
+  if (refuseReconciled(legs)) return;
+  await applyTransactionPatches(legs.map((t) => ({ id: t.id, patch: { transfer_group_id: null } })));
+};
+
+const markTransactionNormal = async (t) => {
+  if (refuseReconciled([t])) return;
+  await applyTransactionPatches([
+    {
+      id: t.id,
+      patch: { transaction_type: "normal", transfer_account_id: null, transfer_group_id: null },
+    },
+  ]);
+};
+
+
+  // Returns the saved profile (UI shape) so the importer can select it
+  const saveImportProfile = async (draft) => {
+    const payload = toDbImportProfile(draft);
+    if (!payload.name) return null;
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("import_profiles")
+        .insert({ ...payload, household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] saveImportProfile failed", error);
+        alert(error.message);
+        return null;
+      }
+
+      const saved = fromDbImportProfile(data);
+      setImportProfiles((prev) => [...prev, saved]);
+      return saved;
+    }
+
+    const saved = { ...draft, id: Date.now() };
+    setImportProfiles((prev) => [...prev, saved]);
+    return saved;
+  };
+
+  const deleteImportProfile = async (id) => {
+    if (canViewData) {
+      const { error } = await supabase
+        .from("import_profiles")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
+
+      if (error) {
+        alert(error.message);
+        return false;
+      }
+    }
+
+    setImportProfiles((prev) => prev.filter((p) => p.id !== id));
+    return true;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Categorization rules
+  // ---------------------------------------------------------------------------
+  const addCategoryRule = async (draft) => {
+    const payload = toDbCategoryRule(draft);
+    if (!payload.set_category) return false;
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("category_rules")
+        .insert({ ...payload, household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addCategoryRule failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setCategoryRules((prev) => [...prev, fromDbCategoryRule(data)]);
+      return true;
+    }
+
+    setCategoryRules((prev) => [
+      ...prev,
+      { ...fromDbCategoryRule(payload), id: Date.now(), createdAt: new Date().toISOString() },
+    ]);
+    return true;
+  };
+
+  const updateCategoryRule = async (id, patch) => {
+    const current = categoryRules.find((r) => r.id === id);
+    if (!current) return false;
+    const next = { ...current, ...patch };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("category_rules")
+        .update(toDbCategoryRule(next))
+        .eq("id", id)
+        .eq("household_id", householdId)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] updateCategoryRule failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setCategoryRules((prev) => prev.map((r) => (r.id === id ? fromDbCategoryRule(data) : r)));
+      return true;
+    }
+
+    setCategoryRules((prev) => prev.map((r) => (r.id === id ? next : r)));
+    return true;
+  };
+
+  const deleteCategoryRule = async (id) => {
+    if (!window.confirm("Delete this rule?")) return;
+
+    if (canViewData) {
+      const { error } = await supabase
+        .from("category_rules")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
+
+      if (error) {
+        alert(error.message);
+        return;
+      }
+    }
+
+    setCategoryRules((prev) => prev.filter((r) => r.id !== id));
+  };
+
+  // ---------------------------------------------------------------------------
+  // Forecast scenarios (what-if plans; never touch real rows)
+  // ---------------------------------------------------------------------------
+  const addForecastScenario = async (draft) => {
+    const payload = toDbScenario(draft);
+    if (!payload.name) return null;
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("forecast_scenarios")
+        .insert({ ...payload, household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addForecastScenario failed", error);
+        alert(error.message);
+        return null;
+      }
+
+      const created = fromDbScenario(data);
+      setForecastScenarios((prev) => [...prev, created]);
+      return created;
+    }
+
+    const created = { ...fromDbScenario(payload), id: Date.now(), createdAt: new Date().toISOString() };
+    setForecastScenarios((prev) => [...prev, created]);
+    return created;
+  };
+
+  const updateForecastScenario = async (id, patch) => {
+    const current = forecastScenarios.find((s) => s.id === id);
+    if (!current) return false;
+    const next = { ...current, ...patch };
+    if (!toDbScenario(next).name) {
+      alert("Scenario name is required.");
+      return false;
+    }
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("forecast_scenarios")
+        .update(toDbScenario(next))
+        .eq("id", id)
+        .eq("household_id", householdId)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] updateForecastScenario failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setForecastScenarios((prev) => prev.map((s) => (s.id === id ? fromDbScenario(data) : s)));
+      return true;
+    }
+
+    setForecastScenarios((prev) => prev.map((s) => (s.id === id ? next : s)));
+    return true;
+  };
+
+  // Confirmation happens in the planner
+  const deleteForecastScenario = async (id) => {
+    if (canViewData) {
+      const { error } = await supabase
+        .from("forecast_scenarios")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
+
+      if (error) {
+        alert(error.message);
+        return;
+      }
+    }
+
+    setForecastScenarios((prev) => prev.filter((s) => s.id !== id));
+  };
+
+  // Bulk re-categorize: `changed` are transactions with their new category/person.
+  // One update per (category, person) group keeps the round-trips small.
+  const reapplyCategoryRules = async (changed) => {
+    if (!Array.isArray(changed) || changed.length === 0) return;
+
+    if (canViewData) {
+      const groups = new Map();
+      for (const t of changed) {
+        const key = `${t.category}|${t.person}`;
+        if (!groups.has(key)) groups.set(key, { category: t.category, person: t.person, ids: [] });
+        groups.get(key).ids.push(t.id);
+      }
+
+      for (const g of groups.values()) {
+        const { error } = await supabase
+          .from("transactions")
+          .update({ category: g.category, person: g.person })
+          .in("id", g.ids)
+          .eq("household_id", householdId);
+
+        if (error) {
+          console.warn("[db] reapplyCategoryRules failed", error);
+          alert(error.message);
+          return;
+        }
+      }
+    }
+
+    const byId = new Map(changed.map((t) => [t.id, t]));
+    setTransactions((prev) =>
+      prev.map((t) =>
+        byId.has(t.id) ? { ...t, category: byId.get(t.id).category, person: byId.get(t.id).person } : t
+      )
+    );
+  };
+
+  // Append a dated value; a second change on the same day replaces that day's entry
+  const recordValuation = async (kind, itemId, value, date = todayIso()) => {
+    const entry = { kind, itemId, value: Number(value), date };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("valuation_history")
+        .upsert(
+          { ...toDbValuation(entry), household_id: householdId, created_by: session.user.id },
+          { onConflict: "household_id,item_type,item_id,recorded_on" }
+        )
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] recordValuation failed", error);
+        return;
+      }
+      Object.assign(entry, fromDbValuation(data));
+    }
+
+    setValuationHistory((prev) => [
+      ...prev.filter((h) => !(h.kind === kind && h.itemId === itemId && h.date === date)),
+      { id: Date.now(), ...entry },
+    ]);
+  };
+
+  // An item's first edit also keeps its pre-edit value, so month/YTD changes
+  // and backfilled snapshots don't treat the new value as the old one
+  const recordValueChange = async (kind, item, value, priorValue) => {
+    if (!item) return;
+    const prior = priorValuationEntry(valuationHistory, kind, item, priorValue);
+    if (prior) await recordValuation(kind, item.id, prior.value, prior.date);
+    await recordValuation(kind, item.id, value);
+  };
+
+  const addAsset = async () => {
+    const linked = newAsset.account_id ? accounts.find((a) => Number(a.id) === Number(newAsset.account_id)) : null;
+    if (!newAsset.name || (!linked && !newAsset.value)) return;
+
+    const draft = {
+      ...newAsset,
+      account_id: linked ? Number(linked.id) : null,
+      value: linked ? linkedAccountValue(newAsset, "asset", linked, accountBalancesToday) : parseFloat(newAsset.value),
+    };
+
+    if (canViewData) {
+      const payload = {
+        household_id: householdId,
+        name: draft.name,
+        value: draft.value,
+        person: draft.person,
+        account_id: draft.account_id,
+        balance_source: draft.balance_source,
+        created_by: session.user.id,
+      };
+
+      const { data, error } = await supabase.from("assets").insert(payload).select("*").single();
+      if (error) {
+        console.warn("[db] addAsset failed", error);
+        alert(error.message);
+        return;
+      }
+      setAssets((prev) => [{ ...data, value: Number(data.value) }, ...prev]);
+      await recordValuation("asset", data.id, data.value);
+    } else {
+      const id = Date.now();
+      setAssets((prev) => [...prev, { ...draft, id }]);
+      await recordValuation("asset", id, draft.value);
+    }
+
+    setNewAsset({ name: "", value: "", person: "joint", account_id: "", balance_source: "running" });
+  };
+
+  const addLiability = async () => {
+    const linked = newLiability.account_id ? accounts.find((a) => Number(a.id) === Number(newLiability.account_id)) : null;
+    if (!newLiability.name || (!linked && !newLiability.value)) return;
+
+    const draft = {
+      ...newLiability,
+      account_id: linked ? Number(linked.id) : null,
+      value: linked ? linkedAccountValue(newLiability, "liability", linked, accountBalancesToday) : parseFloat(newLiability.value),
+    };
+
+    if (canViewData) {
+      const payload = {
+        household_id: householdId,
+        name: draft.name,
+        value: draft.value,
+        person: draft.person,
+        account_id: draft.account_id,
+        balance_source: draft.balance_source,
+        created_by: session.user.id,
+      };
+
+      const { data, error } = await supabase.from("liabilities").insert(payload).select("*").single();
+      if (error) {
+        console.warn("[db] addLiability failed", error);
+        alert(error.message);
+        return;
+      }
+      setLiabilities((prev) => [{ ...data, value: Number(data.value) }, ...prev]);
+      await recordValuation("liability", data.id, data.value);
+    } else {
+      const id = Date.now();
+      setLiabilities((prev) => [...prev, { ...draft, id }]);
+      await recordValuation("liability", id, draft.value);
+    }
+
+    setNewLiability({ name: "", value: "", person: "joint", account_id: "", balance_source: "running" });
+  };
+
+  // Loan terms live on the liability row (interest_rate, term_months, minimum_payment, start_date)
+  const saveLoanTerms = async (id, patch) => {
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("liabilities")
+        .update(patch)
+        .eq("id", id)
+        .eq("household_id", householdId)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] saveLoanTerms failed", error);
+        alert(error.message);
+        return;
+      }
+      setLiabilities((prev) => prev.map((l) => (l.id === id ? { ...data, value: Number(data.value) } : l)));
+      return;
+    }
+
+    setLiabilities((prev) => prev.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  };
+
+  // One dated monthly rule per payment phase of each debt in the chosen payoff plan.
+  // Rules from an earlier plan for the same debts are replaced.
+  const createPayoffRules = async (plan) => {
+    if (!plan?.paysOff) return;
+
+    const debtIds = plan.debts.map((d) => d.id);
+    const previous = recurringRules.filter((r) => r.liabilityId && debtIds.includes(r.liabilityId));
+
+    const rows = plan.debts.flatMap((d) =>
+      paymentPhases(d).map((ph) => {
+        const { year, monthIndex } = parseMonthKey(ph.endMonth);
+        return {
+          description: `${d.name} payment`,
+          category: "Other",
+          amount: ph.amount,
+          type: "expense",
+          person: d.person || "joint",
+          frequency: "monthly",
+          day_of_month: 1,
+          start_date: `${ph.startMonth}-01`,
+          end_date: `${ph.endMonth}-${String(daysInMonth(year, monthIndex)).padStart(2, "0")}`,
+          liability_id: d.id,
+          active: true,
+        };
+      })
+    );
+    if (!rows.length) return;
+
+    const ok = window.confirm(
+      `Create ${rows.length} recurring payment rule(s) for this plan?` +
+        (previous.length ? ` ${previous.length} existing debt payment rule(s) will be replaced.` : "")
+    );
+    if (!ok) return;
+
+    if (canViewData && householdId && session?.user?.id) {
+      if (previous.length) {
+        const { error: delError } = await supabase
+          .from("recurring_rules")
+          .delete()
+          .eq("household_id", householdId)
+          .in("id", previous.map((r) => r.id));
+
+        if (delError) {
+          console.warn("[db] createPayoffRules delete failed", delError);
+          alert(delError.message);
+          return;
+        }
+      }
+
+      const { data, error } = await supabase
+        .from("recurring_rules")
+        .insert(rows.map((r) => ({ ...r, household_id: householdId, created_by: session.user.id })))
+        .select("*");
+
+      if (error) {
+        console.warn("[db] createPayoffRules failed", error);
+        alert(error.message);
+        return;
+      }
+
+      const created = (data ?? []).map(fromDbRecurringRule);
+      setRecurringRules((prev) => [...created, ...prev.filter((r) => !previous.includes(r))]);
+      alert(`Created ${created.length} recurring payment rule(s).`);
+      return;
+    }
+
+    const created = rows.map((r, idx) => fromDbRecurringRule({ ...r, id: Date.now() + idx }));
+    setRecurringRules((prev) => [...created, ...prev.filter((r) => !previous.includes(r))]);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Household people (identified by key, which never changes after creation)
+  // ---------------------------------------------------------------------------
+  const addHouseholdPerson = async ({ name, color, userId }) => {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) return false;
+
+    const person = {
+      key: personKeyFor(trimmed, householdPeople),
+      name: trimmed,
+      color,
+      userId: userId || null,
+      sortOrder: householdPeople.reduce((max, p) => Math.max(max, p.sortOrder), -1) + 1,
+    };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("household_people")
+        .insert({ ...toDbPerson(person), household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addHouseholdPerson failed", error);
+        alert(error.message);
+        return false;
+      }
+      setHouseholdPeople((prev) => [...prev, fromDbPerson(data)]);
+      return true;
+    }
+
+    setHouseholdPeople((prev) => [...prev, person]);
+    return true;
+  };
+
+  const updateHouseholdPerson = async (key, patch) => {
+    const current = householdPeople.find((p) => p.key === key);
+    if (!current) return false;
+    const next = { ...current, ...patch, key };
+    if (!String(next.name || "").trim()) return false;
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("household_people")
+        .update(toDbPerson(next))
+        .eq("household_id", householdId)
+        .eq("person_key", key)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] updateHouseholdPerson failed", error);
+        alert(error.message);
+        return false;
+      }
+      setHouseholdPeople((prev) => prev.map((p) => (p.key === key ? fromDbPerson(data) : p)));
+      return true;
+    }
+
+    setHouseholdPeople((prev) => prev.map((p) => (p.key === key ? next : p)));
+    return true;
+  };
+
+  // Removing a person moves everything they owned to Joint
+  const deleteHouseholdPerson = async (key) => {
+    const person = householdPeople.find((p) => p.key === key);
+    if (!person) return;
+
+    const owns = (r) => r.person === key;
+    const splitTxns = transactions.filter((t) => hasSplits(t) && t.splits.some(owns));
+    const count =
+      transactions.filter(owns).length +
+      budgets.filter(owns).length +
+      assets.filter(owns).length +
+      liabilities.filter(owns).length +
+      recurringRules.filter(owns).length +
+      splitTxns.length;
+
+    const ok = window.confirm(
+      `Remove ${person.name}?` + (count ? ` ${count} item(s) assigned to them will move to Joint.` : "")
+    );
+    if (!ok) return;
+
+    const splitPatches = splitTxns.map((t) => ({
+      id: t.id,
+      patch: { splits: t.splits.map((sp) => (owns(sp) ? { ...sp, person: JOINT_KEY } : sp)) },
+    }));
+
+    if (canViewData) {
+      const results = await Promise.all([
+        ...["transactions", "budgets", "assets", "liabilities", "recurring_rules"].map((table) =>
+          supabase.from(table).update({ person: JOINT_KEY }).eq("household_id", householdId).eq("person", key)
+        ),
+        supabase.from("category_rules").update({ set_person: null }).eq("household_id", householdId).eq("set_person", key),
+      ]);
+      const failed = results.find((r) => r.error);
+      if (failed) {
+        console.warn("[db] reassign person failed", failed.error);
+        alert(failed.error.message);
+        return;
+      }
+
+      if (!(await applyTransactionPatches(splitPatches))) return;
+
+      const { error } = await supabase
+        .from("household_people")
+        .delete()
+        .eq("household_id", householdId)
+        .eq("person_key", key);
+
+      if (error) {
+        console.warn("[db] deleteHouseholdPerson failed", error);
+        alert(error.message);
+        return;
+      }
+    } else {
+      await applyTransactionPatches(splitPatches);
+    }
+
+    const toJoint = (r) => (owns(r) ? { ...r, person: JOINT_KEY } : r);
+    setTransactions((prev) => prev.map(toJoint));
+    setBudgets((prev) => prev.map(toJoint));
+    setAssets((prev) => prev.map(toJoint));
+    setLiabilities((prev) => prev.map(toJoint));
+    setRecurringRules((prev) => prev.map(toJoint));
+    setCategoryRules((prev) => prev.map((r) => (r.setPerson === key ? { ...r, setPerson: null } : r)));
+    setHouseholdPeople((prev) => prev.filter((p) => p.key !== key));
+    if (selectedPerson === key) setSelectedPerson(JOINT_KEY);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Household categories. Rows store the category name, so renames and merges
+  // recode transactions, budgets, recurring rules and categorization rules.
+  // ---------------------------------------------------------------------------
+  const recodeCategory = async (fromName, toName) => {
+    const splitPatches = transactions
+      .filter((t) => hasSplits(t) && t.splits.some((sp) => sp.category === fromName))
+      .map((t) => ({
+        id: t.id,
+        patch: { splits: t.splits.map((sp) => (sp.category === fromName ? { ...sp, category: toName } : sp)) },
+      }));
+
+    // Budgets that collide with an existing one (same month and person) are folded into it
+    const budgetMoves = budgets
+      .filter((b) => b.category === fromName)
+      .map((b) => ({
+        source: b,
+        target: budgets.find(
+          (x) => x.category === toName && toMonthKey(x.month) === toMonthKey(b.month) && x.person === b.person
+        ),
+      }));
+
+    if (canViewData) {
+      const results = await Promise.all([
+        ...["transactions", "recurring_rules"].map((table) =>
+          supabase.from(table).update({ category: toName }).eq("household_id", householdId).eq("category", fromName)
+        ),
+        supabase
+          .from("category_rules")
+          .update({ set_category: toName })
+          .eq("household_id", householdId)
+          .eq("set_category", fromName),
+        ...budgetMoves.map(({ source, target }) =>
+          target
+            ? supabase
+                .from("budgets")
+                .update({ amount: Number(target.amount || 0) + Number(source.amount || 0) })
+                .eq("id", target.id)
+                .eq("household_id", householdId)
+            : supabase.from("budgets").update({ category: toName }).eq("id", source.id).eq("household_id", householdId)
+        ),
+      ]);
+
+      const failed = results.find((r) => r.error);
+      if (failed) {
+        console.warn("[db] recodeCategory failed", failed.error);
+        alert(failed.error.message);
+        return false;
+      }
+
+      const folded = budgetMoves.filter((m) => m.target).map((m) => m.source.id);
+      if (folded.length) {
+        const { error } = await supabase.from("budgets").delete().eq("household_id", householdId).in("id", folded);
+        if (error) {
+          console.warn("[db] recodeCategory budget cleanup failed", error);
+          alert(error.message);
+          return false;
+        }
+      }
+    }
+
+    if (!(await applyTransactionPatches(splitPatches))) return false;
+
+    const recode = (r) => (r.category === fromName ? { ...r, category: toName } : r);
+    setTransactions((prev) => prev.map(recode));
+    setRecurringRules((prev) => prev.map(recode));
+    setCategoryRules((prev) => prev.map((r) => (r.setCategory === fromName ? { ...r, setCategory: toName } : r)));
+    setBudgets((prev) => {
+      const extra = new Map(budgetMoves.filter((m) => m.target).map((m) => [m.target.id, Number(m.source.amount || 0)]));
+      const folded = new Set(budgetMoves.filter((m) => m.target).map((m) => m.source.id));
+      return prev
+        .filter((b) => !folded.has(b.id))
+        .map((b) => (extra.has(b.id) ? { ...b, amount: Number(b.amount || 0) + extra.get(b.id) } : recode(b)));
+    });
+    return true;
+  };
+
+  // Pickers hand back ids as strings
+  const categoryIdFrom = (value) =>
+    value ? householdCategories.find((c) => String(c.id) === String(value))?.id ?? null : null;
+
+  const saveCategoryRow = async (id, next) => {
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("household_categories")
+        .update(toDbCategory(next))
+        .eq("id", id)
+        .eq("household_id", householdId)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] updateCategory failed", error);
+        alert(error.message);
+        return null;
+      }
+      return fromDbCategory(data);
+    }
+    return next;
+  };
+
+  const addCategory = async ({ name, parentId, icon, color }) => {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) return false;
+    if (findCategory(householdCategories, trimmed)) {
+      alert(`"${trimmed}" already exists.`);
+      return false;
+    }
+
+    const category = {
+      name: trimmed,
+      parentId: categoryIdFrom(parentId),
+      icon,
+      color,
+      archived: false,
+      sortOrder: householdCategories.reduce((max, c) => Math.max(max, c.sortOrder), -1) + 1,
+    };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("household_categories")
+        .insert({ ...toDbCategory(category), household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addCategory failed", error);
+        alert(error.message);
+        return false;
+      }
+      setHouseholdCategories((prev) => [...prev, fromDbCategory(data)]);
+      return true;
+    }
+
+    setHouseholdCategories((prev) => [...prev, { ...category, id: Date.now() }]);
+    return true;
+  };
+
+  const updateCategory = async (id, patch) => {
+    const current = householdCategories.find((c) => c.id === id);
+    if (!current) return false;
+    const next = {
+      ...current,
+      ...patch,
+      name: String(patch.name ?? current.name).trim(),
+      parentId: "parentId" in patch ? categoryIdFrom(patch.parentId) : current.parentId,
+    };
+    if (!next.name) return false;
+
+    const clash = findCategory(householdCategories, next.name);
+    if (clash && clash.id !== id) {
+      alert(`"${next.name}" already exists. Use Merge to combine the two.`);
+      return false;
+    }
+    if (next.parentId && householdCategories.some((c) => c.parentId === id)) {
+      alert("A category with subcategories can't become a subcategory itself.");
+      return false;
+    }
+
+    if (next.name !== current.name && !(await recodeCategory(current.name, next.name))) return false;
+
+    const saved = await saveCategoryRow(id, next);
+    if (!saved) return false;
+    setHouseholdCategories((prev) => prev.map((c) => (c.id === id ? saved : c)));
+    return true;
+  };
+
+  // Archived categories disappear from pickers; existing rows keep the name.
+  // Archiving a parent archives its subcategories with it.
+  const setCategoryArchived = async (id, archived) => {
+    const targets = householdCategories.filter((c) => c.id === id || (archived && c.parentId === id));
+    const saved = [];
+    for (const c of targets) {
+      const row = await saveCategoryRow(c.id, { ...c, archived });
+      if (!row) break;
+      saved.push(row);
+    }
+    const byId = new Map(saved.map((c) => [c.id, c]));
+    setHouseholdCategories((prev) => prev.map((c) => byId.get(c.id) || c));
+  };
+
+  const mergeCategory = async (fromId, toId) => {
+    const from = householdCategories.find((c) => c.id === categoryIdFrom(fromId));
+    const to = householdCategories.find((c) => c.id === categoryIdFrom(toId));
+    if (!from || !to || from.id === to.id) return false;
+
+    const children = householdCategories.filter((c) => c.parentId === from.id);
+    if (children.some((c) => c.id === to.id)) {
+      alert("Pick a category outside this one's subcategories, or merge the subcategory into it instead.");
+      return false;
+    }
+
+    const ok = window.confirm(
+      `Merge "${from.name}" into "${to.name}"? Transactions, budgets and recurring rules will be recoded` +
+        (children.length ? ` and ${children.length} subcategory(ies) will move under "${to.name}".` : ".")
+    );
+    if (!ok) return false;
+
+    if (!(await recodeCategory(from.name, to.name))) return false;
+
+    const newParentId = mergeParentFor(to);
+    const moved = [];
+    for (const c of children) {
+      const row = await saveCategoryRow(c.id, { ...c, parentId: newParentId });
+      if (!row) return false;
+      moved.push(row);
+    }
+
+    if (canViewData) {
+      const { error } = await supabase
+        .from("household_categories")
+        .delete()
+        .eq("id", from.id)
+        .eq("household_id", householdId);
+
+      if (error) {
+        console.warn("[db] mergeCategory delete failed", error);
+        alert(error.message);
+        return false;
+      }
+    }
+
+    const movedById = new Map(moved.map((c) => [c.id, c]));
+    setHouseholdCategories((prev) => prev.filter((c) => c.id !== from.id).map((c) => movedById.get(c.id) || c));
+    return true;
+  };
+
+  const addAccount = async () => {
+    if (!newAccount.name) return;
+
+    const draft = {
+      ...newAccount,
+      name: String(newAccount.name).trim(),
+      institution: String(newAccount.institution || "").trim(),
+      account_type: newAccount.account_type || "checking",
+      last4: String(newAccount.last4 || "").trim(),
+      opening_balance: newAccount.opening_balance === "" ? null : Number(newAccount.opening_balance),
+      opening_balance_date: newAccount.opening_balance_date || null,
+    };
+
+    if (canViewData) {
+      const payload = {
+        household_id: householdId,
+        name: draft.name,
+        institution: draft.institution,
+        account_type: draft.account_type,
+        last4: draft.last4,
+        opening_balance: draft.opening_balance,
+        opening_balance_date: draft.opening_balance_date,
+        created_by: session.user.id,
+      };
+
+      const { data, error } = await supabase.from("accounts").insert(payload).select("*").single();
+      if (error) {
+        console.warn("[db] addAccount failed", error);
+        alert(error.message);
+        return;
+      }
+      setAccounts((prev) => [{ ...data, ...fromDbAccountBalance(data) }, ...prev]);
+    } else {
+      setAccounts((prev) => [{ id: Date.now(), ...draft }, ...prev]);
+    }
+
+    setNewAccount({ name: "", institution: "", account_type: "checking", last4: "", opening_balance: "", opening_balance_date: "" });
+  };
+
+  // Opening balance: what the account held on `opening_balance_date`; later
+  // transactions move it from there
+  const updateAccountOpeningBalance = async (id, { opening_balance, opening_balance_date }) => {
+    const patch = {
+      opening_balance: opening_balance === "" || opening_balance == null ? null : Number(opening_balance),
+      opening_balance_date: opening_balance_date || null,
+    };
+
+    if (canViewData) {
+      const { error } = await supabase.from("accounts").update(patch).eq("id", id).eq("household_id", householdId);
+      if (error) {
+        console.warn("[db] updateAccountOpeningBalance failed", error);
+        alert(error.message);
+        return false;
+      }
+    }
+
+    setAccounts((prev) => prev.map((a) => (Number(a.id) === Number(id) ? { ...a, ...patch } : a)));
+    return true;
+  };
+
+  // Lock the ticked transactions against a statement and remember where the
+  // account was last reconciled
+  const reconcileAccount = async (id, { statementDate, statementBalance, ids }) => {
+    if (!ids.length) return false;
+    const patch = { reconciled_through: statementDate, reconciled_balance: statementBalance };
+
+    if (canViewData) {
+      const { error } = await supabase
+        .from("transactions")
+        .update({ reconciled_on: statementDate })
+        .eq("household_id", householdId)
+        .in("id", ids);
+      if (error) {
+        console.warn("[db] reconcileAccount failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      const { error: acctError } = await supabase.from("accounts").update(patch).eq("id", id).eq("household_id", householdId);
+      if (acctError) {
+        console.warn("[db] reconcileAccount failed", acctError);
+        alert(acctError.message);
+        return false;
+      }
+    }
+
+    const locked = new Set(ids);
+    setTransactions((prev) => prev.map((t) => (locked.has(t.id) ? { ...t, reconciled_on: statementDate } : t)));
+    setAccounts((prev) => prev.map((a) => (Number(a.id) === Number(id) ? { ...a, ...patch } : a)));
+    return true;
+  };
+
+  const unlockReconciledTransaction = async (id) => {
+    if (!window.confirm("Unlock this reconciled transaction? Editing it can throw the account out of balance with its statement.")) return;
+
+    if (canViewData) {
+      const { error } = await supabase
+        .from("transactions")
+        .update({ reconciled_on: null })
+        .eq("id", id)
+        .eq("household_id", householdId);
+      if (error) {
+        console.warn("[db] unlockReconciledTransaction failed", error);
+        alert(error.message);
+        return;
+      }
+    }
+
+    setTransactions((prev) => prev.map((t) => (t.id === id ? { ...t, reconciled_on: null } : t)));
+  };
+
+  const deleteAccount = async (id) => {
+    if (!id) return;
+    // Guard: don't delete if referenced
+    const used = (transactions || []).some(
+      (t) => Number(t.account_id) === Number(id) || Number(t.transfer_account_id) === Number(id)
+    );
+    if (used) {
+      alert("This account is referenced by existing transactions. Remove those links first.");
+      return;
+    }
+
+    if (canViewData) {
+      const { error } = await supabase.from("accounts").delete().eq("id", id).eq("household_id", householdId);
+      if (error) {
+        console.warn("[db] deleteAccount failed", error);
+        alert(error.message);
+        return;
+      }
+    }
+
+    setAccounts((prev) => prev.filter((a) => Number(a.id) !== Number(id)));
+  };
+
+  const addBudget = async () => {
+    if (!newBudget.category || !newBudget.amount || !newBudget.month) return;
+
+    const draft = { ...newBudget, amount: parseFloat(newBudget.amount) };
+
+    if (canViewData) {
+      const payload = {
+        household_id: householdId,
+        category: draft.category,
+        amount: draft.amount,
+        month: monthToDb(draft.month),
+        person: draft.person,
+        created_by: session.user.id,
+      };
+
+      const { data, error } = await supabase.from("budgets").insert(payload).select("*").single();
+      if (error) {
+        console.warn("[db] addBudget failed", error);
+        alert(error.message);
+        return;
+      }
+      setBudgets((prev) => [{ ...data, amount: Number(data.amount) }, ...prev]);
+      setBudgetViewMonth(toMonthKey(draft.month));
+    } else {
+      setBudgets((prev) => [...prev, { ...draft, id: Date.now() }]);
+      setBudgetViewMonth(toMonthKey(draft.month));
+    }
+
+    setNewBudget({
+      category: "Food",
+      amount: "",
+      month: monthToDb(draft.month),
+      person: "joint",
+    });
+  };
+
+  // One policy row per category (upserted)
+  const saveRolloverPolicy = async (category, draft) => {
+    const payload = toDbRolloverPolicy({ ...draft, category });
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("budget_rollover_policies")
+        .upsert(
+          { ...payload, household_id: householdId, created_by: session.user.id },
+          { onConflict: "household_id,category" }
+        )
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] saveRolloverPolicy failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      const saved = fromDbRolloverPolicy(data);
+      setRolloverPolicies((prev) => [...prev.filter((p) => p.category !== category), saved]);
+      return true;
+    }
+
+    setRolloverPolicies((prev) => [
+      ...prev.filter((p) => p.category !== category),
+      { ...fromDbRolloverPolicy(payload), id: Date.now() },
+    ]);
+    return true;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Budget templates / copy forward: helpers plan the rows, this saves them
+  // ---------------------------------------------------------------------------
+  const saveBudgetPlan = async ({ inserts, updates, deletes }) => {
+    if (canViewData) {
+      const [insRes, updRes, delRes] = await Promise.all([
+        inserts.length
+          ? supabase
+              .from("budgets")
+              .insert(
+                inserts.map((b) => ({
+                  ...b,
+                  month: monthToDb(b.month),
+                  household_id: householdId,
+                  created_by: session.user.id,
+                }))
+              )
+              .select("*")
+          : { data: [] },
+        Promise.all(
+          updates.map((u) =>
+            supabase
+              .from("budgets")
+              .update({ amount: u.amount, template_id: u.template_id })
+              .eq("id", u.id)
+              .eq("household_id", householdId)
+              .select("*")
+              .single()
+          )
+        ),
+        deletes.length
+          ? supabase.from("budgets").delete().eq("household_id", householdId).in("id", deletes)
+          : {},
+      ]);
+
+      const error = insRes.error || updRes.find((r) => r.error)?.error || delRes.error;
+      if (error) {
+        console.warn("[db] saveBudgetPlan failed", error);
+        alert(error.message);
+      }
+
+      const toRow = (b) => ({ ...b, amount: Number(b.amount), month: toMonthKey(b.month) });
+      const updated = new Map(updRes.filter((r) => r.data).map((r) => [r.data.id, toRow(r.data)]));
+      const deleted = new Set(delRes.error ? [] : deletes);
+      setBudgets((prev) => [
+        ...(insRes.data ?? []).map(toRow),
+        ...prev.filter((b) => !deleted.has(b.id)).map((b) => updated.get(b.id) ?? b),
+      ]);
+      return !error;
+    }
+
+    const updated = new Map(updates.map((u) => [u.id, u]));
+    setBudgets((prev) => [
+      ...prev
+        .filter((b) => !deletes.includes(b.id))
+        .map((b) => (updated.has(b.id) ? { ...b, ...updated.get(b.id) } : b)),
+      ...inserts.map((b, i) => ({ ...b, id: Date.now() + i })),
+    ]);
+    return true;
+  };
+
+  const addBudgetTemplateFromMonth = async (name) => {
+    const template = { name, items: templateItemsFromBudgets(budgetsForViewMonth) };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("budget_templates")
+        .insert({ ...toDbBudgetTemplate(template), household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addBudgetTemplate failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setBudgetTemplates((prev) => [...prev, fromDbBudgetTemplate(data)]);
+      return true;
+    }
+
+    setBudgetTemplates((prev) => [
+      ...prev,
+      { ...fromDbBudgetTemplate(toDbBudgetTemplate(template)), id: Date.now(), createdAt: new Date().toISOString() },
+    ]);
+    return true;
+  };
+
+  const applyBudgetTemplate = async (template, startMonth, count, overwrite) => {
+    const plan = planTemplateApply({ template, months: monthsFrom(startMonth, count), budgets, overwrite });
+    if (!planSize(plan)) return alert("Those months already have these budgets.");
+    if (await saveBudgetPlan(plan)) setBudgetViewMonth(startMonth);
+  };
+
+  const copyBudgetsForward = async (overwrite) => {
+    const fromMonth = addMonthsToKey(budgetViewMonth, -1);
+    const plan = planCopyForward({ budgets: filteredBudgets, fromMonth, toMonth: budgetViewMonth, overwrite });
+    if (!planSize(plan)) return alert(`Nothing to copy from ${monthLabelFromKey(fromMonth)}.`);
+    await saveBudgetPlan(plan);
+  };
+
+  const adjustBudgetsByPercent = async (percent) => {
+    const label = monthLabelFromKey(budgetViewMonth);
+    if (!window.confirm(`Change ${budgetsForViewMonth.length} budget(s) in ${label} by ${percent > 0 ? "+" : ""}${percent}%?`)) return false;
+    return saveBudgetPlan(planPercentAdjust({ rows: budgetsForViewMonth, percent }));
+  };
+
+  const updateBudgetTemplate = async (before, draft) => {
+    const payload = toDbBudgetTemplate(draft);
+    let after = { ...fromDbBudgetTemplate(payload), id: before.id, createdAt: before.createdAt };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("budget_templates")
+        .update(payload)
+        .eq("id", before.id)
+        .eq("household_id", householdId)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] updateBudgetTemplate failed", error);
+        alert(error.message);
+        return false;
+      }
+      after = fromDbBudgetTemplate(data);
+    }
+
+    setBudgetTemplates((prev) => prev.map((t) => (t.id === before.id ? after : t)));
+
+    // Months after this one that were filled from the template and not edited since
+    const plan = planTemplatePropagation({ before, after, budgets, afterMonth: currentMonth });
+    if (planSize(plan) && window.confirm(`Update ${planSize(plan)} budget(s) in future months that still follow "${after.name}"?`)) {
+      await saveBudgetPlan(plan);
+    }
+    return true;
+  };
+
+  const deleteBudgetTemplate = async (id) => {
+    if (!window.confirm("Delete this template? Budgets already created from it are kept.")) return false;
+
+    if (canViewData) {
+      const { error } = await supabase
+        .from("budget_templates")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
+
+      if (error) {
+        console.warn("[db] deleteBudgetTemplate failed", error);
+        alert(error.message);
+        return false;
+      }
+    }
+
+    setBudgetTemplates((prev) => prev.filter((t) => t.id !== id));
+    setBudgets((prev) => prev.map((b) => (b.template_id === id ? { ...b, template_id: null } : b)));
+    return true;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Budget alerts + notification center
+  // ---------------------------------------------------------------------------
+  const addAlertRule = async (draft) => {
+    const payload = toDbAlertRule(draft);
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("budget_alert_rules")
+        .insert({ ...payload, household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addAlertRule failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setAlertRules((prev) => [...prev, fromDbAlertRule(data)]);
+      return true;
+    }
+
+    setAlertRules((prev) => [...prev, { ...fromDbAlertRule(payload), id: Date.now(), createdAt: new Date().toISOString() }]);
+    return true;
+  };
+
+  const updateAlertRule = async (id, patch) => {
+    const rule = alertRules.find((r) => r.id === id);
+    if (!rule) return;
+    const payload = toDbAlertRule({ ...rule, ...patch });
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("budget_alert_rules")
+        .update(payload)
+        .eq("id", id)
+        .eq("household_id", householdId)
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] updateAlertRule failed", error);
+        alert(error.message);
+        return;
+      }
+
+      setAlertRules((prev) => prev.map((r) => (r.id === id ? fromDbAlertRule(data) : r)));
+      return;
+    }
+
+    setAlertRules((prev) => prev.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  };
+
+  const deleteAlertRule = async (id) => {
+    if (!window.confirm("Delete this alert rule?")) return;
+
+    if (canViewData) {
+      const { error } = await supabase
+        .from("budget_alert_rules")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
+
+      if (error) {
+        console.warn("[db] deleteAlertRule failed", error);
+        alert(error.message);
+        return;
+      }
+    }
+
+    setAlertRules((prev) => prev.filter((r) => r.id !== id));
+  };
 
-    setTransactions((prev) => [...enriched, ...prev]);
-  } else {
-    setTransactions((prev) => [
-      ...normalized.map((t) => ({ id: Date.now() + Math.random(), ...t })),
-      ...prev,
-    ]);
-  }
-};
+  const markNotificationsRead = async (ids, read) => {
+    const readAt = read ? new Date().toISOString() : null;
 
+    if (canViewData) {
+      const { error } = await supabase
+        .from("notifications")
+        .update({ read_at: readAt })
+        .eq("household_id", householdId)
+        .in("id", ids);
 
-  const addAsset = async () => {
-    if (!newAsset.name || !newAsset.value) return;
+      if (error) {
+        console.warn("[db] markNotificationsRead failed", error);
+        alert(error.message);
+        return;
+      }
+    }
 
-    const draft = { ...newAsset, value: parseFloat(newAsset.value) };
+    setNotifications((prev) => prev.map((n) => (ids.includes(n.id) ? { ...n, readAt } : n)));
+  };
 
+  const deleteNotifications = async (ids) => {
     if (canViewData) {
-      const payload = {
-        household_id: householdId,
-        name: draft.name,
-        value: draft.value,
-        person: draft.person,
-        created_by: session.user.id,
-      };
+      const { error } = await supabase
+        .from("notifications")
+        .delete()
+        .eq("household_id", householdId)
+        .in("id", ids);
 
-      const { data, error } = await supabase.from("assets").insert(payload).select("*").single();
       if (error) {
-        console.warn("[db] addAsset failed", error);
+        console.warn("[db] deleteNotifications failed", error);
         alert(error.message);
         return;
       }
-      setAssets((prev) => [{ ...data, value: Number(data.value) }, ...prev]);
-    } else {
-      setAssets((prev) => [...prev, { ...draft, id: Date.now() }]);
     }
 
-    setNewAsset({ name: "", value: "", person: "joint" });
+    setNotifications((prev) => prev.filter((n) => !ids.includes(n.id)));
   };
 
-  const addLiability = async () => {
-    if (!newLiability.name || !newLiability.value) return;
+  // Check this month's budgets against the active rules; each rule fires once
+  // per category per month (dedupe_key is unique per household)
+  const checkBudgetAlerts = async () => {
+    const rules = alertRules.filter((r) => r.active);
+    if (!rules.length) return;
+
+    // Household-wide, like the notifications themselves: the person filter
+    // must not decide whether (or with which numbers) an alert fires
+    const month = currentMonth;
+    const lines = expandSplitLines(transactions);
+    const householdProgress = (category, m) => {
+      const rows = budgets.filter((b) => b.category === category && toMonthKey(b.month) === m);
+      if (!rows.length) return null;
+      const family = categoryFamily(householdCategories, category);
+      const spent = lines
+        .filter(
+          (t) =>
+            t.type === "expense" &&
+            (t.transaction_type || "normal") !== "transfer" &&
+            family.has(t.category) &&
+            t.date &&
+            t.date.startsWith(m)
+        )
+        .reduce((sum, t) => sum + Math.abs(Number(t.amount || 0)), 0);
+      return { budget: rows.reduce((sum, b) => sum + Number(b.amount || 0), 0), spent };
+    };
 
-    const draft = { ...newLiability, value: parseFloat(newLiability.value) };
+    const ledger = rolloverEnabled
+      ? rolloverLedger({ budgets, progressFor: householdProgress, policies: rolloverPolicies, month })
+      : {};
+    const categories = [...new Set(budgets.filter((b) => toMonthKey(b.month) === month).map((b) => b.category))];
+    const seen = new Set(notifications.map((n) => n.dedupeKey));
+
+    const fresh = evaluateBudgetAlerts({
+      rules,
+      categories,
+      month,
+      progressFor: (category) => {
+        const progress = householdProgress(category, month);
+        if (!progress) return null;
+        const rollover = Number(ledger[category]?.rollover || 0);
+        return { budget: Math.max(0, progress.budget + rollover), spent: progress.spent };
+      },
+    }).filter((n) => !seen.has(n.dedupeKey));
+    if (!fresh.length) return;
 
     if (canViewData) {
-      const payload = {
-        household_id: householdId,
-        name: draft.name,
-        value: draft.value,
-        person: draft.person,
-        created_by: session.user.id,
-      };
+      const { data, error } = await supabase
+        .from("notifications")
+        .upsert(
+          fresh.map((n) => ({ ...toDbNotification(n), household_id: householdId, created_by: session.user.id })),
+          { onConflict: "household_id,dedupe_key", ignoreDuplicates: true }
+        )
+        .select("*");
 
-      const { data, error } = await supabase.from("liabilities").insert(payload).select("*").single();
       if (error) {
-        console.warn("[db] addLiability failed", error);
-        alert(error.message);
+        console.warn("[db] checkBudgetAlerts failed", error);
         return;
       }
-      setLiabilities((prev) => [{ ...data, value: Number(data.value) }, ...prev]);
-    } else {
-      setLiabilities((prev) => [...prev, { ...draft, id: Date.now() }]);
+
+      setNotifications((prev) => [...(data ?? []).map(fromDbNotification), ...prev]);
+      return;
     }
 
-    setNewLiability({ name: "", value: "", person: "joint" });
+    const createdAt = new Date().toISOString();
+    setNotifications((prev) => [...fresh.map((n, i) => ({ ...n, id: Date.now() + i, readAt: null, createdAt })), ...prev]);
   };
 
-  const addAccount = async () => {
-    if (!newAccount.name) return;
+  useEffect(() => {
+    if (!alertCheckPendingRef.current) return;
+    alertCheckPendingRef.current = false;
+    checkBudgetAlerts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [transactions, budgets]);
+
+  const notificationFeedNow = useMemo(() => notificationFeed(notifications), [notifications]);
+  const unreadNotifications = unreadNotificationCount(notificationFeedNow);
+
+  const changeBudgetMode = (mode) => {
+    setBudgetMode(mode);
+    storage?.set("finance-budget-mode", mode).catch(console.error);
+  };
 
-    const draft = {
-      ...newAccount,
-      name: String(newAccount.name).trim(),
-      institution: String(newAccount.institution || "").trim(),
-      account_type: newAccount.account_type || "checking",
-      last4: String(newAccount.last4 || "").trim(),
-    };
+  // ---------------------------------------------------------------------------
+  // Envelope budgeting: assignments are budget rows, plus moves between envelopes
+  // ---------------------------------------------------------------------------
+  const assignEnvelope = async (category, amount) => {
+    const month = budgetViewMonth;
+    const rows = filteredBudgets.filter((b) => b.category === category && b.month === month);
+    if (rows.length > 1) {
+      alert(`${category} has several budget rows for ${monthLabelFromKey(month)} (one per person). Edit them in monthly caps mode.`);
+      return false;
+    }
+    const existing = rows[0];
 
     if (canViewData) {
-      const payload = {
-        household_id: householdId,
-        name: draft.name,
-        institution: draft.institution,
-        account_type: draft.account_type,
-        last4: draft.last4,
-        created_by: session.user.id,
-      };
+      const { data, error } = existing
+        ? await supabase
+            .from("budgets")
+            .update({ amount })
+            .eq("id", existing.id)
+            .eq("household_id", householdId)
+            .select("*")
+            .single()
+        : await supabase
+            .from("budgets")
+            .insert({
+              household_id: householdId,
+              category,
+              amount,
+              month: monthToDb(month),
+              person: selectedPerson,
+              created_by: session.user.id,
+            })
+            .select("*")
+            .single();
 
-      const { data, error } = await supabase.from("accounts").insert(payload).select("*").single();
       if (error) {
-        console.warn("[db] addAccount failed", error);
+        console.warn("[db] assignEnvelope failed", error);
         alert(error.message);
-        return;
+        return false;
       }
-      setAccounts((prev) => [data, ...prev]);
-    } else {
-      setAccounts((prev) => [{ id: Date.now(), ...draft }, ...prev]);
+
+      const row = { ...data, amount: Number(data.amount), month: toMonthKey(data.month) };
+      setBudgets((prev) => (existing ? prev.map((b) => (b.id === existing.id ? row : b)) : [row, ...prev]));
+      return true;
     }
 
-    setNewAccount({ name: "", institution: "", account_type: "checking", last4: "" });
+    setBudgets((prev) =>
+      existing
+        ? prev.map((b) => (b.id === existing.id ? { ...b, amount } : b))
+        : [...prev, { id: Date.now(), category, amount, month, person: selectedPerson }]
+    );
+    return true;
   };
 
-  const deleteAccount = async (id) => {
-    if (!id) return;
-    // Guard: don't delete if referenced
-    const used = (transactions || []).some(
-      (t) => Number(t.account_id) === Number(id) || Number(t.transfer_account_id) === Number(id)
-    );
-    if (used) {
-      alert("This account is referenced by existing transactions. Remove those links first.");
-      return;
+  const addEnvelopeMove = async (draft) => {
+    const move = { ...draft, month: budgetViewMonth, person: selectedPerson };
+
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("envelope_moves")
+        .insert({ ...toDbEnvelopeMove(move), household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addEnvelopeMove failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setEnvelopeMoves((prev) => [...prev, fromDbEnvelopeMove(data)]);
+      return true;
     }
 
+    setEnvelopeMoves((prev) => [
+      ...prev,
+      { ...fromDbEnvelopeMove(toDbEnvelopeMove(move)), id: Date.now(), createdAt: new Date().toISOString() },
+    ]);
+    return true;
+  };
+
+  const deleteEnvelopeMove = async (id) => {
     if (canViewData) {
-      const { error } = await supabase.from("accounts").delete().eq("id", id).eq("household_id", householdId);
+      const { error } = await supabase
+        .from("envelope_moves")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
+
       if (error) {
-        console.warn("[db] deleteAccount failed", error);
         alert(error.message);
         return;
       }
     }
 
-    setAccounts((prev) => prev.filter((a) => Number(a.id) !== Number(id)));
+    setEnvelopeMoves((prev) => prev.filter((m) => m.id !== id));
   };
 
-  const addBudget = async () => {
-    if (!newBudget.category || !newBudget.amount || !newBudget.month) return;
+  const addSinkingFund = async (draft) => {
+    const fund = { ...draft, person: selectedPerson };
 
-    const draft = { ...newBudget, amount: parseFloat(newBudget.amount) };
+    if (canViewData) {
+      const { data, error } = await supabase
+        .from("sinking_funds")
+        .insert({ ...toDbSinkingFund(fund), household_id: householdId, created_by: session.user.id })
+        .select("*")
+        .single();
+
+      if (error) {
+        console.warn("[db] addSinkingFund failed", error);
+        alert(error.message);
+        return false;
+      }
+
+      setSinkingFunds((prev) => [...prev, fromDbSinkingFund(data)]);
+      return true;
+    }
+
+    setSinkingFunds((prev) => [
+      ...prev,
+      { ...fromDbSinkingFund(toDbSinkingFund(fund)), id: Date.now(), createdAt: new Date().toISOString() },
+    ]);
+    return true;
+  };
+
+  const deleteSinkingFund = async (id) => {
+    if (!window.confirm("Delete this sinking fund?")) return;
 
     if (canViewData) {
-      const payload = {
-        household_id: householdId,
-        category: draft.category,
-        amount: draft.amount,
-        month: monthToDb(draft.month),
-        person: draft.person,
-        created_by: session.user.id,
-      };
+      const { error } = await supabase
+        .from("sinking_funds")
+        .delete()
+        .eq("id", id)
+        .eq("household_id", householdId);
 
-      const { data, error } = await supabase.from("budgets").insert(payload).select("*").single();
       if (error) {
-        console.warn("[db] addBudget failed", error);
+        console.warn("[db] deleteSinkingFund failed", error);
         alert(error.message);
         return;
       }
-      setBudgets((prev) => [{ ...data, amount: Number(data.amount) }, ...prev]);
-      setBudgetViewMonth(toMonthKey(draft.month));
-    } else {
-      setBudgets((prev) => [...prev, { ...draft, id: Date.now() }]);
-      setBudgetViewMonth(toMonthKey(draft.month));
     }
 
-    setNewBudget({
-      category: "Food",
-      amount: "",
-      month: monthToDb(draft.month),
-      person: "joint",
-    });
+    setSinkingFunds((prev) => prev.filter((f) => f.id !== id));
   };
 
 const addProjectDb = async () => {
@@ -2824,6 +5232,11 @@ const addRecurringRule = async () => {
     return;
   }
 
+  if (needsAnchorDate(newRecurring.frequency) && !newRecurring.start_date) {
+    alert("Pick a start date so the schedule knows when the cycle begins.");
+    return;
+  }
+
   const payload = {
     household_id: householdId,
     description,
@@ -2832,10 +5245,8 @@ const addRecurringRule = async () => {
     amount: Math.abs(amountNum),
     type: newRecurring.type || "expense",
     person: newRecurring.person || "joint",
-    frequency: "monthly",
-    day_of_month: Number(newRecurring.dayOfMonth) || 1,
-    start_date: null,
-    end_date: null,
+    ...recurrenceToDb(newRecurring),
+    account_id: newRecurring.accountId ? Number(newRecurring.accountId) : null,
     active: true,
     created_by: session.user.id,
   };
@@ -2849,7 +5260,7 @@ const addRecurringRule = async () => {
 
     if (error) throw error;
 
-    setRecurringRules((prev) => [data, ...prev]);
+    setRecurringRules((prev) => [fromDbRecurringRule(data), ...prev]);
 
     // Clear fields you likely want to re-enter; keep category/type/person sticky
     setNewRecurring((prev) => ({
@@ -2857,6 +5268,8 @@ const addRecurringRule = async () => {
       description: "",
       amount: "",
       dayOfMonth: 1,
+      start_date: "",
+      end_date: "",
     }));
   } catch (e) {
     console.error("[db] addRecurringRule failed", e);
@@ -2894,8 +5307,10 @@ const addRecurringRule = async () => {
   setUserToggledBudgets((prev) => ({ ...prev, [budgetId]: true }));
 };
 
+// Posts every occurrence in the month (or up to `throughDate` within it) that
+// hasn't been posted yet. Occurrences are keyed by their unshifted date.
 const applyRecurringForMonth = async (monthKey, opts = {}) => {
-  const { silent = false, ruleIds } = opts;
+  const { silent = false, ruleIds, throughDate } = opts;
 
   const notify = (msg) => {
     if (!silent) alert(msg);
@@ -2904,8 +5319,8 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
   if (!recurringRules?.length) return notify("No recurring transactions defined yet.");
   if (!monthKey || !/^\d{4}-\d{2}$/.test(monthKey)) return notify("Pick a valid month.");
 
-  const [year, month] = monthKey.split("-");
-  const pad2 = (n) => String(n).padStart(2, "0");
+  const { from, to: monthEnd } = monthRange(monthKey);
+  const to = throughDate && throughDate < monthEnd ? throughDate : monthEnd;
 
   // ✅ NEW: determine which rules to apply
   const hasSelection = Array.isArray(ruleIds) && ruleIds.length > 0;
@@ -2915,20 +5330,8 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
 
   const newTxns = [];
 
-  rulesToApply.forEach((rule) => {
-    if (!rule.active) return;
-
-    const safeDay = Math.min(Math.max(Number(rule.dayOfMonth) || 1, 1), 31);
-    const date = `${year}-${month}-${pad2(safeDay)}`;
-
-    const exists = transactions?.some(
-      (t) =>
-        t.date === date &&
-        t.description === rule.description &&
-        Number(t.amount) === Number(rule.amount) &&
-        t.type === rule.type &&
-        t.person === rule.person
-    );
+  expandRecurringRules(rulesToApply, from, to).forEach(({ rule, date, scheduledDate }) => {
+    const exists = findOccurrenceTransaction(transactions, rule, { date, scheduledDate });
 
     if (!exists) {
       newTxns.push({
@@ -2938,7 +5341,12 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
         amount: Number(rule.amount),
         type: rule.type,
         person: rule.person,
+        // Same account the forecast expected it on
+        account_id: rule.accountId ?? forecastDefaultAccountId,
         recurring_rule_id: rule.id,
+        occurrence_date: scheduledDate,
+        // Only monthly rules post once per month; the old (rule, applied_month) key still exists
+        applied_month: (rule.frequency || "monthly") === "monthly" ? monthKey : null,
       });
     }
   });
@@ -2959,15 +5367,17 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
       amount: t.amount,
       type: t.type,
       person: t.person,
+      account_id: t.account_id,
       created_by: session.user.id,
       recurring_rule_id: t.recurring_rule_id,
-      applied_month: monthKey,
+      applied_month: t.applied_month,
+      occurrence_date: t.occurrence_date,
     }));
 
     const { data, error } = await supabase
       .from("transactions")
       .upsert(payload, {
-        onConflict: "household_id,recurring_rule_id,applied_month",
+        onConflict: "household_id,recurring_rule_id,occurrence_date",
       })
       .select("*");
 
@@ -2976,8 +5386,13 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
       return notify(error.message || "Could not apply recurring items.");
     }
 
-    const inserted = (data ?? []).map((t) => ({ ...t, amount: Number(t.amount) }));
+    const inserted = (data ?? []).map((t) => ({
+      ...t,
+      amount: Number(t.amount),
+      account_name: accounts.find((a) => Number(a.id) === Number(t.account_id))?.name || "",
+    }));
     setTransactions((prev) => [...inserted, ...(prev ?? [])]);
+    alertCheckPendingRef.current = true;
 
     notify(
       hasSelection
@@ -2988,8 +5403,13 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
   }
 
   // Local-only fallback
-  const localRows = newTxns.map((t, idx) => ({ id: Date.now() + idx, ...t }));
+  const localRows = newTxns.map((t, idx) => ({
+    id: Date.now() + idx,
+    ...t,
+    account_name: accounts.find((a) => Number(a.id) === Number(t.account_id))?.name || "",
+  }));
   setTransactions((prev) => [...localRows, ...(prev ?? [])]);
+  alertCheckPendingRef.current = true;
   notify(
     hasSelection
       ? `Added ${localRows.length} selected recurring transaction(s) for ${monthKey}.`
@@ -2998,6 +5418,130 @@ const applyRecurringForMonth = async (monthKey, opts = {}) => {
 };
 
 
+// Turns a detected pattern into a rule and links the transactions it matched
+const createRuleFromCandidate = async (c) => {
+  const schedule = {
+    frequency: c.frequency,
+    dayOfMonth: c.dayOfMonth,
+    secondDayOfMonth: c.secondDayOfMonth,
+    weekendShift: "none",
+    start_date: c.startDate,
+    end_date: "",
+  };
+  const matchIds = new Set(c.matchIds);
+
+  if (!canViewData || !householdId || !session?.user?.id) {
+    const id = Date.now();
+    setRecurringRules((prev) => [
+      {
+        id,
+        description: c.description,
+        category: c.category,
+        amount: c.amount,
+        type: c.type,
+        person: c.person,
+        accountId: c.accountId,
+        active: true,
+        ...schedule,
+      },
+      ...prev,
+    ]);
+    setTransactions((prev) => prev.map((t) => (matchIds.has(t.id) ? { ...t, recurring_rule_id: id } : t)));
+    return true;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .insert({
+        household_id: householdId,
+        description: c.description,
+        category: c.category,
+        amount: c.amount,
+        type: c.type,
+        person: c.person,
+        account_id: c.accountId,
+        ...recurrenceToDb(schedule),
+        active: true,
+        created_by: session.user.id,
+      })
+      .select("*")
+      .single();
+    if (error) throw error;
+
+    const rule = fromDbRecurringRule(data);
+    setRecurringRules((prev) => [rule, ...prev]);
+
+    const { error: linkError } = await supabase
+      .from("transactions")
+      .update({ recurring_rule_id: rule.id })
+      .eq("household_id", householdId)
+      .in("id", c.matchIds);
+    if (linkError) console.warn("[db] link transactions to recurring rule failed", linkError);
+    else setTransactions((prev) => prev.map((t) => (matchIds.has(t.id) ? { ...t, recurring_rule_id: rule.id } : t)));
+    return true;
+  } catch (e) {
+    console.error("[db] createRuleFromCandidate failed", e);
+    alert(e.message || "Could not create the recurring rule.");
+    return false;
+  }
+};
+
+// Bill calendar "Mark paid": records the transaction for a recurring
+// occurrence or a planned project. Future items are recorded as paid today.
+const markCalendarItemPaid = async (item) => {
+  const today = todayIso();
+  const row = {
+    date: item.date <= today ? item.date : today,
+    description: item.kind === "project" ? item.project.name : item.description,
+    category: item.category || "Uncategorized",
+    amount: item.amount,
+    type: item.type,
+    person: item.person,
+    // Same account the forecast expected it on
+    account_id: (item.kind === "recurring" ? item.rule.accountId : null) ?? forecastDefaultAccountId,
+    ...(item.kind === "recurring"
+      ? {
+          recurring_rule_id: item.rule.id,
+          occurrence_date: item.scheduledDate,
+          applied_month: (item.rule.frequency || "monthly") === "monthly" ? item.scheduledDate.slice(0, 7) : null,
+        }
+      : { project_id: item.project.id }),
+  };
+
+  const account_name = accounts.find((a) => Number(a.id) === Number(row.account_id))?.name || "";
+
+  if (!canViewData || !householdId || !session?.user?.id) {
+    setTransactions((prev) => [{ id: Date.now(), ...row, account_name }, ...prev]);
+    alertCheckPendingRef.current = true;
+    return true;
+  }
+
+  const { data, error } = await supabase
+    .from("transactions")
+    .insert({ ...row, household_id: householdId, created_by: session.user.id })
+    .select("*")
+    .single();
+
+  if (error) {
+    console.warn("[db] markCalendarItemPaid failed", error);
+    alert(error.message);
+    return false;
+  }
+
+  setTransactions((prev) => [{ ...data, amount: Number(data.amount), account_name }, ...prev]);
+  alertCheckPendingRef.current = true;
+  return true;
+};
+
+const dismissRecurringCandidate = (key) => {
+  setDismissedRecurringKeys((prev) => {
+    const next = [...new Set([...prev, key])];
+    storage?.set("finance-dismissed-recurring", JSON.stringify(next)).catch(console.error);
+    return next;
+  });
+};
+
 const autoApplyRecurringForMonth = async (monthKey) => {
   if (!canViewData || !householdId || !session?.user?.id) return;
   if (!recurringRules?.length) return;
@@ -3048,8 +5592,9 @@ const applyRecurringForDate = async (dateStr, opts = {}) => {
     return;
   }
 
+  // Everything due in that month up to and including the date
   const monthKey = dateStr.slice(0, 7); // YYYY-MM
-  return applyRecurringForMonth(monthKey, opts);
+  return applyRecurringForMonth(monthKey, { ...opts, throughDate: dateStr });
 };
 
 
@@ -3142,6 +5687,10 @@ useEffect(() => {
   // Delete functions (DB-aware)
   // ---------------------------------------------------------------------------
   const deleteTransaction = async (id) => {
+    if (isReconciled(transactions.find((t) => t.id === id))) {
+      alert("This transaction is reconciled. Unlock it from the account register first.");
+      return;
+    }
     if (canViewData) {
       const { error } = await supabase.from("transactions").delete().eq("id", id).eq("household_id", householdId);
       if (error) return alert(error.message);
@@ -3153,16 +5702,20 @@ useEffect(() => {
     if (canViewData) {
       const { error } = await supabase.from("assets").delete().eq("id", id).eq("household_id", householdId);
       if (error) return alert(error.message);
+      await supabase.from("valuation_history").delete().eq("item_type", "asset").eq("item_id", id).eq("household_id", householdId);
     }
     setAssets((prev) => prev.filter((a) => a.id !== id));
+    setValuationHistory((prev) => prev.filter((h) => !(h.kind === "asset" && h.itemId === id)));
   };
 
   const deleteLiability = async (id) => {
     if (canViewData) {
       const { error } = await supabase.from("liabilities").delete().eq("id", id).eq("household_id", householdId);
       if (error) return alert(error.message);
+      await supabase.from("valuation_history").delete().eq("item_type", "liability").eq("item_id", id).eq("household_id", householdId);
     }
     setLiabilities((prev) => prev.filter((l) => l.id !== id));
+    setValuationHistory((prev) => prev.filter((h) => !(h.kind === "liability" && h.itemId === id)));
   };
 
  const deleteBudget = async (id) => {
@@ -3199,6 +5752,10 @@ const deleteProjectDb = async (projectId) => {
   // Edit transaction helpers
   // ---------------------------------------------------------------------------
   const startEditTransaction = (transaction) => {
+    if (isReconciled(transaction)) {
+      alert("This transaction is reconciled. Unlock it from the account register first.");
+      return;
+    }
     setEditingTransactionId(transaction.id);
     setEditTransactionDraft({
       ...transaction,
@@ -3219,6 +5776,11 @@ const deleteProjectDb = async (projectId) => {
     amount: parseFloat(editTransactionDraft.amount) || 0,
   };
 
+  if (hasSplits(updated) && validateSplits(updated.amount, updated.splits)) {
+    alert("This transaction is split. Update or remove its split lines before changing the amount.");
+    return;
+  }
+
   const acct = updated.account_id ? accounts.find((a) => Number(a.id) === Number(updated.account_id)) : null;
   const tr = updated.transfer_account_id ? accounts.find((a) => Number(a.id) === Number(updated.transfer_account_id)) : null;
   updated.transaction_type = updated.transaction_type || "normal";
@@ -3229,6 +5791,7 @@ const deleteProjectDb = async (projectId) => {
   setTransactions((prev) =>
     prev.map((t) => (t.id === editingTransactionId ? { ...t, ...updated } : t))
   );
+  alertCheckPendingRef.current = true;
 
   // Persist (if DB is enabled)
   if (canViewData && householdId && session?.user?.id) {
@@ -3244,6 +5807,7 @@ const deleteProjectDb = async (projectId) => {
         account_id: updated.account_id || null,
         transaction_type: updated.transaction_type || "normal",
         transfer_account_id: (updated.transaction_type === "transfer" ? (updated.transfer_account_id || null) : null),
+        transfer_group_id: (updated.transaction_type === "transfer" ? (updated.transfer_group_id || null) : null),
       })
       .eq("id", editingTransactionId)
       .eq("household_id", householdId)
@@ -3279,6 +5843,36 @@ const deleteProjectDb = async (projectId) => {
   setEditTransactionDraft(null);
 };
 
+// Save (or clear, with null) the category/person lines of a transaction
+const saveTransactionSplits = async (id, lines) => {
+  const parent = transactions.find((t) => t.id === id);
+  if (!parent) return;
+
+  const splits = lines ? normalizeSplits(lines) : null;
+  if (splits) {
+    const problem = validateSplits(parent.amount, splits);
+    if (problem) return alert(problem);
+  }
+
+  if (canViewData) {
+    const { error } = await supabase
+      .from("transactions")
+      .update({ splits })
+      .eq("id", id)
+      .eq("household_id", householdId);
+
+    if (error) {
+      console.warn("[db] saveTransactionSplits failed", error);
+      alert(error.message);
+      return;
+    }
+  }
+
+  setTransactions((prev) => prev.map((t) => (t.id === id ? { ...t, splits } : t)));
+  alertCheckPendingRef.current = true;
+  setSplittingTransactionId(null);
+};
+
 const isMonthOpen = (monthKey) => openMonths.has(monthKey);
 
 const toggleMonth = (monthKey) => {
@@ -3306,7 +5900,7 @@ const selectedMonth = applyMonth || currentMonth;
 const monthTotals = useMemo(() => {
   if (!selectedMonth) return { income: 0, expenses: 0, net: 0 };
 
-  const monthTxns = (transactionsByPerson || []).filter((t) =>
+  const monthTxns = (transactionLinesByPerson || []).filter((t) =>
     String(t.date || "").startsWith(selectedMonth)
   );
 
@@ -3323,7 +5917,7 @@ const monthTotals = useMemo(() => {
   }
 
   return { income, expenses, net: income - expenses };
-}, [transactionsByPerson, selectedMonth]);
+}, [transactionLinesByPerson, selectedMonth]);
 
 
 const projectsQuoteSubtotal = useMemo(() => {
@@ -3333,63 +5927,71 @@ const projectsQuoteSubtotal = useMemo(() => {
         ? Number(p.quotedAmount)
         : p?.quoted_amount != null
           ? Number(p.quoted_amount)
-          : 0;
-
-    return sum + (Number.isFinite(val) ? val : 0);
-  }, 0);
-}, [projects]);
-
-
-//   ---------------------------------------------------------------------------
-//   Forecast calculation (no DB calls)
-//   ---------------------------------------------------------------------------
-const addMonths = (yyyyMm, delta) => {
-  const [y, m] = yyyyMm.split("-").map(Number);
-  const d = new Date(y, (m - 1) + delta, 1);
-  const yy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  return `${yy}-${mm}`;
-};
-
-const forecastRows = useMemo(() => {
-  const base = (applyMonth || currentMonth);
-  if (!base) return [];
-
-  const monthsAhead = 6; // change to 3 or 6
-  const rows = [];
-
-  for (let i = 0; i < monthsAhead; i++) {
-    const monthKey = addMonths(base, i);
+          : 0;
 
-    let income = 0;
-    let expenses = 0;
+    return sum + (Number.isFinite(val) ? val : 0);
+  }, 0);
+}, [projects]);
 
-    for (const r of (recurringRulesByPerson || [])) {
-      if (!r.active) continue;
-      const amt = Number(r.amount || 0);
-      if (r.type === "income") income += amt;
-      else expenses += amt;
-    }
 
-    rows.push({
-      monthKey,
-      income,
-      expenses,
-      net: income - expenses,
-    });
+//   ---------------------------------------------------------------------------
+//   Forecast calculation (no DB calls)
+//   ---------------------------------------------------------------------------
+// Loan schedules by month (from today's balances). Loans whose payment already
+// has a recurring rule only contribute principal, not a second payment.
+const loanForecastByMonth = useMemo(() => {
+  const coveredIds = new Set(
+    (recurringRules || []).filter((r) => r.active && r.liabilityId).map((r) => r.liabilityId)
+  );
+  return loanPaymentsByMonth(filteredLiabilities, currentMonth, 24, { coveredIds });
+}, [filteredLiabilities, recurringRules, currentMonth]);
 
-    const monthTxns = transactionsByPerson.filter(
-  	(t) => t.date && t.date.startsWith(monthKey)
-	);
+const registerAccount = useMemo(
+  () => accounts.find((a) => a.id === registerAccountId) || null,
+  [accounts, registerAccountId]
+);
 
-	for (const t of monthTxns) {
-  		const amt = Number(t.amount || 0);
-  		if (t.type === "income") income += amt;
-  		else expenses += amt;
-	}
-  }
-  return rows;
-}, [recurringRulesByPerson, applyMonth, currentMonth]);
+// Account that forecast items without their own account are expected on
+const forecastDefaultAccountId = useMemo(() => {
+  if (forecastAccountId === null) return null;
+  if (accounts.some((a) => Number(a.id) === Number(forecastAccountId))) return Number(forecastAccountId);
+  const checking = accounts.find((a) => (a.account_type || "checking") === "checking");
+  return checking ? Number(checking.id) : null;
+}, [accounts, forecastAccountId]);
+
+// Starting balances + expected events; scenarios rewrite the events from here
+const forecastBaseline = useMemo(() => {
+  const today = todayIso();
+  const end = forecastEnd(today, forecastMonths);
+  const events = forecastEvents({
+    accounts,
+    transactions,
+    rules: recurringRules,
+    projects,
+    liabilities: valuedLiabilities,
+    coveredLiabilityIds: new Set(
+      (recurringRules || []).filter((r) => r.active && r.liabilityId).map((r) => r.liabilityId)
+    ),
+    today,
+    end,
+    defaultAccountId: forecastDefaultAccountId,
+  });
+  return { start: accountBalancesToday, events, today, end };
+}, [forecastMonths, accounts, transactions, recurringRules, projects, valuedLiabilities, forecastDefaultAccountId, accountBalancesToday]);
+
+const cashFlowForecast = useMemo(() => {
+  const forecast = simulateForecast(forecastBaseline);
+  forecast.months = forecast.months.map((r) => ({
+    ...r,
+    principalPaid: loanForecastByMonth[r.monthKey]?.principal || 0,
+  }));
+  return forecast;
+}, [forecastBaseline, loanForecastByMonth]);
+
+const forecastWarnings = useMemo(
+  () => lowBalanceWarnings(cashFlowForecast, accounts, lowBalanceThreshold),
+  [cashFlowForecast, accounts, lowBalanceThreshold]
+);
 
 
   // ---------------------------------------------------------------------------
@@ -3429,15 +6031,25 @@ const cancelEditLiability = () =>
     setEditLiabilityDraft,
   });
 
+  // Account-backed drafts save the account's current value
+  const withLinkedValue = (draft, kind) => {
+    if (!draft) return draft;
+    const { linkedAccount: _linkedAccount, ...rest } = draft;
+    const acct = rest.account_id ? accounts.find((a) => Number(a.id) === Number(rest.account_id)) : null;
+    if (!acct) return { ...rest, account_id: null };
+    return { ...rest, account_id: Number(acct.id), value: String(linkedAccountValue(rest, kind, acct, accountBalancesToday)) };
+  };
+
   const saveEditLiability = async () =>
   saveEditLiabilityHelper({
-    editLiabilityDraft,
+    editLiabilityDraft: withLinkedValue(editLiabilityDraft, "liability"),
     editingLiabilityId,
     canViewData,
     householdId,
     supabase,
     setLiabilities,
     cancelEditLiability, // important: pass the wrapper
+    recordValuation: (id, value, priorValue) => recordValueChange("liability", liabilities.find((x) => x.id === id), value, priorValue),
   });
 
   const startEditAsset = (a) =>
@@ -3455,13 +6067,14 @@ const cancelEditAsset = () =>
 
 const saveEditAsset = async () =>
   saveEditAssetHelper({
-    editAssetDraft,
+    editAssetDraft: withLinkedValue(editAssetDraft, "asset"),
     editingAssetId,
     canViewData,
     householdId,
     supabase,
     setAssets,
     cancelEditAsset, // important: pass the wrapper
+    recordValuation: (id, value, priorValue) => recordValueChange("asset", assets.find((x) => x.id === id), value, priorValue),
   });
  
   const startEditRecurringRule = (r) => {
@@ -3473,6 +6086,12 @@ const saveEditAsset = async () =>
     type: r.type || "expense",
     person: r.person || "joint",
     dayOfMonth: String(r.dayOfMonth ?? 1),
+    frequency: r.frequency || "monthly",
+    secondDayOfMonth: String(r.secondDayOfMonth ?? 15),
+    weekendShift: r.weekendShift || "none",
+    start_date: r.start_date || "",
+    end_date: r.end_date || "",
+    accountId: r.accountId ?? "",
   });
   };
 
@@ -3484,10 +6103,20 @@ const saveEditAsset = async () =>
   const saveEditRecurringRule = async () => {
   if (!editRecurringDraft || !editingRecurringRuleId) return;
 
+  if (needsAnchorDate(editRecurringDraft.frequency) && !editRecurringDraft.start_date) {
+    alert("Pick a start date so the schedule knows when the cycle begins.");
+    return;
+  }
+
+  const schedule = recurrenceToDb(editRecurringDraft);
   const updated = {
     ...editRecurringDraft,
     amount: Number(editRecurringDraft.amount || 0),
-    dayOfMonth: Math.min(Math.max(Number(editRecurringDraft.dayOfMonth) || 1, 1), 31),
+    dayOfMonth: schedule.day_of_month,
+    secondDayOfMonth: schedule.second_day_of_month,
+    start_date: schedule.start_date,
+    end_date: schedule.end_date,
+    accountId: editRecurringDraft.accountId ? Number(editRecurringDraft.accountId) : null,
   };
 
   // DB-aware update
@@ -3498,7 +6127,8 @@ const saveEditAsset = async () =>
       amount: updated.amount,
       type: updated.type,
       person: updated.person,
-      day_of_month: updated.dayOfMonth,
+      ...schedule,
+      account_id: updated.accountId,
     };
 
     const { data, error } = await supabase
@@ -3515,22 +6145,14 @@ const saveEditAsset = async () =>
     }
 
     setRecurringRules((prev) =>
-      prev.map((x) =>
-        x.id === editingRecurringRuleId
-          ? {
-              ...x,
-              ...data,
-              dayOfMonth: data.day_of_month ?? x.dayOfMonth,
-            }
-          : x
-      )
+      prev.map((x) => (x.id === editingRecurringRuleId ? fromDbRecurringRule(data) : x))
     );
   } else {
     // local fallback
     setRecurringRules((prev) =>
       prev.map((x) =>
         x.id === editingRecurringRuleId
-          ? { ...x, ...updated, dayOfMonth: updated.dayOfMonth }
+          ? { ...x, ...updated }
           : x
       )
     );
@@ -3883,6 +6505,8 @@ const replaceProjectFile = async ({ projectId, oldFileRow, newFile }) => {
           storage.delete("finance-liabilities"),
           storage.delete("finance-budgets"),
           storage.delete("finance-recurring-rules"),
+          storage.delete("finance-dismissed-recurring"),
+          storage.delete("finance-budget-mode"),
         ]);
       }
 
@@ -3891,6 +6515,7 @@ const replaceProjectFile = async ({ projectId, oldFileRow, newFile }) => {
       setLiabilities([]);
       setBudgets([]);
       setRecurringRules([]);
+      setDismissedRecurringKeys([]);
 
       alert("All data has been cleared successfully.");
     } catch (error) {
@@ -3899,11 +6524,8 @@ const replaceProjectFile = async ({ projectId, oldFileRow, newFile }) => {
     }
   };
 
-  const personLabels = {
-    joint: "Joint",
-    you: "You",
-    wife: "Wife",
-  };
+  const personLabels = buildPersonLabels(householdPeople);
+  const peopleOptions = personOptions(householdPeople);
 
 
   // ---------------------------------------------------------------------------
@@ -3930,7 +6552,7 @@ const excludedTransfersTotal = (filteredTransactions || [])
   .reduce((sum, t) => sum + absAmt(t), 0);
 
 // Dashboard: exclude transfers from spending/income
-const dashboardTransactions = (filteredTransactions || []).filter(
+const dashboardTransactions = (filteredTransactionLines || []).filter(
   (t) => !isTransferTxn(t)
 );
 
@@ -3955,12 +6577,13 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
 
 
-  // Net worth history (fake initial values, expands once you add history)
-  const netWorthHistory = [
-    { date: "2024-10-01", netWorth: totalAssets - totalLiabilities - 10000 },
-    { date: "2024-11-01", netWorth: totalAssets - totalLiabilities - 5000 },
-    { date: "2024-12-01", netWorth: totalAssets - totalLiabilities },
-  ];
+  // Net worth history: recorded snapshots for the selected person + date range
+  const netWorthHistory = netWorthSeries(netWorthSnapshots, {
+    person: selectedPerson,
+    start,
+    end,
+    live: netWorthTotals,
+  });
 
   // ---------------------------------------------------------------------------
   // Render
@@ -3985,20 +6608,42 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               </h1>
               <p className="text-sm text-green-600 mt-1">✓ Data automatically saved</p>
             </div>
-            <div className="flex gap-2">
-              {["joint", "you", "wife"].map((person) => (
+            <div className="flex flex-wrap gap-2">
+              {peopleOptions.map((person) => (
                 <button
-                  key={person}
-                  onClick={() => setSelectedPerson(person)}
-                  className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                    selectedPerson === person
+                  key={person.key}
+                  onClick={() => setSelectedPerson(person.key)}
+                  className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+                    selectedPerson === person.key
                       ? "bg-indigo-600 text-white"
                       : "bg-gray-200 text-gray-700 hover:bg-gray-300"
                   }`}
                 >
-                  {personLabels[person]}
+                  <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: person.color }} />
+                  {person.name}
                 </button>
               ))}
+              <button
+                type="button"
+                onClick={() => setShowPeopleManager((v) => !v)}
+                className="px-3 py-2 rounded-lg text-gray-600 hover:text-indigo-600"
+                title="Manage household people"
+              >
+                <Users size={18} />
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowNotifications((v) => !v)}
+                className="relative px-3 py-2 rounded-lg text-gray-600 hover:text-indigo-600"
+                title="Notifications"
+              >
+                <Bell size={18} />
+                {unreadNotifications > 0 && (
+                  <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] leading-[1.1rem] text-center">
+                    {unreadNotifications}
+                  </span>
+                )}
+              </button>
             </div>
 		{import.meta.env.DEV && (
   		<button
@@ -4014,6 +6659,33 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
           </div>
 
+        {showPeopleManager && (
+          <HouseholdPeopleManager
+            people={sortPeople(householdPeople)}
+            members={householdMembers}
+            currentUserId={session?.user?.id}
+            onAdd={addHouseholdPerson}
+            onUpdate={updateHouseholdPerson}
+            onDelete={deleteHouseholdPerson}
+            onClose={() => setShowPeopleManager(false)}
+          />
+        )}
+
+        {showNotifications && (
+          <NotificationCenter
+            feed={notificationFeedNow}
+            unread={unreadNotifications}
+            rules={alertRules}
+            categoryOptions={categorySelectOptions}
+            onMarkRead={markNotificationsRead}
+            onDelete={deleteNotifications}
+            onAddRule={addAlertRule}
+            onUpdateRule={updateAlertRule}
+            onDeleteRule={deleteAlertRule}
+            onClose={() => setShowNotifications(false)}
+          />
+        )}
+
 <div className="flex gap-2 border-b">
   {[
     { key: "dashboard", label: "Dashboard" },
@@ -4021,6 +6693,8 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
     { key: "assets", label: "Assets" },
     { key: "liabilities", label: "Liabilities" },
     { key: "budget", label: "Budget" },
+    { key: "subscriptions", label: "Subscriptions" },
+    { key: "calendar", label: "Calendar" },
     { key: "projects", label: "Projects" },
     { key: "trends", label: "Trends" },
   ].map(({ key, label }) => (
@@ -4165,6 +6839,16 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
             <div className="mt-6">
               <NetWorthChart history={netWorthHistory} />
+              <div className="mt-2 flex justify-end">
+                <button
+                  type="button"
+                  onClick={backfillNetWorthSnapshots}
+                  className="text-xs text-indigo-600 hover:text-indigo-800"
+                  title="Create month-end snapshots from when each asset/liability was added"
+                >
+                  Backfill net worth history
+                </button>
+              </div>
             </div>
 
             {/* Budget Overview (current month) */}
@@ -4307,8 +6991,14 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               <div className="flex-1">
                 <SmartTransactionImport
                   accounts={accounts}
+                  existingTransactions={transactions}
+                  savedProfiles={importProfiles}
+                  categoryRules={categoryRules}
                   selectedPerson={selectedPerson}
+                  people={householdPeople}
                   onImport={importTransactions}
+                  onSaveProfile={saveImportProfile}
+                  onDeleteProfile={deleteImportProfile}
                 />
 
                 {/* Accounts manager */}
@@ -4320,7 +7010,7 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                     </div>
                   </div>
 
-                  <div className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-2">
+                  <div className="mt-3 grid grid-cols-1 md:grid-cols-7 gap-2">
                     <input
                       value={newAccount.name}
                       onChange={(e) => setNewAccount((p) => ({ ...p, name: e.target.value }))}
@@ -4342,6 +7032,30 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                       <option value="savings">Savings</option>
                       <option value="credit">Credit card</option>
                     </select>
+                    <input
+                      value={newAccount.last4}
+                      onChange={(e) =>
+                        setNewAccount((p) => ({ ...p, last4: e.target.value.replace(/\D/g, "").slice(0, 4) }))
+                      }
+                      placeholder="Last 4 (OFX matching)"
+                      inputMode="numeric"
+                      className="border rounded px-3 py-2 text-sm"
+                    />
+                    <input
+                      type="number"
+                      value={newAccount.opening_balance}
+                      onChange={(e) => setNewAccount((p) => ({ ...p, opening_balance: e.target.value }))}
+                      placeholder="Opening balance"
+                      title="Cards: enter what you owe as a negative number"
+                      className="border rounded px-3 py-2 text-sm"
+                    />
+                    <input
+                      type="date"
+                      value={newAccount.opening_balance_date}
+                      onChange={(e) => setNewAccount((p) => ({ ...p, opening_balance_date: e.target.value }))}
+                      title="Date of the opening balance"
+                      className="border rounded px-3 py-2 text-sm"
+                    />
                     <button
                       type="button"
                       onClick={addAccount}
@@ -4358,6 +7072,9 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                           <th className="px-3 py-2 text-left">Name</th>
                           <th className="px-3 py-2 text-left">Institution</th>
                           <th className="px-3 py-2 text-left">Type</th>
+                          <th className="px-3 py-2 text-left">Last 4</th>
+                          <th className="px-3 py-2 text-right">Opening balance</th>
+                          <th className="px-3 py-2 text-right">Balance today</th>
                           <th className="px-3 py-2 text-right">Actions</th>
                         </tr>
                       </thead>
@@ -4371,7 +7088,79 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                                 {a.account_type}
                               </span>
                             </td>
-                            <td className="px-3 py-2 text-right">
+                            <td className="px-3 py-2 text-gray-600">{a.last4 ? `••${a.last4}` : ""}</td>
+                            <td className="px-3 py-2 text-right text-gray-600">
+                              {editingAccountBalanceId === a.id ? (
+                                <div className="flex justify-end items-center gap-1">
+                                  <input
+                                    type="number"
+                                    value={accountBalanceDraft.opening_balance}
+                                    onChange={(e) => setAccountBalanceDraft((d) => ({ ...d, opening_balance: e.target.value }))}
+                                    className="border rounded px-2 py-1 text-sm w-28 text-right"
+                                  />
+                                  <input
+                                    type="date"
+                                    value={accountBalanceDraft.opening_balance_date}
+                                    onChange={(e) => setAccountBalanceDraft((d) => ({ ...d, opening_balance_date: e.target.value }))}
+                                    className="border rounded px-2 py-1 text-sm"
+                                  />
+                                  <button
+                                    type="button"
+                                    onClick={async () => {
+                                      if (await updateAccountOpeningBalance(a.id, accountBalanceDraft)) {
+                                        setEditingAccountBalanceId(null);
+                                      }
+                                    }}
+                                    className="text-green-600 hover:text-green-800"
+                                    title="Save"
+                                  >
+                                    <Check size={16} />
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => setEditingAccountBalanceId(null)}
+                                    className="text-gray-500 hover:text-gray-700"
+                                    title="Cancel"
+                                  >
+                                    <X size={16} />
+                                  </button>
+                                </div>
+                              ) : (
+                                <button
+                                  type="button"
+                                  onClick={() => {
+                                    setEditingAccountBalanceId(a.id);
+                                    setAccountBalanceDraft({
+                                      opening_balance: a.opening_balance ?? "",
+                                      opening_balance_date: a.opening_balance_date || "",
+                                    });
+                                  }}
+                                  className="hover:text-indigo-700"
+                                  title="Set opening balance"
+                                >
+                                  {a.opening_balance == null
+                                    ? "Set…"
+                                    : `$${Number(a.opening_balance).toLocaleString()}${a.opening_balance_date ? ` on ${a.opening_balance_date}` : ""}`}
+                                </button>
+                              )}
+                            </td>
+                            <td
+                              className={`px-3 py-2 text-right font-medium ${
+                                (accountBalancesToday[Number(a.id)] ?? 0) < 0 ? "text-red-700" : ""
+                              }`}
+                            >
+                              ${Number(accountBalancesToday[Number(a.id)] ?? 0).toLocaleString()}
+                            </td>
+                            <td className="px-3 py-2 text-right whitespace-nowrap">
+                              <button
+                                type="button"
+                                onClick={() => setRegisterAccountId((cur) => (cur === a.id ? null : a.id))}
+                                className="inline-flex items-center gap-1 text-indigo-600 hover:text-indigo-800 mr-3"
+                                title="Running balance and statement reconciliation"
+                              >
+                                <BookOpen size={16} />
+                                Register
+                              </button>
                               <button
                                 type="button"
                                 onClick={() => deleteAccount(a.id)}
@@ -4386,7 +7175,7 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                         ))}
                         {(!accounts || accounts.length === 0) && (
                           <tr className="border-t">
-                            <td className="px-3 py-3 text-gray-500" colSpan={4}>
+                            <td className="px-3 py-3 text-gray-500" colSpan={7}>
                               No accounts yet. Add Checking + your credit cards to enable transfer tagging.
                             </td>
                           </tr>
@@ -4394,6 +7183,19 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                       </tbody>
                     </table>
                   </div>
+
+                  {registerAccount && (
+                    <AccountRegister
+                      key={registerAccount.id}
+                      account={registerAccount}
+                      accounts={accounts}
+                      transactions={transactions}
+                      today={todayIso()}
+                      onReconcile={reconcileAccount}
+                      onUnlock={unlockReconciledTransaction}
+                      onClose={() => setRegisterAccountId(null)}
+                    />
+                  )}
                 </div>
               </div>
 
@@ -4412,6 +7214,43 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               </div>
             </div>
 
+            <TransferReviewQueue
+              transactions={transactions}
+              accounts={accounts}
+              onAutoPair={(opts) => autoPairTransfers(opts)}
+              onLink={linkTransferLegs}
+              onMarkNormal={markTransactionNormal}
+            />
+
+            <CategoryManager
+              categories={householdCategories}
+              transactions={transactions}
+              onAdd={addCategory}
+              onUpdate={updateCategory}
+              onArchive={setCategoryArchived}
+              onMerge={mergeCategory}
+            />
+
+            <CategoryRulesManager
+              rules={categoryRules}
+              categories={categories}
+              personLabels={personLabels}
+              accounts={accounts}
+              transactions={transactions}
+              onAdd={addCategoryRule}
+              onUpdate={updateCategoryRule}
+              onDelete={deleteCategoryRule}
+              onReapply={reapplyCategoryRules}
+            />
+
+<RecurringCandidates
+  candidates={recurringCandidates}
+  personLabels={personLabels}
+  today={todayIso()}
+  onCreate={createRuleFromCandidate}
+  onDismiss={dismissRecurringCandidate}
+/>
+
 {/* ------------------------------------------------------------------ */}
 {/* Recurring Transactions Manager */}
 {/* ------------------------------------------------------------------ */}
@@ -4675,6 +7514,7 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
           <tbody>
             {visibleRecurringRules.map((r) => {
               const isEditing = editingRecurringRuleId === r.id;
+              const next = r.active ? nextOccurrence(r, todayIso()) : null;
               const checked = selectedRecurringIds.has(r.id);
 
               return (
@@ -4718,9 +7558,9 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                         }
                         className="border rounded px-2 py-1 text-sm w-full"
                       >
-                        {categories.map((cat) => (
-                          <option key={cat} value={cat}>
-                            {cat}
+                        {categorySelectOptions.map((c) => (
+                          <option key={c.name} value={c.name}>
+                            {c.label}
                           </option>
                         ))}
                       </select>
@@ -4779,9 +7619,11 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                         }
                         className="border rounded px-2 py-1 text-sm"
                       >
-                        <option value="joint">Joint</option>
-                        <option value="you">You</option>
-                        <option value="wife">Wife</option>
+                        {peopleOptions.map((p) => (
+                          <option key={p.key} value={p.key}>
+                            {p.name}
+                          </option>
+                        ))}
                       </select>
                     ) : (
                       personLabels[r.person] || r.person
@@ -4790,24 +7632,37 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
                   <td className="px-3 py-2">
                     {isEditing ? (
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs text-gray-500">Every month on day</span>
-                        <input
-                          type="number"
-                          min={1}
-                          max={31}
-                          value={editRecurringDraft?.dayOfMonth ?? 1}
+                      <>
+                        <RecurrenceFields
+                          compact
+                          value={editRecurringDraft || {}}
+                          onChange={(patch) => setEditRecurringDraft((prev) => ({ ...(prev || {}), ...patch }))}
+                        />
+                        <select
+                          value={editRecurringDraft?.accountId ?? ""}
                           onChange={(e) =>
-                            setEditRecurringDraft((prev) => ({
-                              ...(prev || {}),
-                              dayOfMonth: e.target.value,
-                            }))
+                            setEditRecurringDraft((prev) => ({ ...(prev || {}), accountId: e.target.value }))
                           }
-                          className="border rounded px-2 py-1 text-sm w-16"
-                        />
-                      </div>
+                          className="border rounded px-2 py-1 text-sm mt-2"
+                        >
+                          <option value="">No account</option>
+                          {(accounts || []).map((a) => (
+                            <option key={a.id} value={a.id}>
+                              {a.name}
+                            </option>
+                          ))}
+                        </select>
+                      </>
                     ) : (
-                      <>Every month on day {r.dayOfMonth}</>
+                      <>
+                        {describeRecurrence(r)}
+                        {next && <div className="text-xs text-gray-500">Next: {next.date}</div>}
+                        {r.accountId != null && (
+                          <div className="text-xs text-gray-500">
+                            Via {accounts.find((a) => Number(a.id) === Number(r.accountId))?.name || "unknown account"}
+                          </div>
+                        )}
+                      </>
                     )}
                   </td>
 
@@ -4893,9 +7748,9 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
     }
     className="border rounded px-3 py-2"
   >
-    {categories.map((cat) => (
-      <option key={cat} value={cat}>
-        {cat}
+    {categorySelectOptions.map((c) => (
+      <option key={c.name} value={c.name}>
+        {c.label}
       </option>
     ))}
   </select>
@@ -4928,22 +7783,35 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
     }
     className="border rounded px-3 py-2"
   >
-    <option value="joint">Joint</option>
-    <option value="you">You</option>
-    <option value="wife">Wife</option>
+    {peopleOptions.map((p) => (
+      <option key={p.key} value={p.key}>
+        {p.name}
+      </option>
+    ))}
   </select>
 
-  <input
-    type="number"
-    min={1}
-    max={31}
-    placeholder="Day"
-    value={newRecurring.dayOfMonth}
+  <select
+    value={newRecurring.accountId ?? ""}
     onChange={(e) =>
-      setNewRecurring((prev) => ({ ...(prev || {}), dayOfMonth: e.target.value }))
+      setNewRecurring((prev) => ({ ...(prev || {}), accountId: e.target.value }))
     }
     className="border rounded px-3 py-2"
-  />
+    title="Account the money moves through (used by the cash flow forecast)"
+  >
+    <option value="">Account (optional)</option>
+    {(accounts || []).map((a) => (
+      <option key={a.id} value={a.id}>
+        {a.name}
+      </option>
+    ))}
+  </select>
+
+  <div className="md:col-span-6">
+    <RecurrenceFields
+      value={newRecurring}
+      onChange={(patch) => setNewRecurring((prev) => ({ ...(prev || {}), ...patch }))}
+    />
+  </div>
 
   <button
     type="button"
@@ -4987,9 +7855,10 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 }
                 className="border rounded px-3 py-2"
               >
-                {categories.map((cat) => (
-                  <option key={cat} value={cat}>
-                    {cat}
+                <option value={AUTO_CATEGORY}>Auto (rules)</option>
+                {categorySelectOptions.map((c) => (
+                  <option key={c.name} value={c.name}>
+                    {c.label}
                   </option>
                 ))}
               </select>
@@ -5019,9 +7888,11 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 }
                 className="border rounded px-3 py-2"
               >
-                <option value="joint">Joint</option>
-                <option value="you">You</option>
-                <option value="wife">Wife</option>
+                {peopleOptions.map((p) => (
+                  <option key={p.key} value={p.key}>
+                    {p.name}
+                  </option>
+                ))}
               </select>
 
               <select
@@ -5128,10 +7999,12 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
   >
     <div className="flex items-center gap-2">
-      <span className="text-sm font-semibold">Forecast (next 6 months)</span>
-      <span className="text-xs text-gray-500">
-        {forecastRows?.length ? `${forecastRows.length} months` : ""}
-      </span>
+      <span className="text-sm font-semibold">Cash flow forecast (next {forecastMonths} months)</span>
+      {forecastWarnings.length > 0 && (
+        <span className="text-xs text-red-700 bg-red-50 border border-red-200 px-2 py-0.5 rounded-full">
+          {forecastWarnings.length} low-balance warning{forecastWarnings.length === 1 ? "" : "s"}
+        </span>
+      )}
     </div>
 
     <span
@@ -5146,46 +8019,27 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
   {forecastOpen ? (
     <div className="px-4 pb-4">
-      <div className="overflow-x-auto">
-        <table className="w-full text-sm">
-          <thead>
-            <tr className="border-b bg-gray-50 text-left">
-              <th className="px-3 py-2">Month</th>
-              <th className="px-3 py-2 text-right">Income</th>
-              <th className="px-3 py-2 text-right">Expenses</th>
-              <th className="px-3 py-2 text-right">Net</th>
-            </tr>
-          </thead>
-          <tbody>
-            {forecastRows.map((r) => (
-              <tr key={r.monthKey} className="border-b">
-                <td className="px-3 py-2">{r.monthKey}</td>
-                <td className="px-3 py-2 text-right text-green-700">
-                  ${Number(r.income || 0).toLocaleString()}
-                </td>
-                <td className="px-3 py-2 text-right text-red-700">
-                  ${Number(r.expenses || 0).toLocaleString()}
-                </td>
-                <td
-                  className={`px-3 py-2 text-right font-semibold ${
-                    r.net >= 0 ? "text-green-800" : "text-red-800"
-                  }`}
-                >
-                  {r.net >= 0 ? "+" : "-"}${Math.abs(Number(r.net || 0)).toLocaleString()}
-                </td>
-              </tr>
-            ))}
-
-            {!forecastRows?.length ? (
-              <tr>
-                <td colSpan={4} className="px-3 py-4 text-center text-gray-500">
-                  No forecast available yet.
-                </td>
-              </tr>
-            ) : null}
-          </tbody>
-        </table>
-      </div>
+      <CashFlowForecast
+        forecast={cashFlowForecast}
+        warnings={forecastWarnings}
+        accounts={accounts}
+        months={forecastMonths}
+        onMonthsChange={setForecastMonths}
+        threshold={lowBalanceThreshold}
+        onThresholdChange={setLowBalanceThreshold}
+        defaultAccountId={forecastDefaultAccountId}
+        onDefaultAccountChange={setForecastAccountId}
+      />
+      <ScenarioPlanner
+        scenarios={forecastScenarios}
+        rules={recurringRules}
+        projects={projects}
+        baseline={forecastBaseline}
+        defaultAccountId={forecastDefaultAccountId}
+        onAdd={addForecastScenario}
+        onUpdate={updateForecastScenario}
+        onDelete={deleteForecastScenario}
+      />
     </div>
   ) : null}
 </div>
@@ -5208,9 +8062,9 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 className="border rounded px-3 py-2 md:w-52"
               >
                 <option value="all">All Categories</option>
-                {categories.map((cat) => (
-                  <option key={cat} value={cat}>
-                    {cat}
+                {categorySelectOptions.map((c) => (
+                  <option key={c.name} value={c.name}>
+                    {c.label}
                   </option>
                 ))}
               </select>
@@ -5288,8 +8142,8 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
         const isEditing = t.id === editingTransactionId;
 
         return (
+          <React.Fragment key={t.id}>
           <tr
-            key={t.id}
             id={`month-${group.key}`}
             className="border-b hover:bg-gray-50"
           >
@@ -5352,12 +8206,21 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                   }
                   className="border rounded px-2 py-1 text-sm w-full"
                 >
-                  {categories.map((cat) => (
-                    <option key={cat} value={cat}>
-                      {cat}
+                  {categorySelectOptions.map((c) => (
+                    <option key={c.name} value={c.name}>
+                      {c.label}
                     </option>
                   ))}
                 </select>
+              ) : hasSplits(t) ? (
+                <span
+                  className="inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-semibold bg-indigo-50 text-indigo-700 border border-indigo-200"
+                  title={normalizeSplits(t.splits)
+                    .map((s) => `${s.category} · ${personLabels[s.person] || s.person} · $${s.amount}`)
+                    .join("\n")}
+                >
+                  Split ({t.splits.length})
+                </span>
               ) : (
                 t.category
               )}
@@ -5375,9 +8238,11 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                   }
                   className="border rounded px-2 py-1 text-sm w-full"
                 >
-                  <option value="joint">Joint</option>
-                  <option value="you">You</option>
-                  <option value="wife">Wife</option>
+                  {peopleOptions.map((p) => (
+                    <option key={p.key} value={p.key}>
+                      {p.name}
+                    </option>
+                  ))}
                 </select>
               ) : (
                 personLabels[t.person] || t.person
@@ -5448,9 +8313,25 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 </div>
               ) : (
                 (t.transaction_type || "normal") === "transfer" ? (
-                  <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[11px] font-semibold bg-amber-50 text-amber-700 border border-amber-200">
-                    Transfer{t.transfer_account_name ? ` → ${t.transfer_account_name}` : ""}
-                  </span>
+                  <div className="flex items-center gap-1">
+                    <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[11px] font-semibold bg-amber-50 text-amber-700 border border-amber-200">
+                      Transfer{t.transfer_account_name ? ` → ${t.transfer_account_name}` : ""}
+                    </span>
+                    {pairedTransferGroups.has(t.transfer_group_id) ? (
+                      <button
+                        type="button"
+                        onClick={() => unlinkTransfer(t.transfer_group_id)}
+                        className="text-[11px] text-gray-500 hover:text-red-600"
+                        title="Linked to its other leg. Click to unlink."
+                      >
+                        linked ✕
+                      </button>
+                    ) : (
+                      <span className="text-[11px] text-amber-600" title="No matching leg yet (see Transfer Review)">
+                        unmatched
+                      </span>
+                    )}
+                  </div>
                 ) : (
                   <span className="text-xs text-gray-500">Normal</span>
                 )
@@ -5518,26 +8399,64 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 </div>
               ) : (
                 <div className="flex items-center justify-center gap-2">
-                  <button
-                    type="button"
-                    onClick={() => startEditTransaction(t)}
-                    className="text-indigo-600 hover:text-indigo-800"
-                    title="Edit"
-                  >
-                    <Pencil size={18} />
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => deleteTransaction(t.id)}
-                    className="text-red-600 hover:text-red-800"
-                    title="Delete"
-                  >
-                    <Trash2 size={18} />
-                  </button>
+                  {isReconciled(t) ? (
+                    <span
+                      className="text-gray-400"
+                      title={`Reconciled on ${t.reconciled_on}. Unlock it from the account register to edit.`}
+                    >
+                      <Lock size={18} />
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => startEditTransaction(t)}
+                      className="text-indigo-600 hover:text-indigo-800"
+                      title="Edit"
+                    >
+                      <Pencil size={18} />
+                    </button>
+                  )}
+                  {(t.transaction_type || "normal") !== "transfer" && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setSplittingTransactionId((cur) => (cur === t.id ? null : t.id))
+                      }
+                      className="text-indigo-600 hover:text-indigo-800"
+                      title="Split across categories / people"
+                    >
+                      <Scissors size={18} />
+                    </button>
+                  )}
+                  {!isReconciled(t) && (
+                    <button
+                      type="button"
+                      onClick={() => deleteTransaction(t.id)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Delete"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  )}
                 </div>
               )}
             </td>
           </tr>
+
+          {splittingTransactionId === t.id && (
+            <tr className="border-b">
+              <td colSpan={8} className="px-4 py-3">
+                <SplitTransactionEditor
+                  transaction={t}
+                  categories={categories}
+                  personLabels={personLabels}
+                  onSave={(lines) => saveTransactionSplits(t.id, lines)}
+                  onCancel={() => setSplittingTransactionId(null)}
+                />
+              </td>
+            </tr>
+          )}
+          </React.Fragment>
         );
       })}
     </React.Fragment>
@@ -5598,7 +8517,7 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-xl font-bold text-gray-800 mb-4">Assets</h2>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-6">
               <input
                 type="text"
                 placeholder="Asset name"
@@ -5608,23 +8527,51 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               />
               <input
                 type="number"
-                placeholder="Value"
-                value={newAsset.value}
+                placeholder={newAsset.account_id ? "From account" : "Value"}
+                value={newAsset.account_id ? "" : newAsset.value}
                 onChange={(e) => setNewAsset({ ...newAsset, value: e.target.value })}
-                className="border rounded px-3 py-2"
+                disabled={Boolean(newAsset.account_id)}
+                className="border rounded px-3 py-2 disabled:bg-gray-50"
               />
               <select
                 value={newAsset.person}
                 onChange={(e) => setNewAsset({ ...newAsset, person: e.target.value })}
                 className="border rounded px-3 py-2"
               >
-                <option value="joint">Joint</option>
-                <option value="you">You</option>
-                <option value="wife">Wife</option>
+                {peopleOptions.map((p) => (
+                  <option key={p.key} value={p.key}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={newAsset.account_id ?? ""}
+                onChange={(e) => setNewAsset({ ...newAsset, account_id: e.target.value })}
+                className="border rounded px-3 py-2"
+                title="Back this asset with an account so its value follows the account balance"
+              >
+                <option value="">Manual value</option>
+                {accountsForKind(accounts, "asset").map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={newAsset.balance_source || "running"}
+                onChange={(e) => setNewAsset({ ...newAsset, balance_source: e.target.value })}
+                disabled={!newAsset.account_id}
+                className="border rounded px-3 py-2 disabled:opacity-50"
+              >
+                {BALANCE_SOURCES.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
               </select>
               <button
                 onClick={addAsset}
-                className="bg-indigo-600 text-white rounded px-4 py-2 hover:bg-indigo-700 flex items-center justify-center gap-2 md:col-span-3"
+                className="bg-indigo-600 text-white rounded px-4 py-2 hover:bg-indigo-700 flex items-center justify-center gap-2 md:col-span-5"
               >
                 <PlusCircle size={20} /> Add Asset
               </button>
@@ -5648,25 +8595,66 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                         />
                         <input
                           type="number"
-                          value={editAssetDraft?.value ?? ""}
+                          value={editAssetDraft?.account_id ? "" : (editAssetDraft?.value ?? "")}
                           onChange={(e) => setEditAssetDraft((p) => ({ ...p, value: e.target.value }))}
-                          className="border rounded px-2 py-1 text-sm w-28"
-                          placeholder="Value"
+                          disabled={Boolean(editAssetDraft?.account_id)}
+                          className="border rounded px-2 py-1 text-sm w-28 disabled:bg-gray-50"
+                          placeholder={editAssetDraft?.account_id ? "From account" : "Value"}
                         />
                         <select
                           value={editAssetDraft?.person ?? "joint"}
                           onChange={(e) => setEditAssetDraft((p) => ({ ...p, person: e.target.value }))}
                           className="border rounded px-2 py-1 text-sm"
                         >
-                          <option value="joint">Joint</option>
-                          <option value="you">You</option>
-                          <option value="wife">Wife</option>
+                          {peopleOptions.map((p) => (
+                            <option key={p.key} value={p.key}>
+                              {p.name}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={editAssetDraft?.account_id ?? ""}
+                          onChange={(e) => setEditAssetDraft((p) => ({ ...p, account_id: e.target.value ? Number(e.target.value) : null }))}
+                          className="border rounded px-2 py-1 text-sm"
+                        >
+                          <option value="">Manual value</option>
+                          {accountsForKind(accounts, "asset").map((a) => (
+                            <option key={a.id} value={a.id}>
+                              {a.name}
+                            </option>
+                          ))}
                         </select>
+                        {editAssetDraft?.account_id ? (
+                          <select
+                            value={editAssetDraft?.balance_source || "running"}
+                            onChange={(e) => setEditAssetDraft((p) => ({ ...p, balance_source: e.target.value }))}
+                            className="border rounded px-2 py-1 text-sm"
+                          >
+                            {BALANCE_SOURCES.map((o) => (
+                              <option key={o.value} value={o.value}>
+                                {o.label}
+                              </option>
+                            ))}
+                          </select>
+                        ) : null}
                       </div>
                     ) : (
                       <>
                         <p className="font-medium">{a.name}</p>
                         <p className="text-sm text-gray-500">{personLabels[a.person]}</p>
+                        {a.linkedAccount && (
+                          <p className="text-xs text-indigo-700">
+                            From {a.linkedAccount.name} ·{" "}
+                            {a.balance_source === "reconciled" && a.linkedAccount.reconciled_through
+                              ? `reconciled ${a.linkedAccount.reconciled_through}`
+                              : "running balance"}
+                          </p>
+                        )}
+                        <div className="mt-1 flex flex-wrap items-center gap-3">
+                          <Sparkline points={assetValuations.byId[a.id]?.series} color="#16a34a" />
+                          <ValueChangeBadge label="vs last month" change={assetValuations.byId[a.id]?.sinceMonth} />
+                          <ValueChangeBadge label="YTD" change={assetValuations.byId[a.id]?.sinceYear} />
+                        </div>
                       </>
                     )}
                   </div>
@@ -5729,6 +8717,10 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 <span>Total Assets:</span>
                 <span className="text-green-600">${totalAssets.toLocaleString()}</span>
               </div>
+              <div className="mt-1 flex justify-end gap-4">
+                <ValueChangeBadge label="vs last month" change={{ delta: assetValuations.sinceMonth, pct: null }} />
+                <ValueChangeBadge label="YTD" change={{ delta: assetValuations.sinceYear, pct: null }} />
+              </div>
             </div>
           </div>
         )}
@@ -5738,7 +8730,7 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-xl font-bold text-gray-800 mb-4">Liabilities</h2>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-6">
               <input
                 type="text"
                 placeholder="Liability name"
@@ -5748,12 +8740,13 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               />
               <input
                 type="number"
-                placeholder="Value"
-                value={newLiability.value}
+                placeholder={newLiability.account_id ? "From account" : "Value"}
+                value={newLiability.account_id ? "" : newLiability.value}
                 onChange={(e) =>
                   setNewLiability({ ...newLiability, value: e.target.value })
                 }
-                className="border rounded px-3 py-2"
+                disabled={Boolean(newLiability.account_id)}
+                className="border rounded px-3 py-2 disabled:bg-gray-50"
               />
               <select
                 value={newLiability.person}
@@ -5762,13 +8755,40 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 }
                 className="border rounded px-3 py-2"
               >
-                <option value="joint">Joint</option>
-                <option value="you">You</option>
-                <option value="wife">Wife</option>
+                {peopleOptions.map((p) => (
+                  <option key={p.key} value={p.key}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={newLiability.account_id ?? ""}
+                onChange={(e) => setNewLiability({ ...newLiability, account_id: e.target.value })}
+                className="border rounded px-3 py-2"
+                title="Back this liability with an account so its value follows the account balance"
+              >
+                <option value="">Manual value</option>
+                {accountsForKind(accounts, "liability").map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={newLiability.balance_source || "running"}
+                onChange={(e) => setNewLiability({ ...newLiability, balance_source: e.target.value })}
+                disabled={!newLiability.account_id}
+                className="border rounded px-3 py-2 disabled:opacity-50"
+              >
+                {BALANCE_SOURCES.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
               </select>
               <button
                 onClick={addLiability}
-                className="bg-indigo-600 text-white rounded px-4 py-2 hover:bg-indigo-700 flex items-center justify-center gap-2 md:col-span-3"
+                className="bg-indigo-600 text-white rounded px-4 py-2 hover:bg-indigo-700 flex items-center justify-center gap-2 md:col-span-5"
               >
                 <PlusCircle size={20} /> Add Liability
               </button>
@@ -5776,10 +8796,8 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
             <div className="space-y-3">
               {filteredLiabilities.map((l) => (
-                <div
-                  key={l.id}
-                  className="flex justify-between items-center border rounded p-4 hover:bg-gray-50"
-                >
+                <div key={l.id} className="border rounded p-4 hover:bg-gray-50">
+                <div className="flex justify-between items-center">
                   <div>
                     {editingLiabilityId === l.id ? (
                       <div className="flex flex-wrap items-center gap-2">
@@ -5792,25 +8810,74 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                         />
                         <input
                           type="number"
-                          value={editLiabilityDraft?.value ?? ""}
+                          value={editLiabilityDraft?.account_id ? "" : (editLiabilityDraft?.value ?? "")}
                           onChange={(e) => setEditLiabilityDraft((p) => ({ ...p, value: e.target.value }))}
-                          className="border rounded px-2 py-1 text-sm w-28"
-                          placeholder="Value"
+                          disabled={Boolean(editLiabilityDraft?.account_id)}
+                          className="border rounded px-2 py-1 text-sm w-28 disabled:bg-gray-50"
+                          placeholder={editLiabilityDraft?.account_id ? "From account" : "Value"}
                         />
                         <select
                           value={editLiabilityDraft?.person ?? "joint"}
                           onChange={(e) => setEditLiabilityDraft((p) => ({ ...p, person: e.target.value }))}
                           className="border rounded px-2 py-1 text-sm"
                         >
-                          <option value="joint">Joint</option>
-                          <option value="you">You</option>
-                          <option value="wife">Wife</option>
+                          {peopleOptions.map((p) => (
+                            <option key={p.key} value={p.key}>
+                              {p.name}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={editLiabilityDraft?.account_id ?? ""}
+                          onChange={(e) => setEditLiabilityDraft((p) => ({ ...p, account_id: e.target.value ? Number(e.target.value) : null }))}
+                          className="border rounded px-2 py-1 text-sm"
+                        >
+                          <option value="">Manual value</option>
+                          {accountsForKind(accounts, "liability").map((a) => (
+                            <option key={a.id} value={a.id}>
+                              {a.name}
+                            </option>
+                          ))}
                         </select>
+                        {editLiabilityDraft?.account_id ? (
+                          <select
+                            value={editLiabilityDraft?.balance_source || "running"}
+                            onChange={(e) => setEditLiabilityDraft((p) => ({ ...p, balance_source: e.target.value }))}
+                            className="border rounded px-2 py-1 text-sm"
+                          >
+                            {BALANCE_SOURCES.map((o) => (
+                              <option key={o.value} value={o.value}>
+                                {o.label}
+                              </option>
+                            ))}
+                          </select>
+                        ) : null}
                       </div>
                     ) : (
                       <>
                         <p className="font-medium">{l.name}</p>
                         <p className="text-sm text-gray-500">{personLabels[l.person]}</p>
+                        {l.linkedAccount && (
+                          <p className="text-xs text-indigo-700">
+                            From {l.linkedAccount.name} ·{" "}
+                            {l.balance_source === "reconciled" && l.linkedAccount.reconciled_through
+                              ? `reconciled ${l.linkedAccount.reconciled_through}`
+                              : "running balance"}
+                          </p>
+                        )}
+                        <div className="mt-1 flex flex-wrap items-center gap-3">
+                          <Sparkline points={liabilityValuations.byId[l.id]?.series} color="#dc2626" />
+                          <ValueChangeBadge label="vs last month" change={liabilityValuations.byId[l.id]?.sinceMonth} inverse />
+                          <ValueChangeBadge label="YTD" change={liabilityValuations.byId[l.id]?.sinceYear} inverse />
+                        </div>
+                        {loanSummaries[l.id] && (
+                          <p className="mt-1 text-xs text-gray-600">
+                            {Number(l.interest_rate || 0)}% APR ·{" "}
+                            {loanSummaries[l.id].paysOff
+                              ? `paid off ${loanSummaries[l.id].payoffMonth} · $${loanSummaries[l.id].totalInterest.toLocaleString()} interest left`
+                              : "never pays off at this payment"}
+                          </p>
+                        )}
                       </>
                     )}
                   </div>
@@ -5829,6 +8896,14 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                         <span className="font-bold text-red-600">
                           ${Number(l.value || 0).toLocaleString()}
                         </span>
+                        <button
+                          type="button"
+                          onClick={() => setLoanOpenId((cur) => (cur === l.id ? null : l.id))}
+                          className="text-xs text-indigo-600 hover:text-indigo-800"
+                          title="Interest rate, term and payoff schedule"
+                        >
+                          {loanOpenId === l.id ? "Hide loan" : "Loan"}
+                        </button>
                         <button type="button" onClick={() => startEditLiability(l)} className="text-gray-600 hover:text-gray-800" title="Edit">
                           <Pencil size={18} />
                         </button>
@@ -5839,6 +8914,15 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                     )}
                   </div>
                 </div>
+
+                {loanOpenId === l.id && (
+                  <LoanDetailsPanel
+                    liability={l}
+                    currentMonth={currentMonth}
+                    onSave={(patch) => saveLoanTerms(l.id, patch)}
+                  />
+                )}
+                </div>
               ))}
 
               {filteredLiabilities.length === 0 && (
@@ -5853,7 +8937,17 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 <span>Total Liabilities:</span>
                 <span className="text-red-600">${totalLiabilities.toLocaleString()}</span>
               </div>
+              <div className="mt-1 flex justify-end gap-4">
+                <ValueChangeBadge label="vs last month" change={{ delta: liabilityValuations.sinceMonth, pct: null }} inverse />
+                <ValueChangeBadge label="YTD" change={{ delta: liabilityValuations.sinceYear, pct: null }} inverse />
+              </div>
             </div>
+
+            <DebtPayoffPlanner
+              liabilities={filteredLiabilities}
+              currentMonth={currentMonth}
+              onCreateRules={createPayoffRules}
+            />
           </div>
         )}
 
@@ -5889,8 +8983,22 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 />
               </div>
             </div>
-	  {/* ✅ Rollover control (kept, just aligned nicely) */}
+	  {/* ✅ Budget mode + rollover control */}
 	<div className="flex items-center gap-2 mb-4">
+		<label className="text-sm text-gray-600">Mode</label>
+		<select
+			className="border rounded px-2 py-1 text-sm"
+			value={budgetMode}
+			onChange={(e) => changeBudgetMode(e.target.value)}
+		>
+			{BUDGET_MODES.map((m) => (
+				<option key={m.value} value={m.value}>
+					{m.label}
+				</option>
+			))}
+		</select>
+		{budgetMode !== "envelope" && (
+		<>
 		<label className="text-sm text-gray-600 ml-3">Rollover</label>
 		<select
   			className="border rounded px-2 py-1 text-sm"
@@ -5900,7 +9008,22 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
   			<option value="on">On</option>
   			<option value="off">Off</option>
 		</select>
+		</>
+		)}
 	</div>
+            {budgetMode === "envelope" ? (
+              <EnvelopeBudget
+                ledger={envelopeLedgerForViewMonth}
+                monthLabel={monthLabelFromKey(budgetViewMonth)}
+                categoryOptions={categorySelectOptions}
+                moves={envelopeMovesForViewMonth}
+                personLabels={personLabels}
+                onAssign={assignEnvelope}
+                onMove={addEnvelopeMove}
+                onDeleteMove={deleteEnvelopeMove}
+              />
+            ) : (
+            <>
             {/* Add Budget Form */}
             <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
               <select
@@ -5908,9 +9031,9 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 onChange={(e) => setNewBudget({ ...newBudget, category: e.target.value })}
                 className="border rounded px-3 py-2"
               >
-                {categories.map((cat) => (
-                  <option key={cat} value={cat}>
-                    {cat}
+                {categorySelectOptions.map((c) => (
+                  <option key={c.name} value={c.name}>
+                    {c.label}
                   </option>
                 ))}
               </select>
@@ -5935,9 +9058,11 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 onChange={(e) => setNewBudget({ ...newBudget, person: e.target.value })}
                 className="border rounded px-3 py-2"
               >
-                <option value="joint">Joint</option>
-                <option value="you">You</option>
-                <option value="wife">Wife</option>
+                {peopleOptions.map((p) => (
+                  <option key={p.key} value={p.key}>
+                    {p.name}
+                  </option>
+                ))}
               </select>
 
               <button
@@ -5949,6 +9074,20 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               </button>
             </div>
 
+            <BudgetTemplates
+              templates={budgetTemplates}
+              month={budgetViewMonth}
+              monthLabel={monthLabelFromKey(budgetViewMonth)}
+              budgetCount={budgetsForViewMonth.length}
+              personLabels={personLabels}
+              onSaveFromMonth={addBudgetTemplateFromMonth}
+              onApply={applyBudgetTemplate}
+              onCopyForward={copyBudgetsForward}
+              onAdjust={adjustBudgetsByPercent}
+              onUpdate={updateBudgetTemplate}
+              onDelete={deleteBudgetTemplate}
+            />
+
             {/* Budget vs Actual summary (for budgetViewMonth) */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
               <div className="border rounded-lg p-4">
@@ -5956,6 +9095,11 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 <p className="text-xl font-bold">
                   ${Number(budgetSummary.totalBudget || 0).toLocaleString()}
                 </p>
+                {budgetSummary.sinkingFunds > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    incl. ${Number(budgetSummary.sinkingFunds).toLocaleString()} to sinking funds
+                  </p>
+                )}
               </div>
 
               <div className="border rounded-lg p-4">
@@ -5963,6 +9107,16 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
                 <p className="text-xl font-bold text-red-600">
                   ${Number(budgetSummary.totalSpent || 0).toLocaleString()}
                 </p>
+                {budgetSummary.sinkingFunds > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    incl. ${Number(budgetSummary.sinkingFunds).toLocaleString()} set aside for sinking funds
+                  </p>
+                )}
+                {budgetSummary.sinkingFundsPaid > 0 && (
+                  <p className="text-xs text-gray-500">
+                    ${Number(budgetSummary.sinkingFundsPaid).toLocaleString()} of bills paid from sinking funds instead
+                  </p>
+                )}
               </div>
 
               <div className="border rounded-lg p-4">
@@ -5985,6 +9139,17 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
               </div>
 
             </div>
+            </>
+            )}
+
+            <SinkingFunds
+              funds={sinkingFundsForViewMonth}
+              month={budgetViewMonth}
+              categoryOptions={categorySelectOptions}
+              personLabels={personLabels}
+              onAdd={addSinkingFund}
+              onDelete={deleteSinkingFund}
+            />
 
 {/* AI Monthly Summary */}
 <div className="border rounded-lg p-4 mb-6 bg-white">
@@ -6062,6 +9227,7 @@ const monthlyTotals = dashboardExpenseTxns.reduce((acc, t) => {
 
 
             {/* Per-category budget cards (only for budgetViewMonth) */}
+            {budgetMode !== "envelope" && (
             <div className="space-y-6">
               {budgetsForViewMonthAndSearch.map((b) => {
                 const progress = getBudgetProgress(b.category, b.month);
@@ -6168,9 +9334,9 @@ const pacingColorClass =
                               }
                               className="border rounded px-2 py-1 text-sm"
                             >
-                              {budgetCategories.map((c) => (
-                                <option key={c} value={c}>
-                                  {c}
+                              {categorySelectOptions.map((c) => (
+                                <option key={c.name} value={c.name}>
+                                  {c.label}
                                 </option>
                               ))}
                             </select>
@@ -6201,9 +9367,11 @@ const pacingColorClass =
                               }
                               className="border rounded px-2 py-1 text-sm"
                             >
-                              <option value="joint">Joint</option>
-                              <option value="you">You</option>
-                              <option value="wife">Wife</option>
+                              {peopleOptions.map((p) => (
+                                <option key={p.key} value={p.key}>
+                                  {p.name}
+                                </option>
+                              ))}
                             </select>
                           </div>
                         ) : (
@@ -6439,6 +9607,15 @@ const pacingColorClass =
                                   )}
                                 </div>
                               </div>
+
+                              {rolloverEnabled && (
+                                <RolloverHistory
+                                  category={b.category}
+                                  entry={rolloverLedgerForViewMonth[b.category]}
+                                  month={b.month}
+                                  onSavePolicy={saveRolloverPolicy}
+                                />
+                              )}
                             </div>
                           );
                         })()}
@@ -6460,6 +9637,7 @@ const pacingColorClass =
                 </div>
               )}
             </div>
+            )}
           </div>
         )}   {/* End of Budget Logic */}
 
@@ -6847,6 +10025,32 @@ const pacingColorClass =
 )}
    {/* End of Project Logic */}
 
+   {/* SUBSCRIPTIONS TAB */}
+{activeTab === "subscriptions" && (
+  <SubscriptionsView
+    subscriptions={subscriptions}
+    accounts={accounts}
+    personLabels={personLabels}
+    onTrack={(sub) => (sub.candidate ? createRuleFromCandidate(sub.candidate) : false)}
+    onToggleActive={(ruleId) => {
+      const rule = recurringRules.find((r) => r.id === ruleId);
+      return rule ? toggleRecurringActiveDb(rule) : undefined;
+    }}
+  />
+)}
+
+   {/* CALENDAR TAB */}
+{activeTab === "calendar" && (
+  <BillCalendar
+    rules={recurringRulesByPerson}
+    projects={projects}
+    transactions={transactionsByPerson}
+    personLabels={personLabels}
+    today={todayIso()}
+    onMarkPaid={markCalendarItemPaid}
+  />
+)}
+
    {/* TREND TAB */}
 {activeTab === "trends" && (() => {
   const lastTrendMonth =
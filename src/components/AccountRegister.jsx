@@ -0,0 +1,202 @@
+// src/components/AccountRegister.jsx
+
+import { useMemo, useState } from "react";
+import { Lock, Unlock, X } from "lucide-react";
+import { accountRegister, isReconciled, reconciliationSummary } from "../helpers/accountBalanceHelpers";
+
+const money = (v) => `${Number(v) < 0 ? "-" : ""}$${Math.abs(Number(v || 0)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Running balance for one account plus the statement reconciliation workflow:
+// enter the statement's ending balance and date, tick the cleared rows, and
+// lock them once the difference is zero.
+export default function AccountRegister({ account, accounts, transactions, today, onReconcile, onUnlock, onClose }) {
+  const [reconciling, setReconciling] = useState(false);
+  const [statementDate, setStatementDate] = useState(today);
+  const [statementBalance, setStatementBalance] = useState("");
+  const [clearedIds, setClearedIds] = useState(() => new Set());
+  const [busy, setBusy] = useState(false);
+
+  const register = useMemo(
+    () => accountRegister(accounts, transactions, account.id),
+    [accounts, transactions, account.id]
+  );
+
+  const open = useMemo(
+    () => register.filter((r) => !isReconciled(r.t) && r.t.date <= statementDate),
+    [register, statementDate]
+  );
+
+  const summary = reconciliationSummary(account, register, { statementBalance, clearedIds });
+  const balanceToday = [...register].reverse().find((r) => r.t.date <= today)?.balance ?? Number(account.opening_balance || 0);
+  const canFinish = statementBalance !== "" && statementDate && summary.difference === 0 && clearedIds.size > 0;
+
+  const toggle = (id) =>
+    setClearedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const finish = async () => {
+    setBusy(true);
+    const ok = await onReconcile(account.id, {
+      statementDate,
+      statementBalance: Number(statementBalance),
+      ids: [...clearedIds],
+    });
+    setBusy(false);
+    if (ok) {
+      setReconciling(false);
+      setStatementBalance("");
+      setClearedIds(new Set());
+    }
+  };
+
+  const rows = reconciling ? open : register;
+
+  return (
+    <div className="mt-3 border rounded-lg p-3 bg-gray-50 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-gray-800">{account.name} register</div>
+          <div className="text-xs text-gray-500">
+            Balance today {money(balanceToday)}
+            {account.reconciled_through
+              ? ` · reconciled through ${account.reconciled_through} at ${money(account.reconciled_balance)}`
+              : " · never reconciled"}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {!reconciling && (
+            <button
+              type="button"
+              onClick={() => setReconciling(true)}
+              className="bg-gray-800 text-white text-sm px-3 py-1.5 rounded-md hover:bg-gray-900"
+            >
+              Reconcile statement
+            </button>
+          )}
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      {reconciling && (
+        <div className="flex flex-wrap items-end gap-3 bg-white border rounded p-3 text-sm">
+          <label className="text-xs text-gray-500">
+            Statement date
+            <input
+              type="date"
+              value={statementDate}
+              onChange={(e) => setStatementDate(e.target.value)}
+              className="border rounded px-2 py-1 text-sm block mt-1"
+            />
+          </label>
+          <label className="text-xs text-gray-500">
+            Ending balance
+            <input
+              type="number"
+              value={statementBalance}
+              onChange={(e) => setStatementBalance(e.target.value)}
+              placeholder={account.account_type === "credit" ? "Owed, as a negative" : "0.00"}
+              className="border rounded px-2 py-1 text-sm w-32 block mt-1"
+            />
+          </label>
+          <div>
+            <div className="text-xs text-gray-500">Cleared balance</div>
+            <div className="font-medium">{money(summary.clearedBalance)}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Difference</div>
+            <div className={`font-semibold ${summary.difference === 0 ? "text-green-700" : "text-red-700"}`}>
+              {statementBalance === "" ? "—" : money(summary.difference)}
+            </div>
+          </div>
+          <div className="flex items-center gap-2 ml-auto">
+            <button
+              type="button"
+              onClick={() => setClearedIds(new Set(open.map((r) => r.t.id)))}
+              className="text-sm text-indigo-700 hover:text-indigo-900"
+            >
+              Tick all
+            </button>
+            <button
+              type="button"
+              onClick={finish}
+              disabled={!canFinish || busy}
+              className="bg-green-600 text-white text-sm px-3 py-1.5 rounded-md hover:bg-green-700 disabled:opacity-50"
+              title={canFinish ? "Lock the ticked transactions" : "The difference must be zero"}
+            >
+              Finish &amp; lock
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setReconciling(false);
+                setClearedIds(new Set());
+              }}
+              className="text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto bg-white border rounded">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {reconciling && <th className="px-3 py-2 text-center">Cleared</th>}
+              <th className="px-3 py-2 text-left">Date</th>
+              <th className="px-3 py-2 text-left">Description</th>
+              <th className="px-3 py-2 text-right">Amount</th>
+              <th className="px-3 py-2 text-right">Balance</th>
+              <th className="px-3 py-2 text-center">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...rows].reverse().map((r) => (
+              <tr key={r.t.id} className={`border-t ${r.t.date > today ? "text-gray-400" : ""}`}>
+                {reconciling && (
+                  <td className="px-3 py-2 text-center">
+                    <input type="checkbox" checked={clearedIds.has(r.t.id)} onChange={() => toggle(r.t.id)} />
+                  </td>
+                )}
+                <td className="px-3 py-2 whitespace-nowrap">{r.t.date}</td>
+                <td className="px-3 py-2">{r.t.description}</td>
+                <td className={`px-3 py-2 text-right ${r.amount < 0 ? "text-red-700" : "text-green-700"}`}>{money(r.amount)}</td>
+                <td className={`px-3 py-2 text-right font-medium ${r.balance < 0 ? "text-red-700" : ""}`}>{money(r.balance)}</td>
+                <td className="px-3 py-2 text-center">
+                  {isReconciled(r.t) ? (
+                    <button
+                      type="button"
+                      onClick={() => onUnlock(r.t.id)}
+                      className="group inline-flex items-center gap-1 text-xs text-gray-600 hover:text-red-600"
+                      title={`Reconciled on ${r.t.reconciled_on}. Click to unlock for editing.`}
+                    >
+                      <Lock size={14} className="group-hover:hidden" />
+                      <Unlock size={14} className="hidden group-hover:inline" />
+                      {r.t.reconciled_on}
+                    </button>
+                  ) : (
+                    <span className="text-xs text-gray-400">open</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr className="border-t">
+                <td className="px-3 py-3 text-gray-500" colSpan={reconciling ? 6 : 5}>
+                  {reconciling ? "Nothing left to reconcile through this date." : "No transactions on this account since its opening balance."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
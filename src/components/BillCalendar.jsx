@@ -0,0 +1,207 @@
+// src/components/BillCalendar.jsx
+
+import { useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { calendarItems, calendarTotals, calendarWeeks, shiftMonthKey } from "../helpers/billCalendarHelpers";
+
+const money = (v) => `$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const STATUS_STYLES = {
+  paid: "bg-green-50 text-green-700 line-through decoration-green-400",
+  overdue: "bg-red-100 text-red-800 font-medium",
+  due: "bg-amber-100 text-amber-800 font-medium",
+  upcoming: "bg-gray-100 text-gray-700",
+};
+
+const STATUS_LABELS = { paid: "Paid", overdue: "Past due", due: "Due today", upcoming: "Upcoming" };
+
+export default function BillCalendar({ rules, projects, transactions, personLabels, today, onMarkPaid }) {
+  const [monthKey, setMonthKey] = useState(today.slice(0, 7));
+  const [selectedDate, setSelectedDate] = useState(today);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const weeks = useMemo(() => calendarWeeks(monthKey), [monthKey]);
+  const byDate = useMemo(
+    () => calendarItems({ rules, projects, transactions, monthKey, today }),
+    [rules, projects, transactions, monthKey, today]
+  );
+  const totals = useMemo(() => calendarTotals(byDate), [byDate]);
+
+  const selected = byDate[selectedDate] || { expected: [], actual: [] };
+  const monthTitle = new Date(`${monthKey}-01T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+  const goMonth = (delta) => {
+    const next = shiftMonthKey(monthKey, delta);
+    setMonthKey(next);
+    setSelectedDate(next === today.slice(0, 7) ? today : `${next}-01`);
+  };
+
+  const markPaid = async (item) => {
+    setBusyKey(item.key);
+    await onMarkPaid(item);
+    setBusyKey(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Expected income</div>
+          <div className="text-2xl font-bold text-green-600">{money(totals.expectedIncome)}</div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Expected bills</div>
+          <div className="text-2xl font-bold text-red-600">{money(totals.expectedBills)}</div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Still to pay</div>
+          <div className="text-2xl font-bold">{money(totals.unpaidBills)}</div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Past due</div>
+          <div className={`text-2xl font-bold ${totals.overdue ? "text-red-600" : "text-gray-400"}`}>{totals.overdue}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg shadow p-6 lg:col-span-2">
+          <div className="flex items-center justify-between mb-4">
+            <button type="button" onClick={() => goMonth(-1)} className="p-1 rounded hover:bg-gray-100" title="Previous month">
+              <ChevronLeft size={20} />
+            </button>
+            <h2 className="text-xl font-semibold">{monthTitle}</h2>
+            <button type="button" onClick={() => goMonth(1)} className="p-1 rounded hover:bg-gray-100" title="Next month">
+              <ChevronRight size={20} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-7 gap-1 text-xs text-gray-500 mb-1">
+            {WEEKDAYS.map((d) => (
+              <div key={d} className="text-center">
+                {d}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-7 gap-1">
+            {weeks.flat().map((date, i) => {
+              if (!date) return <div key={`blank-${i}`} className="min-h-24" />;
+              const { expected, actual } = byDate[date] || { expected: [], actual: [] };
+              const open = expected.some((e) => e.status === "overdue" || e.status === "due");
+              return (
+                <button
+                  key={date}
+                  type="button"
+                  onClick={() => setSelectedDate(date)}
+                  className={`min-h-24 border rounded p-1 text-left align-top flex flex-col gap-0.5 ${
+                    date === selectedDate ? "ring-2 ring-indigo-500" : ""
+                  } ${open ? "border-red-300" : ""} ${date === today ? "bg-indigo-50" : ""}`}
+                >
+                  <span className={`text-xs ${date === today ? "font-bold text-indigo-700" : "text-gray-600"}`}>
+                    {Number(date.slice(8, 10))}
+                  </span>
+                  {expected.slice(0, 3).map((e) => (
+                    <span key={e.key} className={`truncate rounded px-1 text-[11px] ${STATUS_STYLES[e.status]}`}>
+                      {e.type === "income" ? "+" : ""}
+                      {money(e.amount)} {e.description}
+                    </span>
+                  ))}
+                  {expected.length > 3 && <span className="text-[11px] text-gray-500">+{expected.length - 3} more</span>}
+                  {actual.length > 0 && (
+                    <span className="text-[11px] text-gray-400 mt-auto">
+                      {actual.length} txn{actual.length === 1 ? "" : "s"}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-3 text-xs">
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <span key={status} className={`rounded px-2 py-0.5 ${STATUS_STYLES[status]}`}>
+                {label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-lg font-semibold">
+            {new Date(`${selectedDate}T00:00:00Z`).toLocaleDateString("en-US", {
+              weekday: "long",
+              month: "short",
+              day: "numeric",
+              timeZone: "UTC",
+            })}
+          </h3>
+
+          <div className="mt-4">
+            <div className="text-xs uppercase text-gray-500 mb-2">Expected</div>
+            {selected.expected.length === 0 && <div className="text-sm text-gray-500">Nothing scheduled.</div>}
+            <div className="space-y-2">
+              {selected.expected.map((e) => (
+                <div key={e.key} className="border rounded p-2 text-sm">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="font-medium">{e.description}</div>
+                      <div className="text-xs text-gray-500">
+                        {e.kind === "project" ? "Planned project" : e.category} · {personLabels[e.person] || e.person}
+                      </div>
+                    </div>
+                    <div className={e.type === "income" ? "text-green-700" : "text-red-700"}>
+                      {e.type === "income" ? "+" : "-"}
+                      {money(e.amount)}
+                    </div>
+                  </div>
+                  <div className="mt-2 flex items-center justify-between">
+                    <span className={`text-xs rounded px-2 py-0.5 ${STATUS_STYLES[e.status]}`}>
+                      {e.type !== "income"
+                        ? STATUS_LABELS[e.status]
+                        : e.status === "paid"
+                          ? "Received"
+                          : e.status === "overdue"
+                            ? "Not received"
+                            : STATUS_LABELS[e.status]}
+                    </span>
+                    {e.status !== "paid" && (
+                      <button
+                        type="button"
+                        onClick={() => markPaid(e)}
+                        disabled={busyKey !== null}
+                        className="text-xs bg-indigo-600 text-white px-2 py-1 rounded hover:bg-indigo-700 disabled:opacity-60"
+                      >
+                        {busyKey === e.key ? "Saving…" : e.type === "income" ? "Mark received" : "Mark paid"}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-6">
+            <div className="text-xs uppercase text-gray-500 mb-2">Transactions</div>
+            {selected.actual.length === 0 && <div className="text-sm text-gray-500">None recorded.</div>}
+            <div className="divide-y">
+              {selected.actual.map((t) => (
+                <div key={t.id} className="flex items-center justify-between py-1.5 text-sm">
+                  <span className="truncate">{t.description}</span>
+                  <span className={t.type === "income" ? "text-green-700" : "text-red-700"}>
+                    {t.type === "income" ? "+" : "-"}
+                    {money(t.amount)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+// src/components/BudgetTemplates.jsx
+
+import { useState } from "react";
+import { Copy, Percent, Trash2 } from "lucide-react";
+
+const money = (v) => `$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const input = "border rounded px-2 py-1 text-sm";
+
+function TemplateEditor({ template, personLabels, onSave, onDelete }) {
+  const [draft, setDraft] = useState(() => ({
+    name: template.name,
+    items: template.items.map((i) => ({ ...i, amount: String(i.amount) })),
+  }));
+  const [busy, setBusy] = useState(false);
+
+  const setItem = (idx, patch) =>
+    setDraft((d) => ({ ...d, items: d.items.map((i, n) => (n === idx ? { ...i, ...patch } : i)) }));
+
+  const save = async () => {
+    setBusy(true);
+    await onSave(template, { ...draft, items: draft.items.map((i) => ({ ...i, amount: Number(i.amount) || 0 })) });
+    setBusy(false);
+  };
+
+  return (
+    <div className="border rounded p-3 bg-gray-50 space-y-2">
+      <div className="flex items-center gap-2">
+        <input value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} className={`${input} flex-1`} />
+        <button type="button" onClick={() => onDelete(template.id)} className="text-red-600 hover:text-red-800" title="Delete template">
+          <Trash2 size={16} />
+        </button>
+      </div>
+      <table className="w-full text-sm">
+        <tbody>
+          {draft.items.map((i, idx) => (
+            <tr key={`${i.category}-${i.person}`} className="border-t">
+              <td className="py-1 pr-2">
+                {i.category}
+                {i.person !== "joint" && personLabels[i.person] ? <span className="text-xs text-gray-500"> · {personLabels[i.person]}</span> : null}
+              </td>
+              <td className="py-1 px-2 text-right">
+                <input
+                  type="number"
+                  min={0}
+                  value={i.amount}
+                  onChange={(e) => setItem(idx, { amount: e.target.value })}
+                  className={`${input} w-28 text-right`}
+                />
+              </td>
+              <td className="py-1 pl-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => setDraft((d) => ({ ...d, items: d.items.filter((_, n) => n !== idx) }))}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove from template"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-500">Future months filled from this template update too, unless edited by hand.</span>
+        <button
+          type="button"
+          onClick={save}
+          disabled={busy}
+          className="bg-indigo-600 text-white text-xs px-2 py-1 rounded hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Save template
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Budget tab: reuse the same budget rows month after month
+export default function BudgetTemplates({
+  templates,
+  month,
+  monthLabel,
+  budgetCount,
+  personLabels,
+  onSaveFromMonth,
+  onApply,
+  onCopyForward,
+  onAdjust,
+  onUpdate,
+  onDelete,
+}) {
+  const [newName, setNewName] = useState("");
+  const [apply, setApply] = useState({ templateId: "", start: month, count: 1 });
+  const [overwrite, setOverwrite] = useState(false);
+  const [percent, setPercent] = useState("");
+  const [editingId, setEditingId] = useState(null);
+
+  const saveFromMonth = async () => {
+    if (!newName.trim()) return alert("Name the template first.");
+    if (await onSaveFromMonth(newName.trim())) setNewName("");
+  };
+
+  const applyTemplate = async () => {
+    const template = templates.find((t) => String(t.id) === String(apply.templateId));
+    if (!template) return alert("Pick a template to apply.");
+    await onApply(template, apply.start || month, Number(apply.count) || 1, overwrite);
+  };
+
+  const adjust = async () => {
+    const pct = Number(percent);
+    if (!pct) return alert("Enter a percentage, e.g. 5 or -10.");
+    if (await onAdjust(pct)) setPercent("");
+  };
+
+  const editing = templates.find((t) => t.id === editingId);
+
+  return (
+    <div className="border rounded-lg p-4 mb-6 space-y-4">
+      <div>
+        <p className="text-sm font-semibold text-gray-900">Templates &amp; copy forward</p>
+        <p className="text-xs text-gray-500">Fill a month from a saved template or from the month before.</p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={apply.templateId} onChange={(e) => setApply((a) => ({ ...a, templateId: e.target.value }))} className={input}>
+          <option value="">Template…</option>
+          {templates.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name} ({money(t.items.reduce((s, i) => s + i.amount, 0))})
+            </option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-600">from</span>
+        <input type="month" value={apply.start} onChange={(e) => setApply((a) => ({ ...a, start: e.target.value }))} className={input} />
+        <span className="text-sm text-gray-600">for</span>
+        <input
+          type="number"
+          min={1}
+          max={24}
+          value={apply.count}
+          onChange={(e) => setApply((a) => ({ ...a, count: e.target.value }))}
+          className={`${input} w-16`}
+        />
+        <span className="text-sm text-gray-600">month(s)</span>
+        <button type="button" onClick={applyTemplate} className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700">
+          Apply
+        </button>
+        <label className="text-xs text-gray-600 flex items-center gap-1 ml-2">
+          <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} />
+          Overwrite existing budgets
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onCopyForward(overwrite)}
+          className="border rounded text-sm px-3 py-1.5 hover:bg-gray-50 flex items-center gap-1"
+        >
+          <Copy size={14} /> Copy last month into {monthLabel}
+        </button>
+        <input
+          type="number"
+          value={percent}
+          onChange={(e) => setPercent(e.target.value)}
+          placeholder="±%"
+          className={`${input} w-20`}
+        />
+        <button
+          type="button"
+          onClick={adjust}
+          disabled={!budgetCount}
+          className="border rounded text-sm px-3 py-1.5 hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1"
+        >
+          <Percent size={14} /> Adjust {monthLabel} budgets
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="e.g. Holiday month" className={input} />
+        <button
+          type="button"
+          onClick={saveFromMonth}
+          disabled={!budgetCount}
+          className="border rounded text-sm px-3 py-1.5 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Save {monthLabel} as template
+        </button>
+      </div>
+
+      {templates.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap gap-2">
+            {templates.map((t) => (
+              <button
+                key={t.id}
+                type="button"
+                onClick={() => setEditingId(editingId === t.id ? null : t.id)}
+                className={`text-xs px-2 py-1 rounded border ${editingId === t.id ? "bg-indigo-50 border-indigo-300" : "hover:bg-gray-50"}`}
+              >
+                {t.name} · {t.items.length} budget{t.items.length === 1 ? "" : "s"}
+              </button>
+            ))}
+          </div>
+          {editing && (
+            <TemplateEditor
+              key={editing.id}
+              template={editing}
+              personLabels={personLabels}
+              onSave={onUpdate}
+              onDelete={async (id) => {
+                if (await onDelete(id)) setEditingId(null);
+              }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+// src/components/CashFlowForecast.jsx
+
+import { useMemo } from "react";
+import { AlertTriangle } from "lucide-react";
+import { CashFlowForecastChart } from "./Charts";
+import { FORECAST_HORIZONS, UNASSIGNED } from "../helpers/cashFlowForecastHelpers";
+
+const money = (v) => `${Number(v) < 0 ? "-" : ""}$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+export default function CashFlowForecast({
+  forecast,
+  warnings,
+  accounts,
+  months,
+  onMonthsChange,
+  threshold,
+  onThresholdChange,
+  defaultAccountId,
+  onDefaultAccountChange,
+}) {
+  const series = useMemo(() => {
+    const list = (accounts || []).map((a) => ({ id: Number(a.id), label: a.name }));
+    if (forecast.days.length && UNASSIGNED in forecast.days[0].balances) {
+      list.push({ id: UNASSIGNED, label: "No account" });
+    }
+    return list;
+  }, [accounts, forecast]);
+
+  const last = forecast.days[forecast.days.length - 1];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="text-xs text-gray-500">
+          Horizon
+          <select
+            value={months}
+            onChange={(e) => onMonthsChange(Number(e.target.value))}
+            className="border rounded px-2 py-1 text-sm block mt-1"
+          >
+            {FORECAST_HORIZONS.map((m) => (
+              <option key={m} value={m}>
+                {m} months
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Warn when checking drops below
+          <input
+            type="number"
+            min={0}
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value) || 0)}
+            className="border rounded px-2 py-1 text-sm w-28 block mt-1"
+          />
+        </label>
+        <label className="text-xs text-gray-500">
+          Items without an account use
+          <select
+            value={defaultAccountId ?? ""}
+            onChange={(e) => onDefaultAccountChange(e.target.value ? Number(e.target.value) : null)}
+            className="border rounded px-2 py-1 text-sm block mt-1"
+          >
+            <option value="">No account</option>
+            {(accounts || []).map((a) => (
+              <option key={a.id} value={a.id}>
+                {a.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="space-y-2">
+          {warnings.map((w) => (
+            <div key={w.accountId} className="flex items-start gap-2 rounded border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-800">
+              <AlertTriangle size={16} className="mt-0.5 shrink-0" />
+              <div>
+                <span className="font-semibold">{w.accountName}</span> is projected to drop to {money(w.balance)} on {w.date}
+                {w.lowestDate !== w.date ? ` and bottom out at ${money(w.lowest)} on ${w.lowestDate}` : ""}.
+                {w.causes.length > 0 && (
+                  <span className="text-red-700"> Due that day: {w.causes.map((c) => `${c.description} ${money(c.amount)}`).join(", ")}.</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!accounts?.length && (
+        <div className="text-xs text-gray-500">
+          Add accounts with an opening balance to project real balances; until then the forecast starts from $0.
+        </div>
+      )}
+
+      <CashFlowForecastChart days={forecast.days} series={series} threshold={threshold} />
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b bg-gray-50 text-left">
+              <th className="px-3 py-2">Month</th>
+              <th className="px-3 py-2 text-right">Income</th>
+              <th className="px-3 py-2 text-right">Expenses</th>
+              <th className="px-3 py-2 text-right">Loan payments</th>
+              <th className="px-3 py-2 text-right">Debt paid down</th>
+              <th className="px-3 py-2 text-right">Net</th>
+              <th className="px-3 py-2 text-right">Ending balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {forecast.months.map((r) => (
+              <tr key={r.monthKey} className="border-b">
+                <td className="px-3 py-2">{r.monthKey}</td>
+                <td className="px-3 py-2 text-right text-green-700">{money(r.income)}</td>
+                <td className="px-3 py-2 text-right text-red-700">{money(r.expenses)}</td>
+                <td className="px-3 py-2 text-right text-gray-700" title="Included in expenses unless a recurring rule already pays the loan">
+                  {money(r.loanPayments)}
+                </td>
+                <td className="px-3 py-2 text-right text-indigo-700">{money(r.principalPaid)}</td>
+                <td className={`px-3 py-2 text-right font-semibold ${r.net >= 0 ? "text-green-800" : "text-red-800"}`}>
+                  {r.net >= 0 ? "+" : ""}
+                  {money(r.net)}
+                </td>
+                <td className={`px-3 py-2 text-right ${r.endBalance < 0 ? "text-red-700" : ""}`}>{money(r.endBalance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {last && (
+        <div className="text-xs text-gray-500">
+          All accounts: {money(Object.values(forecast.start).reduce((s, v) => s + v, 0))} today → {money(last.total)} on {last.date}.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+// src/components/CategoryManager.jsx
+
+import { useMemo, useState } from "react";
+import { Archive, ArchiveRestore, Check, GitMerge, Pencil, X } from "lucide-react";
+import { CATEGORY_COLORS, categoryTree, unlistedCategories } from "../helpers/categoryHelpers";
+
+const emptyDraft = { name: "", parentId: "", icon: "", color: CATEGORY_COLORS[0] };
+
+export default function CategoryManager({ categories, transactions, onAdd, onUpdate, onArchive, onMerge }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(null);
+  const [mergingId, setMergingId] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const tree = useMemo(() => categoryTree(categories), [categories]);
+  const archived = useMemo(() => (categories || []).filter((c) => c.archived), [categories]);
+  const unlisted = useMemo(() => unlistedCategories(categories, transactions), [categories, transactions]);
+
+  const usage = useMemo(() => {
+    const counts = new Map();
+    for (const t of transactions || []) counts.set(t.category, (counts.get(t.category) || 0) + 1);
+    return counts;
+  }, [transactions]);
+
+  // Only top-level categories can hold subcategories
+  const parentChoices = (excludeId) => tree.filter((p) => p.id !== excludeId);
+
+  const run = async (fn) => {
+    setBusy(true);
+    const ok = await fn();
+    setBusy(false);
+    return ok;
+  };
+
+  const add = async () => {
+    if (!draft.name.trim()) return alert("Enter a category name.");
+    const ok = await run(() => onAdd({ ...draft, parentId: draft.parentId || null }));
+    if (ok) setDraft((d) => ({ ...emptyDraft, parentId: d.parentId }));
+  };
+
+  const saveEdit = async () => {
+    const ok = await run(() => onUpdate(editingId, { ...editDraft, parentId: editDraft.parentId || null }));
+    if (ok) {
+      setEditingId(null);
+      setEditDraft(null);
+    }
+  };
+
+  const merge = async () => {
+    if (!mergeTarget) return;
+    const ok = await run(() => onMerge(mergingId, mergeTarget));
+    if (ok) {
+      setMergingId(null);
+      setMergeTarget("");
+    }
+  };
+
+  const row = (c, depth) => {
+    if (editingId === c.id) {
+      const hasChildren = categories.some((x) => x.parentId === c.id);
+      return (
+        <div key={c.id} className={`flex flex-wrap items-center gap-2 py-2 ${depth ? "pl-6" : ""}`}>
+          <input
+            type="color"
+            value={editDraft.color}
+            onChange={(e) => setEditDraft((d) => ({ ...d, color: e.target.value }))}
+            className="w-8 h-8 border rounded"
+          />
+          <input
+            value={editDraft.icon}
+            onChange={(e) => setEditDraft((d) => ({ ...d, icon: e.target.value }))}
+            className="border rounded px-2 py-1 text-sm w-14 text-center"
+            placeholder="🙂"
+          />
+          <input
+            value={editDraft.name}
+            onChange={(e) => setEditDraft((d) => ({ ...d, name: e.target.value }))}
+            className="border rounded px-2 py-1 text-sm"
+          />
+          {!hasChildren && (
+            <select
+              value={editDraft.parentId || ""}
+              onChange={(e) => setEditDraft((d) => ({ ...d, parentId: e.target.value || null }))}
+              className="border rounded px-2 py-1 text-sm"
+            >
+              <option value="">Top level</option>
+              {parentChoices(c.id).map((p) => (
+                <option key={p.id} value={p.id}>
+                  Under {p.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <button type="button" onClick={saveEdit} disabled={busy} className="text-green-600 hover:text-green-800" title="Save">
+            <Check size={18} />
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setEditingId(null);
+              setEditDraft(null);
+            }}
+            className="text-gray-500 hover:text-gray-700"
+            title="Cancel"
+          >
+            <X size={18} />
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div key={c.id} className={`py-2 ${depth ? "pl-6" : ""}`}>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-sm">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: c.color }} />
+            {c.icon && <span>{c.icon}</span>}
+            <span className={depth ? "" : "font-medium"}>{c.name}</span>
+            <span className="text-xs text-gray-400">{usage.get(c.name) || 0} txns</span>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setEditingId(c.id);
+                setEditDraft({ name: c.name, icon: c.icon, color: c.color, parentId: c.parentId });
+              }}
+              className="text-gray-600 hover:text-gray-800"
+              title="Edit"
+            >
+              <Pencil size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setMergingId(c.id);
+                setMergeTarget("");
+              }}
+              className="text-indigo-600 hover:text-indigo-800"
+              title="Merge into another category"
+            >
+              <GitMerge size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => onArchive(c.id, true)}
+              className="text-amber-600 hover:text-amber-800"
+              title="Archive"
+            >
+              <Archive size={16} />
+            </button>
+          </div>
+        </div>
+
+        {mergingId === c.id && (
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm bg-indigo-50 rounded px-3 py-2">
+            <span>Merge {c.name} into</span>
+            <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)} className="border rounded px-2 py-1">
+              <option value="">Pick a category…</option>
+              {(categories || [])
+                .filter((x) => !x.archived && x.id !== c.id && x.parentId !== c.id)
+                .map((x) => (
+                  <option key={x.id} value={x.id}>
+                    {x.name}
+                  </option>
+                ))}
+            </select>
+            <button
+              type="button"
+              onClick={merge}
+              disabled={busy || !mergeTarget}
+              className="bg-indigo-600 text-white px-3 py-1 rounded hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Merge
+            </button>
+            <button type="button" onClick={() => setMergingId(null)} className="text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <button type="button" onClick={() => setOpen((v) => !v)} className="w-full flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <h2 className="text-xl font-semibold">Categories</h2>
+          <span className="text-xs text-gray-500">
+            • {categories.filter((c) => !c.archived).length} active
+            {unlisted.length ? ` · ${unlisted.length} used but not listed` : ""}
+          </span>
+        </div>
+        <span className="text-lg text-indigo-700 leading-none">{open ? "show less ▾" : "Manage ▸"}</span>
+      </button>
+
+      {!open ? null : (
+        <div className="mt-4">
+          <div className="divide-y">
+            {tree.map((p) => (
+              <div key={p.id}>
+                {row(p, 0)}
+                {p.children.map((c) => row(c, 1))}
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <input
+              type="color"
+              value={draft.color}
+              onChange={(e) => setDraft((d) => ({ ...d, color: e.target.value }))}
+              className="w-8 h-8 border rounded"
+            />
+            <input
+              value={draft.icon}
+              onChange={(e) => setDraft((d) => ({ ...d, icon: e.target.value }))}
+              className="border rounded px-2 py-1 text-sm w-14 text-center"
+              placeholder="🙂"
+            />
+            <input
+              value={draft.name}
+              onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+              placeholder="New category"
+              className="border rounded px-2 py-1 text-sm"
+            />
+            <select
+              value={draft.parentId}
+              onChange={(e) => setDraft((d) => ({ ...d, parentId: e.target.value }))}
+              className="border rounded px-2 py-1 text-sm"
+            >
+              <option value="">Top level</option>
+              {parentChoices(null).map((p) => (
+                <option key={p.id} value={p.id}>
+                  Under {p.name}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={add}
+              disabled={busy}
+              className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Add category
+            </button>
+          </div>
+
+          {unlisted.length > 0 && (
+            <div className="mt-4 text-sm">
+              <div className="text-xs text-gray-500 mb-1">
+                Used by transactions but not in your list (imports and bank categories):
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {unlisted.map((u) => (
+                  <button
+                    key={u.name}
+                    type="button"
+                    onClick={() => run(() => onAdd({ name: u.name, parentId: null, icon: "", color: CATEGORY_COLORS[7] }))}
+                    disabled={busy}
+                    className="px-2 py-1 rounded border text-gray-700 hover:bg-gray-50"
+                    title="Add to the category list"
+                  >
+                    + {u.name} <span className="text-xs text-gray-400">({u.count})</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {archived.length > 0 && (
+            <div className="mt-4">
+              <button
+                type="button"
+                onClick={() => setShowArchived((v) => !v)}
+                className="text-xs text-indigo-600 hover:text-indigo-800"
+              >
+                {showArchived ? "Hide archived" : `Show archived (${archived.length})`}
+              </button>
+              {showArchived && (
+                <div className="mt-2 divide-y">
+                  {archived.map((c) => (
+                    <div key={c.id} className="flex items-center justify-between py-2 text-sm text-gray-500">
+                      <span>
+                        {c.icon} {c.name}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => onArchive(c.id, false)}
+                        className="text-green-600 hover:text-green-800"
+                        title="Restore"
+                      >
+                        <ArchiveRestore size={16} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
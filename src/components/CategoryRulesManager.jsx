@@ -0,0 +1,394 @@
+// src/components/CategoryRulesManager.jsx
+
+import { useMemo, useState } from "react";
+import {
+  DESCRIPTION_OPS,
+  AMOUNT_OPS,
+  ruleMatches,
+  sortCategoryRules,
+  describeCategoryRule,
+  applyCategoryRules,
+} from "../helpers/categoryRuleHelpers";
+
+const emptyDraft = {
+  descriptionOp: "contains",
+  descriptionValue: "",
+  amountOp: "any",
+  amountValue: "",
+  accountId: "",
+  setCategory: "",
+  setPerson: "",
+  priority: "",
+};
+
+export default function CategoryRulesManager({
+  rules,
+  categories,
+  personLabels,
+  accounts,
+  transactions,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onReapply,
+}) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({ ...emptyDraft, setCategory: categories?.[0] || "" });
+  const [testRule, setTestRule] = useState(null); // rule (draft or saved) being previewed
+  const [reapplyScope, setReapplyScope] = useState("uncategorized"); // uncategorized | all
+  const [busy, setBusy] = useState(false);
+
+  const sorted = useMemo(() => sortCategoryRules(rules), [rules]);
+
+  // "Test rule against history": which existing transactions this rule would touch
+  const testMatches = useMemo(() => {
+    if (!testRule) return [];
+    return (transactions || [])
+      .filter((t) => (t.transaction_type || "normal") !== "transfer")
+      .filter((t) => ruleMatches(testRule, t))
+      .sort((a, b) => (a.date < b.date ? 1 : -1));
+  }, [testRule, transactions]);
+
+  const testChanges = testMatches.filter(
+    (t) => t.category !== testRule?.setCategory || (testRule?.setPerson && t.person !== testRule.setPerson)
+  ).length;
+
+  const draftAsRule = () => ({
+    ...draft,
+    active: true,
+    amountValue: draft.amountValue === "" ? null : Number(draft.amountValue),
+    accountId: draft.accountId || null,
+    setPerson: draft.setPerson || null,
+    priority:
+      draft.priority === ""
+        ? (sorted.length ? Number(sorted[sorted.length - 1].priority || 0) : 0) + 10
+        : Number(draft.priority),
+  });
+
+  const addRule = async () => {
+    if (!draft.setCategory) return alert("Pick the category this rule assigns.");
+    if (!String(draft.descriptionValue || "").trim() && draft.amountOp === "any" && !draft.accountId) {
+      return alert("Add at least one condition (description, amount or account).");
+    }
+    if (draft.descriptionOp === "regex") {
+      try {
+        new RegExp(draft.descriptionValue, "i");
+      } catch {
+        return alert("That regular expression is not valid.");
+      }
+    }
+
+    setBusy(true);
+    const ok = await onAdd(draftAsRule());
+    setBusy(false);
+    if (ok) {
+      setDraft((p) => ({ ...emptyDraft, setCategory: p.setCategory }));
+      setTestRule(null);
+    }
+  };
+
+  // Swap priorities with the neighbour above/below
+  const moveRule = async (idx, dir) => {
+    const a = sorted[idx];
+    const b = sorted[idx + dir];
+    if (!a || !b) return;
+
+    const pa = Number(a.priority ?? 100);
+    const pb = Number(b.priority ?? 100);
+    await onUpdate(a.id, { priority: pa === pb ? pb + dir : pb });
+    await onUpdate(b.id, { priority: pa });
+  };
+
+  const reapply = async () => {
+    const targets = (transactions || []).filter((t) => {
+      if ((t.transaction_type || "normal") === "transfer") return false;
+      if (reapplyScope === "uncategorized") {
+        const c = String(t.category || "").trim();
+        return !c || c === "Uncategorized";
+      }
+      return true;
+    });
+
+    const changes = targets
+      .map((t) => ({ before: t, after: applyCategoryRules(t, rules) }))
+      .filter(({ before, after }) => before.category !== after.category || before.person !== after.person);
+
+    if (!changes.length) return alert("Rules don't change any of those transactions.");
+    if (!window.confirm(`Re-categorize ${changes.length} transaction(s) using the current rules?`)) return;
+
+    setBusy(true);
+    await onReapply(changes.map((c) => c.after));
+    setBusy(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="w-full flex items-center justify-between"
+      >
+        <div className="flex items-center gap-3">
+          <h2 className="text-xl font-semibold">Categorization Rules</h2>
+          <span className="text-xs text-gray-500">
+            • {sorted.length} rule{sorted.length === 1 ? "" : "s"} · applied to imports and new transactions
+          </span>
+        </div>
+        <span className="text-lg text-indigo-700 leading-none">{open ? "show less ▾" : "Show Rules ▸"}</span>
+      </button>
+
+      {!open ? null : (
+        <>
+          {/* Add rule */}
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-12 gap-2 items-end">
+            <div className="md:col-span-2">
+              <label className="text-xs text-gray-500">Description</label>
+              <select
+                value={draft.descriptionOp}
+                onChange={(e) => setDraft((p) => ({ ...p, descriptionOp: e.target.value }))}
+                className="border rounded px-2 py-2 w-full text-sm"
+              >
+                {DESCRIPTION_OPS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <input
+              value={draft.descriptionValue}
+              onChange={(e) => setDraft((p) => ({ ...p, descriptionValue: e.target.value }))}
+              placeholder="e.g. COSTCO"
+              className="border rounded px-3 py-2 text-sm md:col-span-2"
+            />
+            <div className="md:col-span-1">
+              <label className="text-xs text-gray-500">Amount</label>
+              <select
+                value={draft.amountOp}
+                onChange={(e) => setDraft((p) => ({ ...p, amountOp: e.target.value }))}
+                className="border rounded px-2 py-2 w-full text-sm"
+              >
+                {AMOUNT_OPS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <input
+              type="number"
+              value={draft.amountValue}
+              disabled={draft.amountOp === "any"}
+              onChange={(e) => setDraft((p) => ({ ...p, amountValue: e.target.value }))}
+              placeholder="15.49"
+              className="border rounded px-3 py-2 text-sm md:col-span-1 disabled:bg-gray-100"
+            />
+            <select
+              value={draft.accountId}
+              onChange={(e) => setDraft((p) => ({ ...p, accountId: e.target.value }))}
+              className="border rounded px-2 py-2 text-sm md:col-span-2"
+            >
+              <option value="">Any account</option>
+              {(accounts || []).map((a) => (
+                <option key={a.id} value={a.id}>
+                  {a.name}
+                </option>
+              ))}
+            </select>
+            <div className="md:col-span-2">
+              <label className="text-xs text-gray-500">→ Category</label>
+              <select
+                value={draft.setCategory}
+                onChange={(e) => setDraft((p) => ({ ...p, setCategory: e.target.value }))}
+                className="border rounded px-2 py-2 w-full text-sm"
+              >
+                {(categories || []).map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <select
+              value={draft.setPerson}
+              onChange={(e) => setDraft((p) => ({ ...p, setPerson: e.target.value }))}
+              className="border rounded px-2 py-2 text-sm md:col-span-1"
+            >
+              <option value="">Keep person</option>
+              {Object.entries(personLabels || {}).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={draft.priority}
+              onChange={(e) => setDraft((p) => ({ ...p, priority: e.target.value }))}
+              placeholder="Priority"
+              title="Lower numbers run first. Leave empty to add at the end."
+              className="border rounded px-2 py-2 text-sm md:col-span-1"
+            />
+          </div>
+
+          <div className="mt-2 flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => setTestRule(draftAsRule())}
+              className="border text-sm px-3 py-2 rounded hover:bg-gray-50"
+            >
+              Test against history
+            </button>
+            <button
+              type="button"
+              onClick={addRule}
+              disabled={busy}
+              className="bg-indigo-600 text-white text-sm px-4 py-2 rounded hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Add Rule
+            </button>
+          </div>
+
+          {testRule && (
+            <div className="mt-3 border rounded p-3 bg-gray-50 text-xs">
+              <div className="flex items-center justify-between">
+                <div className="font-semibold text-gray-800">
+                  {describeCategoryRule(testRule, { personLabels, accounts })}
+                </div>
+                <button type="button" onClick={() => setTestRule(null)} className="text-gray-500 hover:text-gray-700">
+                  Close
+                </button>
+              </div>
+              <div className="text-gray-600 mt-1">
+                Matches {testMatches.length} past transaction(s); {testChanges} would change.
+              </div>
+              {testMatches.length > 0 && (
+                <div className="mt-2 space-y-1">
+                  {testMatches.slice(0, 10).map((t) => (
+                    <div key={t.id} className="flex justify-between gap-3">
+                      <span className="truncate">
+                        {t.date} · {t.description}
+                      </span>
+                      <span className="whitespace-nowrap text-gray-600">
+                        ${Math.abs(Number(t.amount || 0)).toLocaleString()} · {t.category || "Uncategorized"}
+                        {t.category !== testRule.setCategory ? ` → ${testRule.setCategory}` : ""}
+                      </span>
+                    </div>
+                  ))}
+                  {testMatches.length > 10 && (
+                    <div className="text-gray-500">…and {testMatches.length - 10} more</div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Rules table */}
+          <div className="mt-4 overflow-x-auto border rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left">
+                  <th className="px-3 py-2 w-24">Priority</th>
+                  <th className="px-3 py-2">Rule</th>
+                  <th className="px-3 py-2 text-center">Status</th>
+                  <th className="px-3 py-2 text-center">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map((r, idx) => (
+                  <tr key={r.id} className="border-b">
+                    <td className="px-3 py-2">
+                      <div className="flex items-center gap-1">
+                        <span className="tabular-nums w-8">{r.priority}</span>
+                        <button
+                          type="button"
+                          onClick={() => moveRule(idx, -1)}
+                          disabled={idx === 0}
+                          className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Run earlier"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveRule(idx, 1)}
+                          disabled={idx === sorted.length - 1}
+                          className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Run later"
+                        >
+                          ↓
+                        </button>
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">{describeCategoryRule(r, { personLabels, accounts })}</td>
+                    <td className="px-3 py-2 text-center">
+                      <span
+                        className={`inline-flex px-2 py-1 rounded-full text-[11px] font-semibold ${
+                          r.active ? "bg-green-100 text-green-700" : "bg-gray-200 text-gray-600"
+                        }`}
+                      >
+                        {r.active ? "Active" : "Paused"}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-center">
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          type="button"
+                          onClick={() => setTestRule(r)}
+                          className="text-indigo-600 hover:text-indigo-800"
+                        >
+                          Test
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onUpdate(r.id, { active: !r.active })}
+                          className="text-indigo-600 hover:text-indigo-800"
+                        >
+                          {r.active ? "Pause" : "Resume"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onDelete(r.id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {sorted.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-4 text-center text-gray-500">
+                      No rules yet. Example: description contains COSTCO → Food.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Bulk re-apply */}
+          <div className="mt-4 flex flex-col md:flex-row md:items-center gap-2">
+            <select
+              value={reapplyScope}
+              onChange={(e) => setReapplyScope(e.target.value)}
+              className="border rounded px-3 py-2 text-sm"
+            >
+              <option value="uncategorized">Only Uncategorized transactions</option>
+              <option value="all">All existing transactions</option>
+            </select>
+            <button
+              type="button"
+              onClick={reapply}
+              disabled={busy || sorted.length === 0}
+              className="bg-gray-900 text-white text-sm px-4 py-2 rounded hover:bg-black disabled:opacity-60"
+            >
+              Re-apply rules to existing transactions
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -39,10 +39,22 @@ const ChartCard = ({ title, children }) => (
 // NET WORTH LINE CHART
 // ----------------------------------------------------------
 export const NetWorthChart = ({ history }) => {
+  // Dates are "YYYY-MM-DD"; parse as local so labels don't shift a day
   const labels = history.map((h) =>
-    new Date(h.date).toLocaleDateString("en-US", { month: "short", day: "numeric" })
+    new Date(`${h.date}T00:00:00`).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "2-digit" })
   );
 
+  if (history.length < 2) {
+    return (
+      <ChartCard title="Net Worth Trend">
+        <p className="text-sm text-gray-500">
+          Not enough history for this range yet. Snapshots are recorded monthly and whenever
+          asset or liability values change.
+        </p>
+      </ChartCard>
+    );
+  }
+
   const data = {
     labels,
     datasets: [
@@ -170,3 +182,114 @@ export const AssetsLiabilitiesChart = ({ assets, liabilities }) => {
     </ChartCard>
   );
 };
+
+// ----------------------------------------------------------
+// DEBT PAYOFF STRATEGY COMPARISON
+// ----------------------------------------------------------
+// plans: [{ label, series: [{ monthKey, balance }] }]
+export const DebtPayoffChart = ({ plans, startBalance = 0 }) => {
+  const colors = ["#4f46e5", "#22c55e", "#f59e0b", "#ef4444"];
+  const longest = plans.reduce((max, p) => Math.max(max, p.series.length), 0);
+  const base = plans.find((p) => p.series.length === longest)?.series || [];
+
+  const data = {
+    labels: ["Now", ...base.map((s) => s.monthKey)],
+    datasets: plans.map((p, i) => ({
+      label: p.label,
+      // Pad finished plans with zeros so every line runs the full width
+      data: [startBalance, ...base.map((_, idx) => p.series[idx]?.balance ?? 0)],
+      borderColor: colors[i % colors.length],
+      backgroundColor: "transparent",
+      pointRadius: 0,
+      tension: 0.2,
+    })),
+  };
+
+  return (
+    <ChartCard title="Total Debt by Strategy">
+      <Line data={data} />
+    </ChartCard>
+  );
+};
+
+// ----------------------------------------------------------
+// CASH FLOW FORECAST (projected daily balance per account)
+// ----------------------------------------------------------
+export const CashFlowForecastChart = ({ days, series, threshold }) => {
+  const colors = ["#4f46e5", "#22c55e", "#0ea5e9", "#f59e0b", "#a855f7", "#ef4444"];
+
+  const data = {
+    labels: days.map((d) =>
+      new Date(`${d.date}T00:00:00`).toLocaleDateString("en-US", { month: "short", day: "numeric" })
+    ),
+    datasets: [
+      ...series.map((s, i) => ({
+        label: s.label,
+        data: days.map((d) => d.balances[s.id] ?? 0),
+        borderColor: colors[i % colors.length],
+        backgroundColor: "transparent",
+        pointRadius: 0,
+        tension: 0,
+        stepped: true,
+      })),
+      {
+        label: "Low-balance threshold",
+        data: days.map(() => threshold),
+        borderColor: "#ef4444",
+        borderDash: [6, 4],
+        backgroundColor: "transparent",
+        pointRadius: 0,
+      },
+    ],
+  };
+
+  return (
+    <ChartCard title="Projected Balances">
+      <Line data={data} options={{ interaction: { mode: "index", intersect: false } }} />
+    </ChartCard>
+  );
+};
+
+// ----------------------------------------------------------
+// SCENARIO COMPARISON (balance over time + monthly net)
+// ----------------------------------------------------------
+export const ScenarioComparisonCharts = ({ runs }) => {
+  const colors = ["#6b7280", "#4f46e5", "#22c55e", "#f59e0b", "#ef4444", "#a855f7"];
+  const days = runs[0]?.forecast.days || [];
+  const months = runs[0]?.forecast.months || [];
+
+  const balanceData = {
+    labels: days.map((d) =>
+      new Date(`${d.date}T00:00:00`).toLocaleDateString("en-US", { month: "short", day: "numeric" })
+    ),
+    datasets: runs.map((r, i) => ({
+      label: r.label,
+      data: r.forecast.days.map((d) => d.total),
+      borderColor: colors[i % colors.length],
+      backgroundColor: "transparent",
+      borderDash: i === 0 ? [6, 4] : undefined,
+      pointRadius: 0,
+      stepped: true,
+    })),
+  };
+
+  const netData = {
+    labels: months.map((m) => m.monthKey),
+    datasets: runs.map((r, i) => ({
+      label: r.label,
+      data: r.forecast.months.map((m) => m.net),
+      backgroundColor: colors[i % colors.length],
+    })),
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <ChartCard title="Balance (all accounts)">
+        <Line data={balanceData} options={{ interaction: { mode: "index", intersect: false } }} />
+      </ChartCard>
+      <ChartCard title="Net Cash Flow by Month">
+        <Bar data={netData} />
+      </ChartCard>
+    </div>
+  );
+};
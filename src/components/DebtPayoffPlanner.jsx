@@ -0,0 +1,253 @@
+// src/components/DebtPayoffPlanner.jsx
+
+import { useMemo, useState } from "react";
+import { ArrowDown, ArrowUp } from "lucide-react";
+import { DebtPayoffChart } from "./Charts";
+import {
+  STRATEGIES,
+  debtsFromLiabilities,
+  orderDebts,
+  paymentPhases,
+  simulatePayoff,
+} from "../helpers/debtPayoffHelpers";
+
+const money = (v) =>
+  `$${Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const monthLabel = (key) => {
+  if (!key) return "—";
+  const [y, m] = key.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString("en-US", { month: "short", year: "numeric" });
+};
+
+export default function DebtPayoffPlanner({ liabilities, currentMonth, onCreateRules }) {
+  const [extra, setExtra] = useState("");
+  const [strategy, setStrategy] = useState("avalanche");
+  const [customOrder, setCustomOrder] = useState([]);
+  const [creating, setCreating] = useState(false);
+
+  const debts = useMemo(() => debtsFromLiabilities(liabilities, currentMonth), [liabilities, currentMonth]);
+
+  // Custom order keeps the user's arrangement; new debts go to the end
+  const orderedIds = useMemo(() => {
+    const ids = debts.map((d) => d.id);
+    const kept = customOrder.filter((id) => ids.includes(id));
+    return [...kept, ...orderDebts(debts, "snowball").map((d) => d.id).filter((id) => !kept.includes(id))];
+  }, [debts, customOrder]);
+
+  const results = useMemo(
+    () =>
+      STRATEGIES.map((s) =>
+        simulatePayoff(debts, {
+          strategy: s.value,
+          extra: Number(extra || 0),
+          customOrder: orderedIds,
+          currentMonth,
+        })
+      ),
+    [debts, extra, orderedIds, currentMonth]
+  );
+
+  const chosen = results.find((r) => r.strategy === strategy);
+  const best = results
+    .filter((r) => r.paysOff)
+    .reduce((min, r) => (!min || r.totalInterest < min.totalInterest ? r : min), null);
+
+  const missingTerms = debts.filter((d) => d.apr <= 0 || d.minimum <= 0);
+  const totalDebt = debts.reduce((sum, d) => sum + d.balance, 0);
+
+  const move = (id, delta) => {
+    const list = [...orderedIds];
+    const i = list.indexOf(id);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= list.length) return;
+    [list[i], list[j]] = [list[j], list[i]];
+    setCustomOrder(list);
+  };
+
+  const createRules = async () => {
+    setCreating(true);
+    await onCreateRules(chosen);
+    setCreating(false);
+  };
+
+  if (!debts.length) return null;
+
+  const debtById = new Map(debts.map((d) => [d.id, d]));
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <h3 className="text-lg font-semibold mb-1">Debt Payoff Planner</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Pays every minimum, then puts the extra budget (plus minimums freed by paid-off debts) on one debt at a time.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <label className="text-xs text-gray-600">
+          Extra per month
+          <input
+            type="number"
+            step="1"
+            value={extra}
+            onChange={(e) => setExtra(e.target.value)}
+            className="mt-1 border rounded px-2 py-1 text-sm w-full"
+            placeholder="0"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Strategy
+          <select
+            value={strategy}
+            onChange={(e) => setStrategy(e.target.value)}
+            className="mt-1 border rounded px-2 py-1 text-sm w-full"
+          >
+            {STRATEGIES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="text-sm text-gray-600">
+          Monthly budget: <span className="font-semibold">{money(chosen?.budget)}</span>
+        </div>
+      </div>
+
+      {missingTerms.length > 0 && (
+        <p className="mt-3 text-xs text-amber-700">
+          Missing APR or minimum payment for {missingTerms.map((d) => d.name).join(", ")}. Add loan terms for an
+          accurate plan.
+        </p>
+      )}
+
+      {strategy === "custom" && (
+        <ol className="mt-4 border rounded divide-y text-sm">
+          {orderedIds.map((id, i) => {
+            const d = debtById.get(id);
+            return (
+              <li key={id} className="flex items-center justify-between px-3 py-2">
+                <span>
+                  {i + 1}. {d.name} <span className="text-gray-500">· {money(d.balance)} · {d.apr}%</span>
+                </span>
+                <span className="flex gap-1">
+                  <button
+                    type="button"
+                    onClick={() => move(id, -1)}
+                    disabled={i === 0}
+                    className="p-1 text-gray-500 hover:text-indigo-600 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => move(id, 1)}
+                    disabled={i === orderedIds.length - 1}
+                    className="p-1 text-gray-500 hover:text-indigo-600 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left">Strategy</th>
+              <th className="px-3 py-2 text-right">Debt-free</th>
+              <th className="px-3 py-2 text-right">Months</th>
+              <th className="px-3 py-2 text-right">Total interest</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((r) => (
+              <tr
+                key={r.strategy}
+                className={`border-t ${r.strategy === strategy ? "bg-indigo-50" : ""}`}
+              >
+                <td className="px-3 py-2">
+                  {STRATEGIES.find((s) => s.value === r.strategy)?.label}
+                  {best?.strategy === r.strategy && (
+                    <span className="ml-2 text-xs text-green-700">lowest interest</span>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-right">{r.paysOff ? monthLabel(r.series[r.series.length - 1]?.monthKey) : "Never"}</td>
+                <td className="px-3 py-2 text-right">{r.paysOff ? r.months : "—"}</td>
+                <td className="px-3 py-2 text-right text-red-600">{r.paysOff ? money(r.totalInterest) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {chosen && !chosen.paysOff && (
+        <p className="mt-3 text-xs text-red-600">
+          This budget doesn't cover the monthly interest, so the debts never pay off. Increase the extra amount.
+        </p>
+      )}
+
+      {chosen?.paysOff && (
+        <>
+          <h4 className="mt-6 mb-2 font-semibold text-sm">Payoff timeline</h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left">#</th>
+                  <th className="px-3 py-2 text-left">Debt</th>
+                  <th className="px-3 py-2 text-left">Payments</th>
+                  <th className="px-3 py-2 text-right">Paid off</th>
+                  <th className="px-3 py-2 text-right">Interest</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...chosen.debts]
+                  .sort((a, b) => (a.payoffMonth < b.payoffMonth ? -1 : a.payoffMonth > b.payoffMonth ? 1 : 0))
+                  .map((d, i) => (
+                    <tr key={d.id} className="border-t align-top">
+                      <td className="px-3 py-2">{i + 1}</td>
+                      <td className="px-3 py-2">{d.name}</td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {paymentPhases(d).map((p) => (
+                          <div key={p.startMonth}>
+                            {money(p.amount)}/mo · {monthLabel(p.startMonth)}
+                            {p.endMonth !== p.startMonth && ` – ${monthLabel(p.endMonth)}`}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-3 py-2 text-right">{monthLabel(d.payoffMonth)}</td>
+                      <td className="px-3 py-2 text-right text-red-600">{money(d.interestPaid)}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            type="button"
+            onClick={createRules}
+            disabled={creating}
+            className="mt-4 bg-indigo-600 text-white text-sm px-3 py-2 rounded hover:bg-indigo-700 disabled:opacity-60"
+          >
+            Create recurring payment rules
+          </button>
+        </>
+      )}
+
+      <div className="mt-6">
+        <DebtPayoffChart
+          startBalance={totalDebt}
+          plans={results
+            .filter((r) => r.series.length)
+            .map((r) => ({ label: STRATEGIES.find((s) => s.value === r.strategy)?.label, series: r.series }))}
+        />
+      </div>
+    </div>
+  );
+}
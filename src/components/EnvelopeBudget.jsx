@@ -0,0 +1,199 @@
+// src/components/EnvelopeBudget.jsx
+
+import { useState } from "react";
+import { ArrowRight, Trash2 } from "lucide-react";
+
+const money = (v) => `${Number(v) < 0 ? "-" : ""}$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const input = "border rounded px-2 py-1 text-sm";
+
+// Zero-based view of the Budget tab: this month's income is assigned to
+// envelopes; whatever isn't assigned yet is shown as "Left to assign".
+export default function EnvelopeBudget({ ledger, monthLabel, categoryOptions, moves, personLabels, onAssign, onMove, onDeleteMove }) {
+  const [drafts, setDrafts] = useState({});
+  const [newEnvelope, setNewEnvelope] = useState({ category: "", amount: "" });
+  const [move, setMove] = useState({ fromCategory: "", toCategory: "", amount: "" });
+
+  const commitAssign = async (category, current) => {
+    const raw = drafts[category];
+    if (raw === undefined) return;
+    const amount = Number(raw) || 0;
+    if (amount !== current) await onAssign(category, amount);
+    setDrafts((d) => {
+      const next = { ...d };
+      delete next[category];
+      return next;
+    });
+  };
+
+  const addEnvelope = async () => {
+    if (!newEnvelope.category) return;
+    if (await onAssign(newEnvelope.category, Number(newEnvelope.amount) || 0)) {
+      setNewEnvelope({ category: "", amount: "" });
+    }
+  };
+
+  const submitMove = async () => {
+    if (!move.fromCategory || !move.toCategory || move.fromCategory === move.toCategory) {
+      return alert("Pick two different envelopes.");
+    }
+    if (!(Number(move.amount) > 0)) return alert("Enter an amount to move.");
+    if (await onMove({ ...move, amount: Number(move.amount) })) {
+      setMove({ fromCategory: "", toCategory: "", amount: "" });
+    }
+  };
+
+  const envelopeNames = ledger.envelopes.map((e) => e.category);
+  const leftToAssign = ledger.unassigned;
+
+  return (
+    <div className="space-y-4 mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-500">Income in {monthLabel}</p>
+          <p className="text-xl font-bold text-green-700">{money(ledger.income)}</p>
+        </div>
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-500">Unassigned from earlier months</p>
+          <p className="text-xl font-bold">{money(ledger.unassignedIn)}</p>
+        </div>
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-500">Assigned this month</p>
+          <p className="text-xl font-bold">{money(ledger.assigned)}</p>
+        </div>
+        <div className={`border rounded-lg p-4 ${leftToAssign < 0 ? "border-red-300 bg-red-50" : leftToAssign > 0 ? "border-amber-300 bg-amber-50" : "border-green-300 bg-green-50"}`}>
+          <p className="text-xs text-gray-500">{leftToAssign < 0 ? "Over-assigned by" : "Left to assign"}</p>
+          <p className={`text-xl font-bold ${leftToAssign < 0 ? "text-red-700" : leftToAssign > 0 ? "text-amber-700" : "text-green-700"}`}>
+            {money(Math.abs(leftToAssign))}
+          </p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b bg-gray-50 text-left">
+              <th className="px-3 py-2">Envelope</th>
+              <th className="px-3 py-2 text-right">Carried in</th>
+              <th className="px-3 py-2 text-right">Assigned</th>
+              <th className="px-3 py-2 text-right">Moved</th>
+              <th className="px-3 py-2 text-right">Spent</th>
+              <th className="px-3 py-2 text-right">Available</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ledger.envelopes.map((e) => (
+              <tr key={e.category} className="border-b">
+                <td className="px-3 py-2 font-medium">{e.category}</td>
+                <td className={`px-3 py-2 text-right ${e.carryIn < 0 ? "text-red-700" : "text-gray-600"}`}>{money(e.carryIn)}</td>
+                <td className="px-3 py-2 text-right">
+                  <input
+                    type="number"
+                    value={drafts[e.category] ?? String(e.assigned)}
+                    onChange={(ev) => setDrafts((d) => ({ ...d, [e.category]: ev.target.value }))}
+                    onBlur={() => commitAssign(e.category, e.assigned)}
+                    onKeyDown={(ev) => ev.key === "Enter" && ev.currentTarget.blur()}
+                    className={`${input} w-28 text-right`}
+                  />
+                </td>
+                <td className="px-3 py-2 text-right text-gray-600">{e.moved ? `${e.moved > 0 ? "+" : ""}${money(e.moved)}` : "—"}</td>
+                <td className="px-3 py-2 text-right text-red-700">{money(e.spent)}</td>
+                <td className={`px-3 py-2 text-right font-semibold ${e.available < 0 ? "text-red-700" : "text-green-700"}`}>
+                  {money(e.available)}
+                </td>
+              </tr>
+            ))}
+            {ledger.envelopes.length === 0 && (
+              <tr className="border-b">
+                <td className="px-3 py-3 text-gray-500" colSpan={6}>
+                  No envelopes yet. Assign some of this month's income to a category below.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={newEnvelope.category}
+          onChange={(e) => setNewEnvelope((p) => ({ ...p, category: e.target.value }))}
+          className={input}
+        >
+          <option value="">New envelope…</option>
+          {categoryOptions
+            .filter((c) => !envelopeNames.includes(c.name))
+            .map((c) => (
+              <option key={c.name} value={c.name}>
+                {c.label}
+              </option>
+            ))}
+        </select>
+        <input
+          type="number"
+          value={newEnvelope.amount}
+          onChange={(e) => setNewEnvelope((p) => ({ ...p, amount: e.target.value }))}
+          placeholder="Assign"
+          className={`${input} w-28`}
+        />
+        <button
+          type="button"
+          onClick={addEnvelope}
+          className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700"
+        >
+          Add envelope
+        </button>
+      </div>
+
+      <div className="border rounded-lg p-3 space-y-2">
+        <div className="text-sm font-semibold">Move money between envelopes</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={move.fromCategory} onChange={(e) => setMove((p) => ({ ...p, fromCategory: e.target.value }))} className={input}>
+            <option value="">From…</option>
+            {ledger.envelopes.map((e) => (
+              <option key={e.category} value={e.category}>
+                {e.category} ({money(e.available)})
+              </option>
+            ))}
+          </select>
+          <ArrowRight size={16} className="text-gray-400" />
+          <select value={move.toCategory} onChange={(e) => setMove((p) => ({ ...p, toCategory: e.target.value }))} className={input}>
+            <option value="">To…</option>
+            {ledger.envelopes.map((e) => (
+              <option key={e.category} value={e.category}>
+                {e.category} ({money(e.available)})
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min={0}
+            value={move.amount}
+            onChange={(e) => setMove((p) => ({ ...p, amount: e.target.value }))}
+            placeholder="Amount"
+            className={`${input} w-28`}
+          />
+          <button
+            type="button"
+            onClick={submitMove}
+            className="bg-gray-800 text-white text-sm px-3 py-1.5 rounded hover:bg-gray-900"
+          >
+            Move
+          </button>
+        </div>
+        {moves.length > 0 && (
+          <ul className="text-xs text-gray-600 space-y-1">
+            {moves.map((m) => (
+              <li key={m.id} className="flex items-center gap-2">
+                {money(m.amount)} from {m.fromCategory} to {m.toCategory}
+                {personLabels[m.person] && m.person !== "joint" ? ` · ${personLabels[m.person]}` : ""}
+                <button type="button" onClick={() => onDeleteMove(m.id)} className="text-red-600 hover:text-red-700" title="Undo move">
+                  <Trash2 size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
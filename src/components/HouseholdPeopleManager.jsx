@@ -0,0 +1,154 @@
+// src/components/HouseholdPeopleManager.jsx
+
+import { useState } from "react";
+import { Check, Pencil, Trash2, X } from "lucide-react";
+import { PERSON_COLORS } from "../helpers/peopleHelpers";
+
+const memberLabel = (m, currentUserId) =>
+  m.user_id === currentUserId ? "You (signed in)" : `${m.role || "member"} · ${String(m.user_id).slice(0, 8)}`;
+
+export default function HouseholdPeopleManager({ people, members, currentUserId, onAdd, onUpdate, onDelete, onClose }) {
+  const [draft, setDraft] = useState({ name: "", color: PERSON_COLORS[people.length % PERSON_COLORS.length], userId: "" });
+  const [editingKey, setEditingKey] = useState(null);
+  const [editDraft, setEditDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // A login can only be linked to one person
+  const linkedTo = new Map(people.filter((p) => p.userId).map((p) => [p.userId, p.key]));
+  const memberOptions = (forKey) =>
+    (members || []).filter((m) => !linkedTo.has(m.user_id) || linkedTo.get(m.user_id) === forKey);
+
+  const add = async () => {
+    if (!draft.name.trim()) return alert("Enter a name.");
+    setBusy(true);
+    const ok = await onAdd(draft);
+    setBusy(false);
+    if (ok) {
+      setDraft({ name: "", color: PERSON_COLORS[(people.length + 1) % PERSON_COLORS.length], userId: "" });
+    }
+  };
+
+  const saveEdit = async () => {
+    setBusy(true);
+    const ok = await onUpdate(editingKey, editDraft);
+    setBusy(false);
+    if (ok) {
+      setEditingKey(null);
+      setEditDraft(null);
+    }
+  };
+
+  const memberSelect = (value, onChange, forKey) => (
+    <select value={value || ""} onChange={(e) => onChange(e.target.value)} className="border rounded px-2 py-1 text-sm">
+      <option value="">Not linked to a login</option>
+      {memberOptions(forKey).map((m) => (
+        <option key={m.user_id} value={m.user_id}>
+          {memberLabel(m, currentUserId)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mb-4 border rounded-lg p-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-800">Household people</h3>
+          <p className="text-xs text-gray-500">
+            Everyone whose money you track. Shared items stay under Joint.
+          </p>
+        </div>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {people.map((p) =>
+          editingKey === p.key ? (
+            <div key={p.key} className="flex flex-wrap items-center gap-2 bg-white border rounded px-3 py-2">
+              <input
+                type="color"
+                value={editDraft.color}
+                onChange={(e) => setEditDraft((d) => ({ ...d, color: e.target.value }))}
+                className="w-8 h-8 border rounded"
+              />
+              <input
+                value={editDraft.name}
+                onChange={(e) => setEditDraft((d) => ({ ...d, name: e.target.value }))}
+                className="border rounded px-2 py-1 text-sm"
+              />
+              {memberSelect(editDraft.userId, (userId) => setEditDraft((d) => ({ ...d, userId: userId || null })), p.key)}
+              <button type="button" onClick={saveEdit} disabled={busy} className="text-green-600 hover:text-green-800" title="Save">
+                <Check size={18} />
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingKey(null);
+                  setEditDraft(null);
+                }}
+                className="text-gray-500 hover:text-gray-700"
+                title="Cancel"
+              >
+                <X size={18} />
+              </button>
+            </div>
+          ) : (
+            <div key={p.key} className="flex items-center justify-between bg-white border rounded px-3 py-2">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: p.color }} />
+                <span className="font-medium">{p.name}</span>
+                {p.userId && (
+                  <span className="text-xs text-gray-500">
+                    · linked to {p.userId === currentUserId ? "you" : String(p.userId).slice(0, 8)}
+                  </span>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingKey(p.key);
+                    setEditDraft({ name: p.name, color: p.color, userId: p.userId });
+                  }}
+                  className="text-gray-600 hover:text-gray-800"
+                  title="Edit"
+                >
+                  <Pencil size={16} />
+                </button>
+                <button type="button" onClick={() => onDelete(p.key)} className="text-red-600 hover:text-red-800" title="Remove">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          )
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <input
+          type="color"
+          value={draft.color}
+          onChange={(e) => setDraft((d) => ({ ...d, color: e.target.value }))}
+          className="w-8 h-8 border rounded"
+        />
+        <input
+          value={draft.name}
+          onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+          placeholder="Name"
+          className="border rounded px-2 py-1 text-sm"
+        />
+        {memberSelect(draft.userId, (userId) => setDraft((d) => ({ ...d, userId })), null)}
+        <button
+          type="button"
+          onClick={add}
+          disabled={busy}
+          className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-60"
+        >
+          Add person
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+// src/components/LoanDetailsPanel.jsx
+
+import { useMemo, useState } from "react";
+import { compareExtraPayment, hasLoanTerms } from "../helpers/loanHelpers";
+
+const money = (v) =>
+  `$${Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const monthLabel = (key) => {
+  if (!key) return "—";
+  const [y, m] = key.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString("en-US", { month: "short", year: "numeric" });
+};
+
+export default function LoanDetailsPanel({ liability, currentMonth, onSave }) {
+  const [draft, setDraft] = useState({
+    interest_rate: liability.interest_rate ?? "",
+    term_months: liability.term_months ?? "",
+    minimum_payment: liability.minimum_payment ?? "",
+    start_date: liability.start_date ?? "",
+  });
+  const [extra, setExtra] = useState("");
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Preview with the unsaved inputs so the numbers react while typing
+  const preview = useMemo(
+    () => ({
+      ...liability,
+      interest_rate: Number(draft.interest_rate || 0),
+      term_months: Number(draft.term_months || 0),
+      minimum_payment: Number(draft.minimum_payment || 0),
+      start_date: draft.start_date || null,
+    }),
+    [liability, draft]
+  );
+
+  const cmp = useMemo(
+    () => (hasLoanTerms(preview) ? compareExtraPayment(preview, Number(extra || 0), currentMonth) : null),
+    [preview, extra, currentMonth]
+  );
+
+  const save = async () => {
+    setSaving(true);
+    await onSave({
+      interest_rate: draft.interest_rate === "" ? null : Number(draft.interest_rate),
+      term_months: draft.term_months === "" ? null : Math.round(Number(draft.term_months)),
+      minimum_payment: draft.minimum_payment === "" ? null : Number(draft.minimum_payment),
+      start_date: draft.start_date || null,
+    });
+    setSaving(false);
+  };
+
+  const base = cmp?.base;
+  const shown = Number(extra || 0) > 0 ? cmp?.withExtra : base;
+
+  return (
+    <div className="mt-3 border rounded-lg p-4 bg-gray-50">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+        <label className="text-xs text-gray-600">
+          APR %
+          <input
+            type="number"
+            step="0.01"
+            value={draft.interest_rate}
+            onChange={(e) => setDraft((p) => ({ ...p, interest_rate: e.target.value }))}
+            className="mt-1 border rounded px-2 py-1 text-sm w-full"
+            placeholder="6.5"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Term (months)
+          <input
+            type="number"
+            value={draft.term_months}
+            onChange={(e) => setDraft((p) => ({ ...p, term_months: e.target.value }))}
+            className="mt-1 border rounded px-2 py-1 text-sm w-full"
+            placeholder="360"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Minimum payment
+          <input
+            type="number"
+            step="0.01"
+            value={draft.minimum_payment}
+            onChange={(e) => setDraft((p) => ({ ...p, minimum_payment: e.target.value }))}
+            className="mt-1 border rounded px-2 py-1 text-sm w-full"
+            placeholder="auto"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Start date
+          <input
+            type="date"
+            value={draft.start_date || ""}
+            onChange={(e) => setDraft((p) => ({ ...p, start_date: e.target.value }))}
+            className="mt-1 border rounded px-2 py-1 text-sm w-full"
+          />
+        </label>
+        <button
+          type="button"
+          onClick={save}
+          disabled={saving}
+          className="bg-indigo-600 text-white text-sm px-3 py-2 rounded hover:bg-indigo-700 disabled:opacity-60"
+        >
+          Save loan terms
+        </button>
+      </div>
+
+      {!cmp ? (
+        <p className="mt-3 text-xs text-gray-500">
+          Add an APR and a term or minimum payment to see the payoff schedule.
+        </p>
+      ) : !base.paysOff ? (
+        <p className="mt-3 text-xs text-red-600">
+          The payment ({money(base.payment)}) doesn't cover the monthly interest, so this balance never pays off.
+        </p>
+      ) : (
+        <>
+          <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div>
+              <div className="text-xs text-gray-500">Monthly payment</div>
+              <div className="font-semibold">{money(shown.payment + shown.extra)}</div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">Payoff</div>
+              <div className="font-semibold">
+                {monthLabel(shown.payoffMonth)} · {shown.months} mo
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">Interest remaining</div>
+              <div className="font-semibold text-red-600">{money(shown.totalInterest)}</div>
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">
+                Extra per month
+                <input
+                  type="number"
+                  step="1"
+                  value={extra}
+                  onChange={(e) => setExtra(e.target.value)}
+                  className="mt-1 border rounded px-2 py-1 text-sm w-full"
+                  placeholder="0"
+                />
+              </label>
+            </div>
+          </div>
+
+          {Number(extra || 0) > 0 && (
+            <p className="mt-2 text-xs text-green-700">
+              Paying {money(extra)} extra each month pays it off {cmp.monthsSaved} month(s) sooner and saves{" "}
+              {money(cmp.interestSaved)} in interest.
+            </p>
+          )}
+
+          <button
+            type="button"
+            onClick={() => setShowSchedule((v) => !v)}
+            className="mt-3 text-xs text-indigo-600 hover:text-indigo-800"
+          >
+            {showSchedule ? "Hide amortization schedule" : "Show amortization schedule"}
+          </button>
+
+          {showSchedule && (
+            <div className="mt-2 max-h-72 overflow-y-auto border rounded bg-white">
+              <table className="min-w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Month</th>
+                    <th className="px-2 py-1 text-right">Payment</th>
+                    <th className="px-2 py-1 text-right">Interest</th>
+                    <th className="px-2 py-1 text-right">Principal</th>
+                    <th className="px-2 py-1 text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.rows.map((r) => (
+                    <tr key={r.monthKey} className="border-t">
+                      <td className="px-2 py-1">{r.monthKey}</td>
+                      <td className="px-2 py-1 text-right">{money(r.payment)}</td>
+                      <td className="px-2 py-1 text-right">{money(r.interest)}</td>
+                      <td className="px-2 py-1 text-right">{money(r.principal)}</td>
+                      <td className="px-2 py-1 text-right">{money(r.balance)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+// src/components/NotificationCenter.jsx
+
+import { useState } from "react";
+import { Check, Trash2, X } from "lucide-react";
+import { ALERT_DELIVERY, ALERT_KINDS, describeAlertRule } from "../helpers/budgetAlertHelpers";
+
+const input = "border rounded px-2 py-1 text-sm";
+const when = (iso) => (iso ? new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }) : "");
+const emptyRule = { category: "", kind: "percent", threshold: "90", afterDay: "", delivery: "instant" };
+
+function NotificationRow({ n, onMarkRead, onDelete }) {
+  return (
+    <li className={`flex items-start gap-2 py-2 ${n.readAt ? "text-gray-500" : ""}`}>
+      <span className={`mt-1.5 inline-block w-2 h-2 rounded-full shrink-0 ${n.readAt ? "bg-transparent" : "bg-indigo-500"}`} />
+      <div className="flex-1 min-w-0">
+        <p className={`text-sm ${n.readAt ? "" : "font-semibold text-gray-900"}`}>{n.title}</p>
+        {n.body && <p className="text-xs text-gray-600">{n.body}</p>}
+        <p className="text-[11px] text-gray-400">{when(n.createdAt)}</p>
+      </div>
+      <button
+        type="button"
+        onClick={() => onMarkRead([n.id], !n.readAt)}
+        className="text-xs text-indigo-600 hover:underline shrink-0"
+      >
+        {n.readAt ? "Mark unread" : "Mark read"}
+      </button>
+      <button type="button" onClick={() => onDelete([n.id])} className="text-gray-400 hover:text-red-600 shrink-0" title="Dismiss">
+        <X size={14} />
+      </button>
+    </li>
+  );
+}
+
+// Header panel: budget alert notifications plus the rules that raise them
+export default function NotificationCenter({
+  feed,
+  unread,
+  rules,
+  categoryOptions,
+  onMarkRead,
+  onDelete,
+  onAddRule,
+  onUpdateRule,
+  onDeleteRule,
+  onClose,
+}) {
+  const [showRules, setShowRules] = useState(false);
+  const [draft, setDraft] = useState(emptyRule);
+  const [busy, setBusy] = useState(false);
+
+  const allUnreadIds = feed.entries.flatMap((e) =>
+    (e.notification ? [e.notification] : e.items).filter((n) => !n.readAt).map((n) => n.id)
+  );
+
+  const addRule = async () => {
+    if (!(Number(draft.threshold) > 0)) return alert("Enter a percentage above 0.");
+    setBusy(true);
+    const ok = await onAddRule(draft);
+    setBusy(false);
+    if (ok) setDraft(emptyRule);
+  };
+
+  return (
+    <div className="mb-4 border rounded-lg p-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-800">Notifications</h3>
+          <p className="text-xs text-gray-500">
+            {unread ? `${unread} unread` : "All caught up"}
+            {feed.held ? ` · ${feed.held} waiting for tomorrow's digest` : ""}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          {allUnreadIds.length > 0 && (
+            <button type="button" onClick={() => onMarkRead(allUnreadIds, true)} className="text-sm text-indigo-600 hover:underline flex items-center gap-1">
+              <Check size={14} /> Mark all read
+            </button>
+          )}
+          <button type="button" onClick={() => setShowRules((v) => !v)} className="text-sm text-gray-600 hover:text-gray-900 underline">
+            {showRules ? "Hide alert rules" : `Alert rules (${rules.length})`}
+          </button>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      {showRules && (
+        <div className="border rounded-lg p-3 bg-white mb-3 space-y-3">
+          <ul className="space-y-1">
+            {rules.map((r) => (
+              <li key={r.id} className="flex flex-wrap items-center gap-2 text-sm">
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={r.active} onChange={(e) => onUpdateRule(r.id, { active: e.target.checked })} />
+                  <span className={r.active ? "" : "text-gray-400"}>{describeAlertRule(r)}</span>
+                </label>
+                <select value={r.delivery} onChange={(e) => onUpdateRule(r.id, { delivery: e.target.value })} className={`${input} text-xs`}>
+                  {ALERT_DELIVERY.map((d) => (
+                    <option key={d.value} value={d.value}>
+                      {d.label}
+                    </option>
+                  ))}
+                </select>
+                <button type="button" onClick={() => onDeleteRule(r.id)} className="text-gray-400 hover:text-red-600" title="Delete rule">
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            ))}
+            {rules.length === 0 && <li className="text-sm text-gray-500">No alert rules yet.</li>}
+          </ul>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={draft.category} onChange={(e) => setDraft((d) => ({ ...d, category: e.target.value }))} className={input}>
+              <option value="">Any budget</option>
+              {categoryOptions.map((c) => (
+                <option key={c.name} value={c.name}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+            <select value={draft.kind} onChange={(e) => setDraft((d) => ({ ...d, kind: e.target.value }))} className={input}>
+              {ALERT_KINDS.map((k) => (
+                <option key={k.value} value={k.value}>
+                  {k.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={1}
+              value={draft.threshold}
+              onChange={(e) => setDraft((d) => ({ ...d, threshold: e.target.value }))}
+              className={`${input} w-20`}
+            />
+            <span className="text-sm text-gray-600">%</span>
+            {draft.kind === "pace" && (
+              <>
+                <span className="text-sm text-gray-600">after day</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={31}
+                  value={draft.afterDay}
+                  onChange={(e) => setDraft((d) => ({ ...d, afterDay: e.target.value }))}
+                  placeholder="1"
+                  className={`${input} w-16`}
+                />
+              </>
+            )}
+            <select value={draft.delivery} onChange={(e) => setDraft((d) => ({ ...d, delivery: e.target.value }))} className={input}>
+              {ALERT_DELIVERY.map((d) => (
+                <option key={d.value} value={d.value}>
+                  {d.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={addRule}
+              disabled={busy}
+              className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Add rule
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">Rules are checked against this month's budgets whenever transactions are added, imported, posted or edited.</p>
+        </div>
+      )}
+
+      {feed.entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No notifications.</p>
+      ) : (
+        <ul className="divide-y max-h-96 overflow-y-auto">
+          {feed.entries.map((e) =>
+            e.notification ? (
+              <NotificationRow key={e.key} n={e.notification} onMarkRead={onMarkRead} onDelete={onDelete} />
+            ) : (
+              <li key={e.key} className="py-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">Daily digest · {e.digestDay}</p>
+                  <button type="button" onClick={() => onDelete(e.items.map((n) => n.id))} className="text-xs text-gray-400 hover:text-red-600">
+                    Dismiss all
+                  </button>
+                </div>
+                <ul className="pl-2">
+                  {e.items.map((n) => (
+                    <NotificationRow key={n.id} n={n} onMarkRead={onMarkRead} onDelete={onDelete} />
+                  ))}
+                </ul>
+              </li>
+            )
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+// src/components/RecurrenceFields.jsx
+
+import { FREQUENCIES, WEEKEND_SHIFTS, needsAnchorDate } from "../helpers/recurrenceHelpers";
+
+// Schedule inputs for a recurring rule. value: { frequency, dayOfMonth, secondDayOfMonth,
+// weekendShift, start_date, end_date }; onChange receives a partial patch.
+export default function RecurrenceFields({ value, onChange, compact = false }) {
+  const frequency = value.frequency || "monthly";
+  const weekly = frequency === "weekly" || frequency === "biweekly";
+  const input = compact ? "border rounded px-2 py-1 text-sm" : "border rounded px-3 py-2";
+  const label = "text-xs text-gray-500";
+
+  // Quarterly/annual rules take their day from the first date
+  const setStart = (start_date) => {
+    const patch = { start_date };
+    if (start_date && needsAnchorDate(frequency) && !weekly) patch.dayOfMonth = Number(start_date.slice(8, 10));
+    onChange(patch);
+  };
+
+  return (
+    <div className={`flex flex-wrap items-end ${compact ? "gap-2" : "gap-3"}`}>
+      <label className={label}>
+        Repeats
+        <select
+          value={frequency}
+          onChange={(e) => onChange({ frequency: e.target.value })}
+          className={`${input} block mt-1`}
+        >
+          {FREQUENCIES.map((f) => (
+            <option key={f.value} value={f.value}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {!weekly && (
+        <label className={label}>
+          {frequency === "semimonthly" ? "Days" : "Day"}
+          <span className="flex items-center gap-1 mt-1">
+            <input
+              type="number"
+              min={1}
+              max={31}
+              value={value.dayOfMonth ?? 1}
+              onChange={(e) => onChange({ dayOfMonth: e.target.value })}
+              className={`${input} w-16`}
+            />
+            {frequency === "semimonthly" && (
+              <input
+                type="number"
+                min={1}
+                max={31}
+                value={value.secondDayOfMonth ?? 15}
+                onChange={(e) => onChange({ secondDayOfMonth: e.target.value })}
+                className={`${input} w-16`}
+              />
+            )}
+          </span>
+        </label>
+      )}
+
+      <label className={label}>
+        {needsAnchorDate(frequency) ? "First date" : "Starts (optional)"}
+        <input
+          type="date"
+          value={value.start_date || ""}
+          onChange={(e) => setStart(e.target.value)}
+          className={`${input} block mt-1`}
+        />
+      </label>
+
+      <label className={label}>
+        Ends (optional)
+        <input
+          type="date"
+          value={value.end_date || ""}
+          onChange={(e) => onChange({ end_date: e.target.value })}
+          className={`${input} block mt-1`}
+        />
+      </label>
+
+      <label className={label}>
+        On weekends/holidays
+        <select
+          value={value.weekendShift || "none"}
+          onChange={(e) => onChange({ weekendShift: e.target.value })}
+          className={`${input} block mt-1`}
+        >
+          {WEEKEND_SHIFTS.map((s) => (
+            <option key={s.value} value={s.value}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
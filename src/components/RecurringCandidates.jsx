@@ -0,0 +1,129 @@
+// src/components/RecurringCandidates.jsx
+
+import { useState } from "react";
+import { FREQUENCIES, describeRecurrence, nextOccurrence } from "../helpers/recurrenceHelpers";
+
+const money = (v) => `$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const frequencyLabel = (value) => FREQUENCIES.find((f) => f.value === value)?.label || value;
+
+// Rule shape a candidate would become, for the schedule text and next date
+const asRule = (c) => ({
+  frequency: c.frequency,
+  dayOfMonth: c.dayOfMonth,
+  secondDayOfMonth: c.secondDayOfMonth,
+  start_date: c.startDate,
+  active: true,
+});
+
+export default function RecurringCandidates({ candidates, personLabels, today, onCreate, onDismiss }) {
+  const [open, setOpen] = useState(false);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const create = async (c) => {
+    setBusyKey(c.key);
+    await onCreate(c);
+    setBusyKey(null);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <button type="button" onClick={() => setOpen((v) => !v)} className="w-full flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <h2 className="text-xl font-semibold">Detected Recurring</h2>
+          <span className={`text-xs ${candidates.length ? "text-indigo-700" : "text-gray-500"}`}>
+            • {candidates.length} suggestion{candidates.length === 1 ? "" : "s"}
+          </span>
+        </div>
+        <span className="text-lg text-indigo-700 leading-none">{open ? "show less ▾" : "Review ▸"}</span>
+      </button>
+
+      {!open ? null : (
+        <>
+          <p className="mt-4 text-xs text-gray-500">
+            Same merchant, a similar amount and a steady interval. Creating a rule links the matched
+            transactions to it so they aren't posted again.
+          </p>
+
+          <div className="mt-3 overflow-x-auto border rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left">
+                  <th className="px-3 py-2">Description</th>
+                  <th className="px-3 py-2">Schedule</th>
+                  <th className="px-3 py-2 text-right">Amount</th>
+                  <th className="px-3 py-2">Seen</th>
+                  <th className="px-3 py-2">Next</th>
+                  <th className="px-3 py-2">Confidence</th>
+                  <th className="px-3 py-2 text-center">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {candidates.map((c) => {
+                  const next = nextOccurrence(asRule(c), today);
+                  const pct = Math.round(c.confidence * 100);
+                  return (
+                    <tr key={c.key} className="border-b align-top">
+                      <td className="px-3 py-2">
+                        <div className="font-medium">{c.description}</div>
+                        <div className="text-xs text-gray-500">
+                          {c.category} · {personLabels[c.person] || c.person}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2">
+                        <div>{frequencyLabel(c.frequency)}</div>
+                        <div className="text-xs text-gray-500">{describeRecurrence(asRule(c))}</div>
+                      </td>
+                      <td className={`px-3 py-2 text-right ${c.type === "income" ? "text-green-700" : "text-red-700"}`}>
+                        {c.type === "income" ? "+" : "-"}
+                        {money(c.amount)}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {c.occurrences}×<div className="text-xs text-gray-500">last {c.lastDate}</div>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">{next?.date || "—"}</td>
+                      <td className="px-3 py-2">
+                        <div className="w-24 h-2 bg-gray-200 rounded">
+                          <div
+                            className={`h-2 rounded ${pct >= 80 ? "bg-green-500" : pct >= 60 ? "bg-amber-500" : "bg-gray-400"}`}
+                            style={{ width: `${pct}%` }}
+                          />
+                        </div>
+                        <div className="text-xs text-gray-500 mt-1">{pct}%</div>
+                      </td>
+                      <td className="px-3 py-2 text-center whitespace-nowrap">
+                        <button
+                          type="button"
+                          onClick={() => create(c)}
+                          disabled={busyKey !== null}
+                          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-30 mr-3"
+                        >
+                          {busyKey === c.key ? "Creating…" : "Create rule"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onDismiss(c.key)}
+                          disabled={busyKey !== null}
+                          className="text-gray-600 hover:text-gray-800"
+                          title="Not recurring: stop suggesting it"
+                        >
+                          Dismiss
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {candidates.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-3 py-4 text-center text-gray-500">
+                      No repeating patterns found that aren't already covered by a rule.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
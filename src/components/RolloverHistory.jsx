@@ -0,0 +1,121 @@
+// src/components/RolloverHistory.jsx
+
+import { useState } from "react";
+import { ROLLOVER_POLICIES } from "../helpers/rolloverHelpers";
+
+const money = (v) => `${Number(v) < 0 ? "-" : ""}$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const input = "border rounded px-2 py-1 text-xs";
+
+// How a category's rollover for `month` was built up, plus its rollover policy
+export default function RolloverHistory({ category, entry, month, onSavePolicy }) {
+  const policy = entry?.policy || {};
+  const [draft, setDraft] = useState(() => ({
+    policy: policy.policy || "both",
+    cap: policy.cap ?? "",
+    resetMonth: policy.resetMonth || "",
+  }));
+  const [busy, setBusy] = useState(false);
+
+  const dirty =
+    draft.policy !== (policy.policy || "both") ||
+    String(draft.cap) !== String(policy.cap ?? "") ||
+    draft.resetMonth !== (policy.resetMonth || "");
+
+  const save = async () => {
+    setBusy(true);
+    await onSavePolicy(category, draft);
+    setBusy(false);
+  };
+
+  const history = entry?.history || [];
+
+  return (
+    <div className="border rounded-lg p-3 bg-gray-50 space-y-3">
+      <div className="flex flex-wrap items-end gap-2">
+        <p className="text-xs font-semibold text-gray-700 mr-auto">Rollover</p>
+        <label className="text-[11px] text-gray-500">
+          Carries
+          <select
+            value={draft.policy}
+            onChange={(e) => setDraft((d) => ({ ...d, policy: e.target.value }))}
+            className={`${input} block mt-0.5`}
+          >
+            {ROLLOVER_POLICIES.map((p) => (
+              <option key={p.value} value={p.value}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-[11px] text-gray-500">
+          Cap
+          <input
+            type="number"
+            min={0}
+            value={draft.cap}
+            onChange={(e) => setDraft((d) => ({ ...d, cap: e.target.value }))}
+            placeholder="No cap"
+            className={`${input} w-24 block mt-0.5`}
+          />
+        </label>
+        <label className="text-[11px] text-gray-500">
+          Start fresh from
+          <input
+            type="month"
+            value={draft.resetMonth}
+            onChange={(e) => setDraft((d) => ({ ...d, resetMonth: e.target.value }))}
+            className={`${input} block mt-0.5`}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={save}
+          disabled={!dirty || busy}
+          className="bg-indigo-600 text-white text-xs px-2 py-1 rounded hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+
+      {history.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          Nothing carried into {month}
+          {policy.resetMonth ? ` (starts fresh from ${policy.resetMonth})` : " (no earlier budgeted months)"}.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2">Month</th>
+                <th className="py-1 px-2 text-right">Budget</th>
+                <th className="py-1 px-2 text-right">Carried in</th>
+                <th className="py-1 px-2 text-right">Spent</th>
+                <th className="py-1 px-2 text-right">Left</th>
+                <th className="py-1 pl-2 text-right">Carried out</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((h) => (
+                <tr key={h.month} className="border-t">
+                  <td className="py-1 pr-2">{h.month}</td>
+                  <td className="py-1 px-2 text-right">{money(h.base)}</td>
+                  <td className="py-1 px-2 text-right text-gray-600">{money(h.carryIn)}</td>
+                  <td className="py-1 px-2 text-right text-red-700">{money(h.spent)}</td>
+                  <td className={`py-1 px-2 text-right ${h.leftover < 0 ? "text-red-700" : "text-green-700"}`}>{money(h.leftover)}</td>
+                  <td className="py-1 pl-2 text-right font-semibold">
+                    {money(h.carryOut)}
+                    {h.note ? <span className="ml-1 font-normal text-gray-500">({h.note})</span> : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-1 text-xs text-gray-700">
+            {money(entry.rollover)} carried into {month}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
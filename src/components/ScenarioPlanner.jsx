@@ -0,0 +1,331 @@
+// src/components/ScenarioPlanner.jsx
+
+import { useMemo, useState } from "react";
+import { Pencil, Trash2, X } from "lucide-react";
+import RecurrenceFields from "./RecurrenceFields";
+import { ScenarioComparisonCharts } from "./Charts";
+import { simulateForecast } from "../helpers/cashFlowForecastHelpers";
+import {
+  SCENARIO_ITEM_KINDS,
+  emptyScenarioItem,
+  forecastScenario,
+  scenarioSummary,
+} from "../helpers/scenarioHelpers";
+
+const money = (v) => `${Number(v) < 0 ? "-" : ""}$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const input = "border rounded px-2 py-1 text-sm";
+
+export default function ScenarioPlanner({ scenarios, rules, projects, baseline, defaultAccountId, onAdd, onUpdate, onDelete }) {
+  const [newName, setNewName] = useState("");
+  const [compareIds, setCompareIds] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const runs = useMemo(() => {
+    const ctx = { projects, defaultAccountId };
+    const base = { id: "baseline", label: "Baseline", forecast: simulateForecast(baseline) };
+    const chosen = (scenarios || [])
+      .filter((s) => compareIds.includes(s.id))
+      .map((s) => ({ id: s.id, label: s.name, forecast: forecastScenario(baseline, s, ctx) }));
+    return [base, ...chosen].map((r) => ({ ...r, summary: scenarioSummary(r.forecast) }));
+  }, [scenarios, compareIds, baseline, projects, defaultAccountId]);
+
+  const run = async (fn) => {
+    setBusy(true);
+    const ok = await fn();
+    setBusy(false);
+    return ok;
+  };
+
+  const add = async () => {
+    const name = newName.trim();
+    if (!name) return alert("Name the scenario first.");
+    const created = await run(() => onAdd({ name, items: [] }));
+    if (created) {
+      setNewName("");
+      setCompareIds((ids) => [...ids, created.id]);
+      setEditingId(created.id);
+      setDraft({ name: created.name, items: [] });
+    }
+  };
+
+  const save = async () => {
+    const ok = await run(() => onUpdate(editingId, draft));
+    if (ok) {
+      setEditingId(null);
+      setDraft(null);
+    }
+  };
+
+  const setItem = (index, patch) =>
+    setDraft((d) => ({ ...d, items: d.items.map((it, i) => (i === index ? { ...it, ...patch } : it)) }));
+
+  const itemFields = (item, i) => {
+    if (item.kind === "rule") {
+      return (
+        <>
+          <select value={item.ruleId} onChange={(e) => setItem(i, { ruleId: e.target.value })} className={input}>
+            <option value="">Pick a recurring item…</option>
+            {(rules || []).map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.description} ({money(r.amount)})
+              </option>
+            ))}
+          </select>
+          <label className="text-xs text-gray-500">
+            from <input type="date" value={item.from} onChange={(e) => setItem(i, { from: e.target.value })} className={input} />
+          </label>
+          <label className="text-xs text-gray-500">
+            to <input type="date" value={item.to} onChange={(e) => setItem(i, { to: e.target.value })} className={input} />
+          </label>
+          <input
+            type="number"
+            value={item.amount}
+            onChange={(e) => setItem(i, { amount: e.target.value })}
+            placeholder="New amount (blank = paused)"
+            className={`${input} w-52`}
+          />
+        </>
+      );
+    }
+
+    if (item.kind === "project") {
+      return (
+        <>
+          <select value={item.projectId} onChange={(e) => setItem(i, { projectId: e.target.value })} className={input}>
+            <option value="">Pick a project…</option>
+            {(projects || []).map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name} ({p.targetMonth})
+              </option>
+            ))}
+          </select>
+          <label className="text-xs text-gray-500">
+            move to{" "}
+            <input type="month" value={item.targetMonth} onChange={(e) => setItem(i, { targetMonth: e.target.value })} className={input} />
+          </label>
+          <input
+            type="number"
+            value={item.amount}
+            onChange={(e) => setItem(i, { amount: e.target.value })}
+            placeholder="Cost (blank = quote)"
+            className={`${input} w-40`}
+          />
+          {!item.targetMonth && <span className="text-xs text-gray-500">No month: dropped from the plan</span>}
+        </>
+      );
+    }
+
+    const common = (
+      <>
+        <input
+          value={item.description}
+          onChange={(e) => setItem(i, { description: e.target.value })}
+          placeholder="Description"
+          className={input}
+        />
+        <input
+          type="number"
+          value={item.amount}
+          onChange={(e) => setItem(i, { amount: e.target.value })}
+          placeholder="Amount"
+          className={`${input} w-28`}
+        />
+        <select value={item.type} onChange={(e) => setItem(i, { type: e.target.value })} className={input}>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+      </>
+    );
+
+    if (item.kind === "recurring") {
+      return (
+        <>
+          {common}
+          <div className="w-full">
+            <RecurrenceFields compact value={item} onChange={(patch) => setItem(i, patch)} />
+          </div>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <input type="date" value={item.date} onChange={(e) => setItem(i, { date: e.target.value })} className={input} />
+        {common}
+      </>
+    );
+  };
+
+  const baselineSummary = runs[0].summary;
+
+  return (
+    <div className="mt-6 border-t pt-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">What-if scenarios</div>
+          <div className="text-xs text-gray-500">Try changes against the forecast without touching real rules, projects or transactions.</div>
+        </div>
+        <div className="flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder='e.g. "New car in June"'
+            className={input}
+          />
+          <button
+            type="button"
+            onClick={add}
+            disabled={busy}
+            className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-60"
+          >
+            New scenario
+          </button>
+        </div>
+      </div>
+
+      {(scenarios || []).length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {scenarios.map((s) => (
+            <div key={s.id} className="flex items-center gap-2 border rounded-full px-3 py-1 text-sm">
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(s.id)}
+                  onChange={(e) =>
+                    setCompareIds((ids) => (e.target.checked ? [...ids, s.id] : ids.filter((id) => id !== s.id)))
+                  }
+                />
+                {s.name}
+              </label>
+              <span className="text-xs text-gray-400">{s.items.length} change{s.items.length === 1 ? "" : "s"}</span>
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingId(s.id);
+                  setDraft({ name: s.name, items: s.items });
+                }}
+                className="text-gray-600 hover:text-gray-800"
+                title="Edit"
+              >
+                <Pencil size={14} />
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  if (!window.confirm(`Delete scenario "${s.name}"?`)) return;
+                  setCompareIds((ids) => ids.filter((id) => id !== s.id));
+                  if (editingId === s.id) setEditingId(null);
+                  onDelete(s.id);
+                }}
+                className="text-red-600 hover:text-red-700"
+                title="Delete"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editingId && draft && (
+        <div className="border rounded-lg p-3 bg-gray-50 space-y-3">
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+            className={`${input} font-medium`}
+          />
+          {draft.items.map((item, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2 bg-white border rounded p-2">
+              <span className="text-xs font-medium text-gray-600 w-full">
+                {SCENARIO_ITEM_KINDS.find((k) => k.value === item.kind)?.label}
+              </span>
+              {itemFields(item, i)}
+              <button
+                type="button"
+                onClick={() => setDraft((d) => ({ ...d, items: d.items.filter((_, idx) => idx !== i) }))}
+                className="ml-auto text-gray-500 hover:text-red-600"
+                title="Remove"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          ))}
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value=""
+              onChange={(e) => e.target.value && setDraft((d) => ({ ...d, items: [...d.items, emptyScenarioItem(e.target.value)] }))}
+              className={input}
+            >
+              <option value="">+ Add a change…</option>
+              {SCENARIO_ITEM_KINDS.map((k) => (
+                <option key={k.value} value={k.value}>
+                  {k.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={save}
+              disabled={busy}
+              className="ml-auto bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Save scenario
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setEditingId(null);
+                setDraft(null);
+              }}
+              className="text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {runs.length > 1 && (
+        <>
+          <ScenarioComparisonCharts runs={runs} />
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b bg-gray-50 text-left">
+                  <th className="px-3 py-2">Scenario</th>
+                  <th className="px-3 py-2 text-right">Net cash flow</th>
+                  <th className="px-3 py-2 text-right">Ending balance</th>
+                  <th className="px-3 py-2 text-right">vs baseline</th>
+                  <th className="px-3 py-2 text-right">Lowest point</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((r) => {
+                  const diff = r.summary.endBalance - baselineSummary.endBalance;
+                  return (
+                    <tr key={r.id} className="border-b">
+                      <td className="px-3 py-2 font-medium">{r.label}</td>
+                      <td className={`px-3 py-2 text-right ${r.summary.totalNet < 0 ? "text-red-700" : "text-green-700"}`}>
+                        {money(r.summary.totalNet)}
+                      </td>
+                      <td className="px-3 py-2 text-right">{money(r.summary.endBalance)}</td>
+                      <td className={`px-3 py-2 text-right ${diff < 0 ? "text-red-700" : diff > 0 ? "text-green-700" : "text-gray-500"}`}>
+                        {r.id === "baseline" ? "—" : `${diff > 0 ? "+" : ""}${money(diff)}`}
+                      </td>
+                      <td className={`px-3 py-2 text-right ${r.summary.lowest < 0 ? "text-red-700" : ""}`}>
+                        {money(r.summary.lowest)}
+                        {r.summary.lowestDate ? <span className="text-xs text-gray-500"> on {r.summary.lowestDate}</span> : null}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+// src/components/SinkingFunds.jsx
+
+import { useState } from "react";
+import { PiggyBank, Trash2 } from "lucide-react";
+
+const money = (v) => `${Number(v) < 0 ? "-" : ""}$${Math.abs(Number(v || 0)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const input = "border rounded px-2 py-1 text-sm";
+
+const emptyDraft = (month) => ({
+  name: "",
+  targetAmount: "",
+  dueDate: "",
+  startMonth: month,
+  category: "",
+  matchText: "",
+  repeatsAnnually: true,
+});
+
+// Budget tab section: irregular costs saved for month by month.
+// funds: sinkingFundsForMonth(...) rows ({ ...fund, status })
+export default function SinkingFunds({ funds, month, categoryOptions, personLabels, onAdd, onDelete }) {
+  const [draft, setDraft] = useState(() => emptyDraft(month));
+  const [busy, setBusy] = useState(false);
+
+  const add = async () => {
+    if (!draft.name.trim() || !(Number(draft.targetAmount) > 0) || !draft.dueDate) {
+      return alert("Give the fund a name, a target amount and a due date.");
+    }
+    if (!draft.category && !draft.matchText.trim()) {
+      return alert("Pick a category or description text so payments draw the fund down.");
+    }
+    setBusy(true);
+    const ok = await onAdd(draft);
+    setBusy(false);
+    if (ok) setDraft(emptyDraft(month));
+  };
+
+  const totalMonthly = funds.reduce((sum, f) => sum + f.status.monthly, 0);
+
+  return (
+    <div className="border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <PiggyBank size={18} className="text-indigo-600" />
+          <div>
+            <p className="text-sm font-semibold text-gray-900">Sinking funds</p>
+            <p className="text-xs text-gray-500">Annual and irregular costs, set aside a little each month.</p>
+          </div>
+        </div>
+        {funds.length > 0 && (
+          <div className="text-right text-sm">
+            <div className="text-xs text-gray-500">Set aside this month</div>
+            <div className="font-semibold">{money(totalMonthly)}</div>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {funds.map((f) => {
+          const s = f.status;
+          return (
+            <div key={f.id} className="border rounded p-3">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div>
+                  <p className="font-medium">{f.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {money(f.targetAmount)} due {s.dueMonth}
+                    {f.repeatsAnnually ? " · every year" : ""}
+                    {f.category ? ` · ${f.category}` : ""}
+                    {f.matchText ? ` · "${f.matchText}"` : ""}
+                    {f.person !== "joint" && personLabels[f.person] ? ` · ${personLabels[f.person]}` : ""}
+                  </p>
+                </div>
+                <div className="flex items-center gap-4 text-sm">
+                  <div className="text-right">
+                    <div className="text-xs text-gray-500">This month</div>
+                    <div className="font-semibold">{money(s.monthly)}</div>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-xs text-gray-500">Balance</div>
+                    <div className={`font-semibold ${s.balance < 0 ? "text-red-700" : "text-green-700"}`}>{money(s.balance)}</div>
+                  </div>
+                  <button type="button" onClick={() => onDelete(f.id)} className="text-red-600 hover:text-red-800" title="Delete fund">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${Math.round(s.funded * 100)}%` }} />
+              </div>
+              <div className="mt-1 text-xs text-gray-500">
+                {Math.round(s.funded * 100)}% funded
+                {s.overdue ? " · due date passed" : s.monthsLeft ? ` · ${s.monthsLeft} month${s.monthsLeft === 1 ? "" : "s"} left` : ""}
+                {s.drawdowns.length > 0 &&
+                  ` · paid this month: ${s.drawdowns.map((t) => `${t.description || "Untitled"} ${money(Math.abs(Number(t.amount || 0)))}`).join(", ")}`}
+              </div>
+            </div>
+          );
+        })}
+        {funds.length === 0 && <p className="text-sm text-gray-500">No sinking funds yet.</p>}
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-end gap-2">
+        <input
+          value={draft.name}
+          onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+          placeholder="e.g. Car insurance"
+          className={input}
+        />
+        <input
+          type="number"
+          min={0}
+          value={draft.targetAmount}
+          onChange={(e) => setDraft((d) => ({ ...d, targetAmount: e.target.value }))}
+          placeholder="Target"
+          className={`${input} w-28`}
+        />
+        <label className="text-xs text-gray-500">
+          Due
+          <input
+            type="date"
+            value={draft.dueDate}
+            onChange={(e) => setDraft((d) => ({ ...d, dueDate: e.target.value }))}
+            className={`${input} block mt-0.5`}
+          />
+        </label>
+        <label className="text-xs text-gray-500">
+          Saving from
+          <input
+            type="month"
+            value={draft.startMonth}
+            onChange={(e) => setDraft((d) => ({ ...d, startMonth: e.target.value }))}
+            className={`${input} block mt-0.5`}
+          />
+        </label>
+        <select
+          value={draft.category}
+          onChange={(e) => setDraft((d) => ({ ...d, category: e.target.value }))}
+          className={input}
+          title="Expenses in this category draw the fund down"
+        >
+          <option value="">Any category</option>
+          {categoryOptions.map((c) => (
+            <option key={c.name} value={c.name}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+        <input
+          value={draft.matchText}
+          onChange={(e) => setDraft((d) => ({ ...d, matchText: e.target.value }))}
+          placeholder="Description contains…"
+          className={input}
+        />
+        <label className="text-xs text-gray-600 flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={draft.repeatsAnnually}
+            onChange={(e) => setDraft((d) => ({ ...d, repeatsAnnually: e.target.checked }))}
+          />
+          Every year
+        </label>
+        <button
+          type="button"
+          onClick={add}
+          disabled={busy}
+          className="bg-indigo-600 text-white text-sm px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-60"
+        >
+          Add fund
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+// src/components/Sparkline.jsx
+
+// Tiny inline trend line. points: [{ date, value }] sorted by date.
+export default function Sparkline({ points, width = 96, height = 24, color = "#4f46e5" }) {
+  if (!points || points.length < 2) {
+    return <span className="inline-block text-[11px] text-gray-400" style={{ width }}>—</span>;
+  }
+
+  const values = points.map((p) => Number(p.value || 0));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const pad = 2;
+
+  const coords = values.map((v, i) => [
+    pad + (i / (values.length - 1)) * (width - pad * 2),
+    pad + (1 - (v - min) / span) * (height - pad * 2),
+  ]);
+  const [lastX, lastY] = coords[coords.length - 1];
+
+  const title = points.map((p) => `${p.date}: $${Number(p.value || 0).toLocaleString()}`).join("\n");
+
+  return (
+    <svg width={width} height={height} className="inline-block align-middle">
+      <title>{title}</title>
+      <polyline
+        points={coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ")}
+        fill="none"
+        stroke={color}
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+      />
+      <circle cx={lastX} cy={lastY} r="2" fill={color} />
+    </svg>
+  );
+}
@@ -0,0 +1,139 @@
+// src/components/SplitTransactionEditor.jsx
+
+import { useState } from "react";
+import { hasSplits, splitRemainder, validateSplits } from "../helpers/splitHelpers";
+
+const money = (v) => `$${Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function SplitTransactionEditor({ transaction, categories, personLabels, onSave, onCancel }) {
+  const total = Math.abs(Number(transaction.amount || 0));
+
+  // Existing split, or the whole amount on the current category plus an empty line
+  const [lines, setLines] = useState(() =>
+    hasSplits(transaction)
+      ? transaction.splits.map((s) => ({ ...s, amount: String(s.amount) }))
+      : [
+          { category: transaction.category || categories?.[0] || "", person: transaction.person || "joint", amount: String(total) },
+          { category: categories?.[0] || "", person: transaction.person || "joint", amount: "" },
+        ]
+  );
+  const [saving, setSaving] = useState(false);
+
+  const remainder = splitRemainder(total, lines);
+  const error = validateSplits(total, lines);
+
+  const updateLine = (idx, patch) =>
+    setLines((prev) => prev.map((l, i) => (i === idx ? { ...l, ...patch } : l)));
+
+  const addLine = () =>
+    setLines((prev) => [
+      ...prev,
+      {
+        category: categories?.[0] || "",
+        person: transaction.person || "joint",
+        amount: remainder > 0 ? remainder.toFixed(2) : "",
+      },
+    ]);
+
+  const removeLine = (idx) => setLines((prev) => prev.filter((_, i) => i !== idx));
+
+  const save = async (next) => {
+    setSaving(true);
+    await onSave(next);
+    setSaving(false);
+  };
+
+  return (
+    <div className="border rounded-lg p-4 bg-indigo-50/40">
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-sm font-semibold text-gray-800">
+          Split “{transaction.description}” · {money(total)}
+        </div>
+        <div className={`text-xs font-semibold ${remainder === 0 ? "text-green-700" : "text-amber-700"}`}>
+          {remainder === 0
+            ? "Lines add up"
+            : remainder > 0
+              ? `${money(remainder)} left to assign`
+              : `${money(Math.abs(remainder))} over`}
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {lines.map((l, idx) => (
+          <div key={idx} className="grid grid-cols-12 gap-2 items-center">
+            <select
+              value={l.category}
+              onChange={(e) => updateLine(idx, { category: e.target.value })}
+              className="border rounded px-2 py-1 text-sm col-span-5"
+            >
+              {(categories || []).map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+            <select
+              value={l.person}
+              onChange={(e) => updateLine(idx, { person: e.target.value })}
+              className="border rounded px-2 py-1 text-sm col-span-3"
+            >
+              {Object.entries(personLabels || {}).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              value={l.amount}
+              onChange={(e) => updateLine(idx, { amount: e.target.value })}
+              placeholder="0.00"
+              className="border rounded px-2 py-1 text-sm text-right col-span-3"
+            />
+            <button
+              type="button"
+              onClick={() => removeLine(idx)}
+              disabled={lines.length <= 1}
+              className="text-xs text-red-600 hover:text-red-800 disabled:opacity-30 col-span-1"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button type="button" onClick={addLine} className="border text-xs px-3 py-1 rounded bg-white hover:bg-gray-50">
+          + Add line
+        </button>
+
+        <div className="flex-1" />
+
+        {error && <span className="text-xs text-amber-700">{error}</span>}
+
+        {hasSplits(transaction) && (
+          <button
+            type="button"
+            onClick={() => save(null)}
+            disabled={saving}
+            className="text-xs px-3 py-1 rounded border border-red-200 text-red-700 bg-white hover:bg-red-50"
+          >
+            Remove split
+          </button>
+        )}
+        <button type="button" onClick={onCancel} className="text-xs px-3 py-1 rounded border bg-white hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => save(lines)}
+          disabled={saving || !!error}
+          className="text-xs px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Save split
+        </button>
+      </div>
+    </div>
+  );
+}
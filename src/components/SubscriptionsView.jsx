@@ -0,0 +1,215 @@
+// src/components/SubscriptionsView.jsx
+
+import { Fragment, useMemo, useState } from "react";
+import { AlertTriangle, ChevronDown, ChevronRight, Copy, TrendingUp } from "lucide-react";
+import { FREQUENCIES } from "../helpers/recurrenceHelpers";
+import { subscriptionTotals } from "../helpers/subscriptionHelpers";
+
+const money = (v) =>
+  `$${Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const frequencyLabel = (value) => FREQUENCIES.find((f) => f.value === value)?.label || value;
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  { value: "flagged", label: "Needs attention" },
+  { value: "detected", label: "Not tracked yet" },
+  { value: "paused", label: "Paused" },
+];
+
+export default function SubscriptionsView({ subscriptions, accounts, personLabels, onTrack, onToggleActive }) {
+  const [filter, setFilter] = useState("all");
+  const [expanded, setExpanded] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const totals = useMemo(() => subscriptionTotals(subscriptions), [subscriptions]);
+  const byId = useMemo(() => new Map((subscriptions || []).map((s) => [s.id, s])), [subscriptions]);
+
+  const rows = useMemo(() => {
+    const list = subscriptions || [];
+    if (filter === "flagged") return list.filter((s) => s.priceIncrease || s.possiblyCancelled || s.duplicateOf.length);
+    if (filter === "detected") return list.filter((s) => s.source === "detected");
+    if (filter === "paused") return list.filter((s) => !s.active);
+    return list;
+  }, [subscriptions, filter]);
+
+  const acctName = (id) => (accounts || []).find((a) => String(a.id) === String(id))?.name || "Unknown account";
+
+  const run = async (s, fn) => {
+    setBusyId(s.id);
+    await fn();
+    setBusyId(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Monthly cost</div>
+          <div className="text-2xl font-bold text-indigo-700">{money(totals.monthly)}</div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Annualized</div>
+          <div className="text-2xl font-bold">{money(totals.annual)}</div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Active subscriptions</div>
+          <div className="text-2xl font-bold">{totals.count}</div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="text-sm text-gray-500">Needs attention</div>
+          <div className={`text-2xl font-bold ${totals.flagged ? "text-amber-600" : "text-gray-400"}`}>{totals.flagged}</div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-xl font-semibold">Subscriptions</h2>
+          <div className="flex gap-2">
+            {FILTERS.map((f) => (
+              <button
+                key={f.value}
+                type="button"
+                onClick={() => setFilter(f.value)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  filter === f.value ? "bg-indigo-600 text-white border-indigo-600" : "text-gray-700 hover:bg-gray-50"
+                }`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          Recurring expense rules plus repeating charges found in your history. Costs use the latest charged amount.
+        </p>
+
+        <div className="mt-4 overflow-x-auto border rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left">
+                <th className="px-3 py-2">Service</th>
+                <th className="px-3 py-2">Billed</th>
+                <th className="px-3 py-2 text-right">Charge</th>
+                <th className="px-3 py-2 text-right">Monthly</th>
+                <th className="px-3 py-2 text-right">Yearly</th>
+                <th className="px-3 py-2">Last charge</th>
+                <th className="px-3 py-2">Next expected</th>
+                <th className="px-3 py-2">Flags</th>
+                <th className="px-3 py-2 text-center">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((s) => {
+                const open = !!expanded[s.id];
+                return (
+                  <Fragment key={s.id}>
+                    <tr className={`border-b align-top ${s.live ? "" : "opacity-60"}`}>
+                      <td className="px-3 py-2">
+                        <button
+                          type="button"
+                          onClick={() => setExpanded((e) => ({ ...e, [s.id]: !open }))}
+                          className="flex items-start gap-1 text-left"
+                        >
+                          {open ? <ChevronDown size={16} className="mt-0.5" /> : <ChevronRight size={16} className="mt-0.5" />}
+                          <span>
+                            <span className="font-medium">{s.name}</span>
+                            <span className="block text-xs text-gray-500">
+                              {s.category} · {personLabels[s.person] || s.person}
+                              {s.source === "detected" ? " · detected" : ""}
+                            </span>
+                          </span>
+                        </button>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">{frequencyLabel(s.frequency)}</td>
+                      <td className="px-3 py-2 text-right">{money(s.amount)}</td>
+                      <td className="px-3 py-2 text-right font-medium">{money(s.monthlyCost)}</td>
+                      <td className="px-3 py-2 text-right">{money(s.annualCost)}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">{s.lastChargeDate || "—"}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">{!s.active ? "Paused" : s.ended ? "Ended" : s.nextDate || "—"}</td>
+                      <td className="px-3 py-2">
+                        <div className="flex flex-col gap-1 text-xs">
+                          {s.priceIncrease && (
+                            <span className="inline-flex items-center gap-1 text-red-700">
+                              <TrendingUp size={14} /> {money(s.priceIncrease.previous)} → {money(s.priceIncrease.amount)}
+                            </span>
+                          )}
+                          {s.possiblyCancelled && (
+                            <span className="inline-flex items-center gap-1 text-amber-700">
+                              <AlertTriangle size={14} /> No charge since {s.lastChargeDate}
+                            </span>
+                          )}
+                          {s.duplicateOf.length > 0 && (
+                            <span className="inline-flex items-center gap-1 text-purple-700">
+                              <Copy size={14} /> Overlaps {s.duplicateOf.map((id) => byId.get(id)?.name).filter(Boolean).join(", ")}
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-center whitespace-nowrap">
+                        {s.source === "detected" ? (
+                          <button
+                            type="button"
+                            onClick={() => run(s, () => onTrack(s))}
+                            disabled={busyId !== null}
+                            className="text-indigo-600 hover:text-indigo-800 disabled:opacity-30"
+                            title="Create a recurring rule for it"
+                          >
+                            Track
+                          </button>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => run(s, () => onToggleActive(s.ruleId))}
+                            disabled={busyId !== null}
+                            className="text-gray-600 hover:text-gray-800 disabled:opacity-30"
+                            title={s.active ? "Cancelled it? Stop expecting charges" : "Expect charges again"}
+                          >
+                            {s.active ? "Mark cancelled" : "Resume"}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+
+                    {open && (
+                      <tr className="border-b bg-gray-50">
+                        <td colSpan={9} className="px-8 py-3 text-xs text-gray-600">
+                          <div>
+                            {s.chargeCount} charge{s.chargeCount === 1 ? "" : "s"} seen
+                            {s.accountIds.length ? ` on ${s.accountIds.map(acctName).join(", ")}` : ""}
+                            {s.variable ? " · amount varies from cycle to cycle" : ""}
+                          </div>
+                          {s.priceHistory.length ? (
+                            <ul className="mt-1 space-y-0.5">
+                              {s.priceHistory.map((p) => (
+                                <li key={p.date}>
+                                  {p.date}: {money(p.previous)} → {money(p.amount)}{" "}
+                                  <span className={p.amount > p.previous ? "text-red-600" : "text-green-600"}>
+                                    ({p.amount > p.previous ? "+" : "-"}
+                                    {money(Math.abs(p.amount - p.previous))})
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          ) : (
+                            <div className="mt-1">No price changes.</div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={9} className="px-3 py-4 text-center text-gray-500">
+                    {filter === "all" ? "No recurring charges yet." : "Nothing here."}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import Papa from "papaparse";
+import { DEFAULT_PEOPLE, normalizePersonValue } from "../helpers/peopleHelpers";
 
 const SAMPLE_HEADER = "Date,Description,Amount,Type,Category,Person";
 
@@ -14,10 +15,10 @@ const SAMPLE_HEADER = "Date,Description,Amount,Type,Category,Person";
  * - Amount: positive number
  * - Type: "income" or "expense"
  * - Category: any of your app categories (Food, Transportation, etc.)
- * - Person: "joint", "you", or "wife"
+ * - Person: "joint" or a household person's name or key (anything else goes to joint)
  */
 
-const TransactionCsvImport = ({ onImport }) => {
+const TransactionCsvImport = ({ onImport, people = DEFAULT_PEOPLE }) => {
   const [parsedRows, setParsedRows] = useState([]);
   const [error, setError] = useState("");
   const [info, setInfo] = useState("");
@@ -73,9 +74,7 @@ const TransactionCsvImport = ({ onImport }) => {
                 ? "income"
                 : "expense";
 
-            const person = (row.Person || "joint").toLowerCase();
-            const normalizedPerson =
-              person === "you" || person === "wife" ? person : "joint";
+            const normalizedPerson = normalizePersonValue(row.Person, people);
 
             return {
               id: Date.now() + index,
@@ -0,0 +1,153 @@
+// src/components/TransferReviewQueue.jsx
+
+import { useMemo, useState } from "react";
+import { findUnmatchedTransfers, findTransferCandidates } from "../helpers/transferPairingHelpers";
+
+const money = (v) => `$${Math.abs(Number(v || 0)).toLocaleString()}`;
+
+export default function TransferReviewQueue({ transactions, accounts, onAutoPair, onLink, onMarkNormal }) {
+  const [open, setOpen] = useState(false);
+  const [dayWindow, setDayWindow] = useState(3);
+  const [picked, setPicked] = useState({}); // { [transferId]: candidateId }
+  const [busy, setBusy] = useState(false);
+
+  const acctName = (id) => (accounts || []).find((a) => Number(a.id) === Number(id))?.name || "—";
+
+  const queue = useMemo(() => {
+    return findUnmatchedTransfers(transactions)
+      .sort((a, b) => (a.date < b.date ? 1 : -1))
+      .map((t) => ({
+        transfer: t,
+        candidates: findTransferCandidates(t, transactions, accounts, { dayWindow }).slice(0, 5),
+      }));
+  }, [transactions, accounts, dayWindow]);
+
+  const run = async (fn) => {
+    setBusy(true);
+    await fn();
+    setBusy(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <button type="button" onClick={() => setOpen((v) => !v)} className="w-full flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <h2 className="text-xl font-semibold">Transfer Review</h2>
+          <span className={`text-xs ${queue.length ? "text-amber-700" : "text-gray-500"}`}>
+            • {queue.length} unmatched transfer{queue.length === 1 ? "" : "s"}
+          </span>
+        </div>
+        <span className="text-lg text-indigo-700 leading-none">{open ? "show less ▾" : "Review ▸"}</span>
+      </button>
+
+      {!open ? null : (
+        <>
+          <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-2 text-gray-600">
+              Match within ±
+              <input
+                type="number"
+                min={0}
+                max={14}
+                value={dayWindow}
+                onChange={(e) => setDayWindow(Math.max(0, Math.min(14, Number(e.target.value) || 0)))}
+                className="border rounded px-2 py-1 w-16"
+              />
+              days
+            </label>
+            <button
+              type="button"
+              onClick={() => run(() => onAutoPair({ dayWindow }))}
+              disabled={busy || queue.length < 2}
+              className="bg-indigo-600 text-white text-sm px-4 py-2 rounded hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Auto-pair transfers
+            </button>
+            <span className="text-xs text-gray-500">
+              Pairs each outflow with an inflow of the same amount on another account.
+            </span>
+          </div>
+
+          <div className="mt-4 overflow-x-auto border rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left">
+                  <th className="px-3 py-2">Date</th>
+                  <th className="px-3 py-2">Description</th>
+                  <th className="px-3 py-2">Account</th>
+                  <th className="px-3 py-2 text-right">Amount</th>
+                  <th className="px-3 py-2">Other leg</th>
+                  <th className="px-3 py-2 text-center">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {queue.map(({ transfer: t, candidates }) => {
+                  const choice = picked[t.id] ?? candidates[0]?.id ?? "";
+                  const partner = candidates.find((c) => String(c.id) === String(choice));
+
+                  return (
+                    <tr key={t.id} className="border-b align-top">
+                      <td className="px-3 py-2 whitespace-nowrap">{t.date}</td>
+                      <td className="px-3 py-2">{t.description}</td>
+                      <td className="px-3 py-2">
+                        {acctName(t.account_id)}
+                        {t.transfer_account_id ? (
+                          <span className="text-xs text-gray-500"> → {acctName(t.transfer_account_id)}</span>
+                        ) : null}
+                      </td>
+                      <td className="px-3 py-2 text-right">{money(t.amount)}</td>
+                      <td className="px-3 py-2">
+                        {candidates.length ? (
+                          <select
+                            value={choice}
+                            onChange={(e) => setPicked((p) => ({ ...p, [t.id]: e.target.value }))}
+                            className="border rounded px-2 py-1 text-xs w-full"
+                          >
+                            {candidates.map((c) => (
+                              <option key={c.id} value={c.id}>
+                                {c.date} · {acctName(c.account_id)} · {c.description}
+                                {(c.transaction_type || "normal") === "transfer" ? "" : " (normal)"}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className="text-xs text-gray-500">No matching leg in other accounts</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-center whitespace-nowrap">
+                        <button
+                          type="button"
+                          onClick={() => run(() => onLink(t, partner))}
+                          disabled={busy || !partner}
+                          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-30 mr-3"
+                        >
+                          Link
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => run(() => onMarkNormal(t))}
+                          disabled={busy}
+                          className="text-gray-600 hover:text-gray-800"
+                          title="Not a transfer: count it as income/expense"
+                        >
+                          Not a transfer
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {queue.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-4 text-center text-gray-500">
+                      Every transfer is paired with its other leg.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
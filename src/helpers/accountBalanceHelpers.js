@@ -0,0 +1,138 @@
+// src/helpers/accountBalanceHelpers.js
+
+import { transferDirection } from "./transferPairingHelpers";
+
+// Account balances are kept in "what we own" terms: a checking account is
+// positive, a credit card with money owed on it is negative. Each account has
+// an opening balance as of a date; later transactions move it from there.
+// Reconciling against a statement locks the cleared rows (`reconciled_on`).
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export const fromDbAccountBalance = (a) => ({
+  opening_balance: a.opening_balance == null ? null : Number(a.opening_balance),
+  opening_balance_date: a.opening_balance_date || null,
+  reconciled_through: a.reconciled_through || null,
+  reconciled_balance: a.reconciled_balance == null ? null : Number(a.reconciled_balance),
+});
+
+export const isReconciled = (t) => Boolean(t?.reconciled_on);
+
+// [{ accountId, amount }] a transaction moves. A transfer row whose other leg
+// was never imported moves the money into transfer_account_id as well.
+export const accountEffects = (t, acctById, pairedGroups = new Set()) => {
+  const abs = Math.abs(Number(t.amount || 0));
+  if (!abs || t.account_id == null) return [];
+  const acct = acctById.get(Number(t.account_id));
+
+  if ((t.transaction_type || "normal") !== "transfer") {
+    return [{ accountId: Number(t.account_id), amount: t.type === "income" ? abs : -abs }];
+  }
+
+  const signed = transferDirection(t, acct) === "in" ? abs : -abs;
+  const out = [{ accountId: Number(t.account_id), amount: signed }];
+  if (t.transfer_account_id != null && !(t.transfer_group_id && pairedGroups.has(t.transfer_group_id))) {
+    out.push({ accountId: Number(t.transfer_account_id), amount: -signed });
+  }
+  return out;
+};
+
+// transfer_group_ids with both legs present
+export const pairedTransferGroups = (transactions) => {
+  const counts = new Map();
+  for (const t of transactions || []) {
+    if (t.transfer_group_id) counts.set(t.transfer_group_id, (counts.get(t.transfer_group_id) || 0) + 1);
+  }
+  return new Set([...counts].filter(([, n]) => n > 1).map(([id]) => id));
+};
+
+// { [accountId]: balance } through `asOf` (inclusive)
+export const accountBalances = (accounts, transactions, asOf) => {
+  const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
+  const paired = pairedTransferGroups(transactions);
+  const balances = {};
+  for (const a of accounts || []) balances[Number(a.id)] = Number(a.opening_balance || 0);
+
+  for (const t of transactions || []) {
+    if (!t.date || (asOf && t.date > asOf)) continue;
+    for (const { accountId, amount } of accountEffects(t, acctById, paired)) {
+      const acct = acctById.get(accountId);
+      if (!acct) continue;
+      // Rows on or before the opening date are already in the opening balance
+      if (acct.opening_balance_date && t.date <= acct.opening_balance_date) continue;
+      balances[accountId] += amount;
+    }
+  }
+
+  for (const id of Object.keys(balances)) balances[id] = round2(balances[id]);
+  return balances;
+};
+
+// Rows that move `accountId` after its opening date, oldest first, with the
+// running balance after each: [{ t, amount, balance }]
+export const accountRegister = (accounts, transactions, accountId) => {
+  const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
+  const acct = acctById.get(Number(accountId));
+  if (!acct) return [];
+  const paired = pairedTransferGroups(transactions);
+
+  const rows = [];
+  for (const t of transactions || []) {
+    if (!t.date || (acct.opening_balance_date && t.date <= acct.opening_balance_date)) continue;
+    const effect = accountEffects(t, acctById, paired).find((e) => e.accountId === Number(accountId));
+    if (effect) rows.push({ t, amount: effect.amount });
+  }
+  rows.sort((a, b) => {
+    if (a.t.date !== b.t.date) return a.t.date < b.t.date ? -1 : 1;
+    return String(a.t.id).localeCompare(String(b.t.id), undefined, { numeric: true });
+  });
+
+  let balance = Number(acct.opening_balance || 0);
+  return rows.map((r) => {
+    balance = round2(balance + r.amount);
+    return { ...r, balance };
+  });
+};
+
+// Opening balance + already reconciled rows + the rows ticked against this
+// statement; the difference must reach 0 before the statement can be locked.
+export const reconciliationSummary = (account, register, { statementBalance, clearedIds }) => {
+  let cleared = Number(account?.opening_balance || 0);
+  for (const r of register) {
+    if (isReconciled(r.t) || clearedIds.has(r.t.id)) cleared += r.amount;
+  }
+  const clearedBalance = round2(cleared);
+  return {
+    clearedBalance,
+    difference: round2(Number(statementBalance || 0) - clearedBalance),
+  };
+};
+
+// Assets and liabilities can be backed by an account instead of a hand-entered
+// value: checking/savings back assets, credit cards back liabilities.
+export const BALANCE_SOURCES = [
+  { value: "running", label: "Running balance" },
+  { value: "reconciled", label: "Last reconciled balance" },
+];
+
+export const accountsForKind = (accounts, kind) =>
+  (accounts || []).filter((a) => ((a.account_type || "checking") === "credit") === (kind === "liability"));
+
+// Value of an account-backed item (liabilities flip the sign: a card at -450
+// is 450 owed). Falls back to the running balance until a statement is reconciled.
+export const linkedAccountValue = (item, kind, acct, balances) => {
+  const running = Number(balances?.[Number(acct.id)] ?? 0);
+  const balance =
+    item.balance_source === "reconciled" && acct.reconciled_balance != null ? Number(acct.reconciled_balance) : running;
+  return round2(kind === "liability" ? -balance : balance);
+};
+
+// Items with their derived value; `linkedAccount` marks the account-backed ones
+export const withAccountValues = (items, kind, accounts, balances) => {
+  const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
+  return (items || []).map((item) => {
+    const acct = item.account_id != null ? acctById.get(Number(item.account_id)) : null;
+    if (!acct) return item;
+    return { ...item, value: linkedAccountValue(item, kind, acct, balances), linkedAccount: acct };
+  });
+};
@@ -2,7 +2,8 @@
 
 export function startEditAssetHelper({ a, setEditingAssetId, setEditAssetDraft }) {
   setEditingAssetId(a.id);
-  setEditAssetDraft({ ...a, value: String(a.value ?? "") });
+  // originalValue lets save tell a value change (new history entry) from a rename
+  setEditAssetDraft({ ...a, value: String(a.value ?? ""), originalValue: Number(a.value ?? 0) });
 }
 
 export function cancelEditAssetHelper({ setEditingAssetId, setEditAssetDraft }) {
@@ -18,6 +19,7 @@ export async function saveEditAssetHelper({
   supabase,
   setAssets,
   cancelEditAsset, // pass your wrapper
+  recordValuation, // optional: (itemId, value, priorValue) => appends to valuation history
 }) {
   if (!editAssetDraft || editingAssetId == null) return;
 
@@ -31,6 +33,8 @@ export async function saveEditAssetHelper({
       name: updated.name,
       value: updated.value,
       person: updated.person,
+      account_id: updated.account_id ?? null,
+      balance_source: updated.balance_source || "running",
     };
 
     const { data, error } = await supabase
@@ -57,5 +61,9 @@ export async function saveEditAssetHelper({
     );
   }
 
+  if (recordValuation && updated.value !== Number(editAssetDraft.originalValue)) {
+    await recordValuation(editingAssetId, updated.value, Number(editAssetDraft.originalValue));
+  }
+
   cancelEditAsset();
 }
@@ -0,0 +1,108 @@
+// src/helpers/billCalendarHelpers.js
+
+import { expandRecurringRules, findOccurrenceTransaction, monthRange } from "./recurrenceHelpers";
+
+// Month grid for the bill calendar: what we expect to pay/receive each day
+// (recurring rules, planned projects) next to what actually happened.
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+export const shiftMonthKey = (monthKey, delta) => {
+  const [y, m] = String(monthKey).split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + delta, 1));
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`;
+};
+
+// Sunday-first weeks; days outside the month are null
+export const calendarWeeks = (monthKey) => {
+  const [y, m] = String(monthKey).split("-").map(Number);
+  const first = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+  const cells = [...Array(first).fill(null)];
+  for (let d = 1; d <= days; d++) cells.push(`${monthKey}-${pad2(d)}`);
+  while (cells.length % 7) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+};
+
+// paid: a transaction covers it; overdue: date passed without one;
+// due: today; upcoming: later
+const statusFor = (paidBy, date, today) => {
+  if (paidBy) return "paid";
+  if (date < today) return "overdue";
+  return date === today ? "due" : "upcoming";
+};
+
+// { [date]: { expected: [...], actual: [...] } } for every day with something on it.
+// Expected items: { key, kind, date, scheduledDate, description, amount, type,
+// category, person, rule, project, paidBy, status }
+export const calendarItems = ({ rules, projects, transactions, monthKey, today }) => {
+  const { from, to } = monthRange(monthKey);
+  const byDate = {};
+  const day = (date) => (byDate[date] ||= { expected: [], actual: [] });
+
+  for (const { rule, date, scheduledDate } of expandRecurringRules(rules, from, to)) {
+    const paidBy = findOccurrenceTransaction(transactions, rule, { date, scheduledDate });
+    day(date).expected.push({
+      key: `rule-${rule.id}-${scheduledDate}`,
+      kind: "recurring",
+      date,
+      scheduledDate,
+      description: rule.description,
+      amount: Number(rule.amount || 0),
+      type: rule.type || "expense",
+      category: rule.category,
+      person: rule.person || "joint",
+      rule,
+      project: null,
+      paidBy,
+      status: statusFor(paidBy, date, today),
+    });
+  }
+
+  // Projects only have a target month: they sit on its first day and count as
+  // due for the whole month
+  for (const p of projects || []) {
+    if (p.targetMonth !== monthKey) continue;
+    const paidBy = (transactions || []).find((t) => t.project_id != null && String(t.project_id) === String(p.id)) || null;
+    const status = paidBy ? "paid" : to < today ? "overdue" : from <= today ? "due" : "upcoming";
+    day(from).expected.push({
+      key: `project-${p.id}`,
+      kind: "project",
+      date: from,
+      scheduledDate: from,
+      description: p.vendor ? `${p.name} (${p.vendor})` : p.name,
+      amount: Number(p.quotedAmount || 0),
+      type: "expense",
+      category: "Housing",
+      person: p.person || "joint",
+      rule: null,
+      project: p,
+      paidBy,
+      status,
+    });
+  }
+
+  for (const t of transactions || []) {
+    if (t.date >= from && t.date <= to) day(t.date).actual.push(t);
+  }
+
+  return byDate;
+};
+
+// Month summary: expected in/out and what is still open
+export const calendarTotals = (byDate) => {
+  const totals = { expectedIncome: 0, expectedBills: 0, unpaidBills: 0, overdue: 0 };
+  for (const { expected } of Object.values(byDate)) {
+    for (const item of expected) {
+      if (item.type === "income") totals.expectedIncome += item.amount;
+      else totals.expectedBills += item.amount;
+      if (item.type !== "income" && item.status !== "paid") totals.unpaidBills += item.amount;
+      if (item.status === "overdue") totals.overdue += 1;
+    }
+  }
+  return totals;
+};
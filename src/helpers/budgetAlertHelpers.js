@@ -0,0 +1,159 @@
+// src/helpers/budgetAlertHelpers.js
+
+// Budget alert rules ("Food over 90%", "behind pace by >15% after day 10")
+// are checked after transactions are added or imported. Each firing becomes
+// a notification, once per rule/category/month. Rules set to "digest" hold
+// their notifications until the next day, then show them as one daily digest.
+
+export const ALERT_KINDS = [
+  { value: "percent", label: "Spent over" },
+  { value: "pace", label: "Behind pace by more than" },
+];
+
+export const ALERT_DELIVERY = [
+  { value: "instant", label: "Right away" },
+  { value: "digest", label: "Daily digest" },
+];
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const money = (v) => `$${Number(v || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const dayKey = (d) => {
+  const date = new Date(d);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+export const fromDbAlertRule = (r) => ({
+  id: r.id,
+  category: r.category || "",
+  kind: r.kind || "percent",
+  threshold: Number(r.threshold || 0),
+  afterDay: r.after_day == null ? null : Number(r.after_day),
+  delivery: r.delivery || "instant",
+  active: r.active !== false,
+  createdAt: r.created_at,
+});
+
+export const toDbAlertRule = (r) => ({
+  category: r.category || null,
+  kind: r.kind || "percent",
+  threshold: Math.abs(Number(r.threshold || 0)),
+  after_day: r.kind === "pace" && Number(r.afterDay) > 0 ? Math.min(31, Math.round(Number(r.afterDay))) : null,
+  delivery: r.delivery || "instant",
+  active: r.active !== false,
+});
+
+export const fromDbNotification = (n) => ({
+  id: n.id,
+  ruleId: n.rule_id ?? null,
+  category: n.category || "",
+  month: n.month ? String(n.month).slice(0, 7) : null,
+  title: n.title,
+  body: n.body || "",
+  dedupeKey: n.dedupe_key,
+  delivery: n.delivery || "instant",
+  readAt: n.read_at ?? null,
+  createdAt: n.created_at,
+});
+
+export const toDbNotification = (n) => ({
+  rule_id: n.ruleId ?? null,
+  category: n.category || null,
+  month: n.month ? `${n.month}-01` : null,
+  title: n.title,
+  body: n.body || null,
+  dedupe_key: n.dedupeKey,
+  delivery: n.delivery || "instant",
+  read_at: n.readAt ?? null,
+});
+
+export const describeAlertRule = (rule) => {
+  const who = rule.category || "Any budget";
+  if (rule.kind === "pace") {
+    return `${who} behind pace by >${rule.threshold}%${rule.afterDay ? ` after day ${rule.afterDay}` : ""}`;
+  }
+  return `${who} over ${rule.threshold}%`;
+};
+
+// rules: active alert rules; categories: categories budgeted in `month`
+// progressFor(category) -> { budget, spent } | null (budget rollover-aware)
+// Returns notification drafts for every rule/category that fires.
+export const evaluateBudgetAlerts = ({ rules, categories, progressFor, month, today = new Date() }) => {
+  const isCurrentMonth = dayKey(today).slice(0, 7) === month;
+  const [y, m] = month.split("-").map(Number);
+  const dim = new Date(y, m, 0).getDate();
+  const day = Math.min(dim, today.getDate());
+
+  const fired = [];
+  for (const rule of rules || []) {
+    if (!rule.active || !(rule.threshold > 0)) continue;
+    const targets = rule.category ? categories.filter((c) => c === rule.category) : categories;
+
+    for (const category of targets) {
+      const progress = progressFor(category);
+      const budget = Number(progress?.budget || 0);
+      if (budget <= 0) continue;
+      const spent = Number(progress.spent || 0);
+      const pct = (spent / budget) * 100;
+
+      let body = null;
+      if (rule.kind === "percent" && pct >= rule.threshold) {
+        body = `${money(spent)} of ${money(budget)} spent (${round1(pct)}%).`;
+      } else if (rule.kind === "pace" && isCurrentMonth && day >= (rule.afterDay || 1)) {
+        const expected = (budget * day) / dim;
+        const behindBy = expected > 0 ? (spent / expected - 1) * 100 : 0;
+        if (behindBy > rule.threshold) {
+          body = `${money(spent)} spent by day ${day}; on pace would be ${money(expected)} (${round1(behindBy)}% over).`;
+        }
+      }
+      if (!body) continue;
+
+      fired.push({
+        ruleId: rule.id,
+        category,
+        month,
+        title: rule.kind === "pace" ? `${category} is behind pace` : `${category} is at ${Math.floor(pct)}% of budget`,
+        body,
+        dedupeKey: `${rule.id}:${category}:${month}`,
+        delivery: rule.delivery,
+      });
+    }
+  }
+  return fired;
+};
+
+// What the notification center shows right now: instant notifications plus
+// one digest per earlier day. Digest notifications from today are held back.
+// Returns { entries: [{ key, notification } | { key, digestDay, items }], held }
+export const notificationFeed = (notifications, now = new Date()) => {
+  const today = dayKey(now);
+  const entries = [];
+  const digests = new Map();
+  let held = 0;
+
+  for (const n of notifications || []) {
+    if (n.delivery !== "digest") {
+      entries.push({ key: `n-${n.id}`, at: n.createdAt, notification: n });
+      continue;
+    }
+    const day = dayKey(n.createdAt || now);
+    if (day >= today) {
+      held += 1;
+      continue;
+    }
+    if (!digests.has(day)) digests.set(day, []);
+    digests.get(day).push(n);
+  }
+
+  for (const [day, items] of digests) {
+    entries.push({ key: `d-${day}`, at: `${day}T23:59:59`, digestDay: day, items });
+  }
+
+  entries.sort((a, b) => String(b.at || "").localeCompare(String(a.at || "")));
+  return { entries, held };
+};
+
+export const unreadNotificationCount = (feed) =>
+  feed.entries.reduce(
+    (sum, e) => sum + (e.notification ? (e.notification.readAt ? 0 : 1) : e.items.filter((n) => !n.readAt).length),
+    0
+  );
@@ -0,0 +1,130 @@
+// src/helpers/budgetTemplateHelpers.js
+
+import { toMonthKey } from "./dateHelpers";
+import { addMonthsToKey } from "./loanHelpers";
+
+// Named budget templates ("Normal month", "Holiday month") are a list of
+// { category, amount, person } items. Applying one writes budget rows tagged
+// with template_id; a later template change only rewrites future rows whose
+// amount still matches what the template put there (i.e. not edited by hand).
+// The plan* functions return { inserts, updates, deletes } for the caller to save.
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const keyOf = (category, person) => `${category}::${person || "joint"}`;
+
+export const fromDbBudgetTemplate = (t) => ({
+  id: t.id,
+  name: t.name,
+  items: (Array.isArray(t.items) ? t.items : []).map((i) => ({
+    category: i.category,
+    amount: Number(i.amount || 0),
+    person: i.person || "joint",
+  })),
+  createdAt: t.created_at,
+});
+
+export const toDbBudgetTemplate = (t) => ({
+  name: String(t.name || "").trim(),
+  items: (t.items || []).map((i) => ({
+    category: i.category,
+    amount: round2(Math.abs(Number(i.amount || 0))),
+    person: i.person || "joint",
+  })),
+});
+
+// Template items from a month's budget rows (one item per category/person)
+export const templateItemsFromBudgets = (rows) => {
+  const byKey = new Map();
+  for (const b of rows || []) {
+    const key = keyOf(b.category, b.person);
+    const prev = byKey.get(key);
+    byKey.set(key, {
+      category: b.category,
+      person: b.person || "joint",
+      amount: round2((prev?.amount || 0) + Number(b.amount || 0)),
+    });
+  }
+  return [...byKey.values()];
+};
+
+export const monthsFrom = (start, count) =>
+  Array.from({ length: Math.max(0, Number(count) || 0) }, (_, i) => addMonthsToKey(start, i));
+
+export const scaleAmount = (amount, percent) => round2(Number(amount || 0) * (1 + Number(percent || 0) / 100));
+
+const rowIndex = (budgets) => {
+  const byKey = new Map();
+  for (const b of budgets || []) byKey.set(`${toMonthKey(b.month)}::${keyOf(b.category, b.person)}`, b);
+  return byKey;
+};
+
+// Write `items` into each of `months`. Existing rows for the same
+// category/person are left alone unless `overwrite` is set.
+const planItems = ({ items, months, budgets, overwrite, templateId = null }) => {
+  const existing = rowIndex(budgets);
+  const plan = { inserts: [], updates: [], deletes: [] };
+  for (const month of months) {
+    for (const item of items) {
+      const row = existing.get(`${month}::${keyOf(item.category, item.person)}`);
+      if (!row) {
+        plan.inserts.push({ category: item.category, amount: item.amount, person: item.person || "joint", month, template_id: templateId });
+      } else if (overwrite && (Number(row.amount) !== item.amount || (row.template_id ?? null) !== templateId)) {
+        plan.updates.push({ id: row.id, amount: item.amount, template_id: templateId });
+      }
+    }
+  }
+  return plan;
+};
+
+export const planTemplateApply = ({ template, months, budgets, overwrite }) =>
+  planItems({ items: template.items, months, budgets, overwrite, templateId: template.id });
+
+// Copy one month's rows into another; copied rows keep their template link
+export const planCopyForward = ({ budgets, fromMonth, toMonth, overwrite }) => {
+  const source = (budgets || []).filter((b) => toMonthKey(b.month) === fromMonth);
+  const plan = { inserts: [], updates: [], deletes: [] };
+  for (const templateId of new Set(source.map((b) => b.template_id ?? null))) {
+    const items = templateItemsFromBudgets(source.filter((b) => (b.template_id ?? null) === templateId));
+    const part = planItems({ items, months: [toMonth], budgets, overwrite, templateId });
+    plan.inserts.push(...part.inserts);
+    plan.updates.push(...part.updates);
+  }
+  return plan;
+};
+
+export const planPercentAdjust = ({ rows, percent }) => ({
+  inserts: [],
+  updates: (rows || []).map((b) => ({ id: b.id, amount: scaleAmount(b.amount, percent), template_id: b.template_id ?? null })),
+  deletes: [],
+});
+
+// Carry a template edit into months after `afterMonth` that were filled from
+// it. Rows whose amount differs from the old template amount were edited by
+// hand and are kept as they are.
+export const planTemplatePropagation = ({ before, after, budgets, afterMonth }) => {
+  const oldItems = new Map(before.items.map((i) => [keyOf(i.category, i.person), i]));
+  const newItems = new Map(after.items.map((i) => [keyOf(i.category, i.person), i]));
+  const linked = (budgets || []).filter((b) => b.template_id === after.id && toMonthKey(b.month) > afterMonth);
+  const months = [...new Set(linked.map((b) => toMonthKey(b.month)))].sort();
+
+  const plan = { inserts: [], updates: [], deletes: [] };
+  for (const month of months) {
+    const rows = (budgets || []).filter((b) => toMonthKey(b.month) === month);
+    const rowFor = (key) => rows.find((b) => keyOf(b.category, b.person) === key);
+
+    for (const [key, oldItem] of oldItems) {
+      const row = rowFor(key);
+      if (!row || row.template_id !== after.id || Number(row.amount) !== oldItem.amount) continue;
+      const next = newItems.get(key);
+      if (!next) plan.deletes.push(row.id);
+      else if (next.amount !== oldItem.amount) plan.updates.push({ id: row.id, amount: next.amount, template_id: after.id });
+    }
+    for (const [key, item] of newItems) {
+      if (oldItems.has(key) || rowFor(key)) continue;
+      plan.inserts.push({ category: item.category, amount: item.amount, person: item.person, month, template_id: after.id });
+    }
+  }
+  return plan;
+};
+
+export const planSize = (plan) => plan.inserts.length + plan.updates.length + plan.deletes.length;
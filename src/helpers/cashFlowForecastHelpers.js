@@ -0,0 +1,146 @@
+// src/helpers/cashFlowForecastHelpers.js
+
+import { expandRecurringRules, findOccurrenceTransaction, monthRange } from "./recurrenceHelpers";
+import { addMonthsToKey, hasLoanTerms, loanSummary } from "./loanHelpers";
+
+// Day-by-day cash flow: start from today's account balances and lay out what
+// is expected to happen (future-dated transactions, recurring occurrences not
+// yet posted, planned projects, loan payments) on each account.
+// Expected items without an account land on `defaultAccountId`; recorded
+// transactions without one are left out, as they are in accountBalances.
+
+export const FORECAST_HORIZONS = [3, 6, 12];
+export const UNASSIGNED = "unassigned";
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const addDays = (iso, n) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + n));
+  return `${dt.getUTCFullYear()}-${pad2(dt.getUTCMonth() + 1)}-${pad2(dt.getUTCDate())}`;
+};
+
+// Events: { date, accountId, amount (signed), kind, description, type, ruleId?, projectId? }
+export const forecastEvents = ({
+  accounts,
+  transactions,
+  rules,
+  projects,
+  liabilities,
+  coveredLiabilityIds = new Set(),
+  today,
+  end,
+  defaultAccountId,
+}) => {
+  const known = new Set((accounts || []).map((a) => Number(a.id)));
+  const accountFor = (id) => (id != null && known.has(Number(id)) ? Number(id) : (defaultAccountId ?? UNASSIGNED));
+  const signed = (type, amount) => (type === "income" ? 1 : -1) * Math.abs(Number(amount || 0));
+  const events = [];
+
+  // Already recorded with a future date (applied recurring items, scheduled payments)
+  for (const t of transactions || []) {
+    if (!t.date || t.date <= today || t.date > end) continue;
+    if ((t.transaction_type || "normal") === "transfer") continue;
+    if (t.account_id == null || !known.has(Number(t.account_id))) continue;
+    events.push({ date: t.date, accountId: Number(t.account_id), amount: signed(t.type, t.amount), kind: "transaction", description: t.description, type: t.type });
+  }
+
+  for (const { rule, date, scheduledDate } of expandRecurringRules(rules, today, end)) {
+    if (findOccurrenceTransaction(transactions, rule, { date, scheduledDate })) continue;
+    events.push({ date, accountId: accountFor(rule.accountId), amount: signed(rule.type, rule.amount), kind: "recurring", description: rule.description, type: rule.type || "expense", ruleId: rule.id });
+  }
+
+  // Unpaid projects are spent at the start of their target month (or today)
+  const paidProjects = new Set((transactions || []).filter((t) => t.project_id != null).map((t) => String(t.project_id)));
+  for (const p of projects || []) {
+    if (!p.targetMonth || paidProjects.has(String(p.id))) continue;
+    const { from } = monthRange(p.targetMonth);
+    if (from > end || p.targetMonth < today.slice(0, 7)) continue;
+    const date = from < today ? today : from;
+    events.push({ date, accountId: accountFor(null), amount: -Math.abs(Number(p.quotedAmount || 0)), kind: "project", description: p.name, type: "expense", projectId: p.id });
+  }
+
+  // Loan payments not already made by a recurring rule, on the loan's start day.
+  // A liability's account_id is the account backing it, not the one paying it.
+  for (const l of liabilities || []) {
+    if (!hasLoanTerms(l) || coveredLiabilityIds.has(l.id)) continue;
+    const day = Number(String(l.start_date || "").slice(8, 10)) || 1;
+    for (const r of loanSummary(l, { currentMonth: today.slice(0, 7) }).rows) {
+      const { from, to } = monthRange(r.monthKey);
+      if (from > end) break;
+      const date = `${r.monthKey}-${pad2(Math.min(day, Number(to.slice(8, 10))))}`;
+      if (date < today || date > end) continue;
+      events.push({ date, accountId: accountFor(null), amount: -r.payment, kind: "loan", description: `${l.name} payment`, type: "expense" });
+    }
+  }
+
+  return events.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+};
+
+export const forecastEnd = (today, months) => monthRange(addMonthsToKey(today.slice(0, 7), months - 1)).to;
+
+// Walks each day from `today` to `end` applying the events to the starting balances:
+// { start, end, days: [{ date, balances, total, events }], months: [...], events }
+export const simulateForecast = ({ start, events, today, end }) => {
+  const running = { ...start };
+  if (events.some((e) => e.accountId === UNASSIGNED)) running[UNASSIGNED] = 0;
+
+  const byDate = new Map();
+  for (const e of events) {
+    if (!byDate.has(e.date)) byDate.set(e.date, []);
+    byDate.get(e.date).push(e);
+  }
+
+  const days = [];
+  for (let date = today; date <= end; date = addDays(date, 1)) {
+    const todays = byDate.get(date) || [];
+    for (const e of todays) running[e.accountId] = round2((running[e.accountId] || 0) + e.amount);
+    days.push({
+      date,
+      balances: { ...running },
+      total: round2(Object.values(running).reduce((sum, v) => sum + v, 0)),
+      events: todays,
+    });
+  }
+
+  // Monthly roll-up for the summary table
+  const monthRows = new Map();
+  for (const d of days) {
+    const key = d.date.slice(0, 7);
+    if (!monthRows.has(key)) monthRows.set(key, { monthKey: key, income: 0, expenses: 0, loanPayments: 0, net: 0, endBalance: 0 });
+    const row = monthRows.get(key);
+    for (const e of d.events) {
+      if (e.amount >= 0) row.income = round2(row.income + e.amount);
+      else row.expenses = round2(row.expenses - e.amount);
+      if (e.kind === "loan") row.loanPayments = round2(row.loanPayments - e.amount);
+    }
+    row.net = round2(row.income - row.expenses);
+    row.endBalance = d.total;
+  }
+
+  return { start, end, days, months: [...monthRows.values()], events };
+};
+
+// Checking accounts projected under `threshold`: first day below, and the low point
+export const lowBalanceWarnings = (forecast, accounts, threshold) => {
+  const warnings = [];
+  for (const a of accounts || []) {
+    if ((a.account_type || "checking") !== "checking") continue;
+    const id = Number(a.id);
+    const firstBelow = forecast.days.find((d) => d.balances[id] < threshold);
+    if (!firstBelow) continue;
+    const lowest = forecast.days.reduce((low, d) => (d.balances[id] < low.balances[id] ? d : low), firstBelow);
+    warnings.push({
+      accountId: id,
+      accountName: a.name,
+      date: firstBelow.date,
+      balance: firstBelow.balances[id],
+      lowestDate: lowest.date,
+      lowest: lowest.balances[id],
+      // What pulls it under: that day's outflows on this account
+      causes: firstBelow.events.filter((e) => e.accountId === id && e.amount < 0),
+    });
+  }
+  return warnings.sort((a, b) => (a.date < b.date ? -1 : 1));
+};
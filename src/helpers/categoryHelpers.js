@@ -0,0 +1,96 @@
+// src/helpers/categoryHelpers.js
+
+// Household categories, one level of subcategories (Food > Groceries).
+// Rows reference a category by its name, which is unique within the household,
+// so a budget on a parent also covers spending in its subcategories.
+
+export const DEFAULT_CATEGORIES = [
+  { name: "Food", icon: "🍽️", color: "#f59e0b" },
+  { name: "Transportation", icon: "🚗", color: "#0ea5e9" },
+  { name: "Housing", icon: "🏠", color: "#4f46e5" },
+  { name: "Entertainment", icon: "🎬", color: "#a855f7" },
+  { name: "Healthcare", icon: "🩺", color: "#ef4444" },
+  { name: "Utilities", icon: "💡", color: "#14b8a6" },
+  { name: "Shopping", icon: "🛍️", color: "#db2777" },
+  { name: "Other", icon: "📦", color: "#6b7280" },
+].map((c, i) => ({ ...c, id: `default-${i}`, parentId: null, archived: false, sortOrder: i }));
+
+export const CATEGORY_COLORS = ["#4f46e5", "#22c55e", "#ef4444", "#0ea5e9", "#f59e0b", "#a855f7", "#14b8a6", "#6b7280"];
+
+// DB row -> UI shape
+export const fromDbCategory = (c) => ({
+  id: c.id,
+  householdId: c.household_id,
+  name: c.name,
+  parentId: c.parent_id ?? null,
+  icon: c.icon || "",
+  color: c.color || "#6b7280",
+  archived: !!c.archived,
+  sortOrder: Number(c.sort_order ?? 0),
+  createdAt: c.created_at,
+});
+
+// UI shape -> DB payload (without household_id / created_by)
+export const toDbCategory = (c) => ({
+  name: String(c.name || "").trim(),
+  parent_id: c.parentId ?? null,
+  icon: c.icon || null,
+  color: c.color || null,
+  archived: !!c.archived,
+  sort_order: Number(c.sortOrder ?? 0),
+});
+
+const byOrder = (a, b) => a.sortOrder - b.sortOrder || String(a.name).localeCompare(String(b.name));
+
+// Parents with their children: [{ ...parent, children: [...] }]
+export const categoryTree = (categories, { includeArchived = false } = {}) => {
+  const list = (categories || []).filter((c) => includeArchived || !c.archived);
+  const ids = new Set(list.map((c) => c.id));
+
+  // Children of a missing/archived parent are shown at the top level
+  const parents = list.filter((c) => !c.parentId || !ids.has(c.parentId)).sort(byOrder);
+  return parents.map((p) => ({
+    ...p,
+    children: list.filter((c) => c.parentId === p.id && c.id !== p.id).sort(byOrder),
+  }));
+};
+
+// Flat, ordered options for selects: [{ name, label, depth }]
+export const categoryOptions = (categories, opts) =>
+  categoryTree(categories, opts).flatMap((p) => [
+    { name: p.name, label: p.name, depth: 0 },
+    ...p.children.map((c) => ({ name: c.name, label: `${p.name} › ${c.name}`, depth: 1 })),
+  ]);
+
+export const findCategory = (categories, name) => {
+  const key = String(name || "").trim().toLowerCase();
+  return (categories || []).find((c) => c.name.toLowerCase() === key) || null;
+};
+
+// Names a budget or filter on `name` covers: itself plus its subcategories
+export const categoryFamily = (categories, name) => {
+  const cat = findCategory(categories, name);
+  const names = new Set([name]);
+  if (!cat) return names;
+  names.add(cat.name);
+  for (const c of categories) {
+    if (c.parentId === cat.id) names.add(c.name);
+  }
+  return names;
+};
+
+// Category names used by rows that aren't in the household list (bank CSV
+// categories, "Uncategorized", ...), most used first
+export const unlistedCategories = (categories, rows) => {
+  const counts = new Map();
+  for (const r of rows || []) {
+    const name = String(r.category || "").trim();
+    if (!name || findCategory(categories, name)) continue;
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count }));
+};
+
+// Where a merged category's subcategories go: under the target, or beside it
+// when the target is itself a subcategory
+export const mergeParentFor = (target) => target.parentId || target.id;
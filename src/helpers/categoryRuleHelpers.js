@@ -0,0 +1,143 @@
+// src/helpers/categoryRuleHelpers.js
+
+export const DESCRIPTION_OPS = [
+  { value: "contains", label: "contains" },
+  { value: "starts_with", label: "starts with" },
+  { value: "equals", label: "equals" },
+  { value: "regex", label: "matches (regex)" },
+];
+
+export const AMOUNT_OPS = [
+  { value: "any", label: "any amount" },
+  { value: "eq", label: "=" },
+  { value: "lt", label: "<" },
+  { value: "gt", label: ">" },
+];
+
+// Manual-entry category value meaning "let the rules decide"
+export const AUTO_CATEGORY = "__auto__";
+
+// DB row -> UI shape
+export const fromDbCategoryRule = (r) => ({
+  id: r.id,
+  householdId: r.household_id,
+  priority: Number(r.priority ?? 100),
+  active: r.active !== false,
+  descriptionOp: r.description_op || "contains",
+  descriptionValue: r.description_value || "",
+  amountOp: r.amount_op || "any",
+  amountValue: r.amount_value != null ? Number(r.amount_value) : null,
+  accountId: r.account_id ?? null,
+  setCategory: r.set_category || "",
+  setPerson: r.set_person || null,
+  createdBy: r.created_by,
+  createdAt: r.created_at,
+});
+
+// UI shape -> DB payload (without household_id / created_by)
+export const toDbCategoryRule = (r) => ({
+  priority: Number.isFinite(Number(r.priority)) ? Number(r.priority) : 100,
+  active: r.active !== false,
+  description_op: r.descriptionOp || "contains",
+  description_value: String(r.descriptionValue || "").trim(),
+  amount_op: r.amountOp || "any",
+  amount_value:
+    r.amountOp && r.amountOp !== "any" && r.amountValue !== "" && r.amountValue != null
+      ? Math.abs(Number(r.amountValue))
+      : null,
+  account_id: r.accountId ? Number(r.accountId) : null,
+  set_category: r.setCategory,
+  set_person: r.setPerson || null,
+});
+
+// Lower priority number runs first; ties keep creation order
+export const sortCategoryRules = (rules) =>
+  [...(rules || [])].sort(
+    (a, b) =>
+      Number(a.priority ?? 100) - Number(b.priority ?? 100) ||
+      String(a.createdAt || "").localeCompare(String(b.createdAt || ""))
+  );
+
+const descriptionMatches = (rule, desc) => {
+  const needle = String(rule.descriptionValue || "").trim();
+  if (!needle) return true; // amount/account-only rule
+
+  const hay = String(desc || "");
+  switch (rule.descriptionOp) {
+    case "equals":
+      return hay.trim().toLowerCase() === needle.toLowerCase();
+    case "starts_with":
+      return hay.trim().toLowerCase().startsWith(needle.toLowerCase());
+    case "regex":
+      try {
+        return new RegExp(needle, "i").test(hay);
+      } catch {
+        return false; // bad pattern never matches
+      }
+    case "contains":
+    default:
+      return hay.toLowerCase().includes(needle.toLowerCase());
+  }
+};
+
+// Amounts compare by absolute value: expenses may be stored signed or unsigned
+const amountMatches = (rule, amount) => {
+  if (!rule.amountOp || rule.amountOp === "any" || rule.amountValue == null) return true;
+
+  const a = Math.abs(Number(amount || 0));
+  const v = Math.abs(Number(rule.amountValue));
+  switch (rule.amountOp) {
+    case "eq":
+      return Math.abs(a - v) < 0.005;
+    case "lt":
+      return a < v;
+    case "gt":
+      return a > v;
+    default:
+      return true;
+  }
+};
+
+export const ruleMatches = (rule, t) => {
+  if (!rule || !rule.setCategory) return false;
+  if (rule.accountId && Number(rule.accountId) !== Number(t.account_id)) return false;
+  return descriptionMatches(rule, t.description) && amountMatches(rule, t.amount);
+};
+
+export const findMatchingRule = (rules, t) =>
+  sortCategoryRules(rules).find((r) => r.active && ruleMatches(r, t)) || null;
+
+// Returns the transaction with category/person from the first matching rule.
+// Transfers are left alone (they're excluded from spending anyway).
+export const applyCategoryRules = (t, rules) => {
+  if ((t.transaction_type || "normal") === "transfer") return t;
+
+  const rule = findMatchingRule(rules, t);
+  if (!rule) return t;
+
+  return {
+    ...t,
+    category: rule.setCategory,
+    person: rule.setPerson || t.person,
+  };
+};
+
+export const describeCategoryRule = (rule, { personLabels = {}, accounts = [] } = {}) => {
+  const parts = [];
+  if (rule.descriptionValue) {
+    const op = DESCRIPTION_OPS.find((o) => o.value === rule.descriptionOp)?.label || "contains";
+    parts.push(`description ${op} "${rule.descriptionValue}"`);
+  }
+  if (rule.amountOp && rule.amountOp !== "any" && rule.amountValue != null) {
+    parts.push(`amount ${AMOUNT_OPS.find((o) => o.value === rule.amountOp)?.label} ${rule.amountValue}`);
+  }
+  if (rule.accountId) {
+    const acct = accounts.find((a) => Number(a.id) === Number(rule.accountId));
+    parts.push(`account is ${acct?.name || rule.accountId}`);
+  }
+
+  const then = [rule.setCategory];
+  if (rule.setPerson) then.push(`person ${personLabels[rule.setPerson] || rule.setPerson}`);
+
+  return `${parts.join(" and ") || "any transaction"} → ${then.join(", ")}`;
+};
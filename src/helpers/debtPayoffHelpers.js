@@ -0,0 +1,134 @@
+// src/helpers/debtPayoffHelpers.js
+
+import { addMonthsToKey, scheduledPayment } from "./loanHelpers";
+
+// Snowball: smallest balance first. Avalanche: highest APR first.
+// Custom: the household's own order. Every strategy pays all minimums, then puts
+// the extra budget plus minimums freed by paid-off debts on the first debt in order.
+
+export const STRATEGIES = [
+  { value: "snowball", label: "Snowball (smallest balance first)" },
+  { value: "avalanche", label: "Avalanche (highest APR first)" },
+  { value: "custom", label: "Custom order" },
+];
+
+const MAX_MONTHS = 600;
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Liabilities -> planner debts ({ id, name, balance, apr, minimum })
+export const debtsFromLiabilities = (liabilities, currentMonth) =>
+  (liabilities || [])
+    .filter((l) => Number(l.value) > 0)
+    .map((l) => ({
+      id: l.id,
+      name: l.name,
+      person: l.person,
+      balance: Number(l.value),
+      apr: Number(l.interest_rate || 0),
+      minimum: scheduledPayment(l, currentMonth),
+    }));
+
+export const orderDebts = (debts, strategy, customOrder = []) => {
+  const list = [...(debts || [])];
+  if (strategy === "avalanche") return list.sort((a, b) => b.apr - a.apr || a.balance - b.balance);
+  if (strategy === "custom") {
+    const pos = new Map(customOrder.map((id, i) => [id, i]));
+    return list.sort((a, b) => (pos.get(a.id) ?? 1e9) - (pos.get(b.id) ?? 1e9));
+  }
+  return list.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
+};
+
+// Month-by-month simulation. Returns
+// { paysOff, months, totalInterest, debts: [{ id, name, payoffMonth, interestPaid, payments: [{ monthKey, amount }] }],
+//   series: [{ monthKey, balance }] }
+export const simulatePayoff = (debts, { strategy = "avalanche", extra = 0, customOrder = [], currentMonth }) => {
+  const ordered = orderDebts(debts, strategy, customOrder);
+  const state = ordered.map((d) => ({
+    ...d,
+    bal: Number(d.balance || 0),
+    interestPaid: 0,
+    payoffMonth: null,
+    payments: [],
+  }));
+
+  // The monthly budget stays constant: minimums + extra. As debts close,
+  // their minimums roll into the next target.
+  const budget = state.reduce((sum, d) => sum + Number(d.minimum || 0), 0) + Math.max(0, Number(extra || 0));
+  const series = [];
+  let month = 0;
+
+  while (state.some((d) => d.bal > 0.005) && month < MAX_MONTHS) {
+    month++;
+    const monthKey = addMonthsToKey(currentMonth, month);
+    let available = budget;
+
+    for (const d of state) {
+      if (d.bal <= 0.005) continue;
+      const interest = (d.bal * d.apr) / 100 / 12;
+      d.bal += interest;
+      d.interestPaid += interest;
+    }
+
+    const pay = (d, amount) => {
+      const amt = Math.min(amount, d.bal);
+      if (amt <= 0) return 0;
+      d.bal -= amt;
+      const last = d.payments[d.payments.length - 1];
+      if (last?.monthKey === monthKey) last.amount += amt;
+      else d.payments.push({ monthKey, amount: amt });
+      if (d.bal <= 0.005) {
+        d.bal = 0;
+        d.payoffMonth = monthKey;
+      }
+      return amt;
+    };
+
+    // Minimums first, then everything left goes down the order
+    for (const d of state) {
+      if (d.bal > 0) available -= pay(d, Math.min(Number(d.minimum || 0), available));
+    }
+    for (const d of state) {
+      if (available <= 0.005) break;
+      if (d.bal > 0) available -= pay(d, available);
+    }
+
+    series.push({ monthKey, balance: round2(state.reduce((sum, d) => sum + d.bal, 0)) });
+
+    // Stuck: the budget no longer covers the interest
+    if (series.length > 1 && series[series.length - 1].balance >= series[series.length - 2].balance) break;
+  }
+
+  const paysOff = state.every((d) => d.bal <= 0.005);
+
+  return {
+    strategy,
+    paysOff,
+    months: paysOff ? month : null,
+    budget: round2(budget),
+    totalInterest: round2(state.reduce((sum, d) => sum + d.interestPaid, 0)),
+    debts: state.map((d) => ({
+      id: d.id,
+      name: d.name,
+      person: d.person,
+      payoffMonth: d.payoffMonth,
+      interestPaid: round2(d.interestPaid),
+      payments: d.payments.map((p) => ({ ...p, amount: round2(p.amount) })),
+    })),
+    series,
+  };
+};
+
+// Payment phases per debt: consecutive months with the same payment.
+// Each phase becomes one recurring rule (start/end dated).
+export const paymentPhases = (debtResult) => {
+  const phases = [];
+  for (const p of debtResult.payments || []) {
+    const last = phases[phases.length - 1];
+    if (last && Math.abs(last.amount - p.amount) < 0.01 && addMonthsToKey(last.endMonth, 1) === p.monthKey) {
+      last.endMonth = p.monthKey;
+    } else {
+      phases.push({ amount: p.amount, startMonth: p.monthKey, endMonth: p.monthKey });
+    }
+  }
+  return phases;
+};
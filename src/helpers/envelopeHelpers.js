@@ -0,0 +1,120 @@
+// src/helpers/envelopeHelpers.js
+
+import { addMonthsToKey } from "./loanHelpers";
+
+// Zero-based (envelope) budgeting. Each month's actual income goes into an
+// "unassigned" pool; budget rows are what was assigned to each category
+// envelope. Envelope balances carry forward month to month with no limit,
+// and money can be moved between envelopes (envelope_moves rows).
+
+export const BUDGET_MODES = [
+  { value: "caps", label: "Monthly caps" },
+  { value: "envelope", label: "Envelopes (zero-based)" },
+];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const isTransfer = (t) => (t.transaction_type || "normal") === "transfer";
+const blankEnvelope = (category) => ({ category, carryIn: 0, assigned: 0, moved: 0, spent: 0, available: 0 });
+
+export const fromDbEnvelopeMove = (m) => ({
+  id: m.id,
+  month: String(m.month || "").slice(0, 7),
+  fromCategory: m.from_category,
+  toCategory: m.to_category,
+  amount: Number(m.amount || 0),
+  person: m.person || "joint",
+  createdAt: m.created_at,
+});
+
+export const toDbEnvelopeMove = (m) => ({
+  month: `${m.month}-01`,
+  from_category: m.fromCategory,
+  to_category: m.toCategory,
+  amount: Math.abs(Number(m.amount || 0)),
+  person: m.person || "joint",
+});
+
+// First month with an assignment; income before it was never part of the plan
+export const envelopeStartMonth = (budgets) =>
+  (budgets || []).reduce((first, b) => (b.month && (!first || b.month < first) ? b.month : first), null);
+
+// lines: split-expanded transactions; familyOf(category) -> Set of category
+// names an envelope covers (a parent envelope covers its subcategories)
+export const envelopeLedger = ({ budgets, moves, lines, familyOf, month }) => {
+  const start = envelopeStartMonth(budgets);
+  const categories = [
+    ...new Set([
+      ...(budgets || []).map((b) => b.category),
+      ...(moves || []).flatMap((mv) => [mv.fromCategory, mv.toCategory]),
+    ]),
+  ].sort();
+  const empty = { month, start, income: 0, assigned: 0, unassigned: 0, unassignedIn: 0, envelopes: [] };
+  if (!start || !month || month < start) return { ...empty, envelopes: categories.map((category) => blankEnvelope(category)) };
+
+  // Which envelope a transaction category belongs to: its own envelope if it
+  // has one, else the closest parent's (smallest family first)
+  const envelopeOf = new Map();
+  const families = categories
+    .map((category) => ({ category, family: familyOf(category) }))
+    .sort((x, y) => x.family.size - y.family.size);
+  for (const { category } of families) envelopeOf.set(category, category);
+  for (const { category, family } of families) {
+    for (const name of family) if (!envelopeOf.has(name)) envelopeOf.set(name, category);
+  }
+
+  const incomeBy = new Map();
+  const spentBy = new Map();
+  for (const t of lines || []) {
+    if (!t.date || isTransfer(t)) continue;
+    const m = t.date.slice(0, 7);
+    if (m < start || m > month) continue;
+    const abs = Math.abs(Number(t.amount || 0));
+    if (t.type === "income") incomeBy.set(m, (incomeBy.get(m) || 0) + abs);
+    else if (t.type === "expense" && envelopeOf.has(t.category)) {
+      const key = `${m}|${envelopeOf.get(t.category)}`;
+      spentBy.set(key, (spentBy.get(key) || 0) + abs);
+    }
+  }
+
+  const assignedBy = new Map();
+  for (const b of budgets || []) {
+    const key = `${b.month}|${b.category}`;
+    assignedBy.set(key, (assignedBy.get(key) || 0) + Number(b.amount || 0));
+  }
+
+  const movedBy = new Map();
+  for (const mv of moves || []) {
+    const amount = Math.abs(Number(mv.amount || 0));
+    const out = `${mv.month}|${mv.fromCategory}`;
+    const into = `${mv.month}|${mv.toCategory}`;
+    movedBy.set(out, (movedBy.get(out) || 0) - amount);
+    movedBy.set(into, (movedBy.get(into) || 0) + amount);
+  }
+
+  const balance = new Map(categories.map((c) => [c, 0]));
+  let unassigned = 0;
+  let row = empty;
+
+  for (let m = start; m <= month; m = addMonthsToKey(m, 1)) {
+    const unassignedIn = unassigned;
+    const income = incomeBy.get(m) || 0;
+    let assigned = 0;
+
+    const envelopes = categories.map((category) => {
+      const key = `${m}|${category}`;
+      const carryIn = balance.get(category);
+      const a = assignedBy.get(key) || 0;
+      const moved = movedBy.get(key) || 0;
+      const spent = spentBy.get(key) || 0;
+      assigned += a;
+      const available = round2(carryIn + a + moved - spent);
+      balance.set(category, available);
+      return { category, carryIn: round2(carryIn), assigned: round2(a), moved: round2(moved), spent: round2(spent), available };
+    });
+
+    unassigned = round2(unassigned + income - assigned);
+    row = { month: m, start, income: round2(income), assigned: round2(assigned), unassigned, unassignedIn: round2(unassignedIn), envelopes };
+  }
+
+  return row;
+};
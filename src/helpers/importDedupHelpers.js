@@ -0,0 +1,112 @@
+// src/helpers/importDedupHelpers.js
+
+const normalizeDescTokens = (s = "") =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    // drop pure numbers (store #, ref ids) so "COSTCO #123" ~ "COSTCO WHSE"
+    .filter((tok) => tok && !/^\d+$/.test(tok));
+
+// Small, stable string hash (FNV-1a 32-bit) -> hex
+const fnv1a = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+};
+
+const cents = (v) => Math.round(Math.abs(Number(v || 0)) * 100);
+
+const dayNumber = (iso) => {
+  const [y, m, d] = String(iso || "").split("-").map(Number);
+  if (!y || !m || !d) return NaN;
+  return Date.UTC(y, m - 1, d) / 86400000;
+};
+
+// 0..1 token overlap (Jaccard), with containment counted as a full match
+export const descriptionSimilarity = (a, b) => {
+  const ta = new Set(normalizeDescTokens(a));
+  const tb = new Set(normalizeDescTokens(b));
+  if (!ta.size || !tb.size) return 0;
+
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+
+  if (shared === Math.min(ta.size, tb.size)) return 1;
+  return shared / (ta.size + tb.size - shared);
+};
+
+// One fingerprint per imported row. Identical rows inside the same file
+// (two $4.50 coffees on the same day) get an occurrence suffix so both survive,
+// while re-importing the same file reproduces the exact same fingerprints.
+export const buildImportFingerprints = (rows) => {
+  const seen = new Map();
+
+  return (rows || []).map((t) => {
+    const base = t.fitid
+      ? `fitid|${t.account_id ?? ""}|${t.fitid}`
+      : [
+          "row",
+          t.account_id ?? "",
+          t.date || "",
+          cents(t.amount),
+          normalizeDescTokens(t.description).join(" "),
+        ].join("|");
+
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return `imp_${fnv1a(`${base}#${n}`)}`;
+  });
+};
+
+// Flag rows that already exist (exact fingerprint) or probably exist
+// (same account, date within ±dayWindow, same amount, similar description).
+// Returns one entry per row: { exact, match, score } (match null when clean).
+export const findImportDuplicates = (
+  rows,
+  fingerprints,
+  existing,
+  { dayWindow = 3, minSimilarity = 0.5 } = {}
+) => {
+  const existingFingerprints = new Set(
+    (existing || []).map((t) => t.import_fingerprint).filter(Boolean)
+  );
+
+  // Index existing rows by account + amount; date/description are checked per row
+  const byKey = new Map();
+  for (const t of existing || []) {
+    const key = `${t.account_id ?? ""}|${cents(t.amount)}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(t);
+  }
+
+  const claimed = new Set();
+
+  return (rows || []).map((row, idx) => {
+    if (existingFingerprints.has(fingerprints?.[idx])) {
+      return { exact: true, match: null, score: 1 };
+    }
+
+    const candidates = byKey.get(`${row.account_id ?? ""}|${cents(row.amount)}`) || [];
+    const rowDay = dayNumber(row.date);
+
+    let best = null;
+    let bestScore = 0;
+    for (const t of candidates) {
+      if (claimed.has(t.id)) continue;
+      if (Math.abs(dayNumber(t.date) - rowDay) > dayWindow) continue;
+
+      const score = descriptionSimilarity(row.description, t.description);
+      if (score >= minSimilarity && score > bestScore) {
+        best = t;
+        bestScore = score;
+      }
+    }
+
+    if (best) claimed.add(best.id);
+    return { exact: false, match: best, score: bestScore };
+  });
+};
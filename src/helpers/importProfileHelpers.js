@@ -0,0 +1,92 @@
+// src/helpers/importProfileHelpers.js
+
+export const DATE_FORMATS = [
+  { value: "auto", label: "Auto-detect" },
+  { value: "MM/DD/YYYY", label: "MM/DD/YYYY" },
+  { value: "DD/MM/YYYY", label: "DD/MM/YYYY" },
+  { value: "YYYY-MM-DD", label: "YYYY-MM-DD" },
+  { value: "YYYYMMDD", label: "YYYYMMDD" },
+];
+
+// Options every profile (built-in or saved) carries besides the column mapping
+export const DEFAULT_PROFILE_OPTIONS = {
+  dateFormat: "auto",
+  amountSign: "as_is", // as_is | invert (positive = money out)
+  splitAmounts: false, // separate Debit / Credit columns instead of one Amount
+  skipRows: 0, // junk rows above the header (bank name, account no, ...)
+  defaultAccountId: null,
+};
+
+// Returns "YYYY-MM-DD" or "" when the value doesn't fit the format.
+// "auto" is left to the importer's own tryParseDate.
+export const parseDateWithFormat = (v, fmt) => {
+  const s = String(v || "").trim();
+  if (!s || !fmt || fmt === "auto") return "";
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const year = (y) => (String(y).length === 2 ? `20${y}` : String(y));
+  let m;
+
+  switch (fmt) {
+    case "MM/DD/YYYY":
+      m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+      return m ? `${year(m[3])}-${pad(m[1])}-${pad(m[2])}` : "";
+    case "DD/MM/YYYY":
+      m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+      return m ? `${year(m[3])}-${pad(m[2])}-${pad(m[1])}` : "";
+    case "YYYY-MM-DD":
+      m = s.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/);
+      return m ? `${m[1]}-${pad(m[2])}-${pad(m[3])}` : "";
+    case "YYYYMMDD":
+      m = s.match(/^(\d{4})(\d{2})(\d{2})/);
+      return m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+    default:
+      return "";
+  }
+};
+
+const normHeader = (h) => String(h || "").trim().toLowerCase();
+
+// Header row of a parsed CSV, honoring a profile's skipRows
+export const headerRowFor = (rawRows, skipRows = 0) =>
+  (rawRows || [])[Math.max(0, Number(skipRows) || 0)] || [];
+
+// Same columns (order/case/whitespace-insensitive) as when the profile was saved
+export const profileMatchesHeaders = (profile, rawRows) => {
+  const saved = (profile?.headers || []).map(normHeader).filter(Boolean);
+  if (!saved.length) return false;
+
+  const actual = headerRowFor(rawRows, profile.skipRows).map(normHeader).filter(Boolean);
+  if (actual.length !== saved.length) return false;
+
+  const set = new Set(actual);
+  return saved.every((h) => set.has(h));
+};
+
+// DB row -> UI shape
+export const fromDbImportProfile = (p) => ({
+  id: p.id,
+  householdId: p.household_id,
+  name: p.name,
+  mapping: p.mapping || {},
+  headers: p.headers || [],
+  dateFormat: p.date_format || DEFAULT_PROFILE_OPTIONS.dateFormat,
+  amountSign: p.amount_sign || DEFAULT_PROFILE_OPTIONS.amountSign,
+  splitAmounts: !!p.split_amounts,
+  skipRows: Number(p.skip_rows || 0),
+  defaultAccountId: p.default_account_id ?? null,
+  createdBy: p.created_by,
+  createdAt: p.created_at,
+});
+
+// UI shape -> DB payload (without household_id / created_by)
+export const toDbImportProfile = (p) => ({
+  name: String(p.name || "").trim(),
+  mapping: p.mapping || {},
+  headers: p.headers || [],
+  date_format: p.dateFormat || DEFAULT_PROFILE_OPTIONS.dateFormat,
+  amount_sign: p.amountSign || DEFAULT_PROFILE_OPTIONS.amountSign,
+  split_amounts: !!p.splitAmounts,
+  skip_rows: Math.max(0, Number(p.skipRows) || 0),
+  default_account_id: p.defaultAccountId ? Number(p.defaultAccountId) : null,
+});
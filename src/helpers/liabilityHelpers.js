@@ -2,7 +2,8 @@
 
 export function startEditLiabilityHelper({ l, setEditingLiabilityId, setEditLiabilityDraft }) {
   setEditingLiabilityId(l.id);
-  setEditLiabilityDraft({ ...l, value: String(l.value ?? "") });
+  // originalValue lets save tell a value change (new history entry) from a rename
+  setEditLiabilityDraft({ ...l, value: String(l.value ?? ""), originalValue: Number(l.value ?? 0) });
 }
 
 export function cancelEditLiabilityHelper({ setEditingLiabilityId, setEditLiabilityDraft }) {
@@ -18,6 +19,7 @@ export async function saveEditLiabilityHelper({
   supabase,
   setLiabilities,
   cancelEditLiability, // pass your wrapper
+  recordValuation, // optional: (itemId, value, priorValue) => appends to valuation history
 }) {
   if (!editLiabilityDraft || editingLiabilityId == null) return;
 
@@ -31,6 +33,8 @@ export async function saveEditLiabilityHelper({
       name: updated.name,
       value: updated.value,
       person: updated.person,
+      account_id: updated.account_id ?? null,
+      balance_source: updated.balance_source || "running",
     };
 
     const { data, error } = await supabase
@@ -59,5 +63,9 @@ export async function saveEditLiabilityHelper({
     );
   }
 
+  if (recordValuation && updated.value !== Number(editLiabilityDraft.originalValue)) {
+    await recordValuation(editingLiabilityId, updated.value, Number(editLiabilityDraft.originalValue));
+  }
+
   cancelEditLiability();
 }
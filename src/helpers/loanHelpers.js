@@ -0,0 +1,132 @@
+// src/helpers/loanHelpers.js
+
+// Liabilities with loan terms (interest_rate, term_months, minimum_payment, start_date)
+// get an amortization schedule from today's balance (`value`).
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const MAX_MONTHS = 600; // 50 years: anything longer never pays off in practice
+
+export const addMonthsToKey = (yyyyMm, delta) => {
+  const [y, m] = String(yyyyMm).split("-").map(Number);
+  const d = new Date(y, m - 1 + delta, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+};
+
+const monthsBetween = (fromKey, toKey) => {
+  const [fy, fm] = String(fromKey).split("-").map(Number);
+  const [ty, tm] = String(toKey).split("-").map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+};
+
+export const hasLoanTerms = (l) => num(l?.interest_rate) > 0 || num(l?.minimum_payment) > 0 || num(l?.term_months) > 0;
+
+// Standard fixed payment for a fully amortizing loan
+export const monthlyPaymentFor = (principal, aprPct, termMonths) => {
+  const p = num(principal);
+  const n = Math.max(1, Math.round(num(termMonths)));
+  const r = num(aprPct) / 100 / 12;
+  if (p <= 0) return 0;
+  if (r === 0) return round2(p / n);
+  return round2((p * r) / (1 - Math.pow(1 + r, -n)));
+};
+
+// Scheduled payment: the recorded minimum, else what the remaining term implies
+export const scheduledPayment = (l, currentMonth) => {
+  if (num(l.minimum_payment) > 0) return num(l.minimum_payment);
+  if (num(l.term_months) <= 0) return 0;
+
+  const start = String(l.start_date || "").slice(0, 7) || currentMonth;
+  const remaining = Math.max(1, num(l.term_months) - Math.max(0, monthsBetween(start, currentMonth)));
+  return monthlyPaymentFor(l.value, l.interest_rate, remaining);
+};
+
+// Month-by-month schedule starting the month after `currentMonth`.
+// Returns { rows: [{ monthKey, payment, interest, principal, balance }], paysOff }
+export const amortizationSchedule = ({ balance, aprPct, payment, extra = 0, currentMonth }) => {
+  const r = num(aprPct) / 100 / 12;
+  const pay = num(payment) + Math.max(0, num(extra));
+  let bal = num(balance);
+  const rows = [];
+
+  if (bal <= 0) return { rows, paysOff: true };
+  if (pay <= round2(bal * r)) return { rows, paysOff: false }; // payment doesn't cover interest
+
+  for (let i = 1; i <= MAX_MONTHS && bal > 0.005; i++) {
+    const interest = bal * r;
+    let amount = Math.min(pay, bal + interest);
+    bal -= amount - interest;
+
+    // A payment rounded to cents can leave a few cents over; fold them into this payment
+    if (bal > 0 && bal < 1) {
+      amount += bal;
+      bal = 0;
+    }
+
+    rows.push({
+      monthKey: addMonthsToKey(currentMonth, i),
+      payment: round2(amount),
+      interest: round2(interest),
+      principal: round2(amount - interest),
+      balance: Math.max(0, round2(bal)),
+    });
+  }
+
+  return { rows, paysOff: bal <= 0.005 };
+};
+
+// Payoff summary for one liability, optionally with extra monthly principal
+export const loanSummary = (l, { extra = 0, currentMonth }) => {
+  const payment = scheduledPayment(l, currentMonth);
+  const { rows, paysOff } = amortizationSchedule({
+    balance: l.value,
+    aprPct: l.interest_rate,
+    payment,
+    extra,
+    currentMonth,
+  });
+
+  return {
+    payment,
+    extra: Math.max(0, num(extra)),
+    rows,
+    paysOff,
+    months: paysOff ? rows.length : null,
+    payoffMonth: paysOff ? rows[rows.length - 1]?.monthKey || currentMonth : null,
+    totalInterest: round2(rows.reduce((sum, r) => sum + r.interest, 0)),
+  };
+};
+
+// "Pay $X extra": months and interest saved against the scheduled payment
+export const compareExtraPayment = (l, extra, currentMonth) => {
+  const base = loanSummary(l, { currentMonth });
+  const withExtra = loanSummary(l, { extra, currentMonth });
+
+  return {
+    base,
+    withExtra,
+    monthsSaved: base.paysOff && withExtra.paysOff ? base.months - withExtra.months : null,
+    interestSaved: base.paysOff ? round2(base.totalInterest - withExtra.totalInterest) : null,
+  };
+};
+
+// { [monthKey]: { payment, principal, interest } } summed over loans, for the forecast.
+// Loans in coveredIds already have a recurring rule for the payment, so only
+// their principal/interest are added (the rule itself is the expense).
+export const loanPaymentsByMonth = (liabilities, currentMonth, monthsAhead, { coveredIds = new Set() } = {}) => {
+  const out = {};
+  for (const l of liabilities || []) {
+    if (!hasLoanTerms(l)) continue;
+
+    const { rows } = loanSummary(l, { currentMonth });
+    for (const r of rows.slice(0, monthsAhead)) {
+      if (!out[r.monthKey]) out[r.monthKey] = { payment: 0, principal: 0, interest: 0 };
+      const m = out[r.monthKey];
+      if (!coveredIds.has(l.id)) m.payment = round2(m.payment + r.payment);
+      m.principal = round2(m.principal + r.principal);
+      m.interest = round2(m.interest + r.interest);
+    }
+  }
+  return out;
+};
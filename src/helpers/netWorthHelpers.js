@@ -0,0 +1,205 @@
+// src/helpers/netWorthHelpers.js
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const round2 = (v) => Math.round(num(v) * 100) / 100;
+
+export const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// Totals for the household plus each person's own items (joint items stay under "joint")
+export const computeNetWorthTotals = (assets, liabilities) => {
+  const byPerson = {};
+  const bucket = (p) => {
+    const key = p || "joint";
+    if (!byPerson[key]) byPerson[key] = { assets: 0, liabilities: 0, netWorth: 0 };
+    return byPerson[key];
+  };
+
+  let totalAssets = 0;
+  let totalLiabilities = 0;
+
+  for (const a of assets || []) {
+    totalAssets += num(a.value);
+    bucket(a.person).assets += num(a.value);
+  }
+  for (const l of liabilities || []) {
+    totalLiabilities += num(l.value);
+    bucket(l.person).liabilities += num(l.value);
+  }
+
+  for (const b of Object.values(byPerson)) {
+    b.assets = round2(b.assets);
+    b.liabilities = round2(b.liabilities);
+    b.netWorth = round2(b.assets - b.liabilities);
+  }
+
+  return {
+    totalAssets: round2(totalAssets),
+    totalLiabilities: round2(totalLiabilities),
+    netWorth: round2(totalAssets - totalLiabilities),
+    byPerson,
+  };
+};
+
+// Net worth as seen from the person selector: "joint" is the whole household,
+// a person sees their own items plus joint ones (same rule as filterByPerson).
+export const snapshotNetWorthFor = (snapshot, person) => {
+  if (!person || person === "joint") return num(snapshot.netWorth);
+  const own = snapshot.byPerson?.[person]?.netWorth;
+  const joint = snapshot.byPerson?.joint?.netWorth;
+  return round2(num(own) + num(joint));
+};
+
+// DB row -> UI shape
+export const fromDbNetWorthSnapshot = (s) => ({
+  id: s.id,
+  householdId: s.household_id,
+  date: s.snapshot_date,
+  totalAssets: num(s.total_assets),
+  totalLiabilities: num(s.total_liabilities),
+  netWorth: num(s.net_worth),
+  byPerson: s.by_person || {},
+  source: s.source || "monthly",
+  createdAt: s.created_at,
+});
+
+// UI shape -> DB payload (without household_id / created_by)
+export const toDbNetWorthSnapshot = (s) => ({
+  snapshot_date: s.date,
+  total_assets: round2(s.totalAssets),
+  total_liabilities: round2(s.totalLiabilities),
+  net_worth: round2(s.netWorth),
+  by_person: s.byPerson || {},
+  source: s.source || "monthly",
+});
+
+const sameTotals = (a, b) => {
+  if (!a || !b) return false;
+  if (round2(a.totalAssets) !== round2(b.totalAssets)) return false;
+  if (round2(a.totalLiabilities) !== round2(b.totalLiabilities)) return false;
+
+  // jsonb doesn't keep key order, so compare person by person
+  const people = new Set([...Object.keys(a.byPerson || {}), ...Object.keys(b.byPerson || {})]);
+  for (const p of people) {
+    if (num(a.byPerson?.[p]?.netWorth) !== num(b.byPerson?.[p]?.netWorth)) return false;
+  }
+  return true;
+};
+
+// Which snapshot (if any) to record now:
+// "monthly" when this month has none yet, "change" when values moved since the latest one.
+export const pendingSnapshotSource = (snapshots, totals, today = todayIso()) => {
+  const sorted = [...(snapshots || [])].sort((a, b) => (a.date < b.date ? -1 : 1));
+  const latest = sorted[sorted.length - 1];
+
+  if (!sorted.some((s) => String(s.date).slice(0, 7) === today.slice(0, 7))) return "monthly";
+  if (!sameTotals(latest, totals)) return "change";
+  return null;
+};
+
+const monthEnd = (yyyyMm) => {
+  const [y, m] = yyyyMm.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+};
+
+const nextMonth = (yyyyMm) => {
+  const [y, m] = yyyyMm.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m, 1));
+  return d.toISOString().slice(0, 7);
+};
+
+// Value of one item on a date: the latest history entry on/before it,
+// else the current value (items without history are assumed flat).
+const valueOn = (item, date, history) => {
+  const entries = history.get(item.id);
+  if (!entries?.length) return num(item.value);
+
+  let v = null;
+  for (const e of entries) {
+    if (e.date <= date) v = e.value;
+    else break;
+  }
+  return v == null ? num(entries[0].value) : num(v);
+};
+
+// Month-end snapshots from the oldest asset/liability up to last month.
+// An item counts from the day it was created; valueHistory entries
+// ({ kind: "asset" | "liability", itemId, date, value }) give its value over time.
+// accountValueOn(item, kind, date) can supply the value of account-backed items
+// (return null to fall back to the history).
+export const buildBackfillSnapshots = (
+  assets,
+  liabilities,
+  { valueHistory = [], today = todayIso(), accountValueOn = () => null } = {}
+) => {
+  const index = (kind) => {
+    const m = new Map();
+    for (const e of valueHistory) {
+      if (e.kind !== kind) continue;
+      if (!m.has(e.itemId)) m.set(e.itemId, []);
+      m.get(e.itemId).push({ date: String(e.date).slice(0, 10), value: num(e.value) });
+    }
+    for (const list of m.values()) list.sort((a, b) => (a.date < b.date ? -1 : 1));
+    return m;
+  };
+  const assetHistory = index("asset");
+  const liabilityHistory = index("liability");
+
+  const startOf = (item, history) => {
+    const first = history.get(item.id)?.[0]?.date;
+    const created = String(item.created_at || item.createdAt || "").slice(0, 10);
+    return [first, created].filter(Boolean).sort()[0] || null;
+  };
+
+  const starts = [
+    ...(assets || []).map((a) => startOf(a, assetHistory)),
+    ...(liabilities || []).map((l) => startOf(l, liabilityHistory)),
+  ].filter(Boolean);
+  if (!starts.length) return [];
+
+  const thisMonth = today.slice(0, 7);
+  const out = [];
+
+  for (let m = starts.sort()[0].slice(0, 7); m < thisMonth; m = nextMonth(m)) {
+    const date = monthEnd(m);
+    const alive = (item, history) => {
+      const s = startOf(item, history);
+      return !s || s <= date;
+    };
+
+    const totals = computeNetWorthTotals(
+      (assets || [])
+        .filter((a) => alive(a, assetHistory))
+        .map((a) => ({ ...a, value: accountValueOn(a, "asset", date) ?? valueOn(a, date, assetHistory) })),
+      (liabilities || [])
+        .filter((l) => alive(l, liabilityHistory))
+        .map((l) => ({ ...l, value: accountValueOn(l, "liability", date) ?? valueOn(l, date, liabilityHistory) }))
+    );
+
+    out.push({ ...totals, date, source: "backfill" });
+  }
+
+  return out;
+};
+
+// Date -> "YYYY-MM-DD" in local time (range bounds come from date-fns startOfMonth etc.)
+const localIso = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// Chart series for the selected person and date range. The live totals are
+// appended as "today" so the line always ends at the current value.
+export const netWorthSeries = (snapshots, { person, start, end, live } = {}) => {
+  const from = start ? localIso(start) : "";
+  const to = end ? localIso(end) : "9999-12-31";
+
+  const points = [...(snapshots || [])]
+    .filter((s) => s.date >= from && s.date <= to)
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map((s) => ({ date: s.date, netWorth: snapshotNetWorthFor(s, person) }));
+
+  const today = todayIso();
+  if (live && today >= from && today <= to && points[points.length - 1]?.date !== today) {
+    points.push({ date: today, netWorth: snapshotNetWorthFor(live, person) });
+  }
+
+  return points;
+};
@@ -0,0 +1,92 @@
+// src/helpers/ofxHelpers.js
+
+// OFX 1.x is SGML (leaf tags are usually not closed), OFX 2.x is XML.
+// Reading leaf values as "<TAG>value" up to the next tag/newline handles both.
+const readTag = (block, tag) => {
+  const m = String(block || "").match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? m[1].trim() : "";
+};
+
+const readBlocks = (text, tag) => {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "gi");
+  const out = [];
+  let m;
+  while ((m = re.exec(text)) !== null) out.push(m[1]);
+  return out;
+};
+
+const decodeEntities = (s = "") =>
+  String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// OFX datetime: YYYYMMDD[HHMMSS[.XXX]][[-5:EST]] -> YYYY-MM-DD
+export const ofxDateToIso = (v) => {
+  const m = String(v || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+};
+
+export const looksLikeOfx = (text = "", fileName = "") => {
+  if (/\.(ofx|qfx)$/i.test(String(fileName || ""))) return true;
+  const head = String(text || "").slice(0, 2000).toUpperCase();
+  return head.includes("OFXHEADER") || head.includes("<OFX>");
+};
+
+// Parse every bank / credit card statement in the file.
+// Returns [{ acctId, bankId, acctType, currency, isCredit, transactions: [...] }]
+export const parseOfx = (text) => {
+  const body = String(text || "");
+  const start = body.toUpperCase().indexOf("<OFX>");
+  if (start < 0) throw new Error("No <OFX> block found");
+  const ofx = body.slice(start);
+
+  const statements = [
+    ...readBlocks(ofx, "STMTRS").map((b) => ({ block: b, isCredit: false })),
+    ...readBlocks(ofx, "CCSTMTRS").map((b) => ({ block: b, isCredit: true })),
+  ];
+
+  return statements.map(({ block, isCredit }) => {
+    const from = readBlocks(block, isCredit ? "CCACCTFROM" : "BANKACCTFROM")[0] || block;
+
+    const transactions = readBlocks(block, "STMTTRN").map((t) => {
+      const name = decodeEntities(readTag(t, "NAME"));
+      const memo = decodeEntities(readTag(t, "MEMO"));
+      return {
+        fitid: readTag(t, "FITID"),
+        trnType: readTag(t, "TRNTYPE").toUpperCase(),
+        postedDate: ofxDateToIso(readTag(t, "DTPOSTED")),
+        userDate: ofxDateToIso(readTag(t, "DTUSER")),
+        amount: Number(readTag(t, "TRNAMT").replace(/,/g, "")) || 0,
+        name,
+        memo,
+        checkNum: readTag(t, "CHECKNUM"),
+      };
+    });
+
+    return {
+      acctId: readTag(from, "ACCTID"),
+      bankId: readTag(from, "BANKID"),
+      acctType: (readTag(from, "ACCTTYPE") || (isCredit ? "CREDITLINE" : "")).toUpperCase(),
+      currency: readTag(block, "CURDEF") || "USD",
+      isCredit,
+      transactions,
+    };
+  });
+};
+
+// Match an OFX <ACCTID> against accounts.last4 (digits only, last 4).
+export const findAccountByAcctNumber = (accounts, acctId) => {
+  const digits = String(acctId || "").replace(/\D/g, "");
+  if (digits.length < 4) return null;
+  const tail = digits.slice(-4);
+
+  return (
+    (accounts || []).find((a) => {
+      const last4 = String(a.last4 || "").replace(/\D/g, "").slice(-4);
+      return last4.length === 4 && last4 === tail;
+    }) || null
+  );
+};
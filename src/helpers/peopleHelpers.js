@@ -0,0 +1,81 @@
+// src/helpers/peopleHelpers.js
+
+// Household people. Each person has a stable `key` that is what rows store in
+// their `person` column; "joint" is the shared bucket and is not a person row.
+
+export const JOINT_KEY = "joint";
+export const JOINT_LABEL = "Joint";
+
+export const PERSON_COLORS = ["#4f46e5", "#db2777", "#059669", "#d97706", "#0891b2", "#7c3aed", "#dc2626", "#65a30d"];
+
+// Households that haven't set up people yet keep the original two-adult setup,
+// so existing "you" / "wife" rows still have names.
+export const DEFAULT_PEOPLE = [
+  { key: "you", name: "You", color: PERSON_COLORS[0], userId: null, sortOrder: 0 },
+  { key: "wife", name: "Wife", color: PERSON_COLORS[1], userId: null, sortOrder: 1 },
+];
+
+// DB row -> UI shape
+export const fromDbPerson = (p) => ({
+  id: p.id,
+  householdId: p.household_id,
+  key: p.person_key,
+  name: p.name,
+  color: p.color || PERSON_COLORS[0],
+  userId: p.user_id ?? null,
+  sortOrder: Number(p.sort_order ?? 0),
+  createdAt: p.created_at,
+});
+
+// UI shape -> DB payload (without household_id / created_by)
+export const toDbPerson = (p) => ({
+  person_key: p.key,
+  name: String(p.name || "").trim(),
+  color: p.color || PERSON_COLORS[0],
+  user_id: p.userId || null,
+  sort_order: Number(p.sortOrder ?? 0),
+});
+
+export const sortPeople = (people) =>
+  [...(people || [])].sort((a, b) => a.sortOrder - b.sortOrder || String(a.name).localeCompare(String(b.name)));
+
+// Stable key from a name ("Sam O'Neil" -> "sam-oneil"), unique within the household
+export const personKeyFor = (name, people = []) => {
+  const base =
+    String(name || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/['’]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "person";
+
+  const taken = new Set([JOINT_KEY, ...people.map((p) => p.key)]);
+  if (!taken.has(base)) return base;
+
+  let i = 2;
+  while (taken.has(`${base}-${i}`)) i++;
+  return `${base}-${i}`;
+};
+
+// { joint: "Joint", [key]: name } for display lookups
+export const buildPersonLabels = (people) => {
+  const labels = { [JOINT_KEY]: JOINT_LABEL };
+  for (const p of people || []) labels[p.key] = p.name;
+  return labels;
+};
+
+// Joint first, then people in order: what every person <select> and the header show
+export const personOptions = (people) => [
+  { key: JOINT_KEY, name: JOINT_LABEL, color: "#6b7280" },
+  ...sortPeople(people),
+];
+
+// Free-text person from an import (key or name, any case) -> person key; unknown -> joint
+export const normalizePersonValue = (raw, people) => {
+  const v = String(raw || "").trim().toLowerCase();
+  if (!v) return JOINT_KEY;
+
+  const match = (people || []).find((p) => p.key === v || String(p.name).trim().toLowerCase() === v);
+  return match ? match.key : JOINT_KEY;
+};
@@ -0,0 +1,211 @@
+// src/helpers/recurrenceHelpers.js
+
+// Recurrence engine: expands a recurring rule into dated occurrences for any range.
+// Dates are "YYYY-MM-DD" strings handled in UTC so day math never crosses a DST edge.
+//
+// Rule fields read here: frequency, dayOfMonth, secondDayOfMonth, start_date
+// (the anchor), end_date, weekendShift, active.
+
+export const FREQUENCIES = [
+  { value: "weekly", label: "Weekly", months: null, days: 7 },
+  { value: "biweekly", label: "Every 2 weeks", months: null, days: 14 },
+  { value: "semimonthly", label: "Twice a month", months: 1, days: null },
+  { value: "monthly", label: "Monthly", months: 1, days: null },
+  { value: "quarterly", label: "Quarterly", months: 3, days: null },
+  { value: "semiannual", label: "Every 6 months", months: 6, days: null },
+  { value: "annual", label: "Yearly", months: 12, days: null },
+];
+
+export const WEEKEND_SHIFTS = [
+  { value: "none", label: "Keep date" },
+  { value: "before", label: "Business day before" },
+  { value: "after", label: "Business day after" },
+];
+
+const frequencyOf = (rule) => FREQUENCIES.find((f) => f.value === rule.frequency) || FREQUENCIES[3];
+
+// Weekly schedules need a start date; month-based ones use its month as the cycle start
+export const needsAnchorDate = (frequency) => ["weekly", "biweekly", "quarterly", "semiannual", "annual"].includes(frequency);
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const toDate = (iso) => {
+  const [y, m, d] = String(iso).slice(0, 10).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const toIso = (d) => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+const addDays = (iso, n) => {
+  const d = toDate(iso);
+  d.setUTCDate(d.getUTCDate() + n);
+  return toIso(d);
+};
+const daysBetween = (a, b) => Math.round((toDate(b) - toDate(a)) / 86400000);
+const lastDayOf = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate(); // m is 1-based
+
+// Day 31 in a 30-day month (or February) falls on the month's last day
+const dateInMonth = (y, m, day) => `${y}-${pad2(m)}-${pad2(Math.min(Math.max(Number(day) || 1, 1), lastDayOf(y, m)))}`;
+
+// ---------------------------------------------------------------------------
+// US bank holidays (Federal Reserve schedule: a Sunday holiday moves to Monday)
+// ---------------------------------------------------------------------------
+const nthWeekday = (y, m, weekday, n) => {
+  const first = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+  return dateInMonth(y, m, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+};
+const lastWeekday = (y, m, weekday) => {
+  const last = lastDayOf(y, m);
+  const lastDow = new Date(Date.UTC(y, m - 1, last)).getUTCDay();
+  return dateInMonth(y, m, last - ((lastDow - weekday + 7) % 7));
+};
+
+const holidayCache = new Map();
+export const bankHolidays = (year) => {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const fixed = ["01-01", "06-19", "07-04", "11-11", "12-25"].map((md) => {
+    const iso = `${year}-${md}`;
+    return toDate(iso).getUTCDay() === 0 ? addDays(iso, 1) : iso;
+  });
+  const set = new Set([
+    ...fixed,
+    nthWeekday(year, 1, 1, 3), // MLK Day
+    nthWeekday(year, 2, 1, 3), // Presidents Day
+    lastWeekday(year, 5, 1), // Memorial Day
+    nthWeekday(year, 9, 1, 1), // Labor Day
+    nthWeekday(year, 10, 1, 2), // Columbus Day
+    nthWeekday(year, 11, 4, 4), // Thanksgiving
+  ]);
+  holidayCache.set(year, set);
+  return set;
+};
+
+export const isBusinessDay = (iso) => {
+  const dow = toDate(iso).getUTCDay();
+  return dow !== 0 && dow !== 6 && !bankHolidays(Number(iso.slice(0, 4))).has(iso);
+};
+
+export const shiftToBusinessDay = (iso, shift) => {
+  if (!shift || shift === "none") return iso;
+  const step = shift === "before" ? -1 : 1;
+  let d = iso;
+  while (!isBusinessDay(d)) d = addDays(d, step);
+  return d;
+};
+
+// ---------------------------------------------------------------------------
+// Expansion
+// ---------------------------------------------------------------------------
+
+// Unshifted dates in [from, to]
+const scheduledDatesBetween = (rule, from, to) => {
+  const freq = frequencyOf(rule);
+  const anchor = String(rule.start_date || rule.created_at || from).slice(0, 10);
+  const out = [];
+
+  if (freq.days) {
+    // Jump straight to the first cycle on/after `from`
+    const offset = Math.max(0, Math.ceil(daysBetween(anchor, from) / freq.days));
+    for (let d = addDays(anchor, offset * freq.days); d <= to; d = addDays(d, freq.days)) out.push(d);
+    return out;
+  }
+
+  const days =
+    freq.value === "semimonthly"
+      ? [Number(rule.dayOfMonth) || 1, Number(rule.secondDayOfMonth) || 15].sort((a, b) => a - b)
+      : [Number(rule.dayOfMonth) || 1];
+
+  const [ay, am] = anchor.split("-").map(Number);
+  const [fy, fm] = from.split("-").map(Number);
+  const [ty, tm] = to.split("-").map(Number);
+
+  for (let y = fy, m = fm; y < ty || (y === ty && m <= tm); m === 12 ? (y++, (m = 1)) : m++) {
+    const monthsFromAnchor = (y - ay) * 12 + (m - am);
+    if (((monthsFromAnchor % freq.months) + freq.months) % freq.months !== 0) continue;
+    for (const day of days) {
+      const d = dateInMonth(y, m, day);
+      if (d >= from && d <= to && !out.includes(d)) out.push(d);
+    }
+  }
+  return out;
+};
+
+// Occurrences whose (shifted) date falls in [from, to]:
+// [{ date, scheduledDate }] where scheduledDate is the unshifted date.
+export const ruleOccurrences = (rule, from, to) => {
+  if (!rule || rule.active === false || !from || !to || from > to) return [];
+
+  const start = rule.start_date ? String(rule.start_date).slice(0, 10) : null;
+  const end = rule.end_date ? String(rule.end_date).slice(0, 10) : null;
+
+  // Look a week past each side so shifts across the range edge are caught
+  const scanFrom = addDays(from, -7);
+  const scanTo = addDays(to, 7);
+
+  return scheduledDatesBetween(rule, scanFrom, scanTo)
+    .filter((d) => (!start || d >= start) && (!end || d <= end))
+    .map((d) => ({ scheduledDate: d, date: shiftToBusinessDay(d, rule.weekendShift) }))
+    .filter((o) => o.date >= from && o.date <= to)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+};
+
+// All rules at once: [{ rule, date, scheduledDate }] sorted by date
+export const expandRecurringRules = (rules, from, to) =>
+  (rules || [])
+    .flatMap((rule) => ruleOccurrences(rule, from, to).map((o) => ({ rule, ...o })))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+export const monthRange = (monthKey) => {
+  const [y, m] = String(monthKey).split("-").map(Number);
+  return { from: `${monthKey}-01`, to: `${monthKey}-${pad2(lastDayOf(y, m))}` };
+};
+
+export const nextOccurrence = (rule, fromIso, horizonDays = 400) =>
+  ruleOccurrences(rule, fromIso, addDays(fromIso, horizonDays))[0] || null;
+
+const ordinal = (n) => {
+  const s = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`;
+};
+
+// "Every 2 weeks from Jan 3, 2025" / "Monthly on the 15th"
+export const describeRecurrence = (rule) => {
+  const freq = frequencyOf(rule);
+  const anchor = rule.start_date
+    ? toDate(rule.start_date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" })
+    : null;
+  const day = ordinal(Number(rule.dayOfMonth) || 1);
+
+  let text;
+  if (freq.days) text = `${freq.label}${anchor ? ` from ${anchor}` : ""}`;
+  else if (freq.value === "semimonthly") text = `Twice a month on the ${day} and ${ordinal(Number(rule.secondDayOfMonth) || 15)}`;
+  else if (freq.value === "monthly") text = `Monthly on the ${day}`;
+  else if (freq.value === "annual" && rule.start_date) {
+    const month = toDate(rule.start_date).toLocaleDateString("en-US", { month: "long", timeZone: "UTC" });
+    text = `Yearly on ${month} ${Number(rule.dayOfMonth) || 1}`;
+  } else text = `${freq.label} on the ${day}${anchor ? ` starting ${anchor}` : ""}`;
+
+  if (rule.end_date) text += ` until ${rule.end_date}`;
+  if (rule.weekendShift && rule.weekendShift !== "none") {
+    text += rule.weekendShift === "before" ? " · earlier on weekends/holidays" : " · later on weekends/holidays";
+  }
+  return text;
+};
+
+// The transaction that posted/paid an occurrence, if any. Matches rows posted
+// for this occurrence, history linked to the rule (bank dates drift a few
+// days), legacy one-per-month postings, and hand-entered copies of the rule.
+export const findOccurrenceTransaction = (transactions, rule, { date, scheduledDate }) =>
+  (transactions || []).find(
+    (t) =>
+      (t.recurring_rule_id === rule.id &&
+        (t.occurrence_date === scheduledDate ||
+          (!t.occurrence_date && !t.applied_month && Math.abs(daysBetween(t.date, date)) <= 3) ||
+          (!t.occurrence_date &&
+            t.applied_month === scheduledDate.slice(0, 7) &&
+            (rule.frequency || "monthly") === "monthly"))) ||
+      (t.date === date &&
+        t.description === rule.description &&
+        Number(t.amount) === Number(rule.amount) &&
+        t.type === rule.type &&
+        t.person === rule.person)
+  ) || null;
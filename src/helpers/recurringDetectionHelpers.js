@@ -0,0 +1,200 @@
+// src/helpers/recurringDetectionHelpers.js
+
+// Finds repeating merchant/amount/interval patterns in transaction history and
+// proposes recurring rules for them. A candidate keeps the ids of the
+// transactions it matched so the new rule can be linked back to them.
+
+const DAY_MS = 86400000;
+
+const dayNumber = (iso) => {
+  const [y, m, d] = String(iso || "").split("-").map(Number);
+  if (!y || !m || !d) return NaN;
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+};
+
+const median = (values) => {
+  const v = [...values].sort((a, b) => a - b);
+  if (!v.length) return 0;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+};
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Expected gap in days and the tolerance allowed around it
+const INTERVALS = [
+  { frequency: "weekly", days: 7, slack: 1 },
+  { frequency: "biweekly", days: 14, slack: 2 },
+  { frequency: "monthly", days: 30.4, slack: 4 },
+  { frequency: "quarterly", days: 91.3, slack: 8 },
+  { frequency: "semiannual", days: 182.6, slack: 12 },
+  { frequency: "annual", days: 365.25, slack: 15 },
+];
+
+// Longer cycles need fewer sightings before we believe them
+const MIN_OCCURRENCES = { weekly: 4, biweekly: 3, semimonthly: 4, monthly: 3, quarterly: 3, semiannual: 2, annual: 2 };
+
+const NOISE_WORDS = new Set([
+  "POS", "DEBIT", "CREDIT", "PURCHASE", "ACH", "RECURRING", "PAYMENT", "CARD", "CHECKCARD",
+  "ONLINE", "WEB", "PPD", "ID", "TRANSFER", "AUTOPAY", "BILL", "PMT", "SQ", "TST",
+]);
+
+// "NETFLIX.COM 866-579-7172 CA" and "NETFLIX.COM 0314" -> "NETFLIX COM"
+export const merchantKey = (description) =>
+  String(description || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]+/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !/\d/.test(w) && !NOISE_WORDS.has(w))
+    .slice(0, 3)
+    .join(" ");
+
+// Amounts within max($2, 10%) of the cluster's running median belong together
+const clusterByAmount = (rows, tolerancePct) => {
+  const sorted = [...rows].sort((a, b) => a.abs - b.abs);
+  const clusters = [];
+  for (const r of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last) {
+      const mid = median(last.map((x) => x.abs));
+      if (Math.abs(r.abs - mid) <= Math.max(2, mid * tolerancePct)) {
+        last.push(r);
+        continue;
+      }
+    }
+    clusters.push([r]);
+  }
+  return clusters;
+};
+
+// Semi-monthly: two distinct days of the month, each hit about once a month
+const semimonthlyDays = (rows) => {
+  const days = rows.map((r) => Number(r.date.slice(8, 10)));
+  // Split at the widest jump between the days seen (1/15 and 15/30 both work)
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  let split = sorted[0];
+  let widest = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] - sorted[i - 1] > widest) {
+      widest = sorted[i] - sorted[i - 1];
+      split = sorted[i - 1];
+    }
+  }
+  const low = days.filter((d) => d <= split);
+  const high = days.filter((d) => d > split);
+  if (low.length < 2 || high.length < 2) return null;
+  const spread = (v) => Math.max(...v) - Math.min(...v);
+  if (spread(low) > 3 || spread(high) > 4) return null;
+  return [Math.round(median(low)), Math.round(median(high))];
+};
+
+const classify = (rows) => {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) gaps.push(rows[i].day - rows[i - 1].day);
+  const typical = median(gaps);
+
+  const fit = (interval) => gaps.filter((g) => Math.abs(g - interval.days) <= interval.slack).length / gaps.length;
+
+  // Biweekly dates drift through the month, semi-monthly ones stay on two days
+  if (typical >= 12 && typical <= 19) {
+    const days = semimonthlyDays(rows);
+    if (days) return { frequency: "semimonthly", regularity: gaps.filter((g) => g >= 12 && g <= 19).length / gaps.length, days };
+  }
+
+  const best = INTERVALS.map((interval) => ({ interval, regularity: fit(interval) })).sort(
+    (a, b) => b.regularity - a.regularity || Math.abs(typical - a.interval.days) - Math.abs(typical - b.interval.days)
+  )[0];
+
+  if (!best || best.regularity < 0.6) return null;
+  return { frequency: best.interval.frequency, regularity: best.regularity, interval: best.interval };
+};
+
+// Candidates not already covered by a rule, best first:
+// [{ key, description, merchant, category, type, person, accountId, amount, frequency, dayOfMonth,
+//    secondDayOfMonth, startDate, lastDate, occurrences, confidence, matchIds }]
+export const detectRecurringPatterns = (
+  transactions,
+  existingRules = [],
+  { today = new Date().toISOString().slice(0, 10), tolerancePct = 0.1 } = {}
+) => {
+  const todayDay = dayNumber(today);
+  const groups = new Map();
+
+  for (const t of transactions || []) {
+    if ((t.transaction_type || "normal") === "transfer") continue;
+    if (t.recurring_rule_id) continue; // posted by (or linked to) a rule already
+    const day = dayNumber(t.date);
+    const abs = Math.abs(Number(t.amount || 0));
+    const merchant = merchantKey(t.description);
+    if (!Number.isFinite(day) || !abs || !merchant) continue;
+
+    // Same merchant on two accounts (e.g. each partner's card) is two separate bills
+    const key = `${t.type}|${merchant}|${t.account_id ?? ""}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...t, day, abs, merchant });
+  }
+
+  const covered = (merchant, amount, type, accountId) =>
+    (existingRules || []).some(
+      (r) =>
+        r.type === type &&
+        merchantKey(r.description) === merchant &&
+        (r.accountId == null || accountId == null || Number(r.accountId) === Number(accountId)) &&
+        Math.abs(Number(r.amount || 0) - amount) <= Math.max(2, amount * tolerancePct)
+    );
+
+  const candidates = [];
+
+  for (const rows of groups.values()) {
+    for (const cluster of clusterByAmount(rows, tolerancePct)) {
+      const sorted = cluster.sort((a, b) => a.day - b.day);
+      if (sorted.length < 2) continue;
+
+      const shape = classify(sorted);
+      if (!shape || sorted.length < MIN_OCCURRENCES[shape.frequency]) continue;
+
+      const last = sorted[sorted.length - 1];
+      const amount = round2(median(sorted.map((r) => r.abs)));
+      if (covered(last.merchant, amount, last.type, last.account_id)) continue;
+
+      // Stale: missed more than two cycles since the last sighting
+      const cycle = shape.interval?.days ?? 15.2;
+      const sinceLast = todayDay - last.day;
+      if (sinceLast > cycle * 2 + (shape.interval?.slack ?? 3)) continue;
+
+      const amountSpread = Math.max(...sorted.map((r) => r.abs)) - Math.min(...sorted.map((r) => r.abs));
+      const amountScore = amount > 0 ? Math.max(0, 1 - amountSpread / amount / (tolerancePct * 2)) : 0;
+      const countScore = Math.min(1, sorted.length / (MIN_OCCURRENCES[shape.frequency] + 3));
+      const confidence = Math.round((shape.regularity * 0.5 + amountScore * 0.2 + countScore * 0.3) * 100) / 100;
+
+      const weekly = shape.frequency === "weekly" || shape.frequency === "biweekly";
+      candidates.push({
+        key: `${last.type}|${last.merchant}|${last.account_id ?? ""}|${amount}`,
+        description: last.description,
+        merchant: last.merchant,
+        category: mostCommon(sorted.map((r) => r.category)) || "Uncategorized",
+        type: last.type,
+        person: mostCommon(sorted.map((r) => r.person)) || "joint",
+        accountId: last.account_id ?? null,
+        amount,
+        frequency: shape.frequency,
+        dayOfMonth: shape.days ? shape.days[0] : weekly ? 1 : Number(mostCommon(sorted.map((r) => Number(r.date.slice(8, 10))))),
+        secondDayOfMonth: shape.days ? shape.days[1] : null,
+        // Weekly cycles are anchored on a real date; month-based ones on the first sighting
+        startDate: sorted[0].date,
+        lastDate: last.date,
+        occurrences: sorted.length,
+        confidence,
+        matchIds: sorted.map((r) => r.id),
+      });
+    }
+  }
+
+  return candidates.sort((a, b) => b.confidence - a.confidence || b.occurrences - a.occurrences);
+};
@@ -0,0 +1,96 @@
+// src/helpers/rolloverHelpers.js
+
+// Budget rollover ledger: each category's leftover (budget + carry-in - spent)
+// carries into the next budgeted month, across any number of months. A
+// per-category policy decides what carries, an optional cap limits it and a
+// reset month starts the chain over from zero.
+
+export const ROLLOVER_POLICIES = [
+  { value: "both", label: "Surplus and overspend" },
+  { value: "positive", label: "Surplus only" },
+  { value: "negative", label: "Overspend only" },
+  { value: "none", label: "No rollover" },
+];
+
+export const DEFAULT_ROLLOVER_POLICY = { policy: "both", cap: null, resetMonth: null };
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export const fromDbRolloverPolicy = (p) => ({
+  id: p.id,
+  category: p.category,
+  policy: p.policy || "both",
+  cap: p.cap == null ? null : Number(p.cap),
+  resetMonth: p.reset_month ? String(p.reset_month).slice(0, 7) : null,
+});
+
+export const toDbRolloverPolicy = (p) => ({
+  category: p.category,
+  policy: p.policy || "both",
+  cap: p.cap === "" || p.cap == null ? null : Math.abs(Number(p.cap)),
+  reset_month: p.resetMonth ? `${p.resetMonth}-01` : null,
+});
+
+// What a month's leftover carries forward under a policy/cap
+export const carryOut = (leftover, { policy, cap }) => {
+  let out = leftover;
+  if (policy === "none") out = 0;
+  else if (policy === "positive") out = Math.max(0, leftover);
+  else if (policy === "negative") out = Math.min(0, leftover);
+  if (cap != null && Math.abs(out) > cap) out = Math.sign(out) * cap;
+  return round2(out);
+};
+
+// budgets: [{ category, month }]; progressFor(category, month) -> { budget, spent } | null
+// Returns { [category]: { policy, rollover, history } } where rollover is the
+// carry-in for `month` and history lists every earlier month in the chain:
+// [{ month, carryIn, base, effective, spent, leftover, carryOut, note }]
+export const rolloverLedger = ({ budgets, progressFor, policies, month }) => {
+  const policyBy = new Map((policies || []).map((p) => [p.category, p]));
+  const monthsBy = new Map();
+  for (const b of budgets || []) {
+    if (!b.month || b.month >= month) continue;
+    if (!monthsBy.has(b.category)) monthsBy.set(b.category, new Set());
+    monthsBy.get(b.category).add(b.month);
+  }
+
+  const categories = new Set([
+    ...(budgets || []).filter((b) => b.month === month).map((b) => b.category),
+    ...monthsBy.keys(),
+  ]);
+
+  const ledger = {};
+  for (const category of categories) {
+    const policy = { ...DEFAULT_ROLLOVER_POLICY, ...policyBy.get(category) };
+    const months = [...(monthsBy.get(category) || [])]
+      .filter((m) => !policy.resetMonth || m >= policy.resetMonth)
+      .sort();
+
+    let carry = 0;
+    const history = [];
+    for (const m of months) {
+      const progress = progressFor(category, m);
+      if (!progress) continue;
+      const base = Number(progress.budget || 0);
+      const spent = Number(progress.spent || 0);
+      const effective = round2(base + carry);
+      const leftover = round2(effective - spent);
+      const out = carryOut(leftover, policy);
+      history.push({
+        month: m,
+        carryIn: carry,
+        base,
+        effective,
+        spent: round2(spent),
+        leftover,
+        carryOut: out,
+        note: out !== leftover ? (policy.policy === "none" ? "not carried" : out === 0 ? "dropped by policy" : "capped") : "",
+      });
+      carry = out;
+    }
+
+    ledger[category] = { policy, rollover: carry, history };
+  }
+
+  return ledger;
+};
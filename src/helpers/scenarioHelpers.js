@@ -0,0 +1,117 @@
+// src/helpers/scenarioHelpers.js
+
+import { expandRecurringRules, monthRange } from "./recurrenceHelpers";
+import { UNASSIGNED, simulateForecast } from "./cashFlowForecastHelpers";
+
+// What-if scenarios for the cash flow forecast. A scenario never touches real
+// rows: it rewrites the baseline forecast events. Items:
+//   { kind: "rule", ruleId, from, to, amount }        amount "" pauses the rule in [from, to]
+//   { kind: "project", projectId, targetMonth, amount } targetMonth "" drops the project
+//   { kind: "recurring", description, amount, type, frequency, dayOfMonth, ..., start_date, end_date }
+//   { kind: "oneoff", date, description, amount, type }
+
+export const SCENARIO_ITEM_KINDS = [
+  { value: "rule", label: "Change or pause a recurring item" },
+  { value: "project", label: "Move or drop a project" },
+  { value: "recurring", label: "Add a recurring item" },
+  { value: "oneoff", label: "Add a one-off" },
+];
+
+export const emptyScenarioItem = (kind) => {
+  if (kind === "rule") return { kind, ruleId: "", from: "", to: "", amount: "" };
+  if (kind === "project") return { kind, projectId: "", targetMonth: "", amount: "" };
+  if (kind === "recurring") {
+    return { kind, description: "", amount: "", type: "expense", frequency: "monthly", dayOfMonth: 1, start_date: "", end_date: "" };
+  }
+  return { kind: "oneoff", date: "", description: "", amount: "", type: "expense" };
+};
+
+export const fromDbScenario = (s) => ({
+  id: s.id,
+  name: s.name,
+  items: Array.isArray(s.items) ? s.items : [],
+  createdAt: s.created_at,
+});
+
+export const toDbScenario = (s) => ({
+  name: String(s.name || "").trim(),
+  items: s.items || [],
+});
+
+const signed = (type, amount) => (type === "income" ? 1 : -1) * Math.abs(Number(amount || 0));
+const hasAmount = (v) => v !== "" && v != null && Number.isFinite(Number(v));
+const inWindow = (date, from, to) => (!from || date >= from) && (!to || date <= to);
+const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+// Baseline events -> scenario events
+export const applyScenario = (events, scenario, { projects, today, end, defaultAccountId }) => {
+  let out = [...events];
+  const added = [];
+  const account = defaultAccountId ?? UNASSIGNED;
+
+  (scenario?.items || []).forEach((item, i) => {
+    if (item.kind === "rule" && item.ruleId !== "") {
+      out = out
+        .filter((e) => !(String(e.ruleId) === String(item.ruleId) && inWindow(e.date, item.from, item.to) && !hasAmount(item.amount)))
+        .map((e) =>
+          String(e.ruleId) === String(item.ruleId) && inWindow(e.date, item.from, item.to)
+            ? { ...e, amount: signed(e.type, item.amount), scenario: true }
+            : e
+        );
+    }
+
+    if (item.kind === "project" && item.projectId !== "") {
+      const project = (projects || []).find((p) => String(p.id) === String(item.projectId));
+      out = out.filter((e) => String(e.projectId) !== String(item.projectId));
+      if (project && item.targetMonth && item.targetMonth >= today.slice(0, 7)) {
+        const { from } = monthRange(item.targetMonth);
+        const date = from < today ? today : from;
+        if (date <= end) {
+          added.push({
+            date,
+            accountId: account,
+            amount: -Math.abs(Number(hasAmount(item.amount) ? item.amount : project.quotedAmount || 0)),
+            kind: "project",
+            description: project.name,
+            type: "expense",
+            projectId: project.id,
+            scenario: true,
+          });
+        }
+      }
+    }
+
+    if (item.kind === "recurring" && hasAmount(item.amount)) {
+      const rule = { ...item, id: `scenario-${i}`, active: true };
+      for (const { date } of expandRecurringRules([rule], today, end)) {
+        added.push({ date, accountId: account, amount: signed(item.type, item.amount), kind: "recurring", description: item.description || "Scenario item", type: item.type, scenario: true });
+      }
+    }
+
+    if (item.kind === "oneoff" && hasAmount(item.amount) && item.date >= today && item.date <= end) {
+      added.push({ date: item.date, accountId: account, amount: signed(item.type, item.amount), kind: "oneoff", description: item.description || "One-off", type: item.type, scenario: true });
+    }
+  });
+
+  return [...out, ...added].sort(byDate);
+};
+
+// baseline: { start, events, today, end }
+export const forecastScenario = (baseline, scenario, ctx) =>
+  simulateForecast({
+    start: baseline.start,
+    events: applyScenario(baseline.events, scenario, { ...ctx, today: baseline.today, end: baseline.end }),
+    today: baseline.today,
+    end: baseline.end,
+  });
+
+export const scenarioSummary = (forecast) => {
+  const last = forecast.days[forecast.days.length - 1];
+  const lowest = forecast.days.reduce((low, d) => (!low || d.total < low.total ? d : low), null);
+  return {
+    endBalance: last?.total ?? 0,
+    lowest: lowest?.total ?? 0,
+    lowestDate: lowest?.date ?? null,
+    totalNet: Math.round(forecast.months.reduce((sum, m) => sum + m.net, 0) * 100) / 100,
+  };
+};
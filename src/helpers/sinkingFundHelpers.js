@@ -0,0 +1,116 @@
+// src/helpers/sinkingFundHelpers.js
+
+import { addMonthsToKey } from "./loanHelpers";
+
+// Sinking funds spread an irregular cost (car insurance, holidays, property
+// tax) over the months before it's due. Each month from the start month sets
+// aside what is still needed divided by the months left; a matching expense
+// (same category and/or description text) draws the balance down. Annual
+// funds move their due date a year on once it passes.
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const isTransfer = (t) => (t.transaction_type || "normal") === "transfer";
+
+export const fromDbSinkingFund = (f) => ({
+  id: f.id,
+  name: f.name,
+  targetAmount: Number(f.target_amount || 0),
+  dueDate: f.due_date,
+  startMonth: f.start_month ? String(f.start_month).slice(0, 7) : null,
+  category: f.category || "",
+  matchText: f.match_text || "",
+  repeatsAnnually: Boolean(f.repeats_annually),
+  person: f.person || "joint",
+  createdAt: f.created_at,
+});
+
+export const toDbSinkingFund = (f) => ({
+  name: String(f.name || "").trim(),
+  target_amount: Math.abs(Number(f.targetAmount || 0)),
+  due_date: f.dueDate || null,
+  start_month: f.startMonth ? `${f.startMonth}-01` : null,
+  category: f.category || null,
+  match_text: String(f.matchText || "").trim() || null,
+  repeats_annually: Boolean(f.repeatsAnnually),
+  person: f.person || "joint",
+});
+
+const monthsBetween = (from, to) => {
+  const [fy, fm] = from.split("-").map(Number);
+  const [ty, tm] = to.split("-").map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+};
+
+// Expense lines that pay this fund's bill
+export const matchesSinkingFund = (fund, t) => {
+  if (t.type !== "expense" || isTransfer(t)) return false;
+  if (!fund.category && !fund.matchText) return false;
+  if (fund.category && t.category !== fund.category) return false;
+  if (fund.matchText && !String(t.description || "").toLowerCase().includes(fund.matchText.toLowerCase())) return false;
+  return true;
+};
+
+// Status of one fund as of `month`:
+// { monthly, balance, dueMonth, monthsLeft, funded, drawdowns, overdue }
+export const sinkingFundStatus = (fund, lines, month) => {
+  const start = fund.startMonth || String(fund.createdAt || "").slice(0, 7) || month;
+  let dueMonth = String(fund.dueDate || "").slice(0, 7) || month;
+  const target = Number(fund.targetAmount || 0);
+
+  const drawnBy = new Map();
+  const drawdownsBy = new Map();
+  for (const t of lines || []) {
+    if (!t.date || !matchesSinkingFund(fund, t)) continue;
+    const m = t.date.slice(0, 7);
+    if (m < start || m > month) continue;
+    drawnBy.set(m, (drawnBy.get(m) || 0) + Math.abs(Number(t.amount || 0)));
+    if (!drawdownsBy.has(m)) drawdownsBy.set(m, []);
+    drawdownsBy.get(m).push(t);
+  }
+
+  let balance = 0;
+  let monthly = 0;
+  for (let m = start; m <= month; m = addMonthsToKey(m, 1)) {
+    while (fund.repeatsAnnually && m > dueMonth) dueMonth = addMonthsToKey(dueMonth, 12);
+    const monthsLeft = monthsBetween(m, dueMonth) + 1;
+    monthly = monthsLeft > 0 ? round2(Math.max(0, target - balance) / monthsLeft) : 0;
+    balance = round2(balance + monthly - (drawnBy.get(m) || 0));
+  }
+
+  if (month < start) monthly = 0;
+  const monthsLeft = Math.max(0, monthsBetween(month, dueMonth) + 1);
+
+  return {
+    monthly,
+    balance,
+    dueMonth,
+    monthsLeft,
+    funded: target > 0 ? Math.min(1, Math.max(0, balance / target)) : 0,
+    drawdowns: drawdownsBy.get(month) || [],
+    overdue: !fund.repeatsAnnually && month > dueMonth,
+  };
+};
+
+export const sinkingFundsForMonth = (funds, lines, month) =>
+  (funds || []).map((fund) => ({ ...fund, status: sinkingFundStatus(fund, lines, month) }));
+
+export const sinkingFundContributions = (fundsWithStatus) =>
+  round2((fundsWithStatus || []).reduce((sum, f) => sum + f.status.monthly, 0));
+
+// How much of each of this month's drawdown lines the funds pay for: a fund
+// covers its payments up to what it held before them, the rest is ordinary
+// spending. Returns Map(line -> amount covered).
+export const sinkingFundCoverage = (fundsWithStatus) => {
+  const covered = new Map();
+  for (const f of fundsWithStatus || []) {
+    const drawn = f.status.drawdowns.reduce((sum, t) => sum + Math.abs(Number(t.amount || 0)), 0);
+    let available = Math.max(0, f.status.balance + drawn);
+    for (const t of f.status.drawdowns) {
+      if (covered.has(t) || available <= 0) continue;
+      const amount = round2(Math.min(Math.abs(Number(t.amount || 0)), available));
+      covered.set(t, amount);
+      available = round2(available - amount);
+    }
+  }
+  return covered;
+};
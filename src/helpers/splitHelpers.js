@@ -0,0 +1,57 @@
+// src/helpers/splitHelpers.js
+
+// A split transaction keeps its own row (date, account, description, total amount)
+// and stores child lines in `splits`: [{ category, person, amount }].
+// Line amounts are positive; they take the parent's sign when expanded.
+
+const cents = (v) => Math.round(Math.abs(Number(v || 0)) * 100);
+
+export const hasSplits = (t) => Array.isArray(t?.splits) && t.splits.length > 0;
+
+// Cleans editor/DB input into the stored shape (drops empty lines)
+export const normalizeSplits = (splits) =>
+  (splits || [])
+    .map((s) => ({
+      category: String(s.category || "").trim() || "Uncategorized",
+      person: s.person || "joint",
+      amount: Math.abs(Number(s.amount || 0)),
+    }))
+    .filter((s) => Number.isFinite(s.amount) && s.amount > 0);
+
+// Parent total minus the lines, in dollars (0 when they add up)
+export const splitRemainder = (parentAmount, splits) =>
+  (cents(parentAmount) - normalizeSplits(splits).reduce((sum, s) => sum + cents(s.amount), 0)) / 100;
+
+// Returns an error message, or null when the lines are a valid split of the parent
+export const validateSplits = (parentAmount, splits) => {
+  const lines = normalizeSplits(splits);
+  if (lines.length < 2) return "A split needs at least two lines.";
+
+  const diff = splitRemainder(parentAmount, lines);
+  if (diff !== 0) {
+    return diff > 0
+      ? `Lines are $${diff.toFixed(2)} short of the transaction total.`
+      : `Lines are $${Math.abs(diff).toFixed(2)} over the transaction total.`;
+  }
+  return null;
+};
+
+// One entry per category/person line: split parents become their child lines,
+// everything else passes through. Use this for any per-category or per-person math.
+export const expandSplitLines = (transactions) =>
+  (transactions || []).flatMap((t) => {
+    if (!hasSplits(t)) return [t];
+
+    const sign = Number(t.amount || 0) < 0 ? -1 : 1;
+    const lines = normalizeSplits(t.splits);
+    return lines.map((s, idx) => ({
+      ...t,
+      id: `${t.id}:${idx}`,
+      category: s.category,
+      person: s.person,
+      amount: sign * s.amount,
+      split_parent_id: t.id,
+      split_index: idx,
+      split_count: lines.length,
+    }));
+  });
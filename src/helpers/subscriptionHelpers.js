@@ -0,0 +1,275 @@
+// src/helpers/subscriptionHelpers.js
+
+import { FREQUENCIES, nextOccurrence } from "./recurrenceHelpers";
+import { merchantKey } from "./recurringDetectionHelpers";
+
+// Subscriptions are recurring expense rules plus detected patterns that have no
+// rule yet, each with the charges seen for it. Charges the app posted from a
+// rule (occurrence_date / applied_month) say nothing about whether the
+// merchant still bills us, so only imported or linked rows count as "seen".
+
+// Services where paying for two at once is usually an accident
+const SERVICE_GROUPS = [
+  { label: "Music streaming", words: ["SPOTIFY", "APPLE MUSIC", "TIDAL", "PANDORA", "DEEZER", "YOUTUBE MUSIC", "AMAZON MUSIC"] },
+  { label: "Cloud storage", words: ["ICLOUD", "DROPBOX", "GOOGLE ONE", "GOOGLE STORAGE", "ONEDRIVE"] },
+  { label: "Password manager", words: ["1PASSWORD", "LASTPASS", "DASHLANE", "BITWARDEN"] },
+  { label: "VPN", words: ["NORDVPN", "EXPRESSVPN", "SURFSHARK", "PROTONVPN"] },
+];
+
+const DAY_MS = 86400000;
+const round2 = (v) => Math.round(v * 100) / 100;
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+
+const frequencyOf = (value) => FREQUENCIES.find((f) => f.value === value) || FREQUENCIES[3];
+
+// Charges per month for one occurrence of `frequency`
+export const monthlyFactor = (frequency) => {
+  const f = frequencyOf(frequency);
+  if (f.value === "semimonthly") return 2;
+  return f.days ? 365.25 / 12 / f.days : 1 / f.months;
+};
+
+const cycleDays = (frequency) => {
+  const f = frequencyOf(frequency);
+  if (f.value === "semimonthly") return 15.2;
+  return f.days || f.months * 30.4;
+};
+
+const serviceGroup = (description) => {
+  const text = String(description || "").toUpperCase();
+  return SERVICE_GROUPS.find((g) => g.words.some((w) => text.includes(w)))?.label || null;
+};
+
+const isPosted = (t) => !!(t.occurrence_date || t.applied_month);
+
+const startsAfter = (rule, today) => !!rule.start_date && String(rule.start_date).slice(0, 10) > today;
+const endedBefore = (rule, today) => !!rule.end_date && String(rule.end_date).slice(0, 10) < today;
+
+// Loan payoff phases are one rule per payment level on the same liability;
+// show them as one subscription: the phase running today, else the next one
+// to start, else the last one that ran.
+const collapsePhases = (rules, today) => {
+  const byLiability = new Map();
+  const out = [];
+  for (const rule of rules) {
+    if (rule.liabilityId == null) out.push({ rule, phaseIds: [rule.id] });
+    else {
+      if (!byLiability.has(rule.liabilityId)) byLiability.set(rule.liabilityId, []);
+      byLiability.get(rule.liabilityId).push(rule);
+    }
+  }
+  for (const phases of byLiability.values()) {
+    const byStart = [...phases].sort((a, b) => String(a.start_date || "").localeCompare(String(b.start_date || "")));
+    const rule =
+      byStart.find((r) => !startsAfter(r, today) && !endedBefore(r, today)) ||
+      byStart.find((r) => startsAfter(r, today)) ||
+      byStart[byStart.length - 1];
+    out.push({ rule, phaseIds: phases.map((r) => r.id) });
+  }
+  return out;
+};
+
+// [{ date, amount, previous }] for each time the charged amount moved
+const priceChanges = (charges) => {
+  const out = [];
+  let previous = null;
+  for (const c of charges) {
+    if (previous !== null && Math.abs(c.amount - previous) >= Math.max(0.5, previous * 0.01)) {
+      out.push({ date: c.date, amount: c.amount, previous });
+    }
+    previous = c.amount;
+  }
+  return out;
+};
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const v of values) if (v != null) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+const buildSubscription = ({ id, ruleId, source, rule, charges, accountId = null, today }) => {
+  const sorted = [...charges]
+    .map((t) => ({ id: t.id, date: t.date, amount: Math.abs(Number(t.amount || 0)), accountId: t.account_id ?? null, posted: isPosted(t) }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const seen = sorted.filter((c) => !c.posted);
+  const last = sorted[sorted.length - 1] || null;
+  const lastSeen = seen[seen.length - 1] || null;
+
+  const amount = lastSeen ? lastSeen.amount : Number(rule.amount || 0);
+  const history = priceChanges(seen);
+  const recent = seen.slice(-6);
+  // Utilities and other metered bills move every cycle; don't call that a price hike
+  const variable = new Set(recent.map((c) => c.amount.toFixed(2))).size > 3;
+  const latestChange = history[history.length - 1] || null;
+
+  const active = rule.active !== false;
+  const ended = endedBefore(rule, today);
+  const upcoming = startsAfter(rule, today);
+  // Counted in totals only while today is inside the rule's start/end dates
+  const live = active && !ended && !upcoming;
+  const cycle = cycleDays(rule.frequency);
+  const overdueDays = lastSeen ? daysBetween(lastSeen.date, today) : 0;
+
+  return {
+    id,
+    ruleId,
+    source,
+    name: rule.description,
+    merchant: merchantKey(rule.description),
+    category: rule.category,
+    person: rule.person || "joint",
+    frequency: rule.frequency || "monthly",
+    active,
+    live,
+    ended,
+    upcoming,
+    amount: round2(amount),
+    monthlyCost: round2(amount * monthlyFactor(rule.frequency)),
+    annualCost: round2(amount * monthlyFactor(rule.frequency) * 12),
+    lastChargeDate: (lastSeen || last)?.date || null,
+    nextDate: active && !ended ? nextOccurrence(rule, today)?.date || null : null,
+    chargeCount: seen.length,
+    priceHistory: history,
+    priceIncrease: !variable && latestChange && latestChange.amount > latestChange.previous ? latestChange : null,
+    variable,
+    // Missed more than two cycles of real (not app-posted) charges
+    possiblyCancelled: live && !!lastSeen && overdueDays > cycle * 2 + 5,
+    accountId,
+    accountIds: [...new Set(seen.map((c) => c.accountId).filter((a) => a !== null))],
+    serviceGroup: serviceGroup(rule.description),
+    duplicateOf: [],
+  };
+};
+
+// rules: recurring rules (UI shape); candidates: detectRecurringPatterns() output
+export const buildSubscriptions = (rules, transactions, candidates = [], { today = new Date().toISOString().slice(0, 10) } = {}) => {
+  const expenses = (transactions || []).filter((t) => t.type === "expense" && (t.transaction_type || "normal") !== "transfer");
+  const ruleIds = new Set((rules || []).map((r) => r.id));
+  const claimed = new Set(); // transaction ids already counted under a rule
+
+  const subs = collapsePhases((rules || []).filter((r) => r.type === "expense"), today)
+    .flatMap(({ rule, phaseIds }) => {
+      const key = merchantKey(rule.description);
+      const target = Number(rule.amount || 0);
+      // Linked rows, plus unlinked ones from the same merchant near the rule's amount
+      const linked = expenses.filter((t) => phaseIds.includes(t.recurring_rule_id));
+      const loose = expenses.filter(
+        (t) =>
+          (!t.recurring_rule_id || !ruleIds.has(t.recurring_rule_id)) &&
+          key &&
+          merchantKey(t.description) === key &&
+          Math.abs(Math.abs(Number(t.amount || 0)) - target) <= Math.max(2, target * 0.25)
+      );
+      for (const t of [...linked, ...loose]) claimed.add(t.id);
+
+      // Unlinked charges on another account (the other partner's card) are a
+      // second subscription to the same service, not more charges of this one
+      const home = rule.accountId ?? mostCommon(linked.map((t) => t.account_id)) ?? mostCommon(loose.map((t) => t.account_id));
+      const own = [...linked];
+      const elsewhere = new Map();
+      for (const t of loose) {
+        if (home == null || t.account_id == null || Number(t.account_id) === Number(home)) own.push(t);
+        else {
+          if (!elsewhere.has(t.account_id)) elsewhere.set(t.account_id, []);
+          elsewhere.get(t.account_id).push(t);
+        }
+      }
+
+      const out = [buildSubscription({ id: `rule-${rule.id}`, ruleId: rule.id, source: "rule", rule, charges: own, accountId: home, today })];
+      for (const [accountId, charges] of elsewhere) {
+        const sorted = [...charges].sort((a, b) => (a.date < b.date ? -1 : 1));
+        const last = sorted[sorted.length - 1];
+        const candidate = {
+          key: `rule-${rule.id}-acct-${accountId}`,
+          description: rule.description,
+          category: rule.category,
+          type: "expense",
+          person: mostCommon(sorted.map((t) => t.person)) || rule.person || "joint",
+          accountId,
+          amount: round2(Math.abs(Number(last.amount || 0))),
+          frequency: rule.frequency || "monthly",
+          dayOfMonth: Number(last.date.slice(8, 10)),
+          secondDayOfMonth: null,
+          startDate: sorted[0].date,
+          matchIds: sorted.map((t) => t.id),
+        };
+        out.push({
+          ...buildSubscription({
+            id: `detected-${candidate.key}`,
+            ruleId: null,
+            source: "detected",
+            rule: { ...rule, person: candidate.person, dayOfMonth: candidate.dayOfMonth, start_date: candidate.startDate, end_date: "", liabilityId: null },
+            charges,
+            accountId,
+            today,
+          }),
+          candidate,
+        });
+      }
+      return out;
+    });
+
+  for (const c of candidates || []) {
+    // A price change can split one rule's charges into a second pattern
+    if (c.type !== "expense" || c.matchIds.some((id) => claimed.has(id))) continue;
+    const ids = new Set(c.matchIds);
+    const rule = {
+      description: c.description,
+      category: c.category,
+      person: c.person,
+      amount: c.amount,
+      frequency: c.frequency,
+      dayOfMonth: c.dayOfMonth,
+      secondDayOfMonth: c.secondDayOfMonth,
+      start_date: c.startDate,
+      active: true,
+    };
+    subs.push({
+      ...buildSubscription({
+        id: `detected-${c.key}`,
+        ruleId: null,
+        source: "detected",
+        rule,
+        charges: expenses.filter((t) => ids.has(t.id)),
+        accountId: c.accountId ?? null,
+        today,
+      }),
+      candidate: c,
+    });
+  }
+
+  // Duplicates: the same merchant or service group paid on two accounts or by
+  // two people (one per partner's card), or two services from a group where
+  // one is normally enough
+  const live = subs.filter((s) => s.live && !s.possiblyCancelled);
+  const apart = (a, b) => String(a.accountId ?? "") !== String(b.accountId ?? "") || a.person !== b.person;
+  const groups = new Map();
+  for (const s of live) {
+    for (const key of [s.merchant && `m:${s.merchant}`, s.serviceGroup && `g:${s.serviceGroup}`].filter(Boolean)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    }
+  }
+  for (const [key, members] of groups) {
+    if (members.length < 2) continue;
+    for (const s of members) {
+      for (const other of members) {
+        if (other.id === s.id || s.duplicateOf.includes(other.id)) continue;
+        if (apart(s, other) || (key.startsWith("g:") && other.merchant !== s.merchant)) s.duplicateOf.push(other.id);
+      }
+    }
+  }
+
+  return subs.sort((a, b) => b.monthlyCost - a.monthlyCost);
+};
+
+export const subscriptionTotals = (subs) => {
+  const live = (subs || []).filter((s) => s.live && !s.possiblyCancelled);
+  return {
+    count: live.length,
+    monthly: round2(live.reduce((sum, s) => sum + s.monthlyCost, 0)),
+    annual: round2(live.reduce((sum, s) => sum + s.annualCost, 0)),
+    flagged: (subs || []).filter((s) => s.priceIncrease || s.possiblyCancelled || s.duplicateOf.length).length,
+  };
+};
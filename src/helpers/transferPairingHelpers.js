@@ -0,0 +1,123 @@
+// src/helpers/transferPairingHelpers.js
+
+// A transfer shows up once per account (checking "PAYMENT TO CHASE" and the card's
+// "PAYMENT THANK YOU"). Both legs carry the same transfer_group_id once paired.
+
+const cents = (v) => Math.round(Math.abs(Number(v || 0)) * 100);
+
+const dayNumber = (iso) => {
+  const [y, m, d] = String(iso || "").split("-").map(Number);
+  if (!y || !m || !d) return NaN;
+  return Date.UTC(y, m - 1, d) / 86400000;
+};
+
+const isTransfer = (t) => (t.transaction_type || "normal") === "transfer";
+
+export const newTransferGroupId = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  `tg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+
+// "out" = money leaving this account, "in" = money arriving.
+// Card exports disagree on the sign of payments, so any transfer on a credit
+// account is the receiving leg (it pays the card down).
+export const transferDirection = (t, acct) => {
+  if (acct?.account_type === "credit") return "in";
+  if (Number(t.amount || 0) < 0) return "out";
+  // Manually added rows store positive amounts and rely on `type`
+  return t.type === "expense" ? "out" : "in";
+};
+
+// Transfer rows without a partner: never grouped, or their partner was deleted/unlinked
+export const findUnmatchedTransfers = (transactions) => {
+  const groupSizes = new Map();
+  for (const t of transactions || []) {
+    if (isTransfer(t) && t.transfer_group_id) {
+      groupSizes.set(t.transfer_group_id, (groupSizes.get(t.transfer_group_id) || 0) + 1);
+    }
+  }
+
+  return (transactions || []).filter(
+    (t) => isTransfer(t) && (!t.transfer_group_id || groupSizes.get(t.transfer_group_id) < 2)
+  );
+};
+
+// Possible partner legs for one transfer: same absolute amount, another account,
+// opposite direction, within ±dayWindow. Normal rows count too (the other
+// export may not have been recognised as a transfer). Best first.
+export const findTransferCandidates = (leg, transactions, accounts, { dayWindow = 3 } = {}) => {
+  const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
+  const legDir = transferDirection(leg, acctById.get(Number(leg.account_id)));
+  const legDay = dayNumber(leg.date);
+  const legCents = cents(leg.amount);
+
+  const unmatched = new Set(findUnmatchedTransfers(transactions).map((t) => t.id));
+
+  return (transactions || [])
+    .filter((t) => {
+      if (t.id === leg.id) return false;
+      if (!t.account_id || Number(t.account_id) === Number(leg.account_id)) return false;
+      if (cents(t.amount) !== legCents) return false;
+      if (isTransfer(t) && !unmatched.has(t.id)) return false; // already paired
+      if (Math.abs(dayNumber(t.date) - legDay) > dayWindow) return false;
+      return transferDirection(t, acctById.get(Number(t.account_id))) !== legDir;
+    })
+    .map((t) => {
+      let score = Math.abs(dayNumber(t.date) - legDay);
+      // Prefer legs that already point at each other's account, and transfer-tagged rows
+      if (leg.transfer_account_id && Number(leg.transfer_account_id) === Number(t.account_id)) score -= 10;
+      if (t.transfer_account_id && Number(t.transfer_account_id) === Number(leg.account_id)) score -= 10;
+      if (isTransfer(t)) score -= 5;
+      return { transaction: t, score };
+    })
+    .sort((a, b) => a.score - b.score)
+    .map((c) => c.transaction);
+};
+
+// Greedy one-to-one pairing of unmatched transfer legs (both sides tagged as transfers).
+// Returns [{ outflow, inflow }].
+export const findTransferPairs = (transactions, accounts, { dayWindow = 3 } = {}) => {
+  const acctById = new Map((accounts || []).map((a) => [Number(a.id), a]));
+  const unmatched = findUnmatchedTransfers(transactions);
+  const used = new Set();
+  const pairs = [];
+
+  // Oldest first so a monthly payment pairs with the same month's leg
+  const ordered = [...unmatched].sort((a, b) => (a.date < b.date ? -1 : 1));
+
+  for (const leg of ordered) {
+    if (used.has(leg.id)) continue;
+
+    const partner = findTransferCandidates(leg, unmatched, accounts, { dayWindow }).find(
+      (t) => !used.has(t.id)
+    );
+    if (!partner) continue;
+
+    used.add(leg.id);
+    used.add(partner.id);
+
+    const legIsOut = transferDirection(leg, acctById.get(Number(leg.account_id))) === "out";
+    pairs.push(legIsOut ? { outflow: leg, inflow: partner } : { outflow: partner, inflow: leg });
+  }
+
+  return pairs;
+};
+
+// Field updates for both legs of a link
+export const transferLinkPatches = (a, b, groupId = newTransferGroupId()) => [
+  {
+    id: a.id,
+    patch: {
+      transaction_type: "transfer",
+      transfer_account_id: b.account_id ?? null,
+      transfer_group_id: groupId,
+    },
+  },
+  {
+    id: b.id,
+    patch: {
+      transaction_type: "transfer",
+      transfer_account_id: a.account_id ?? null,
+      transfer_group_id: groupId,
+    },
+  },
+];
@@ -0,0 +1,107 @@
+// src/helpers/valuationHelpers.js
+
+// Dated values for assets and liabilities. Editing a value appends an entry;
+// the item row itself keeps only the latest value.
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// DB row -> UI shape ({ kind, itemId, date, value } is what net worth backfill reads)
+export const fromDbValuation = (v) => ({
+  id: v.id,
+  householdId: v.household_id,
+  kind: v.item_type, // asset | liability
+  itemId: v.item_id,
+  date: String(v.recorded_on || "").slice(0, 10),
+  value: num(v.value),
+  createdAt: v.created_at,
+});
+
+// UI shape -> DB payload (without household_id / created_by)
+export const toDbValuation = (v) => ({
+  item_type: v.kind,
+  item_id: v.itemId,
+  recorded_on: v.date,
+  value: num(v.value),
+});
+
+// Sorted [{ date, value }] for one item. Items that predate the history get their
+// creation date as the first point, and the current value always closes the series.
+export const valuationSeriesFor = (history, kind, item, today = new Date().toISOString().slice(0, 10)) => {
+  const points = (history || [])
+    .filter((h) => h.kind === kind && h.itemId === item.id)
+    .map((h) => ({ date: h.date, value: h.value }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  if (!points.length) {
+    const created = String(item.created_at || "").slice(0, 10);
+    if (created && created < today) points.push({ date: created, value: num(item.value) });
+  }
+
+  const last = points[points.length - 1];
+  if (!last || last.value !== num(item.value)) points.push({ date: today, value: num(item.value) });
+
+  return points;
+};
+
+// Entry to record before an item's first value change, so the old value isn't
+// lost: dated at creation, or the end of last month when that isn't known.
+// Null when the item already has history or was created today.
+export const priorValuationEntry = (history, kind, item, priorValue, today = new Date()) => {
+  if ((history || []).some((h) => h.kind === kind && h.itemId === item.id)) return null;
+  const todayIso = today.toISOString().slice(0, 10);
+  const created = String(item.created_at || "").slice(0, 10);
+  const date = created || endOfLastMonthIso(today);
+  if (date >= todayIso) return null;
+  return { kind, itemId: item.id, value: num(priorValue), date };
+};
+
+// Value in effect on `date` (latest point on/before it), or null when the item didn't exist yet
+export const valueAsOf = (series, date) => {
+  let v = null;
+  for (const p of series || []) {
+    if (p.date <= date) v = p.value;
+    else break;
+  }
+  return v;
+};
+
+// Change from the value in effect on `sinceDate` to now.
+// Items added after that date compare against their first recorded value.
+export const valueChangeSince = (series, sinceDate) => {
+  if (!series?.length) return null;
+
+  const current = series[series.length - 1].value;
+  const base = valueAsOf(series, sinceDate) ?? series[0].value;
+  const delta = current - base;
+
+  return { base, delta, pct: base !== 0 ? (delta / Math.abs(base)) * 100 : null };
+};
+
+// "YYYY-MM-DD" of the last day of the previous month / previous year
+export const endOfLastMonthIso = (today = new Date()) =>
+  new Date(Date.UTC(today.getFullYear(), today.getMonth(), 0)).toISOString().slice(0, 10);
+
+export const endOfLastYearIso = (today = new Date()) => `${today.getFullYear() - 1}-12-31`;
+
+// Per-item series and changes for a list of assets or liabilities, plus list totals
+export const valuationStats = (history, kind, items, today = new Date()) => {
+  const todayIso = today.toISOString().slice(0, 10);
+  const monthBase = endOfLastMonthIso(today);
+  const yearBase = endOfLastYearIso(today);
+
+  const byId = {};
+  let sinceMonth = 0;
+  let sinceYear = 0;
+
+  for (const item of items || []) {
+    const series = valuationSeriesFor(history, kind, item, todayIso);
+    const month = valueChangeSince(series, monthBase);
+    const year = valueChangeSince(series, yearBase);
+
+    byId[item.id] = { series, sinceMonth: month, sinceYear: year };
+    sinceMonth += month?.delta || 0;
+    sinceYear += year?.delta || 0;
+  }
+
+  return { byId, sinceMonth, sinceYear };
+};